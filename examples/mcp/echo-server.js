@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal MCP server over stdio, for trying out and checking the MCP client.
+ * Offers two tools: `echo` returns its text, `word_count` counts words.
+ *
+ * Add it to config/coordination.json:
+ *   "mcp_tools": {
+ *     "servers": [
+ *       { "name": "demo", "command": "node", "args": ["examples/mcp/echo-server.js"],
+ *         "allow": { "analyst": ["*"], "reviewer": ["word_count"] } }
+ *     ]
+ *   }
+ */
+
+const readline = require('readline');
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Return the given text unchanged.',
+    inputSchema: {
+      type: 'object',
+      properties: { text: { type: 'string' } },
+      required: ['text']
+    }
+  },
+  {
+    name: 'word_count',
+    description: 'Count the words in a text.',
+    inputSchema: {
+      type: 'object',
+      properties: { text: { type: 'string' } },
+      required: ['text']
+    }
+  }
+];
+
+function callTool(name, args = {}) {
+  if (typeof args.text !== 'string') {
+    return { content: [{ type: 'text', text: 'text must be a string' }], isError: true };
+  }
+  if (name === 'echo') {
+    return { content: [{ type: 'text', text: args.text }] };
+  }
+  if (name === 'word_count') {
+    const words = args.text.trim() ? args.text.trim().split(/\s+/).length : 0;
+    return { content: [{ type: 'text', text: String(words) }] };
+  }
+  return null;
+}
+
+function handle(message) {
+  switch (message.method) {
+    case 'initialize':
+      return {
+        protocolVersion: '2024-11-05',
+        capabilities: { tools: {} },
+        serverInfo: { name: 'echo-server', version: '1.0.0' }
+      };
+    case 'tools/list':
+      return { tools: TOOLS };
+    case 'tools/call': {
+      const result = callTool(message.params.name, message.params.arguments);
+      if (!result) {
+        throw new Error(`Unknown tool: ${message.params.name}`);
+      }
+      return result;
+    }
+    default:
+      throw new Error(`Method not found: ${message.method}`);
+  }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+
+  const message = JSON.parse(line);
+  // Notifications (no id) need no answer
+  if (message.id === undefined) return;
+
+  let reply;
+  try {
+    reply = { jsonrpc: '2.0', id: message.id, result: handle(message) };
+  } catch (error) {
+    reply = { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: error.message } };
+  }
+  process.stdout.write(`${JSON.stringify(reply)}\n`);
+});
@@ -1,86 +1,395 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
+const { createBackend } = require('../providers');
+const { BudgetExceededError } = require('../coordination/usage');
+
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Wait `ms`, ending early with an error when `signal` is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error('Cancelled'));
+      return;
+    }
+
+    const abort = () => {
+      clearTimeout(handle);
+      reject(new Error('Cancelled'));
+    };
+    const handle = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
 
 /**
- * Base Agent class for the multi-agent system
+ * Base Agent class for the multi-agent system.
+ * Streaming calls emit 'stream_start', 'token' and 'stream_end' events,
+ * each with { agent } and, for tokens, the text delta as `text`. Every
+ * task emits 'task_start' ({ agent, step }) and, once it has a recorded
+ * result, 'task_end' ({ agent, step, success, error }).
  */
-class Agent {
+class Agent extends EventEmitter {
   constructor(config = {}) {
+    super();
     this.id = config.id || uuidv4();
     this.name = config.name || 'agent';
+    this.type = config.type || 'generic';
     this.role = config.role || 'generic';
     this.tier = config.tier || 1;
     this.capabilities = config.capabilities || [];
+    this.model = config.model || DEFAULT_MODEL;
+    this.maxTokens = config.maxTokens || DEFAULT_MAX_TOKENS;
+    this.temperature = config.temperature;
+    this.permissions = config.permissions || {};
     this.memory = [];
-    this.client = null;
-    
-    if (process.env.ANTHROPIC_API_KEY) {
-      this.client = new Anthropic({
-        apiKey: process.env.ANTHROPIC_API_KEY
-      });
-    }
+    this.recorder = config.recorder || null;
+    this.retriever = config.retriever || null;
+    this.usage = config.usage || null;
+    this.limiter = config.limiter || null;
+    this.tools = config.tools || null;
+    // The hive, which carries out delegation requests when the run has
+    // delegation on
+    this.delegator = config.delegator || null;
+    // The hive, which hands tasks of stuck agents up to a supervisor when
+    // the run has escalation on
+    this.escalator = config.escalator || null;
+    this.bus = config.bus || null;
+    // The swarm the agent belongs to (its name is then <swarm>/<name>)
+    this.swarm = config.swarm || null;
+    this.streaming = config.stream === true;
+    this.retry = { maxRetries: 0, baseDelay: 1000, maxDelay: 30000, timeout: null, ...config.retry };
+    // The agent's own backend (agents.json `provider`); a provider given by the
+    // hive, such as a mock or a replay, answers in its place
+    this.backend = createBackend(config.backend);
+    this.provider = config.provider || this.backend;
   }
 
   /**
    * Initialize the agent
    */
   async initialize() {
-    if (!this.client) {
+    if (!this.provider) {
       throw new Error('ANTHROPIC_API_KEY not set');
     }
     console.log(`[${this.name}] Agent initialized`);
   }
 
   /**
-   * Process a task using Claude
+   * Process a task through the agent's provider (Claude unless configured otherwise).
+   * The response is streamed when the agent was created with `stream: true`
+   * or an `onToken(text)` callback is given; the callback is awaited per token.
+   * `options.step` names the workflow step the call is accounted to.
+   * An agent granted tools may call them over several turns before it
+   * answers; usage and the budget cover every turn.
+   * Throws a BudgetExceededError, without calling the API, if the call could
+   * take the run over its budget. Aborting `options.signal` cancels the call;
+   * the result is then marked `skipped`.
+   * When the delegator has delegation on, subtasks the answer delegates run
+   * before it returns (`options.delegationDepth` counts the nesting). When the escalator has
+   * escalation on, an answer that escalates or a call that keeps failing is
+   * handed to a supervisor, whose result is returned instead.
    */
-  async process(task, context = {}) {
-    if (!this.client) {
+  async process(task, context = {}, options = {}) {
+    if (!this.provider) {
       throw new Error('Agent not initialized');
     }
 
-    const systemPrompt = this.getSystemPrompt();
-    const userMessage = this.formatTask(task, context);
+    const systemPrompt = [
+      this.getSystemPrompt(),
+      this.delegator && this.delegator.delegationInstructions(this, options),
+      this.escalator && this.escalator.escalationInstructions(this, options)
+    ].filter(Boolean).join('\n\n');
+    const memories = await this.recall(task);
+    const userMessage = this.formatTask(task, memories.length > 0 ? { ...context, memories } : context);
+    const tools = this.tools ? this.tools.definitionsFor(this) : [];
+    const messages = [{ role: 'user', content: userMessage }];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    const toolCalls = [];
+    let cost = 0;
+    let reservation = this.usage ? this.usage.reserve(this, systemPrompt + userMessage) : null;
+
+    if (options.signal && options.signal.aborted) {
+      if (reservation) {
+        this.usage.release(reservation);
+      }
+      return cancelled(this, options);
+    }
+
+    this.emit('task_start', { agent: this.name, step: options.step });
 
     try {
-      const response = await this.client.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: userMessage
-          }
-        ]
-      });
+      let response;
+
+      for (let turn = 1; ; turn++) {
+        const request = {
+          model: this.model,
+          max_tokens: this.maxTokens,
+          system: systemPrompt,
+          messages
+        };
+
+        if (this.temperature !== undefined) {
+          request.temperature = this.temperature;
+        }
+        if (tools.length > 0) {
+          request.tools = tools;
+        }
+
+        response = await this.send(request, options);
+
+        const callCost = this.usage ? this.usage.settle(reservation, this, options.step, response.usage) : null;
+        reservation = null;
+        cost = cost === null || callCost === null ? null : cost + callCost;
+        usage.input_tokens += response.usage.input_tokens || 0;
+        usage.output_tokens += response.usage.output_tokens || 0;
+
+        if (response.stop_reason !== 'tool_use' || tools.length === 0) {
+          break;
+        }
+        if (turn >= this.tools.maxTurns) {
+          throw new Error(`No final answer after ${turn} tool turns`);
+        }
+
+        messages.push({ role: 'assistant', content: response.content });
+        messages.push({ role: 'user', content: await this.runTools(response.content, toolCalls) });
+
+        // Every turn resends the conversation so far
+        reservation = this.usage ? this.usage.reserve(this, systemPrompt + JSON.stringify(messages)) : null;
+      }
 
-      const result = response.content[0].text;
+      const result = response.text;
       this.memory.push({ task, result, timestamp: Date.now() });
       
-      return {
+      const recorded = await this.record(task, userMessage, {
         success: true,
         result,
         metadata: {
           agent: this.name,
           role: this.role,
+          model: this.model,
+          step: options.step,
+          usage,
+          cost: cost === null ? undefined : cost,
+          tools: toolCalls.length > 0 ? toolCalls : undefined,
           timestamp: Date.now()
         }
-      };
+      });
+      const answered = this.delegator ? await this.delegator.delegate(this, recorded, options) : recorded;
+      return this.escalator ? await this.escalator.escalate(this, task, context, answered, options) : answered;
     } catch (error) {
+      if (reservation) {
+        this.usage.release(reservation);
+      }
+      if (error instanceof BudgetExceededError) {
+        throw error;
+      }
+      if (options.signal && options.signal.aborted) {
+        return cancelled(this, options);
+      }
       console.error(`[${this.name}] Error processing task:`, error.message);
-      return {
+      const failed = await this.record(task, userMessage, {
         success: false,
         error: error.message,
+        retriable: isRepeatable(error),
         metadata: {
           agent: this.name,
           role: this.role,
+          step: options.step,
+          tools: toolCalls.length > 0 ? toolCalls : undefined,
           timestamp: Date.now()
         }
-      };
+      });
+      return this.escalator ? await this.escalator.escalate(this, task, context, failed, options) : failed;
     }
   }
 
+  /**
+   * Run the tool calls of a response, in order, and build the tool_result
+   * blocks answering them. Each call is logged and added to `toolCalls`.
+   */
+  async runTools(content, toolCalls) {
+    const results = [];
+
+    for (const block of content.filter(item => item.type === 'tool_use')) {
+      const { content: output, isError } = await this.tools.run(this, block.name, block.input);
+      const target = describeInput(block.input);
+      console.log(`[${this.name}] 🔧 ${block.name}${target ? ` ${target}` : ''}${isError ? ` ✗ ${output}` : ''}`);
+
+      toolCalls.push({ name: block.name, target: target || undefined, error: isError || undefined });
+      results.push({ type: 'tool_result', tool_use_id: block.id, content: output, is_error: isError || undefined });
+    }
+
+    return results;
+  }
+
+  /**
+   * Send a request within the hive's rate and concurrency limits, with a
+   * timeout per attempt. Rate limits (429), overload (529), server and
+   * network errors are retried with exponential backoff and jitter, waiting
+   * at least as long as the API's retry-after header asks; aborting
+   * `options.signal` ends the wait. A stream that has already produced tokens
+   * is not retried, since they were passed on.
+   */
+  async send(request, options = {}) {
+    const streaming = Boolean(options.onToken) || this.streaming;
+    let streamed = false;
+    const onToken = async (text) => {
+      streamed = true;
+      if (options.onToken) {
+        await options.onToken(text);
+      }
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const release = this.limiter ? await this.limiter.acquire(this) : null;
+      let delay;
+
+      try {
+        if (options.signal && options.signal.aborted) {
+          throw new Error('Cancelled while queued');
+        }
+        return await this.withTimeout(options.signal, timer => (streaming
+          ? this.streamResponse(request, onToken, timer)
+          : this.provider.complete(request, { signal: timer.signal, agent: this })));
+      } catch (error) {
+        const retriable = isRetriable(error) && !streamed && !(options.signal && options.signal.aborted);
+        if (!retriable || attempt >= this.retry.maxRetries) {
+          throw error;
+        }
+
+        delay = retryDelay(error, attempt, this.retry);
+        console.warn(`[${this.name}] ${error.message}; retrying in ${(delay / 1000).toFixed(1)}s ` +
+          `(attempt ${attempt + 2} of ${this.retry.maxRetries + 1})`);
+      } finally {
+        if (release) {
+          release();
+        }
+      }
+
+      await sleep(delay, options.signal);
+    }
+  }
+
+  /**
+   * Run one attempt with the configured timeout. `fn` receives a timer whose
+   * `signal` aborts the request; streams restart it on every event, so the
+   * timeout bounds the wait for the next token rather than the whole response.
+   */
+  async withTimeout(signal, fn) {
+    const controller = new AbortController();
+    const timeout = this.retry.timeout;
+    let timedOut = false;
+    let handle = null;
+
+    const timer = {
+      signal: controller.signal,
+      stop: () => clearTimeout(handle),
+      restart: () => {
+        clearTimeout(handle);
+        if (timeout) {
+          handle = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeout);
+        }
+      }
+    };
+
+    const abort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    timer.restart();
+
+    try {
+      return await fn(timer);
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error(`Request timed out after ${timeout}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      timer.stop();
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  }
+
+  /**
+   * Send a request as a stream, emitting each text delta as a 'token' event.
+   * Awaiting `onToken` between deltas lets a slow consumer hold back the
+   * stream; the timeout is paused meanwhile.
+   */
+  async streamResponse(request, onToken, timer) {
+    this.emit('stream_start', { agent: this.name });
+    let message = null;
+
+    try {
+      for await (const event of this.provider.stream(request, { signal: timer.signal, agent: this })) {
+        timer.restart();
+        if (event.type === 'text') {
+          this.emit('token', { agent: this.name, text: event.text });
+          timer.stop();
+          await onToken(event.text);
+          timer.restart();
+        } else if (event.type === 'message') {
+          message = event.message;
+        }
+      }
+    } finally {
+      this.emit('stream_end', { agent: this.name });
+    }
+
+    if (!message) {
+      throw new Error('Stream ended without a final message');
+    }
+    return message;
+  }
+
+  /**
+   * Persist a call through the recorder (if any), announce it and pass the
+   * result through
+   */
+  async record(task, prompt, result) {
+    if (this.recorder) {
+      await this.recorder.conversation(this, task, prompt, result);
+    }
+    this.emit('task_end', {
+      agent: this.name,
+      step: result.metadata.step,
+      success: result.success,
+      error: result.error
+    });
+    return result;
+  }
+
+  /**
+   * Retrieve relevant results of earlier runs through the retriever (if any)
+   */
+  async recall(task) {
+    if (!this.retriever || !this.retriever.enabled) return [];
+
+    const memories = await this.retriever.retrieve(this, task);
+    if (memories.length > 0) {
+      console.log(`[${this.name}] Recalled ${memories.length} past result(s) from memory`);
+    }
+    return memories;
+  }
+
   /**
    * Get the system prompt for this agent
    */
@@ -97,30 +406,114 @@ Work collaboratively with other agents and provide clear, actionable outputs.`;
     let message = `Task: ${task}\n`;
     
     if (context.previousResults) {
-      message += `\nPrevious Results:\n${JSON.stringify(context.previousResults, null, 2)}\n`;
+      // Without timestamps the same inputs give the same prompt, so recordings replay
+      const stable = (key, value) => (key === 'timestamp' ? undefined : value);
+      message += `\nPrevious Results:\n${JSON.stringify(context.previousResults, stable, 2)}\n`;
     }
     
     if (context.requirements) {
       message += `\nRequirements:\n${context.requirements}\n`;
     }
+
+    if (context.escalation) {
+      const { from, reason, attempts } = context.escalation;
+      message += `\nEscalated to you by ${from} (${reason}). Re-plan the task or complete it yourself.\n`;
+      attempts.forEach((attempt, i) => {
+        message += `\nAttempt ${i + 1} by ${attempt.agent}: ${attempt.success ? attempt.answer : `failed: ${attempt.reason}`}\n`;
+      });
+    }
+
+    if (context.streamData) {
+      const data = typeof context.streamData === 'string'
+        ? context.streamData
+        : JSON.stringify(context.streamData, null, 2);
+      message += `\nStream Input:\n${data}\n`;
+    }
+
+    if (context.memories) {
+      message += `\nRelevant Past Work (from earlier runs, for reference only):\n`;
+      context.memories.forEach((memory, i) => {
+        const date = new Date(memory.timestamp).toISOString().slice(0, 10);
+        message += `\n[${i + 1}] ${memory.agent}, ${date}\nTask: ${memory.task}\nResult:\n${memory.result}\n`;
+      });
+    }
     
     return message;
   }
 
   /**
-   * Communicate with another agent
+   * Send a message to another agent (or agent name) over the hive's message
+   * bus and wait for its reply:
+   * { acknowledged, agent, reply, correlationId, thread }.
+   * A swarm agent's plain names refer to its own swarm. Pass the returned
+   * thread as options.thread to continue the conversation.
    */
-  async communicate(targetAgent, message) {
-    console.log(`[${this.name}] → [${targetAgent.name}]: ${message}`);
-    return await targetAgent.receive(this, message);
+  async communicate(targetAgent, message, options = {}) {
+    let target = typeof targetAgent === 'string' ? targetAgent : targetAgent.name;
+    if (this.swarm && !target.includes('/')) {
+      target = `${this.swarm}/${target}`;
+    }
+    console.log(`[${this.name}] → [${target}]: ${preview(message)}`);
+
+    const reply = await this.messageBus().send(this.name, target, message, options);
+    return {
+      acknowledged: true,
+      agent: target,
+      reply: reply ? reply.body : undefined,
+      correlationId: reply ? reply.correlationId : options.correlationId,
+      thread: reply ? reply.thread : options.thread
+    };
+  }
+
+  /**
+   * Send a message to every other agent of the hive; see MessageBus.broadcast
+   */
+  async broadcast(message, options = {}) {
+    console.log(`[${this.name}] → [*]: ${preview(message)}`);
+    return this.messageBus().broadcast(this.name, message, options);
+  }
+
+  /**
+   * Send a message to the agents subscribed to a topic; see MessageBus.publish
+   */
+  async publish(topic, message, options = {}) {
+    console.log(`[${this.name}] → [#${topic}]: ${preview(message)}`);
+    return this.messageBus().publish(this.name, topic, message, options);
   }
 
   /**
-   * Receive a message from another agent
+   * Receive the messages published on a topic
    */
-  async receive(sourceAgent, message) {
-    console.log(`[${this.name}] ← [${sourceAgent.name}]: ${message}`);
-    return { acknowledged: true, agent: this.name };
+  subscribe(topic) {
+    this.messageBus().subscribe(this.name, topic);
+  }
+
+  /**
+   * Receive a message envelope from the bus. When a reply is expected the
+   * agent answers it through its provider, with the earlier messages of the
+   * thread for context; returns the reply text, or undefined for none.
+   */
+  async receive(envelope, { signal, thread = [] } = {}) {
+    console.log(`[${this.name}] ← [${envelope.from}]: ${preview(envelope.body)}`);
+    if (!envelope.expectsReply) return undefined;
+
+    let task = `Reply to this message from ${envelope.from}:\n${messageText(envelope.body)}`;
+    if (thread.length > 0) {
+      task += `\n\nEarlier in this conversation:\n${thread.map(earlier => `[${earlier.from}] ${messageText(earlier.body)}`).join('\n')}`;
+    }
+
+    const result = await this.process(task, {}, { step: `message:${envelope.from}`, signal });
+    if (!result.success) {
+      throw new Error(result.skipped ? `${this.name} did not reply` : `${this.name} could not reply: ${result.error}`);
+    }
+    return result.result;
+  }
+
+  messageBus() {
+    if (!this.bus) {
+      throw new Error(`${this.name} is not connected to a message bus`);
+    }
+    return this.bus;
   }
 
   /**
@@ -130,12 +523,100 @@ Work collaboratively with other agents and provide clear, actionable outputs.`;
     return {
       id: this.id,
       name: this.name,
+      type: this.type,
       role: this.role,
       tier: this.tier,
+      swarm: this.swarm || undefined,
+      model: this.model,
       capabilities: this.capabilities,
       memorySize: this.memory.length
     };
   }
 }
 
+/**
+ * Whether a failed attempt is worth retrying: rate limits, overload and
+ * other server errors, timeouts and network failures
+ */
+function isRetriable(error) {
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNECTION') {
+    return true;
+  }
+  const status = error.status;
+  return status === 408 || status === 429 || (typeof status === 'number' && status >= 500);
+}
+
+/**
+ * Whether a failed task could succeed if run again: not when the API
+ * refused the request itself (a 4xx the retries leave alone, such as a bad
+ * request or an unknown model), as it would refuse it again
+ */
+function isRepeatable(error) {
+  return typeof error.status !== 'number' || isRetriable(error);
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, but never
+ * shorter than the retry-after the API sent
+ */
+function retryDelay(error, attempt, retry) {
+  const backoff = Math.min(retry.maxDelay, retry.baseDelay * 2 ** attempt);
+  const jittered = backoff / 2 + Math.random() * backoff / 2;
+
+  const headers = error.headers || {};
+  const retryAfterMs = Number(headers['retry-after-ms']);
+  const retryAfter = headers['retry-after'];
+  let requested = 0;
+  if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+    requested = retryAfterMs;
+  } else if (retryAfter) {
+    const seconds = Number(retryAfter);
+    requested = Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(retryAfter) - Date.now());
+  }
+
+  return Math.max(jittered, requested || 0);
+}
+
+/**
+ * Short description of a tool call's input for logs: its path or first
+ * string argument
+ */
+function describeInput(input = {}) {
+  const value = input.path || input.kind || Object.values(input || {}).find(item => typeof item === 'string');
+  if (typeof value !== 'string') return '';
+  return value.length > 60 ? `${value.slice(0, 57)}...` : value;
+}
+
+/**
+ * A message body as text
+ */
+function messageText(body) {
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * First line of a message body for logs
+ */
+function preview(body) {
+  const line = messageText(body).split('\n')[0];
+  return line.length > 80 ? `${line.slice(0, 77)}...` : line;
+}
+
+/**
+ * Result of a call that was cancelled before it completed
+ */
+function cancelled(agent, options) {
+  return {
+    success: false,
+    skipped: true,
+    error: 'Cancelled',
+    metadata: {
+      agent: agent.name,
+      role: agent.role,
+      step: options.step,
+      timestamp: Date.now()
+    }
+  };
+}
+
 module.exports = { Agent };
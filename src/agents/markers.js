@@ -0,0 +1,54 @@
+/**
+ * Markers - The structured endings of agent answers, read the same way by
+ * every part of the hive that acts on them:
+ *   - a fenced block tagged with its kind and holding JSON (verdict, vote,
+ *     delegate, escalate):
+ *       ```verdict
+ *       {"verdict": "approve", "issues": []}
+ *       ```
+ *   - a "LABEL: value" line for one-word answers, e.g. "VERDICT: complex"
+ * Readers take the markers of their kind in order of appearance; where only
+ * one counts, it is the last.
+ */
+
+/**
+ * The fenced blocks tagged with one of `kinds` in `text`, in order:
+ * [{ kind, body, value, valid, index }] where `value` is the parsed JSON,
+ * undefined with `valid` false when the body is not JSON
+ */
+function findBlocks(text, kinds) {
+  if (typeof text !== 'string') return [];
+
+  const pattern = new RegExp(`\`\`\`(${kinds.map(escapeRegExp).join('|')})[^\\n]*\\n([\\s\\S]*?)\`\`\``, 'gi');
+  return Array.from(text.matchAll(pattern), match => {
+    let value;
+    let valid = true;
+    try {
+      value = JSON.parse(match[2]);
+    } catch (error) {
+      valid = false;
+    }
+    return { kind: match[1].toLowerCase(), body: match[2], value, valid, index: match.index };
+  });
+}
+
+/**
+ * The "<label>: value" lines in `text`, in order: [{ value, index }], with
+ * list, quote, heading and emphasis markup around the label and value dropped
+ * (labels match in any case)
+ */
+function findLines(text, label) {
+  if (typeof text !== 'string') return [];
+
+  const pattern = new RegExp(`^[ \\t>*_\`#-]*${escapeRegExp(label)}[ \\t*_\`]*:(.*)$`, 'gim');
+  return Array.from(text.matchAll(pattern), match => ({
+    value: match[1].replace(/^[\s*_`]+|[\s*_`]+$/g, ''),
+    index: match.index
+  })).filter(line => line.value);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { findBlocks, findLines };
@@ -1,4 +1,6 @@
 const { Agent } = require('./base');
+const { resolveAgentSettings } = require('../config/loader');
+const { VERDICT_INSTRUCTIONS, withVerdict } = require('./verdict');
 
 /**
  * Architect Agent - Tier 1
@@ -8,6 +10,7 @@ class ArchitectAgent extends Agent {
   constructor(config = {}) {
     super({
       ...config,
+      ...resolveAgentSettings('architect', config),
       name: config.name || 'architect',
       role: 'System Architect',
       tier: 1,
@@ -49,6 +52,7 @@ class CoderAgent extends Agent {
   constructor(config = {}) {
     super({
       ...config,
+      ...resolveAgentSettings('coder', config),
       name: config.name || 'coder',
       role: 'Software Developer',
       tier: 2,
@@ -71,7 +75,8 @@ Your role is to:
 - Debug and fix issues
 - Document code appropriately
 
-Produce production-ready code with proper error handling and documentation.`;
+Produce production-ready code with proper error handling and documentation.
+Put each file in its own fenced code block and name its path after the language, e.g. \`\`\`js path=src/index.js`;
   }
 
   async implementFeature(specification, architecture) {
@@ -90,6 +95,7 @@ class TesterAgent extends Agent {
   constructor(config = {}) {
     super({
       ...config,
+      ...resolveAgentSettings('tester', config),
       name: config.name || 'tester',
       role: 'QA Engineer',
       tier: 2,
@@ -112,7 +118,17 @@ Your role is to:
 - Validate code quality and functionality
 - Ensure robustness and reliability
 
-Provide detailed test plans and identify potential issues proactively.`;
+Provide detailed test plans and identify potential issues proactively.
+Put each test file in its own fenced code block and name its path after the language, e.g. \`\`\`js path=test/index.test.js
+
+${VERDICT_INSTRUCTIONS}`;
+  }
+
+  /**
+   * Process a task; the result carries the tester's verdict on the code
+   */
+  async process(task, context, options) {
+    return withVerdict(await super.process(task, context, options));
   }
 
   async createTestPlan(codebase, requirements) {
@@ -131,6 +147,7 @@ class AnalystAgent extends Agent {
   constructor(config = {}) {
     super({
       ...config,
+      ...resolveAgentSettings('analyst', config),
       name: config.name || 'analyst',
       role: 'Data Analyst',
       tier: 2,
@@ -172,6 +189,7 @@ class ReviewerAgent extends Agent {
   constructor(config = {}) {
     super({
       ...config,
+      ...resolveAgentSettings('reviewer', config),
       name: config.name || 'reviewer',
       role: 'Code Reviewer',
       tier: 3,
@@ -194,7 +212,16 @@ Your role is to:
 - Provide constructive feedback
 - Validate implementation against requirements
 
-Provide specific, actionable feedback with examples.`;
+Provide specific, actionable feedback with examples.
+
+${VERDICT_INSTRUCTIONS}`;
+  }
+
+  /**
+   * Process a task; the result carries the reviewer's verdict
+   */
+  async process(task, context, options) {
+    return withVerdict(await super.process(task, context, options));
   }
 
   async reviewCode(code, requirements) {
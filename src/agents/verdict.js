@@ -0,0 +1,69 @@
+/**
+ * Verdicts - The structured outcome reviewer and tester agents end their
+ * answers with: a fenced `verdict` block (see ./markers.js) holding
+ *   { "verdict": "approve" | "changes_requested", "issues": ["..."] }
+ */
+const { findBlocks, findLines } = require('./markers');
+
+const VERDICT_INSTRUCTIONS = `End your answer with a verdict block: approve when the work can ship as is, otherwise list each issue the coder must fix.
+\`\`\`verdict
+{"verdict": "approve" | "changes_requested", "issues": ["..."]}
+\`\`\``;
+
+const VERDICT_VALUE = /^(approved?|changes[ _-]requested|request[ _-]changes)\b/i;
+
+/**
+ * The verdict in an agent's answer: { verdict, issues } with issues as
+ * strings, or null when it has none. The last verdict block counts; a
+ * "Verdict: approve" line (the last one) is accepted in its place.
+ */
+function parseVerdict(text) {
+  for (const { value } of findBlocks(text, ['verdict', 'json']).reverse()) {
+    const verdict = value && normalizeVerdict(value.verdict);
+    if (verdict) {
+      return { verdict, issues: (Array.isArray(value.issues) ? value.issues : []).map(issueText).filter(Boolean) };
+    }
+  }
+
+  for (const { value } of findLines(text, 'verdict').reverse()) {
+    const match = value.match(VERDICT_VALUE);
+    if (match) {
+      return { verdict: normalizeVerdict(match[1]), issues: [] };
+    }
+  }
+  return null;
+}
+
+function normalizeVerdict(value) {
+  if (typeof value !== 'string') return null;
+
+  const verdict = value.toLowerCase().replace(/[\s-]+/g, '_');
+  if (verdict === 'approve' || verdict === 'approved') return 'approve';
+  if (verdict === 'changes_requested' || verdict === 'request_changes') return 'changes_requested';
+  return null;
+}
+
+/**
+ * Issues may be strings or objects such as { severity, file, description }
+ */
+function issueText(issue) {
+  if (typeof issue === 'string') return issue.trim();
+  if (!issue || typeof issue !== 'object') return '';
+
+  const description = issue.description || issue.message || issue.issue || issue.title || '';
+  const where = issue.file ? `${issue.file}: ` : '';
+  const severity = issue.severity ? `[${issue.severity}] ` : '';
+  return description ? `${severity}${where}${description}` : JSON.stringify(issue);
+}
+
+/**
+ * Attach the verdict of a successful result (`result.verdict`)
+ */
+function withVerdict(result) {
+  if (result && result.success) {
+    result.verdict = parseVerdict(result.result);
+  }
+  return result;
+}
+
+module.exports = { VERDICT_INSTRUCTIONS, parseVerdict, withVerdict };
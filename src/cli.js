@@ -3,14 +3,58 @@
 const { Command } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
+const fs = require('fs');
 require('dotenv').config();
 
-const { HiveMind } = require('./coordination/hivemind');
+const { HiveMind, sparcPhaseOf } = require('./coordination/hivemind');
+const { BudgetExceededError, parseBudget, summarizeUsage } = require('./coordination/usage');
 const { WorkflowEngine } = require('./workflows/engine');
 const { MemoryManager } = require('./memory/manager');
+const { createProvider } = require('./providers');
+const { McpServer } = require('./mcp/server');
+const artifacts = require('./workflows/artifacts');
+const { ConfigLoader } = require('./config/loader');
+const swarms = require('./coordination/swarms');
 
 const program = new Command();
 
+/**
+ * Collect a repeatable option into an array
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Build workflow inputs from --input name=value and --input-file [name=]path.
+ * A bare file path uses the file name without extension as the input name.
+ */
+function parseInputs(pairs, files) {
+  const inputs = {};
+
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid --input "${pair}", expected name=value`);
+    }
+    inputs[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+
+  for (const spec of files) {
+    const index = spec.indexOf('=');
+    const file = index > 0 ? spec.slice(index + 1) : spec;
+    const name = index > 0 ? spec.slice(0, index) : path.basename(file, path.extname(file));
+
+    try {
+      inputs[name] = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read --input-file ${file}: ${error.message}`);
+    }
+  }
+
+  return inputs;
+}
+
 program
   .name('claude-flow')
   .description('Local CLI multi-agent orchestration platform')
@@ -39,37 +83,243 @@ program
 
 program
   .command('run <workflow>')
-  .description('Execute a workflow')
-  .option('-m, --mode <mode>', 'Execution mode: sparc, parallel, sequential', 'sparc')
+  .description('Execute a workflow by name or from a YAML/JSON file')
+  .option('-m, --mode <mode>', 'Override the workflow mode: sparc, parallel, sequential, conditional, stream, dag, consensus')
   .option('-a, --agents <agents>', 'Comma-separated list of agents to spawn')
+  .option('-s, --swarm <name>', 'Run on the agents of a swarm created with "claude-flow swarm create", within its limits')
+  .option('-i, --input <name=value>', 'Set a workflow input (repeatable)', collect, [])
+  .option('--input-file <[name=]path>', 'Read a workflow input from a file (repeatable)', collect, [])
+  .option('--model <model>', 'Override the model for every agent')
+  .option('--max-tokens <n>', 'Override max_tokens for every agent')
+  .option('--temperature <t>', 'Override temperature for every agent')
+  .option('--stream', 'Stream agent output to the terminal as it is generated')
+  .option('--budget <limit>', 'Abort before exceeding a token and/or dollar limit (e.g. 200k, $2.50, 200k,$2.50)')
+  .option('--workspace <dir>', 'Directory the agents\' file and test tools work in (default: a new one per run)')
+  .option('--mock <fixtures>', 'Answer every agent call from a fixtures file, without the API')
+  .option('--record <dir>', 'Save every API response to a directory for --replay')
+  .option('--replay <dir>', 'Answer every agent call from responses saved with --record')
+  .option('--dry-run', 'Show the execution plan without calling any agent')
   .option('-v, --verbose', 'Verbose output')
   .action(async (workflow, options) => {
+    if (options.dryRun) {
+      await printPlan(workflow, options);
+      return;
+    }
+
     console.log(chalk.blue(`🎯 Executing workflow: ${workflow}`));
-    console.log(chalk.gray(`Mode: ${options.mode}`));
+    console.log(chalk.gray(`Mode: ${options.mode || 'workflow default'}`));
+    
+    const memoryManager = new MemoryManager();
+    let hiveMind = null;
     
     try {
-      const hiveMind = new HiveMind();
+      await memoryManager.initialize();
+      
+      hiveMind = new HiveMind({
+        memory: memoryManager,
+        stream: options.stream,
+        verbose: options.verbose,
+        budget: options.budget ? parseBudget(options.budget) : undefined,
+        provider: createProvider(options),
+        agentOverrides: {
+          model: options.model,
+          max_tokens: options.maxTokens,
+          temperature: options.temperature
+        }
+      });
+      if (options.stream) {
+        renderStream(hiveMind);
+      }
       const engine = new WorkflowEngine(hiveMind);
       
       const result = await engine.execute(workflow, {
         mode: options.mode,
+        inputs: parseInputs(options.input, options.inputFile),
         agents: options.agents ? options.agents.split(',') : undefined,
+        swarm: options.swarm,
+        workspace: options.workspace,
         verbose: options.verbose
       });
       
-      console.log(chalk.green('✓ Workflow completed successfully'));
-      if (options.verbose) {
-        console.log(chalk.gray('\nResults:'));
-        console.log(JSON.stringify(result, null, 2));
+      reportResult(result, options);
+    } catch (error) {
+      reportFailure(error, options);
+    } finally {
+      if (hiveMind) {
+        await hiveMind.shutdown();
       }
+      await memoryManager.close();
+    }
+  });
+
+program
+  .command('resume <runId>')
+  .description('Resume a SPARC, sequential or DAG run from its last completed step')
+  .option('--from-phase <phase>', 'Re-run from a SPARC phase (e.g. architecture) or step id, reusing earlier results')
+  .option('--stream', 'Stream agent output to the terminal as it is generated')
+  .option('--budget <limit>', 'Abort before the resumed steps exceed a token and/or dollar limit')
+  .option('--mock <fixtures>', 'Answer every agent call from a fixtures file, without the API')
+  .option('--record <dir>', 'Save every API response to a directory for --replay')
+  .option('--replay <dir>', 'Answer every agent call from responses saved with --record')
+  .option('-v, --verbose', 'Verbose output')
+  .action(async (runId, options) => {
+    console.log(chalk.blue(`↻ Resuming run: ${runId}`));
+    
+    const memoryManager = new MemoryManager();
+    let hiveMind = null;
+    
+    try {
+      await memoryManager.initialize();
+      
+      hiveMind = new HiveMind({
+        memory: memoryManager,
+        stream: options.stream,
+        verbose: options.verbose,
+        budget: options.budget ? parseBudget(options.budget) : undefined,
+        provider: createProvider(options)
+      });
+      if (options.stream) {
+        renderStream(hiveMind);
+      }
+      const engine = new WorkflowEngine(hiveMind);
+      const result = await engine.resume(runId, {
+        fromPhase: options.fromPhase,
+        verbose: options.verbose
+      });
+      
+      reportResult(result, options);
     } catch (error) {
-      console.error(chalk.red('✗ Workflow failed:'), error.message);
-      if (options.verbose) {
-        console.error(error.stack);
+      reportFailure(error, options);
+    } finally {
+      if (hiveMind) {
+        await hiveMind.shutdown();
       }
-      process.exit(1);
+      await memoryManager.close();
+    }
+  });
+
+/**
+ * Write streamed tokens to the terminal as they arrive, with an agent
+ * header whenever the speaking agent changes (parallel agents interleave)
+ */
+function renderStream(hiveMind) {
+  let current = null;
+
+  hiveMind.on('token', ({ agent, text }) => {
+    if (agent !== current) {
+      process.stdout.write(chalk.cyan(`\n[${agent}] `));
+      current = agent;
+    }
+    process.stdout.write(text);
+  });
+
+  hiveMind.on('stream_end', ({ agent }) => {
+    if (agent === current) {
+      process.stdout.write('\n');
+      current = null;
     }
   });
+}
+
+/**
+ * Print the outcome of a workflow run
+ */
+function reportResult(result, options) {
+  if (result.failures > 0) {
+    console.log(chalk.yellow(`⚠ Workflow finished with ${result.failures} failed step${result.failures > 1 ? 's' : ''}`));
+    if (result.runId) {
+      console.log(chalk.gray(`  Retry the failed steps with: claude-flow resume ${result.runId}`));
+    }
+  } else {
+    console.log(chalk.green('✓ Workflow completed successfully'));
+  }
+  
+  printUsage(result.usage, result.mode);
+  
+  if (result.runId && result.mode === 'sparc') {
+    console.log(chalk.gray(`\n  Write the generated code to disk with: claude-flow extract ${result.runId}`));
+  }
+  
+  if (options.verbose) {
+    console.log(chalk.gray('\nResults:'));
+    console.log(JSON.stringify(result, null, 2));
+  }
+  
+  if (result.failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Print a workflow error and exit
+ */
+function reportFailure(error, options) {
+  if (error instanceof BudgetExceededError) {
+    console.error(chalk.yellow('⏹ Workflow aborted:'), error.message);
+    printUsage(error.usage, error.mode);
+  } else {
+    console.error(chalk.red('✗ Workflow failed:'), error.message);
+  }
+  if (error.runId) {
+    console.error(chalk.gray(`  Resume with: claude-flow resume ${error.runId}`));
+  }
+  if (options.verbose) {
+    console.error(error.stack);
+  }
+  process.exitCode = 1;
+}
+
+/**
+ * Print token and cost totals for a run, per agent and per step
+ * (per phase for SPARC)
+ */
+function printUsage(usage, mode) {
+  if (!usage || usage.total.calls === 0) return;
+  
+  const line = (totals) => [
+    `${totals.calls} call${totals.calls === 1 ? '' : 's'}`,
+    `${totals.input_tokens.toLocaleString()} in`,
+    `${totals.output_tokens.toLocaleString()} out`,
+    totals.cost === null ? 'cost n/a' : `$${totals.cost.toFixed(4)}`
+  ].join(' · ');
+  
+  console.log(chalk.blue('\n📊 Usage: ') + line(usage.total));
+  
+  const groups = [['By agent', usage.agents], [mode === 'sparc' ? 'By phase' : 'By step', usage.steps]];
+  for (const [title, entries] of groups) {
+    console.log(chalk.gray(`  ${title}:`));
+    const width = Math.max(...Object.keys(entries).map(name => name.length));
+    for (const [name, totals] of Object.entries(entries)) {
+      console.log(chalk.gray(`    ${name.padEnd(width)}  ${line(totals)}`));
+    }
+  }
+}
+
+/**
+ * Print the stages a workflow would run in, without calling any agent
+ */
+async function printPlan(workflow, options) {
+  try {
+    const engine = new WorkflowEngine(new HiveMind());
+    const plan = await engine.plan(workflow, { mode: options.mode });
+
+    console.log(chalk.blue(`🗺️  Execution plan: ${plan.workflow.name}`) + chalk.gray(` (${plan.mode})\n`));
+
+    plan.stages.forEach((stage, index) => {
+      const label = stage.length > 1 ? ' (concurrent)' : '';
+      console.log(chalk.yellow(`  Stage ${index + 1}${label}`));
+      stage.forEach(step => {
+        const agent = step.agent ? chalk.gray(` [${step.agent}]`) : '';
+        const needs = step.needs.length > 0 ? chalk.gray(` ← ${step.needs.join(', ')}`) : '';
+        const condition = step.condition ? chalk.gray(` (if ${step.condition})`) : '';
+        console.log(`    • ${step.id}${agent}${needs}${condition}`);
+      });
+    });
+  } catch (error) {
+    console.error(chalk.red('✗ Cannot plan workflow:'), error.message);
+    process.exit(1);
+  }
+}
 
 program
   .command('agents')
@@ -94,23 +344,532 @@ program
 program
   .command('workflows')
   .description('List available workflows')
-  .action(() => {
+  .action(async () => {
     console.log(chalk.blue('📋 Available Workflows:\n'));
     
-    const workflows = [
-      { name: 'fullstack-dev', description: 'Full-stack development workflow' },
-      { name: 'data-analysis', description: 'Data analysis and insights' },
-      { name: 'code-review', description: 'Automated code review' },
-      { name: 'parallel-dev', description: 'Parallel development example' },
-      { name: 'sequential-test', description: 'Sequential testing example' },
-      { name: 'conditional-branch', description: 'Conditional branching example' },
-      { name: 'stream-chain', description: 'Stream-json chaining example' }
-    ];
+    try {
+      const engine = new WorkflowEngine(new HiveMind());
+      const workflows = await engine.listAllWorkflows();
+      
+      workflows.forEach(wf => {
+        const source = wf.source === 'built-in' ? '' : chalk.gray(` (${path.relative(process.cwd(), wf.source)})`);
+        console.log(chalk.yellow(`  ${wf.name}`) + source);
+        if (wf.error) {
+          console.log(chalk.red(`    ✗ ${wf.error.split('\n').join('\n      ')}\n`));
+        } else {
+          console.log(chalk.gray(`    → ${wf.description}\n`));
+        }
+      });
+    } catch (error) {
+      console.error(chalk.red('✗ Failed to list workflows:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Parse a date option: an ISO date/time, or a relative age like 30m, 12h, 7d, 2w
+ */
+function parseDateOption(value) {
+  const relative = /^(\d+)([mhdw])$/.exec(value);
+  if (relative) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 }[relative[2]];
+    return Date.now() - Number(relative[1]) * unit;
+  }
+  
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date "${value}" (use e.g. 2024-05-01, 2024-05-01T12:00 or 7d)`);
+  }
+  return time;
+}
+
+function formatTime(ms) {
+  if (!ms) return '-';
+  const date = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function formatDuration(start, end) {
+  if (!start || !end) return '-';
+  const seconds = Math.round((end - start) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatUsage(run) {
+  const tokens = (run.input_tokens || 0) + (run.output_tokens || 0);
+  const parts = [];
+  if (tokens > 0) parts.push(`${tokens.toLocaleString()} tokens`);
+  if (run.cost) parts.push(`$${run.cost.toFixed(4)}`);
+  return parts.length > 0 ? parts.join(' · ') : 'usage n/a';
+}
+
+function colorStatus(status) {
+  const color = {
+    completed: chalk.green,
+    active: chalk.green,
+    failed: chalk.red,
+    aborted: chalk.magenta,
+    running: chalk.yellow
+  }[status] || chalk.gray;
+  return color(status);
+}
+
+/**
+ * Color a unified diff's added, removed and hunk header lines
+ */
+function colorDiff(diff) {
+  return diff.trimEnd().split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    return line;
+  }).join('\n');
+}
+
+program
+  .command('history')
+  .description('List past workflow runs')
+  .option('--agent <name>', 'Only runs in which this agent was called')
+  .option('--workflow <name>', 'Only runs of this workflow (name or path substring)')
+  .option('--swarm <name>', 'Only runs on this swarm')
+  .option('--since <date>', 'Only runs started after a date or age (e.g. 2024-05-01, 7d)')
+  .option('--until <date>', 'Only runs started before a date or age')
+  .option('-n, --limit <n>', 'Maximum number of runs', '20')
+  .option('--json', 'Output JSON')
+  .action(async (options) => {
+    const memoryManager = new MemoryManager(null, { quiet: options.json });
     
-    workflows.forEach(wf => {
-      console.log(chalk.yellow(`  ${wf.name}`));
-      console.log(chalk.gray(`    → ${wf.description}\n`));
-    });
+    try {
+      await memoryManager.initialize();
+      
+      const runs = await memoryManager.listRuns({
+        agent: options.agent,
+        workflow: options.workflow,
+        swarm: options.swarm,
+        since: options.since ? parseDateOption(options.since) : undefined,
+        until: options.until ? parseDateOption(options.until) : undefined,
+        limit: parseInt(options.limit, 10)
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify(runs, null, 2));
+        return;
+      }
+      
+      if (runs.length === 0) {
+        console.log(chalk.yellow('No runs found'));
+        return;
+      }
+      
+      console.log(chalk.blue('📜 Workflow Runs:\n'));
+      runs.forEach(run => {
+        const workflow = path.isAbsolute(run.workflow) ? path.relative(process.cwd(), run.workflow) : run.workflow;
+        console.log(
+          chalk.yellow(`  ${run.id}`) + `  ${colorStatus(run.status)}  ${workflow}` +
+          chalk.gray(` (${run.mode}${run.options.swarm ? `, swarm ${run.options.swarm}` : ''})  ${formatTime(run.started_at)}  ${formatDuration(run.started_at, run.finished_at)}`)
+        );
+        console.log(chalk.gray(
+          `    agents: ${run.agents.join(', ') || '-'} · ${run.calls} call${run.calls === 1 ? '' : 's'} · ${formatUsage(run)}`
+        ));
+        if (run.error) {
+          // A completed run can carry a note, such as abstained voters
+          console.log((run.status === 'completed' ? chalk.gray : chalk.red)(`    ${run.error}`));
+        }
+      });
+    } catch (error) {
+      console.error(chalk.red('✗ History failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await memoryManager.close();
+    }
+  });
+
+program
+  .command('show <runId>')
+  .description('Show a past run step by step, with full prompts and outputs')
+  .option('--agent <name>', 'Only show calls and messages of this agent')
+  .option('--json', 'Output JSON')
+  .action(async (runId, options) => {
+    const memoryManager = new MemoryManager(null, { quiet: options.json });
+    
+    try {
+      await memoryManager.initialize();
+      
+      const run = await memoryManager.getRun(runId);
+      if (!run) {
+        throw new Error(`Run not found: ${runId}`);
+      }
+      
+      const timeline = await memoryManager.getRunTimeline(runId);
+      if (options.agent) {
+        timeline.conversations = timeline.conversations.filter(c => c.agent_name === options.agent);
+        timeline.messages = timeline.messages.filter(m =>
+          m.source_agent === options.agent || m.target_agent === options.agent
+        );
+      }
+      
+      if (options.json) {
+        console.log(JSON.stringify({ run, ...timeline }, null, 2));
+        return;
+      }
+      
+      console.log(chalk.blue(`🔎 Run ${run.id}\n`));
+      console.log(chalk.gray(`  Workflow: ${run.workflow} (${run.mode})`));
+      console.log(`  Status:   ${colorStatus(run.status)}${run.error ? (run.status === 'completed' ? chalk.gray : chalk.red)(` - ${run.error}`) : ''}`);
+      console.log(chalk.gray(`  Started:  ${formatTime(run.started_at)}`));
+      console.log(chalk.gray(`  Duration: ${formatDuration(run.started_at, run.finished_at)}`));
+      for (const [name, value] of Object.entries(run.options.inputs || {})) {
+        const preview = String(value).split('\n')[0];
+        console.log(chalk.gray(`  Input ${name}: ${preview.length > 80 ? `${preview.slice(0, 77)}...` : preview}`));
+      }
+      
+      const entries = [
+        ...timeline.conversations.map(entry => ({ kind: 'call', entry })),
+        ...timeline.decisions.map(entry => ({ kind: 'decision', entry })),
+        ...timeline.messages.map(entry => ({ kind: 'message', entry }))
+      ].sort((a, b) => a.entry.timestamp - b.entry.timestamp);
+      
+      let step = 0;
+      for (const { kind, entry } of entries) {
+        const time = chalk.gray(formatTime(entry.timestamp));
+        
+        if (kind === 'call') {
+          step += 1;
+          const ok = entry.metadata.success === false ? chalk.red('✗') : chalk.green('✓');
+          const label = entry.metadata.step ? ` [${entry.metadata.step}]` : '';
+          console.log(chalk.yellow(`\n── Step ${step} · ${entry.agent_name}${label}`) + chalk.gray(` (${entry.role})`) + ` ${ok} ${time}`);
+          if (entry.metadata.usage) {
+            const { input_tokens: input, output_tokens: output } = entry.metadata.usage;
+            const cost = entry.metadata.cost !== undefined ? ` · $${entry.metadata.cost.toFixed(4)}` : '';
+            console.log(chalk.gray(`   ${input.toLocaleString()} in · ${output.toLocaleString()} out${cost}`));
+          }
+          if (entry.metadata.tools) {
+            const calls = entry.metadata.tools.map(call =>
+              `${call.name}${call.target ? ` ${call.target}` : ''}${call.error ? ' ✗' : ''}`);
+            console.log(chalk.gray(`   Tools: ${calls.join(', ')}`));
+          }
+          console.log(chalk.blue('Prompt:'));
+          console.log(entry.metadata.prompt || entry.task);
+          console.log(chalk.blue('Output:'));
+          console.log(entry.metadata.success === false ? chalk.red(entry.metadata.error) : entry.result);
+        } else if (kind === 'decision') {
+          console.log(chalk.magenta(`\n── Decision · ${entry.decision_type}`) + ` ${time}`);
+          console.log(chalk.gray(`  ${JSON.stringify(entry.context)} → ${JSON.stringify(entry.outcome)}`));
+        } else {
+          console.log(chalk.cyan(`\n── Message · ${entry.source_agent} → ${entry.target_agent}`) + ` ${time}`);
+          console.log(`  ${entry.message}`);
+        }
+      }
+      
+      if (entries.length === 0) {
+        console.log(chalk.yellow('\nNo recorded calls for this run'));
+      }
+      
+      printUsage(summarizeUsage(
+        timeline.conversations.map(entry => ({
+          agent: entry.agent_name,
+          step: entry.metadata.step,
+          usage: entry.metadata.usage,
+          cost: entry.metadata.cost
+        })),
+        run.mode === 'sparc' ? sparcPhaseOf : undefined
+      ), run.mode);
+    } catch (error) {
+      console.error(chalk.red('✗ Show failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await memoryManager.close();
+    }
+  });
+
+program
+  .command('extract <runId>')
+  .description('Write the files in a run\'s coder and tester output (path-annotated code blocks) to disk')
+  .option('-o, --out <dir>', 'Output directory (default: artifacts/<runId>); with --branch, a directory in the repository')
+  .option('--branch <name>', 'Commit the files to a new branch of the current git repository instead')
+  .option('--types <types>', 'Comma-separated agent types whose output to extract', artifacts.DEFAULT_TYPES.join(','))
+  .option('--dry-run', 'Show what would be written, with a diff against existing files')
+  .option('-f, --force', 'Overwrite existing files whose content differs')
+  .action(async (runId, options) => {
+    const memoryManager = new MemoryManager();
+    
+    try {
+      await memoryManager.initialize();
+      
+      const run = await memoryManager.getRun(runId);
+      if (!run) {
+        throw new Error(`Run not found: ${runId}`);
+      }
+      
+      const { conversations } = await memoryManager.getRunTimeline(runId);
+      const collected = artifacts.collectArtifacts(conversations, { types: options.types.split(',') });
+      
+      let readExisting;
+      let target;
+      if (options.branch) {
+        target = { branch: options.branch, prefix: options.out || '', root: artifacts.gitRoot() };
+        readExisting = artifacts.readFromHead(target.root, target.prefix);
+      } else {
+        target = { directory: path.resolve(options.out || path.join('artifacts', runId)) };
+        readExisting = artifacts.readFromDirectory(target.directory);
+      }
+      const plan = artifacts.planArtifacts(collected.files, readExisting);
+      
+      console.log(chalk.blue(`📦 Run ${run.id}: ${plan.length} file(s)`) +
+        chalk.gray(` → ${target.branch ? `branch ${target.branch}` : target.directory}`));
+      const marks = { new: chalk.green('+'), unchanged: chalk.gray('='), conflict: chalk.red('!') };
+      for (const file of plan) {
+        const source = `${file.agent}${file.step ? ` (${file.step})` : ''}`;
+        const note = file.status === 'conflict' ? chalk.red(' differs from the existing file') : '';
+        console.log(`  ${marks[file.status]} ${file.path}` + chalk.gray(` from ${source}`) + note);
+      }
+      for (const block of collected.rejected) {
+        console.log(chalk.yellow(`  ⚠ Skipped ${block.path} from ${block.agent}: ${block.reason}`));
+      }
+      if (collected.unnamed.length > 0) {
+        console.log(chalk.gray(`  ${collected.unnamed.length} code block(s) without a file path were left out`));
+      }
+      
+      if (plan.length === 0) {
+        console.log(chalk.yellow('\nNo path-annotated code blocks in this run\'s output'));
+        return;
+      }
+      
+      if (options.dryRun) {
+        for (const file of plan.filter(entry => entry.status !== 'unchanged')) {
+          console.log(`\n${colorDiff(artifacts.unifiedDiff(file.status === 'new' ? null : file.existing, file.content, file.path))}`);
+        }
+        return;
+      }
+      
+      const manifest = artifacts.buildManifest(run, plan, collected, target.branch
+        ? { branch: target.branch, prefix: target.prefix || undefined }
+        : { directory: target.directory });
+      
+      if (target.branch) {
+        const commit = artifacts.writeToBranch(plan, target.branch, {
+          cwd: target.root,
+          prefix: target.prefix,
+          manifest,
+          message: `Add files generated by claude-flow run ${run.id}`,
+          force: options.force
+        });
+        console.log(chalk.green(`\n✓ Committed to branch ${target.branch}`) + chalk.gray(` (${commit.slice(0, 7)})`));
+        console.log(chalk.gray(`  Review with: git diff HEAD...${target.branch}`));
+      } else {
+        artifacts.writeToDirectory(plan, target.directory, { manifest, force: options.force });
+        console.log(chalk.green(`\n✓ Wrote ${target.directory}`) + chalk.gray(` (manifest: ${artifacts.MANIFEST_FILE})`));
+      }
+    } catch (error) {
+      console.error(chalk.red('✗ Extract failed:'), error.message);
+      if (error.conflicts) {
+        console.error(chalk.gray('  Review them with --dry-run, or overwrite them with --force'));
+      }
+      process.exitCode = 1;
+    } finally {
+      await memoryManager.close();
+    }
+  });
+
+const swarm = program
+  .command('swarm')
+  .description('Manage swarms: named agent teams with their own namespace and limits');
+
+swarm
+  .command('create <name>')
+  .description('Create a swarm; run workflows on it with "claude-flow run <workflow> --swarm <name>"')
+  .option('-a, --agents <agents>', 'Comma-separated roles, optionally role:name (default: architect, coder-1, coder-2, tester, analyst, reviewer)')
+  .option('--max-agents <n>', 'Most agents the swarm may hold, counting ones spawned by delegation')
+  .option('--max-concurrent <n>', 'Most calls the swarm\'s agents may have in flight together')
+  .option('--budget <limit>', 'Token and/or dollar budget of each run on the swarm (e.g. 200k, $2.50, 200k,$2.50)')
+  .action(async (name, options) => {
+    const memoryManager = new MemoryManager();
+
+    try {
+      await memoryManager.initialize();
+
+      const existing = await memoryManager.getSwarm(name);
+      if (existing && existing.status === 'active') {
+        throw new Error(`Swarm ${name} already exists`);
+      }
+
+      const definition = swarms.defineSwarm(name, options.agents ? swarms.parseMembers(options.agents) : [], {
+        max_agents: options.maxAgents !== undefined ? Number(options.maxAgents) : undefined,
+        max_concurrent: options.maxConcurrent !== undefined ? Number(options.maxConcurrent) : undefined,
+        budget: options.budget
+      }, new ConfigLoader().getRoles());
+      await memoryManager.saveSwarm(definition);
+
+      console.log(chalk.green(`✓ Created swarm ${name}`));
+      console.log(chalk.gray(`  agents: ${definition.agents.map(agent => agent.name).join(', ')}`));
+      console.log(chalk.gray(`  limits: ${swarms.describeLimits(definition.limits)}`));
+    } catch (error) {
+      console.error(chalk.red('✗ Swarm creation failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await memoryManager.close();
+    }
+  });
+
+swarm
+  .command('list')
+  .description('List swarms')
+  .option('--all', 'Include dissolved swarms')
+  .option('--json', 'Output JSON')
+  .action(async (options) => {
+    const memoryManager = new MemoryManager(null, { quiet: options.json });
+
+    try {
+      await memoryManager.initialize();
+      const list = await memoryManager.listSwarms({ all: options.all });
+
+      if (options.json) {
+        console.log(JSON.stringify(list, null, 2));
+        return;
+      }
+      if (list.length === 0) {
+        console.log(chalk.yellow('No swarms found'));
+        return;
+      }
+
+      console.log(chalk.blue('🐝 Swarms:\n'));
+      list.forEach(entry => {
+        console.log(
+          chalk.yellow(`  ${entry.name}`) + `  ${colorStatus(entry.status)}` +
+          chalk.gray(`  ${entry.agents.length} agents · ${swarms.describeLimits(entry.limits)}  ${formatTime(entry.created_at)}`)
+        );
+      });
+    } catch (error) {
+      console.error(chalk.red('✗ Swarm list failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await memoryManager.close();
+    }
+  });
+
+swarm
+  .command('status <name>')
+  .description('Show a swarm\'s agents, limits and recent runs')
+  .option('-n, --limit <n>', 'Maximum number of runs', '5')
+  .option('--json', 'Output JSON')
+  .action(async (name, options) => {
+    const memoryManager = new MemoryManager(null, { quiet: options.json });
+
+    try {
+      await memoryManager.initialize();
+
+      const definition = await memoryManager.getSwarm(name);
+      if (!definition) {
+        throw new Error(`Swarm not found: ${name}`);
+      }
+      const configLoader = new ConfigLoader();
+      const agents = definition.agents.map(agent => ({
+        ...agent,
+        tier: configLoader.getAgentConfig(agent.type).tier
+      }));
+      const runs = await memoryManager.listRuns({ swarm: name, limit: parseInt(options.limit, 10) });
+
+      if (options.json) {
+        console.log(JSON.stringify({ ...definition, agents, runs }, null, 2));
+        return;
+      }
+
+      console.log(chalk.blue(`🐝 Swarm ${name}`));
+      console.log(`  Status:  ${colorStatus(definition.status)}`);
+      console.log(`  Created: ${formatTime(definition.created_at)}`);
+      if (definition.dissolved_at) {
+        console.log(`  Dissolved: ${formatTime(definition.dissolved_at)}`);
+      }
+      console.log(`  Limits:  ${swarms.describeLimits(definition.limits)}`);
+
+      console.log(chalk.blue('\n  Agents:'));
+      agents.forEach(agent => {
+        console.log(chalk.yellow(`    ${swarms.qualifiedName(name, agent.name)}`) + chalk.gray(` (${agent.type}, Tier ${agent.tier})`));
+      });
+
+      console.log(chalk.blue('\n  Recent runs:'));
+      if (runs.length === 0) {
+        console.log(chalk.gray('    none'));
+      }
+      runs.forEach(run => {
+        const workflow = path.isAbsolute(run.workflow) ? path.relative(process.cwd(), run.workflow) : run.workflow;
+        console.log(
+          chalk.yellow(`    ${run.id}`) + `  ${colorStatus(run.status)}  ${workflow}` +
+          chalk.gray(`  ${formatTime(run.started_at)} · ${formatUsage(run)}`)
+        );
+      });
+    } catch (error) {
+      console.error(chalk.red('✗ Swarm status failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await memoryManager.close();
+    }
+  });
+
+swarm
+  .command('dissolve <name>')
+  .description('Dissolve a swarm; its runs stay in memory')
+  .action(async (name) => {
+    const memoryManager = new MemoryManager();
+
+    try {
+      await memoryManager.initialize();
+
+      const definition = await memoryManager.getSwarm(name);
+      if (!definition || definition.status !== 'active') {
+        throw new Error(`Swarm not found: ${name}`);
+      }
+      await memoryManager.dissolveSwarm(name);
+      console.log(chalk.green(`✓ Dissolved swarm ${name}`));
+    } catch (error) {
+      console.error(chalk.red('✗ Swarm dissolve failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await memoryManager.close();
+    }
+  });
+
+const mcp = program
+  .command('mcp')
+  .description('Model Context Protocol integration');
+
+mcp
+  .command('serve')
+  .description('Serve claude-flow tools (run_workflow, list_workflows, spawn_agent, swarm_status, query_memory) over stdio')
+  .option('--mock <fixtures>', 'Answer every agent call from a fixtures file, without the API')
+  .option('--record <dir>', 'Save every API response to a directory for --replay')
+  .option('--replay <dir>', 'Answer every agent call from responses saved with --record')
+  .action(async (options) => {
+    // stdout carries the protocol; every log line goes to stderr
+    console.log = console.info = (...args) => console.error(...args);
+
+    const memoryManager = new MemoryManager();
+    let hiveMind = null;
+    
+    try {
+      await memoryManager.initialize();
+      
+      hiveMind = new HiveMind({
+        memory: memoryManager,
+        provider: createProvider(options)
+      });
+      const server = new McpServer({ engine: new WorkflowEngine(hiveMind), memory: memoryManager });
+      console.error(chalk.blue('🔌 claude-flow MCP server ready on stdio'));
+      await server.serve();
+    } catch (error) {
+      console.error(chalk.red('✗ MCP server failed:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (hiveMind) {
+        await hiveMind.shutdown();
+      }
+      await memoryManager.close();
+    }
   });
 
 program
@@ -129,8 +888,10 @@ program
       } else if (options.stats) {
         const stats = await memoryManager.getStats();
         console.log(chalk.blue('📊 Memory Statistics:\n'));
+        console.log(chalk.gray(`  Workflow runs: ${stats.runs}`));
         console.log(chalk.gray(`  Conversations: ${stats.conversations}`));
         console.log(chalk.gray(`  Decisions: ${stats.decisions}`));
+        console.log(chalk.gray(`  Agent messages: ${stats.messages}`));
         console.log(chalk.gray(`  Total Size: ${stats.size} bytes`));
       } else {
         console.log(chalk.yellow('Use --clear or --stats option'));
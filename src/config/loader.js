@@ -0,0 +1,580 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_DIR = path.join(__dirname, '..', '..', 'config');
+
+/**
+ * Settings that can be overridden from the environment or the CLI,
+ * mapped to the suffix of their environment variable
+ */
+const OVERRIDABLE_SETTINGS = {
+  model: 'MODEL',
+  max_tokens: 'MAX_TOKENS',
+  temperature: 'TEMPERATURE'
+};
+
+/**
+ * Backends an agent can be sent to with its `provider` setting
+ */
+const PROVIDER_TYPES = ['anthropic', 'openai'];
+
+/**
+ * Error raised for missing, malformed or invalid configuration
+ */
+class ConfigError extends Error {
+  constructor(message, file = null) {
+    super(file ? `${file}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.file = file;
+  }
+}
+
+/**
+ * Config Loader - Reads and validates the JSON files in config/
+ */
+class ConfigLoader {
+  constructor(configDir = null) {
+    this.configDir = configDir || process.env.CLAUDE_FLOW_CONFIG_DIR || DEFAULT_CONFIG_DIR;
+    this.cache = new Map();
+  }
+
+  /**
+   * Read and parse a JSON file from the config directory
+   */
+  readJSON(fileName) {
+    if (this.cache.has(fileName)) {
+      return this.cache.get(fileName);
+    }
+
+    const filePath = path.join(this.configDir, fileName);
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new ConfigError(`cannot read config file (${error.code || error.message})`, filePath);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new ConfigError(`invalid JSON (${error.message})`, filePath);
+    }
+
+    this.cache.set(fileName, data);
+    return data;
+  }
+
+  /**
+   * Load and validate config/agents.json
+   */
+  loadAgents() {
+    const agents = this.readJSON('agents.json');
+    validateAgents(agents, path.join(this.configDir, 'agents.json'));
+    return agents;
+  }
+
+  /**
+   * Load config/coordination.json
+   */
+  loadCoordination() {
+    const file = path.join(this.configDir, 'coordination.json');
+    const config = this.readJSON('coordination.json');
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ConfigError('expected an object', file);
+    }
+
+    if (config.workflows !== undefined &&
+        (typeof config.workflows !== 'object' || Array.isArray(config.workflows))) {
+      throw new ConfigError('"workflows" must be an object keyed by workflow mode', file);
+    }
+
+    const rounds = ((config.workflows || {}).sparc || {}).max_refinement_rounds;
+    if (rounds !== undefined && (!Number.isInteger(rounds) || rounds < 1)) {
+      throw new ConfigError('"workflows.sparc.max_refinement_rounds" must be a positive integer', file);
+    }
+
+    for (const [tier, policy] of Object.entries((config.coordination || {}).policies || {})) {
+      if (policy.can_delegate_to !== undefined && (!Array.isArray(policy.can_delegate_to) ||
+          !policy.can_delegate_to.every(target => /^tier\d+$/.test(target)))) {
+        throw new ConfigError(`"coordination.policies.${tier}.can_delegate_to" must be a list of tiers (e.g. "tier2")`, file);
+      }
+    }
+
+    const delegation = (config.coordination || {}).delegation || {};
+    if (delegation.enabled !== undefined && typeof delegation.enabled !== 'boolean') {
+      throw new ConfigError('"coordination.delegation.enabled" must be true or false', file);
+    }
+    for (const field of ['max_depth', 'max_tasks']) {
+      if (delegation[field] !== undefined && (!Number.isInteger(delegation[field]) || delegation[field] < 0)) {
+        throw new ConfigError(`"coordination.delegation.${field}" must be a non-negative integer`, file);
+      }
+    }
+
+    const escalation = (config.coordination || {}).escalation || {};
+    if (escalation.enabled !== undefined && typeof escalation.enabled !== 'boolean') {
+      throw new ConfigError('"coordination.escalation.enabled" must be true or false', file);
+    }
+    if (escalation.after_failures !== undefined &&
+        (!Number.isInteger(escalation.after_failures) || escalation.after_failures < 1)) {
+      throw new ConfigError('"coordination.escalation.after_failures" must be a positive integer', file);
+    }
+    if (escalation.max_levels !== undefined &&
+        (!Number.isInteger(escalation.max_levels) || escalation.max_levels < 0)) {
+      throw new ConfigError('"coordination.escalation.max_levels" must be a non-negative integer', file);
+    }
+
+    const tools = (config.mcp_tools || {}).tools;
+    if (tools !== undefined && (!Array.isArray(tools) ||
+        !tools.every(tool => tool && typeof tool.name === 'string' && Array.isArray(tool.agents)))) {
+      throw new ConfigError('"mcp_tools.tools" must be a list of { name, agents } entries', file);
+    }
+
+    const sandbox = (config.mcp_tools || {}).sandbox;
+    if (sandbox !== undefined) {
+      if (!sandbox || typeof sandbox !== 'object' || Array.isArray(sandbox)) {
+        throw new ConfigError('"mcp_tools.sandbox" must be an object', file);
+      }
+      for (const field of ['runtime', 'image']) {
+        if (sandbox[field] !== undefined && (typeof sandbox[field] !== 'string' || sandbox[field] === '')) {
+          throw new ConfigError(`"mcp_tools.sandbox.${field}" must be a non-empty string`, file);
+        }
+      }
+    }
+
+    const servers = (config.mcp_tools || {}).servers;
+    if (servers !== undefined) {
+      if (!Array.isArray(servers)) {
+        throw new ConfigError('"mcp_tools.servers" must be a list', file);
+      }
+      servers.forEach((server, index) => {
+        const at = `mcp_tools.servers[${index}]`;
+        if (!server || typeof server.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(server.name)) {
+          throw new ConfigError(`${at}.name must be letters, digits, "_" or "-"`, file);
+        }
+        if (typeof server.command !== 'string' || server.command === '') {
+          throw new ConfigError(`${at}.command must be a non-empty string`, file);
+        }
+        if (server.args !== undefined && !Array.isArray(server.args)) {
+          throw new ConfigError(`${at}.args must be a list`, file);
+        }
+        if (server.allow !== undefined && (typeof server.allow !== 'object' || Array.isArray(server.allow) ||
+            !Object.values(server.allow).every(Array.isArray))) {
+          throw new ConfigError(`${at}.allow must map roles to lists of tool names ("*" for all)`, file);
+        }
+      });
+    }
+
+    return config;
+  }
+
+  /**
+   * Load config/pricing.json: per-million-token input and output prices by
+   * model name or name prefix. The file is optional; without it no cost is counted.
+   */
+  loadPricing() {
+    const file = path.join(this.configDir, 'pricing.json');
+    if (!fs.existsSync(file)) {
+      return { models: {} };
+    }
+
+    const pricing = this.readJSON('pricing.json');
+    if (!pricing || typeof pricing.models !== 'object' || Array.isArray(pricing.models)) {
+      throw new ConfigError('"models" must be an object keyed by model name', file);
+    }
+
+    for (const [model, price] of Object.entries(pricing.models)) {
+      for (const field of ['input', 'output']) {
+        if (!price || typeof price[field] !== 'number' || price[field] < 0) {
+          throw new ConfigError(`${model}.${field} must be a non-negative number`, file);
+        }
+      }
+    }
+
+    return pricing;
+  }
+
+  /**
+   * Get the coordination.json settings for a workflow mode
+   */
+  getWorkflowSettings(mode) {
+    const workflows = this.loadCoordination().workflows || {};
+    return workflows[mode] || {};
+  }
+
+  /**
+   * Get the memory retrieval settings from coordination.json. The scope
+   * defaults to the agent's own history unless shared memory is enabled.
+   */
+  getRetrievalSettings() {
+    const coordination = this.loadCoordination().coordination || {};
+    const isolation = coordination.memory_isolation || {};
+    const retrieval = coordination.memory_retrieval || {};
+
+    return {
+      enabled: retrieval.enabled === true,
+      maxTokens: retrieval.max_tokens || 1000,
+      maxResults: retrieval.max_results || 3,
+      minScore: retrieval.min_score !== undefined ? retrieval.min_score : 0.1,
+      candidates: retrieval.candidates || 500,
+      scope: retrieval.scope || (isolation.shared_memory ? 'project' : 'agent')
+    };
+  }
+
+  /**
+   * Get the request rate and concurrency limits for agent calls.
+   * RATE_LIMIT_RPM, MAX_CONCURRENT_AGENTS and ENABLE_RATE_LIMITING override
+   * coordination.json; an agent's own concurrency comes from its
+   * permissions.max_concurrent_tasks, else its tier's max_concurrent_delegations.
+   */
+  getLimitSettings() {
+    const coordination = this.loadCoordination().coordination || {};
+    const rateLimiting = (coordination.security || {}).rate_limiting || {};
+    const parallel = this.getWorkflowSettings('parallel');
+    const enabled = process.env.ENABLE_RATE_LIMITING;
+
+    const tierConcurrency = {};
+    for (const [tier, policy] of Object.entries(coordination.policies || {})) {
+      if (policy && policy.max_concurrent_delegations !== undefined) {
+        tierConcurrency[tier] = policy.max_concurrent_delegations;
+      }
+    }
+
+    return {
+      rateLimiting: enabled !== undefined && enabled !== ''
+        ? enabled !== 'false'
+        : rateLimiting.enabled !== false,
+      requestsPerMinute: envInteger('RATE_LIMIT_RPM') || rateLimiting.requests_per_minute || 50,
+      burst: rateLimiting.burst || 10,
+      maxConcurrent: envInteger('MAX_CONCURRENT_AGENTS') || parallel.max_concurrent || 5,
+      tierConcurrency
+    };
+  }
+
+  /**
+   * Get the delegation settings: whether agents may delegate by default
+   * (only with `delegation.enabled: true` in hierarchical coordination mode;
+   * a workflow's `delegation` field overrides it), the nesting depth and
+   * number of requests per answer allowed, and each tier's policy from
+   * coordination.policies
+   */
+  getDelegationSettings() {
+    const coordination = this.loadCoordination().coordination || {};
+    const delegation = coordination.delegation || {};
+
+    const tiers = {};
+    for (const [tier, policy] of Object.entries(coordination.policies || {})) {
+      tiers[tier] = {
+        canDelegateTo: policy.can_delegate_to || [],
+        canSpawnAgents: policy.can_spawn_agents === true,
+        maxConcurrent: policy.max_concurrent_delegations || 1
+      };
+    }
+
+    return {
+      enabled: coordination.mode === 'hierarchical' && delegation.enabled === true,
+      maxDepth: delegation.max_depth !== undefined ? delegation.max_depth : 2,
+      maxTasks: delegation.max_tasks || 5,
+      tiers
+    };
+  }
+
+  /**
+   * Get the escalation settings: whether stuck agents hand tasks up by
+   * default (only with `escalation.enabled: true` in hierarchical
+   * coordination mode; a workflow's `escalation` field overrides it), after
+   * how many failed attempts a failing call escalates, and how many levels
+   * up a task may go
+   */
+  getEscalationSettings() {
+    const coordination = this.loadCoordination().coordination || {};
+    const escalation = coordination.escalation || {};
+
+    return {
+      enabled: coordination.mode === 'hierarchical' && escalation.enabled === true,
+      afterFailures: escalation.after_failures || 2,
+      maxLevels: escalation.max_levels !== undefined ? escalation.max_levels : 2
+    };
+  }
+
+  /**
+   * Get the message bus settings: how long a sender waits for a reply (ms),
+   * from coordination.communication.timeout
+   */
+  getMessagingSettings() {
+    const communication = (this.loadCoordination().coordination || {}).communication || {};
+    return { timeout: communication.timeout || null };
+  }
+
+  /**
+   * Get the timeout and retry policy for agent calls from
+   * coordination.communication; REQUEST_TIMEOUT overrides the timeout (ms)
+   */
+  getRetrySettings() {
+    const communication = (this.loadCoordination().coordination || {}).communication || {};
+    const retry = communication.retry || {};
+
+    return {
+      timeout: envInteger('REQUEST_TIMEOUT') || communication.timeout || null,
+      maxRetries: retry.max_retries !== undefined ? retry.max_retries : 3,
+      baseDelay: retry.base_delay || 1000,
+      maxDelay: retry.max_delay || 30000
+    };
+  }
+
+  /**
+   * Get the tools agents may call (`mcp_tools`): built-in tool groups, the
+   * MCP servers to launch, and where tools work. Each run gets a workspace
+   * under CLAUDE_FLOW_WORKSPACE_DIR or `mcp_tools.workspace_dir`. Test
+   * commands run in the `mcp_tools.sandbox` container unless
+   * `security.sandbox_execution` is false.
+   */
+  getToolSettings() {
+    const config = this.loadCoordination();
+    const tools = config.mcp_tools || {};
+    const security = (config.coordination || {}).security || {};
+
+    return {
+      enabled: tools.enabled === true,
+      maxTurns: tools.max_turns || 10,
+      workspaceDir: process.env.CLAUDE_FLOW_WORKSPACE_DIR || tools.workspace_dir || 'workspaces',
+      credentialIsolation: security.credential_isolation !== false,
+      sandbox: { ...tools.sandbox, enabled: security.sandbox_execution !== false },
+      tools: tools.tools || [],
+      servers: tools.servers || []
+    };
+  }
+
+  /**
+   * Get the known agent roles
+   */
+  getRoles() {
+    return Object.keys(this.loadAgents());
+  }
+
+  /**
+   * Resolve the settings for an agent role.
+   * Precedence: agents.json < environment variables < explicit overrides (CLI flags)
+   */
+  getAgentConfig(type, overrides = {}) {
+    const agents = this.loadAgents();
+
+    if (!Object.prototype.hasOwnProperty.call(agents, type)) {
+      throw new ConfigError(
+        `Unknown agent role "${type}". Known roles: ${Object.keys(agents).join(', ')}`
+      );
+    }
+
+    const merged = {
+      ...agents[type],
+      ...normalizeOverrides(this.getEnvOverrides(type), 'environment'),
+      ...normalizeOverrides(overrides, 'overrides')
+    };
+
+    const errors = validateRole(type, merged, Object.keys(agents));
+    if (errors.length > 0) {
+      throw new ConfigError(`Invalid settings for agent "${type}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Collect overrides from the environment.
+   * CLAUDE_FLOW_<ROLE>_<SETTING> wins over CLAUDE_FLOW_<SETTING>.
+   */
+  getEnvOverrides(type) {
+    const overrides = {};
+
+    for (const [key, suffix] of Object.entries(OVERRIDABLE_SETTINGS)) {
+      const roleVar = `CLAUDE_FLOW_${type.toUpperCase()}_${suffix}`;
+      const globalVar = `CLAUDE_FLOW_${suffix}`;
+      const value = process.env[roleVar] || process.env[globalVar];
+
+      if (value !== undefined && value !== '') {
+        overrides[key] = value;
+      }
+    }
+
+    return overrides;
+  }
+}
+
+/**
+ * Read a positive integer from the environment (undefined when unset)
+ */
+function envInteger(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ConfigError(`environment variable ${name} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Keep only overridable settings and coerce numeric strings
+ */
+function normalizeOverrides(overrides = {}, source) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === undefined || value === null) continue;
+
+    if (!Object.prototype.hasOwnProperty.call(OVERRIDABLE_SETTINGS, key)) {
+      throw new ConfigError(`Unsupported ${source} setting "${key}"`);
+    }
+
+    if (key === 'model') {
+      normalized[key] = String(value);
+    } else {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new ConfigError(`${source} setting "${key}" must be a number, got "${value}"`);
+      }
+      normalized[key] = number;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate the whole agents.json document
+ */
+function validateAgents(agents, file) {
+  if (!agents || typeof agents !== 'object' || Array.isArray(agents)) {
+    throw new ConfigError('expected an object keyed by agent role', file);
+  }
+
+  const roles = Object.keys(agents);
+  const errors = [];
+
+  for (const type of roles) {
+    errors.push(...validateRole(type, agents[type], roles));
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`invalid agent configuration:\n  - ${errors.join('\n  - ')}`, file);
+  }
+}
+
+/**
+ * Validate a single role entry, returning a list of error messages
+ */
+function validateRole(type, settings, knownRoles) {
+  const errors = [];
+  const at = (field) => `${type}.${field}`;
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [`${type} must be an object`];
+  }
+
+  if (!Number.isInteger(settings.tier) || settings.tier < 1 || settings.tier > 3) {
+    errors.push(`${at('tier')} must be an integer between 1 and 3`);
+  }
+
+  if (typeof settings.role !== 'string' || settings.role.trim() === '') {
+    errors.push(`${at('role')} must be a non-empty string`);
+  }
+
+  if (!Array.isArray(settings.capabilities) ||
+      !settings.capabilities.every(c => typeof c === 'string')) {
+    errors.push(`${at('capabilities')} must be an array of strings`);
+  }
+
+  if (typeof settings.model !== 'string' || settings.model.trim() === '') {
+    errors.push(`${at('model')} must be a non-empty string`);
+  }
+
+  if (!Number.isInteger(settings.max_tokens) || settings.max_tokens <= 0) {
+    errors.push(`${at('max_tokens')} must be a positive integer`);
+  }
+
+  if (settings.temperature !== undefined &&
+      (typeof settings.temperature !== 'number' || settings.temperature < 0 || settings.temperature > 1)) {
+    errors.push(`${at('temperature')} must be a number between 0 and 1`);
+  }
+
+  errors.push(...validateProvider(settings.provider, at('provider')));
+
+  const permissions = settings.permissions;
+  if (!permissions || typeof permissions !== 'object') {
+    errors.push(`${at('permissions')} must be an object`);
+  } else {
+    if (typeof permissions.can_spawn_agents !== 'boolean') {
+      errors.push(`${at('permissions.can_spawn_agents')} must be a boolean`);
+    }
+
+    if (!Array.isArray(permissions.can_delegate)) {
+      errors.push(`${at('permissions.can_delegate')} must be an array of roles`);
+    } else {
+      for (const target of permissions.can_delegate) {
+        if (!knownRoles.includes(target)) {
+          errors.push(`${at('permissions.can_delegate')} references unknown role "${target}"`);
+        }
+      }
+    }
+
+    if (!Number.isInteger(permissions.max_concurrent_tasks) || permissions.max_concurrent_tasks <= 0) {
+      errors.push(`${at('permissions.max_concurrent_tasks')} must be a positive integer`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an optional `provider` setting: "anthropic", "openai" or an object
+ * with a `type` and, for openai, a `base_url`
+ */
+function validateProvider(provider, at) {
+  if (provider === undefined) return [];
+
+  const settings = typeof provider === 'string' ? { type: provider } : provider;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [`${at} must be a provider type or an object`];
+  }
+  if (!PROVIDER_TYPES.includes(settings.type)) {
+    return [`${at}.type must be one of ${PROVIDER_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+  if (settings.type === 'openai' && !/^https?:\/\/\S+$/.test(settings.base_url || '')) {
+    errors.push(`${at}.base_url must be an http(s) URL`);
+  }
+  if (settings.api_key_env !== undefined &&
+      (typeof settings.api_key_env !== 'string' || settings.api_key_env === '')) {
+    errors.push(`${at}.api_key_env must be the name of an environment variable`);
+  }
+  return errors;
+}
+
+const defaultLoader = new ConfigLoader();
+
+/**
+ * Resolve constructor settings for a specialized agent of the given type.
+ * Uses config.configLoader when provided, and config.overrides for CLI flags.
+ */
+function resolveAgentSettings(type, config = {}) {
+  const loader = config.configLoader || defaultLoader;
+  const settings = loader.getAgentConfig(type, config.overrides);
+
+  return {
+    type,
+    model: settings.model,
+    maxTokens: settings.max_tokens,
+    temperature: settings.temperature,
+    permissions: settings.permissions,
+    backend: settings.provider
+  };
+}
+
+module.exports = {
+  ConfigLoader,
+  ConfigError,
+  resolveAgentSettings
+};
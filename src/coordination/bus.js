@@ -0,0 +1,253 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * MessageBus - In-process messaging between the hive's agents: direct
+ * messages, broadcasts to every agent, and topics agents subscribe to.
+ *
+ * Every message travels as an envelope
+ *   { id, correlationId, inReplyTo, from, to, topic, kind, body, expectsReply, timestamp }
+ * where kind is 'message', 'broadcast', 'publish' or 'reply'. A message and
+ * every reply to it share a correlation ID, which ties a conversation thread
+ * together. A recipient's handler returns its reply (undefined for none);
+ * the sender waits for it at most `timeout` ms (coordination.json
+ * communication.timeout), after which the handler's signal is aborted.
+ * Every envelope is persisted as a coordination message of the run and
+ * emitted as a 'message' event.
+ *
+ * The bus holds a thread only while a message of it is being answered: once
+ * the reply arrives or the wait times out, the thread is dropped. The sender
+ * gets the thread with the reply and passes it back as options.thread to
+ * continue the conversation.
+ */
+class MessageBus extends EventEmitter {
+  constructor({ recorder = null, timeout = null } = {}) {
+    super();
+    this.recorder = recorder;
+    this.timeout = timeout;
+    // Agent name -> handler(envelope, { signal, thread })
+    this.recipients = new Map();
+    // Topic -> set of subscribed agent names
+    this.topics = new Map();
+    // Correlation ID -> envelopes of the thread, oldest first
+    this.threads = new Map();
+    // Correlation ID -> number of messages of the thread still being answered
+    this.pending = new Map();
+  }
+
+  register(name, handler) {
+    this.recipients.set(name, handler);
+  }
+
+  unregister(name) {
+    this.recipients.delete(name);
+    this.topics.forEach(subscribers => subscribers.delete(name));
+  }
+
+  subscribe(name, topic) {
+    if (!this.recipients.has(name)) {
+      throw new Error(`No agent named ${name} on the message bus`);
+    }
+    if (!this.topics.has(topic)) {
+      this.topics.set(topic, new Set());
+    }
+    this.topics.get(topic).add(name);
+  }
+
+  unsubscribe(name, topic) {
+    const subscribers = this.topics.get(topic);
+    if (subscribers) {
+      subscribers.delete(name);
+    }
+  }
+
+  /**
+   * Send a direct message and wait for the reply envelope, which carries the
+   * conversation so far as `thread`. Pass that thread as options.thread (or
+   * just options.correlationId) to continue it, and `expectReply: false` for
+   * a notification that needs no answer (resolves to null).
+   * Throws for an unknown recipient, a failed handler or a timeout.
+   */
+  async send(from, to, body, options = {}) {
+    if (!this.recipients.has(to)) {
+      throw new Error(`No agent named ${to} on the message bus`);
+    }
+
+    return this.exchange({
+      from,
+      to,
+      kind: 'message',
+      body,
+      expectsReply: options.expectReply !== false
+    }, options, async envelope => {
+      const reply = await this.deliver(to, envelope, options);
+      return reply && { ...reply, thread: this.thread(envelope.correlationId) };
+    });
+  }
+
+  /**
+   * Send a message to every agent but the sender. Resolves to one entry per
+   * recipient, { agent, reply } or { agent, error }; replies are only asked
+   * for with `expectReply: true`.
+   */
+  async broadcast(from, body, options = {}) {
+    const recipients = [...this.recipients.keys()].filter(name => name !== from);
+    return this.exchange({
+      from,
+      to: '*',
+      kind: 'broadcast',
+      body,
+      expectsReply: options.expectReply === true
+    }, options, envelope => this.fanOut(recipients, envelope, options));
+  }
+
+  /**
+   * Send a message to the subscribers of a topic (but the sender), answered
+   * as by broadcast()
+   */
+  async publish(from, topic, body, options = {}) {
+    const recipients = [...(this.topics.get(topic) || [])].filter(name => name !== from);
+    return this.exchange({
+      from,
+      to: `#${topic}`,
+      topic,
+      kind: 'publish',
+      body,
+      expectsReply: options.expectReply === true
+    }, options, envelope => this.fanOut(recipients, envelope, options));
+  }
+
+  /**
+   * The envelopes of a conversation thread, oldest first (empty once the
+   * thread is no longer being answered)
+   */
+  thread(correlationId) {
+    return [...(this.threads.get(correlationId) || [])];
+  }
+
+  /**
+   * Post a message and run its delivery with the thread held open: seeded
+   * from options.thread when it continues one, dropped when no other
+   * message of it is still being answered
+   */
+  async exchange(fields, options, deliver) {
+    const earlier = options.thread || [];
+    const id = uuidv4();
+    const correlationId = options.correlationId ||
+      (earlier.length > 0 ? earlier[0].correlationId : id);
+
+    if (!this.threads.has(correlationId)) {
+      this.threads.set(correlationId, earlier.filter(envelope => envelope.correlationId === correlationId));
+    }
+    this.pending.set(correlationId, (this.pending.get(correlationId) || 0) + 1);
+
+    try {
+      const envelope = await this.post({ ...fields, id, correlationId });
+      return await deliver(envelope);
+    } finally {
+      const remaining = this.pending.get(correlationId) - 1;
+      if (remaining > 0) {
+        this.pending.set(correlationId, remaining);
+      } else {
+        this.pending.delete(correlationId);
+        this.threads.delete(correlationId);
+      }
+    }
+  }
+
+  async fanOut(recipients, envelope, options) {
+    return Promise.all(recipients.map(async name => {
+      try {
+        const reply = await this.deliver(name, envelope, options);
+        return { agent: name, reply: reply ? reply.body : undefined };
+      } catch (error) {
+        return { agent: name, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Hand an envelope to a recipient and post its reply, if one was asked for
+   */
+  async deliver(name, envelope, options = {}) {
+    const handler = this.recipients.get(name);
+    if (!handler) {
+      throw new Error(`No agent named ${name} on the message bus`);
+    }
+
+    const thread = this.thread(envelope.correlationId).filter(earlier => earlier.id !== envelope.id);
+    const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let handle = null;
+
+    if (options.signal) {
+      options.signal.addEventListener('abort', abort, { once: true });
+    }
+
+    try {
+      const handled = handler(envelope, { signal: controller.signal, thread });
+      const body = await (timeout ? Promise.race([
+        handled,
+        new Promise((resolve, reject) => {
+          handle = setTimeout(() => {
+            const error = new Error(`${name} did not answer within ${timeout}ms`);
+            error.code = 'ETIMEDOUT';
+            // Reject first: a handler settling on the abort must not win the race
+            reject(error);
+            controller.abort();
+          }, timeout);
+        })
+      ]) : handled);
+
+      if (!envelope.expectsReply || body === undefined) return null;
+
+      return await this.post({
+        from: name,
+        to: envelope.from,
+        kind: 'reply',
+        body,
+        inReplyTo: envelope.id,
+        correlationId: envelope.correlationId
+      });
+    } finally {
+      clearTimeout(handle);
+      if (options.signal) {
+        options.signal.removeEventListener('abort', abort);
+      }
+    }
+  }
+
+  /**
+   * Stamp, thread, persist and announce an envelope
+   */
+  async post(fields) {
+    const id = fields.id || uuidv4();
+    const envelope = {
+      id,
+      correlationId: fields.correlationId || id,
+      inReplyTo: fields.inReplyTo,
+      from: fields.from,
+      to: fields.to,
+      topic: fields.topic,
+      kind: fields.kind,
+      body: fields.body,
+      expectsReply: fields.expectsReply === true,
+      timestamp: Date.now()
+    };
+
+    if (!this.threads.has(envelope.correlationId)) {
+      this.threads.set(envelope.correlationId, []);
+    }
+    this.threads.get(envelope.correlationId).push(envelope);
+
+    if (this.recorder) {
+      const { from, to, timestamp, ...message } = envelope;
+      await this.recorder.message(from, to, message);
+    }
+    this.emit('message', envelope);
+    return envelope;
+  }
+}
+
+module.exports = { MessageBus };
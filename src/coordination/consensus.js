@@ -0,0 +1,131 @@
+/**
+ * Consensus - Votes of several agents on one question, and the rules that
+ * pick the answer from them:
+ *   - majority: the answer with the most votes
+ *   - weighted: votes count by the voter's tier (tier 1 heaviest)
+ *   - judge: a judge agent chooses among the proposed answers
+ * Ties are broken by tier weight, then by the order in which the answers
+ * were first given.
+ */
+
+const { findBlocks } = require('../agents/markers');
+
+const CONSENSUS_RULES = ['majority', 'weighted', 'judge'];
+const DEFAULT_TIER_WEIGHTS = { 1: 3, 2: 2, 3: 1 };
+
+/**
+ * Instructions appended to the question so each voter answers in a form
+ * parseVote can read; `options` restricts the answers
+ */
+function voteInstructions(options = null) {
+  const answer = options ? options.map(option => JSON.stringify(option)).join(' | ') : '"<your answer in a few words>"';
+  return `End your answer with a vote block giving your answer and why:
+\`\`\`vote
+{"answer": ${answer}, "rationale": "<one or two sentences>"}
+\`\`\``;
+}
+
+/**
+ * The vote in an agent's answer, { answer, rationale }, or null when it has
+ * none. The last vote block counts.
+ */
+function parseVote(text) {
+  for (const { value } of findBlocks(text, ['vote', 'json']).reverse()) {
+    if (value && typeof value.answer === 'string' && value.answer.trim()) {
+      return {
+        answer: value.answer.trim(),
+        rationale: typeof value.rationale === 'string' ? value.rationale.trim() : ''
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Match an answer to one of the allowed options (case and spacing
+ * insensitive). Without options every answer is allowed. Returns null for
+ * an answer outside the options.
+ */
+function canonicalAnswer(answer, options = null) {
+  if (!options) return answer;
+
+  const match = options.find(option => normalize(option) === normalize(answer));
+  return match === undefined ? null : match;
+}
+
+function normalize(answer) {
+  return String(answer).trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!]+$/, '');
+}
+
+/**
+ * Count votes ({ agent, tier, answer, rationale }, answer null for an
+ * abstention). Returns the entries in the order first given, each
+ * { answer, votes, weight, voters }, plus the number of valid votes and
+ * their total weight.
+ */
+function tally(votes, tierWeights = DEFAULT_TIER_WEIGHTS) {
+  const entries = new Map();
+  let total = 0;
+  let totalWeight = 0;
+
+  votes.forEach(vote => {
+    if (vote.answer === null) return;
+
+    const key = normalize(vote.answer);
+    const weight = tierWeights[vote.tier] !== undefined ? tierWeights[vote.tier] : 1;
+    const entry = entries.get(key) || { answer: vote.answer, votes: 0, weight: 0, voters: [], first: entries.size };
+    entry.votes += 1;
+    entry.weight += weight;
+    entry.voters.push(vote.agent);
+    entries.set(key, entry);
+    total += 1;
+    totalWeight += weight;
+  });
+
+  return {
+    entries: [...entries.values()],
+    total,
+    totalWeight
+  };
+}
+
+/**
+ * Pick the winning entry of a tally by `rule` ('majority' or 'weighted').
+ * Returns { answer, agreement, tied } where agreement is the winner's share
+ * of the votes (or of the vote weight) and tied tells whether a tie-break
+ * was needed, or null without valid votes.
+ */
+function decide(counted, rule) {
+  if (counted.total === 0) return null;
+
+  const score = rule === 'weighted' ? 'weight' : 'votes';
+  const ranked = [...counted.entries].sort((a, b) =>
+    b[score] - a[score] || b.weight - a.weight || a.first - b.first);
+  const winner = ranked[0];
+  return {
+    answer: winner.answer,
+    agreement: winner[score] / (rule === 'weighted' ? counted.totalWeight : counted.total),
+    tied: ranked.length > 1 && ranked[1][score] === winner[score]
+  };
+}
+
+/**
+ * Entries of a tally sorted best first, without the bookkeeping fields
+ */
+function rankedEntries(counted) {
+  return [...counted.entries]
+    .sort((a, b) => b.votes - a.votes || b.weight - a.weight || a.first - b.first)
+    .map(({ answer, votes, weight, voters }) => ({ answer, votes, weight, voters }));
+}
+
+module.exports = {
+  CONSENSUS_RULES,
+  DEFAULT_TIER_WEIGHTS,
+  voteInstructions,
+  parseVote,
+  canonicalAnswer,
+  normalize,
+  tally,
+  decide,
+  rankedEntries
+};
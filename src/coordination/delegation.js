@@ -0,0 +1,128 @@
+/**
+ * Delegation - Subtasks an agent hands to other agents in hierarchical
+ * coordination, and the policy deciding which it may hand out.
+ *
+ * An agent delegates by ending its answer with a fenced `delegate` block
+ * holding a list of { agent, task, context? } requests, where `agent` is a
+ * role (coder) or an agent name (coder-2). A request is permitted when the
+ * target role is in the delegating agent's agents.json
+ * `permissions.can_delegate` and the target's tier is in the `can_delegate_to`
+ * of the delegating agent's tier policy (coordination.json
+ * `coordination.policies`). Spawning an agent for a request needs both
+ * `permissions.can_spawn_agents` and the tier's `can_spawn_agents`.
+ */
+
+const { findBlocks } = require('../agents/markers');
+
+/**
+ * Tier policies used when coordination.json has none
+ */
+const DEFAULT_TIER_POLICIES = {
+  tier1: { canDelegateTo: ['tier1', 'tier2', 'tier3'], canSpawnAgents: true, maxConcurrent: 5 },
+  tier2: { canDelegateTo: ['tier2', 'tier3'], canSpawnAgents: false, maxConcurrent: 3 },
+  tier3: { canDelegateTo: [], canSpawnAgents: false, maxConcurrent: 1 }
+};
+
+class DelegationPolicy {
+  constructor(tiers = DEFAULT_TIER_POLICIES) {
+    this.tiers = Object.keys(tiers).length > 0 ? tiers : DEFAULT_TIER_POLICIES;
+  }
+
+  tierOf(agent) {
+    return this.tiers[`tier${agent.tier}`] || { canDelegateTo: [], canSpawnAgents: false, maxConcurrent: 1 };
+  }
+
+  /**
+   * Why `from` may not delegate to a `type` agent of tier `tier` (null when it may)
+   */
+  check(from, type, tier) {
+    const roles = from.permissions.can_delegate || [];
+    if (!roles.includes(type)) {
+      return `${from.name} (${from.type}) may not delegate to ${type} agents` +
+        ` (permissions.can_delegate: ${roles.length > 0 ? roles.join(', ') : 'none'})`;
+    }
+    if (!this.tierOf(from).canDelegateTo.includes(`tier${tier}`)) {
+      return `tier ${from.tier} may not delegate to tier ${tier}`;
+    }
+    return null;
+  }
+
+  /**
+   * Why `from` may not spawn agents (null when it may)
+   */
+  checkSpawn(from) {
+    if (from.permissions.can_spawn_agents !== true) {
+      return `${from.name} (${from.type}) may not spawn agents`;
+    }
+    if (!this.tierOf(from).canSpawnAgents) {
+      return `tier ${from.tier} may not spawn agents`;
+    }
+    return null;
+  }
+
+  /**
+   * How many of `from`'s delegated tasks may run at once
+   */
+  maxConcurrent(from) {
+    return Math.max(1, this.tierOf(from).maxConcurrent || 1);
+  }
+}
+
+/**
+ * Instructions telling an agent how to delegate to `roles`
+ */
+function delegationInstructions(roles) {
+  return `You can delegate subtasks to other agents (${roles.join(', ')}). To do so, end your answer with a delegate block; each task runs on an agent of that role and its answer is added to yours:
+\`\`\`delegate
+[{"agent": "${roles[0]}", "task": "<a complete, self-contained task>"}]
+\`\`\`
+Only delegate work that another role is better suited to.`;
+}
+
+/**
+ * The delegation requests in an agent's answer: [{ agent, task, context }].
+ * Entries that are not requests are skipped.
+ */
+function parseDelegations(text) {
+  const requests = [];
+  for (const { value, valid } of findBlocks(text, ['delegate'])) {
+    if (!valid) continue;
+
+    for (const entry of Array.isArray(value) ? value : [value]) {
+      if (entry && typeof entry.agent === 'string' && typeof entry.task === 'string' && entry.task.trim()) {
+        requests.push({
+          agent: entry.agent.trim(),
+          task: entry.task.trim(),
+          context: typeof entry.context === 'string' ? entry.context : undefined
+        });
+      }
+    }
+  }
+  return requests;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping order
+ */
+async function mapLimited(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  DEFAULT_TIER_POLICIES,
+  DelegationPolicy,
+  delegationInstructions,
+  parseDelegations,
+  mapLimited
+};
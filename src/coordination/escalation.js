@@ -0,0 +1,75 @@
+/**
+ * Escalation - How an agent hands a task it cannot complete up the
+ * hierarchy in hierarchical coordination, in runs with escalation on.
+ *
+ * An agent escalates by ending its answer with a fenced `escalate` block,
+ * { "reason": "...", "confidence": 0.3 }; a call that still fails after
+ * `coordination.escalation.after_failures` attempts escalates by itself.
+ * The task goes to the agent's supervisor: an agent of a higher tier whose
+ * role may delegate to the escalating agent's role (the architect for
+ * coders, testers and reviewers), the nearest tier first.
+ */
+
+const { findBlocks } = require('../agents/markers');
+
+/**
+ * Instructions telling an agent when and how to escalate to `supervisor`
+ */
+function escalationInstructions(supervisor) {
+  return `If you cannot complete the task - it is beyond your role, the requirements are contradictory or missing, or you have little confidence in your answer - say what you tried and end your answer with an escalate block; the task then goes to ${supervisor} to re-plan or take over:
+\`\`\`escalate
+{"reason": "<what blocks you>", "confidence": <0 to 1>}
+\`\`\``;
+}
+
+/**
+ * The escalation signal in an agent's answer, { reason, confidence }, or null
+ * when it has none. The last escalate block counts.
+ */
+function parseEscalation(text) {
+  for (const { body, value, valid } of findBlocks(text, ['escalate']).reverse()) {
+    if (!valid) {
+      // An unreadable block still asks for help
+      return { reason: body.trim() || 'no reason given', confidence: undefined };
+    }
+
+    if (value && typeof value === 'object') {
+      return {
+        reason: typeof value.reason === 'string' && value.reason.trim() ? value.reason.trim() : 'no reason given',
+        confidence: typeof value.confidence === 'number' ? value.confidence : undefined
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * The supervisor of `agent` among `agents`: the nearest higher tier whose
+ * role may delegate to the agent's role, or null when there is none
+ */
+function findSupervisor(agent, agents) {
+  return agents
+    .filter(candidate => candidate.tier < agent.tier &&
+      (candidate.permissions.can_delegate || []).includes(agent.type))
+    .sort((a, b) => b.tier - a.tier)[0] || null;
+}
+
+/**
+ * A failed or escalated attempt as passed up the chain
+ */
+function attemptOf(agent, result, signal = null) {
+  return {
+    agent: agent.name,
+    success: result.success,
+    reason: signal ? signal.reason : result.error,
+    confidence: signal ? signal.confidence : undefined,
+    answer: result.success ? result.result : undefined
+  };
+}
+
+module.exports = {
+  escalationInstructions,
+  parseEscalation,
+  findSupervisor,
+  attemptOf
+};
@@ -1,3 +1,4 @@
+const EventEmitter = require('events');
 const {
   ArchitectAgent,
   CoderAgent,
@@ -5,42 +6,198 @@ const {
   AnalystAgent,
   ReviewerAgent
 } = require('../agents/specialized');
+const { ConfigLoader } = require('../config/loader');
+const { findCycle } = require('../workflows/dag');
+const { findReferences } = require('../workflows/template');
+const { RunRecorder } = require('../memory/recorder');
+const { MemoryRetriever } = require('../memory/retrieval');
+const { UsageTracker } = require('./usage');
+const { CallLimiter } = require('./limits');
+const { ToolRegistry } = require('../tools');
+const { parseVerdict } = require('../agents/verdict');
+const { outputDiff } = require('../workflows/artifacts');
+const {
+  CONSENSUS_RULES,
+  voteInstructions,
+  parseVote,
+  canonicalAnswer,
+  normalize,
+  tally,
+  decide,
+  rankedEntries
+} = require('./consensus');
+const { MessageBus } = require('./bus');
+const { parseBudget } = require('./usage');
+const { DEFAULT_TEAM, parseMembers, defineSwarm, qualifiedName, describeLimits } = require('./swarms');
+const {
+  DelegationPolicy,
+  delegationInstructions,
+  parseDelegations,
+  mapLimited
+} = require('./delegation');
+const {
+  escalationInstructions,
+  parseEscalation,
+  findSupervisor,
+  attemptOf
+} = require('./escalation');
+
+/**
+ * SPARC phases and the results each one produces, in execution order
+ */
+const SPARC_PHASES = [
+  { phase: 'specification', steps: ['specification'] },
+  { phase: 'pseudocode', steps: ['pseudocode'] },
+  { phase: 'architecture', steps: ['architecture'] },
+  { phase: 'refinement', steps: ['implementation', 'tests'] },
+  { phase: 'completion', steps: ['review'] }
+];
+
+/**
+ * Agents a SPARC run calls
+ */
+const SPARC_AGENTS = ['architect', 'coder-1', 'tester', 'reviewer'];
+
+/**
+ * Result for a step that was not run because of an earlier failure
+ */
+function skippedResult(reason, metadata = {}) {
+  return {
+    success: false,
+    skipped: true,
+    error: reason,
+    metadata: { ...metadata, timestamp: Date.now() }
+  };
+}
+
+/**
+ * The SPARC phase a step belongs to (the step itself if it is not a SPARC step)
+ */
+function sparcPhaseOf(step) {
+  const base = String(step).replace(/#\d+$/, '');
+  const phase = SPARC_PHASES.find(p => p.steps.includes(base));
+  return phase ? phase.phase : step;
+}
+
+/**
+ * Step name of a SPARC refinement round: implementation, implementation#2...
+ */
+function roundStep(name, round) {
+  return round === 1 ? name : `${name}#${round}`;
+}
+
+/**
+ * Checkpoint keys of a SPARC run in execution order. A refinement round
+ * after the first is included when the round before it was saved and
+ * requested changes, as the run itself would go on to it.
+ */
+function sparcSteps(checkpoints = null, maxRounds = 1) {
+  const steps = [].concat(...SPARC_PHASES.map(phase => phase.steps));
+
+  for (let round = 2; round <= maxRounds; round++) {
+    const saved = (name) => checkpoints && checkpoints.get(roundStep(name, round - 1));
+    if (!saved('review') || !feedbackOf({ tests: saved('tests'), review: saved('review') }).changesRequested) break;
+    steps.push(...['implementation', 'tests', 'review'].map(name => roundStep(name, round)));
+  }
+  return steps;
+}
+
+/**
+ * Combine the verdicts of a refinement round's results. Changes are
+ * requested when any verdict asks for them; a verdict without listed issues
+ * passes its whole answer on instead.
+ */
+function feedbackOf(results) {
+  const verdicts = {};
+  const issues = [];
+
+  for (const [name, result] of Object.entries(results)) {
+    const verdict = result && result.success
+      ? (result.verdict !== undefined ? result.verdict : parseVerdict(result.result))
+      : null;
+    verdicts[name] = verdict ? verdict.verdict : null;
+
+    if (verdict && verdict.verdict === 'changes_requested') {
+      issues.push(...(verdict.issues.length > 0 ? verdict.issues : [result.result]).map(issue => `${name}: ${issue}`));
+    }
+  }
+
+  return { verdicts, issues, changesRequested: issues.length > 0 };
+}
+
+/**
+ * Agent events re-emitted by the hive so listeners need not track spawned agents
+ */
+const AGENT_EVENTS = ['stream_start', 'token', 'stream_end', 'task_start', 'task_end'];
 
 /**
  * HiveMind - Hierarchical agent swarm coordinator
  */
-class HiveMind {
-  constructor() {
+class HiveMind extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.agents = new Map();
     this.activeSwarms = new Map();
+    // The swarm whose agents runs use (null: the agents outside any swarm)
+    this.scope = null;
+    this.budget = options.budget || {};
+    this.configLoader = options.configLoader || new ConfigLoader(options.configDir);
+    this.agentOverrides = options.agentOverrides || {};
+    this.memory = options.memory || null;
+    this.stream = options.stream === true;
+    // Shared by every agent instead of the Anthropic API (mock or record/replay)
+    this.provider = options.provider || null;
+    this.recorder = new RunRecorder(this.memory);
+    this.retriever = new MemoryRetriever(this.memory, this.configLoader.getRetrievalSettings());
+    this.usage = new UsageTracker(this.configLoader.loadPricing(), options.budget);
+    this.limiter = new CallLimiter(this.configLoader.getLimitSettings(), { verbose: options.verbose });
+    this.retry = this.configLoader.getRetrySettings();
+    this.tools = new ToolRegistry(this.configLoader.getToolSettings(), { recorder: this.recorder });
+    this.delegation = this.configLoader.getDelegationSettings();
+    this.escalation = this.configLoader.getEscalationSettings();
+    this.bus = new MessageBus({
+      recorder: this.recorder,
+      timeout: this.configLoader.getMessagingSettings().timeout
+    });
     this.policies = this.loadPolicies();
+
+    // Fail fast on a broken agents.json before any agent is constructed
+    this.configLoader.loadAgents();
   }
 
   /**
-   * Initialize the hive mind with default agents
+   * Initialize the hive mind with the default agents, or with the agents of
+   * a saved swarm (`options.swarm`)
    */
-  async initialize() {
-    // Tier 1: Strategic layer
-    await this.registerAgent(new ArchitectAgent());
-    
-    // Tier 2: Execution layer
-    await this.registerAgent(new CoderAgent({ name: 'coder-1' }));
-    await this.registerAgent(new CoderAgent({ name: 'coder-2' }));
-    await this.registerAgent(new TesterAgent());
-    await this.registerAgent(new AnalystAgent());
-    
-    // Tier 3: Review layer
-    await this.registerAgent(new ReviewerAgent());
+  async initialize(options = {}) {
+    await this.tools.connect();
+
+    if (options.swarm) {
+      await this.useSwarm(options.swarm);
+    } else {
+      for (const { type, name } of DEFAULT_TEAM) {
+        await this.spawnAgent(type, { name });
+      }
+    }
     
     console.log('🧠 HiveMind initialized with', this.agents.size, 'agents');
   }
 
+  /**
+   * Release what the hive holds outside the process (MCP servers)
+   */
+  async shutdown() {
+    this.tools.close();
+  }
+
   /**
    * Register an agent in the hive
    */
   async registerAgent(agent) {
     await agent.initialize();
+    AGENT_EVENTS.forEach(event => agent.on(event, payload => this.emit(event, payload)));
     this.agents.set(agent.name, agent);
+    this.bus.register(agent.name, (envelope, options) => agent.receive(envelope, options));
     console.log(`  ✓ Registered: ${agent.name} (${agent.role}, Tier ${agent.tier})`);
   }
 
@@ -49,6 +206,24 @@ class HiveMind {
    */
   async spawnAgent(type, config = {}) {
     let agent;
+
+    config = {
+      ...config,
+      name: config.swarm ? qualifiedName(config.swarm, config.name || type) : config.name,
+      configLoader: this.configLoader,
+      recorder: this.recorder,
+      retriever: this.retriever,
+      usage: this.usage,
+      limiter: this.limiter,
+      retry: this.retry,
+      tools: this.tools,
+      delegator: this,
+      escalator: this,
+      bus: this.bus,
+      stream: this.stream || config.stream,
+      provider: this.provider || config.provider,
+      overrides: { ...this.agentOverrides, ...config.overrides }
+    };
     
     switch (type) {
       case 'architect':
@@ -75,26 +250,108 @@ class HiveMind {
   }
 
   /**
-   * Create a swarm for a specific task
+   * Create a swarm: a team of agents in its own namespace, with its own
+   * limits (see ./swarms.js). `members` are roles ('coder', 'coder:lead')
+   * or { type, name }; without any the swarm gets the default team. The
+   * definition is saved to memory, when there is one, for later runs.
    */
-  async createSwarm(name, agentTypes) {
+  async createSwarm(name, members = [], limits = {}) {
+    const saved = this.memory ? await this.memory.getSwarm(name) : null;
+    if (this.activeSwarms.has(name) || (saved && saved.status === 'active')) {
+      throw new Error(`Swarm ${name} already exists`);
+    }
+
+    const parsed = members.every(member => typeof member === 'string')
+      ? parseMembers(members.join(','))
+      : members;
+    const definition = defineSwarm(name, parsed, limits, this.configLoader.getRoles());
+    if (this.memory) {
+      await this.memory.saveSwarm(definition);
+    }
+    return await this.startSwarm(definition);
+  }
+
+  /**
+   * The running swarm of that name, started from its saved definition if
+   * needed
+   */
+  async openSwarm(name) {
+    if (this.activeSwarms.has(name)) {
+      return this.activeSwarms.get(name);
+    }
+
+    const saved = this.memory ? await this.memory.getSwarm(name) : null;
+    if (!saved) {
+      throw new Error(`Swarm not found: ${name}`);
+    }
+    if (saved.status !== 'active') {
+      throw new Error(`Swarm ${name} was dissolved`);
+    }
+    return await this.startSwarm(saved);
+  }
+
+  async startSwarm(definition) {
     const swarm = {
-      name,
+      name: definition.name,
       agents: [],
-      created: Date.now(),
+      limits: definition.limits || {},
+      created: definition.created_at || Date.now(),
       status: 'active'
     };
-    
-    for (const type of agentTypes) {
-      const agent = await this.spawnAgent(type, { name: `${type}-${name}` });
-      swarm.agents.push(agent);
+
+    this.activeSwarms.set(swarm.name, swarm);
+    this.limiter.setSwarmLimit(swarm.name, swarm.limits.max_concurrent);
+    for (const { type, name } of definition.agents) {
+      swarm.agents.push(await this.spawnAgent(type, { name, swarm: swarm.name }));
     }
-    
-    this.activeSwarms.set(name, swarm);
-    console.log(`🐝 Created swarm: ${name} with ${swarm.agents.length} agents`);
+
+    console.log(`🐝 Swarm ${swarm.name}: ${swarm.agents.length} agents (${describeLimits(swarm.limits)})`);
     return swarm;
   }
 
+  /**
+   * Direct runs at a swarm's agents (null for the agents outside any swarm).
+   * A swarm's budget applies when the hive was given none.
+   */
+  async useSwarm(name) {
+    const swarm = name ? await this.openSwarm(name) : null;
+    this.scope = swarm ? swarm.name : null;
+    this.usage.budget = Object.keys(this.budget).length === 0 && swarm && swarm.limits.budget
+      ? parseBudget(swarm.limits.budget)
+      : this.budget;
+    return swarm;
+  }
+
+  /**
+   * Dissolve a swarm: its agents leave the hive and the saved definition is
+   * marked dissolved (its runs stay in memory)
+   */
+  async dissolveSwarm(name) {
+    const swarm = this.activeSwarms.get(name);
+    const saved = this.memory ? await this.memory.getSwarm(name) : null;
+    if (!swarm && (!saved || saved.status !== 'active')) {
+      throw new Error(`Swarm not found: ${name}`);
+    }
+
+    if (swarm) {
+      for (const agent of swarm.agents) {
+        this.agents.delete(agent.name);
+        this.bus.unregister(agent.name);
+      }
+      swarm.status = 'dissolved';
+      this.activeSwarms.delete(name);
+      this.limiter.setSwarmLimit(name, null);
+    }
+    if (this.scope === name) {
+      await this.useSwarm(null);
+    }
+    if (saved) {
+      await this.memory.dissolveSwarm(name);
+    }
+    console.log(`🧹 Dissolved swarm: ${name}`);
+  }
+
+
   /**
    * Coordinate agents in SPARC mode
    */
@@ -107,74 +364,192 @@ class HiveMind {
     console.log('  C - Completion\n');
     
     const results = {};
+    const checkpoints = options.checkpoints;
+    let failed = null;
+    const step = async (name, fn) => {
+      if (failed && options.stopOnError) {
+        return skippedResult(`Not run: ${failed} failed`);
+      }
+      const result = await this.runCheckpointed(checkpoints, name, fn);
+      if (!result.success && !failed) {
+        failed = name;
+        if (options.stopOnError) {
+          console.log(`  ⏹ ${name} failed; skipping the remaining phases (stop_on_error)`);
+        }
+      }
+      return result;
+    };
     
     // S - Specification (Architect)
-    const architect = this.agents.get('architect');
+    const architect = this.getAgent('architect');
     console.log('📋 Phase 1: Specification');
-    results.specification = await architect.process(`Create detailed specification for: ${task}`);
+    results.specification = await step('specification', (call) =>
+      architect.process(`Create detailed specification for: ${task}`, {}, call)
+    );
     
     // P - Pseudocode (Architect + Coder)
     console.log('📝 Phase 2: Pseudocode');
-    const coder = this.agents.get('coder-1');
-    results.pseudocode = await coder.process('Create pseudocode implementation', {
-      previousResults: { specification: results.specification.result }
-    });
+    const coder = this.getAgent('coder-1');
+    results.pseudocode = await step('pseudocode', (call) =>
+      coder.process('Create pseudocode implementation', {
+        previousResults: { specification: results.specification.result }
+      }, call)
+    );
     
     // A - Architecture (Architect)
     console.log('🏗️  Phase 3: Architecture');
-    results.architecture = await architect.process('Design system architecture', {
-      previousResults: {
-        specification: results.specification.result,
-        pseudocode: results.pseudocode.result
-      }
-    });
+    results.architecture = await step('architecture', (call) =>
+      architect.process('Design system architecture', {
+        previousResults: {
+          specification: results.specification.result,
+          pseudocode: results.pseudocode.result
+        }
+      }, call)
+    );
     
-    // R - Refinement (Coder + Tester)
-    console.log('🔧 Phase 4: Refinement');
-    const tester = this.agents.get('tester');
-    results.implementation = await coder.process('Implement refined solution', {
-      previousResults: {
-        architecture: results.architecture.result
+    // R - Refinement (Coder + Tester) and C - Completion (Reviewer).
+    // While the tester or reviewer requests changes, their issues go back to
+    // the coder for another round, up to maxRounds; later rounds' steps are
+    // named implementation#2, tests#2, review#2...
+    const tester = this.getAgent('tester');
+    const reviewer = this.getAgent('reviewer');
+    const maxRounds = options.maxRounds || 1;
+    results.feedback = [];
+    let issues = [];
+    
+    for (let round = 1; round <= maxRounds; round++) {
+      const key = (name) => roundStep(name, round);
+      const restored = Boolean(checkpoints && checkpoints.has(key('review')));
+      const previous = results.implementation;
+      
+      if (round === 1) {
+        console.log('🔧 Phase 4: Refinement');
+        results.implementation = await step(key('implementation'), (call) =>
+          coder.process('Implement refined solution', {
+            previousResults: {
+              architecture: results.architecture.result
+            }
+          }, call)
+        );
+      } else {
+        console.log(`🔁 Refinement round ${round}: ${issues.length} issue(s) to resolve`);
+        results.implementation = await step(key('implementation'), (call) =>
+          coder.process('Revise the implementation to resolve the issues found by the tester and reviewer', {
+            previousResults: {
+              architecture: results.architecture.result,
+              implementation: previous.result,
+              issues
+            }
+          }, call)
+        );
       }
-    });
-    results.tests = await tester.process('Create test suite', {
-      previousResults: {
-        implementation: results.implementation.result
+      results.tests = await step(key('tests'), (call) =>
+        tester.process('Create test suite', {
+          previousResults: {
+            implementation: results.implementation.result
+          }
+        }, call)
+      );
+      
+      if (round === 1) {
+        console.log('✅ Phase 5: Completion');
       }
-    });
-    
-    // C - Completion (Reviewer)
-    console.log('✅ Phase 5: Completion');
-    const reviewer = this.agents.get('reviewer');
-    results.review = await reviewer.process('Final review and validation', {
-      previousResults: {
-        implementation: results.implementation.result,
-        tests: results.tests.result
+      results.review = await step(key('review'), (call) =>
+        reviewer.process('Final review and validation', {
+          previousResults: {
+            implementation: results.implementation.result,
+            tests: results.tests.result
+          }
+        }, call)
+      );
+      
+      const outcome = feedbackOf({ tests: results.tests, review: results.review });
+      let next = 'approved';
+      if (failed) {
+        next = 'stopped: a step failed';
+      } else if (outcome.changesRequested) {
+        next = round < maxRounds ? 'revise' : `stopped: ${maxRounds} round(s) reached`;
+      } else if (!Object.values(outcome.verdicts).some(Boolean)) {
+        next = 'stopped: no verdict';
       }
-    });
+      
+      const record = {
+        round,
+        verdicts: outcome.verdicts,
+        issues: outcome.issues,
+        diff: round > 1 ? outputDiff(previous.result, results.implementation.result) : null,
+        next
+      };
+      results.feedback.push(record);
+      if (!restored) {
+        await this.recorder.decision('feedback_round', { round, verdicts: record.verdicts }, {
+          issues: record.issues,
+          diff: record.diff,
+          next
+        });
+      }
+      
+      if (next !== 'revise') {
+        if (outcome.changesRequested && !failed) {
+          console.log(`  ⏹ Changes still requested after ${maxRounds} round(s); stopping`);
+        }
+        break;
+      }
+      issues = outcome.issues;
+    }
     
     return results;
   }
 
   /**
-   * Coordinate agents in parallel mode
+   * Coordinate agents in parallel mode.
+   * With `failureHandling: 'continue'` every task runs to completion; with
+   * 'stop' the first failure cancels the tasks still queued or running.
    */
-  async coordinateParallel(tasks) {
+  async coordinateParallel(tasks, options = {}) {
     console.log('\n⚡ Parallel Mode Coordination');
     
+    const failureHandling = options.failureHandling || 'continue';
+    const controller = failureHandling === 'continue' ? null : new AbortController();
+    const cancelRest = (id) => {
+      if (controller && !controller.signal.aborted) {
+        console.log(`  ⏹ ${id} failed; cancelling the remaining tasks (failure_handling: ${failureHandling})`);
+        controller.abort();
+      }
+    };
+    
     const promises = tasks.map(async (task, index) => {
       const agentName = task.agent || `coder-${(index % 2) + 1}`;
-      const agent = this.agents.get(agentName);
+      const agent = this.getAgent(agentName);
       
       if (!agent) {
+        cancelRest(task.id || agentName);
         throw new Error(`Agent ${agentName} not found`);
       }
       
       console.log(`  → ${agentName}: ${task.description}`);
-      return await agent.process(task.description, task.context);
+      try {
+        const result = await agent.process(this.resolvePrompt(task, {}), task.context, {
+          step: task.id,
+          signal: controller ? controller.signal : undefined
+        });
+        if (!result.success && !result.skipped) {
+          cancelRest(task.id || agentName);
+        }
+        return result;
+      } catch (error) {
+        cancelRest(task.id || agentName);
+        throw error;
+      }
     });
     
-    const results = await Promise.all(promises);
+    // Let every task settle before reporting an error, so none is left running
+    const settled = await Promise.allSettled(promises);
+    const rejected = settled.find(outcome => outcome.status === 'rejected');
+    if (rejected) {
+      throw rejected.reason;
+    }
+    const results = settled.map(outcome => outcome.value);
     console.log(`✓ Completed ${results.length} parallel tasks`);
     return results;
   }
@@ -182,15 +557,22 @@ class HiveMind {
   /**
    * Coordinate agents in sequential mode
    */
-  async coordinateSequential(tasks) {
+  async coordinateSequential(tasks, options = {}) {
     console.log('\n📝 Sequential Mode Coordination');
     
     const results = [];
+    const outputs = {};
     let previousResult = null;
+    let failed = null;
     
     for (const task of tasks) {
+      if (failed && options.stopOnError) {
+        results.push(skippedResult(`Not run: ${failed} failed`));
+        continue;
+      }
+      
       const agentName = task.agent || 'coder-1';
-      const agent = this.agents.get(agentName);
+      const agent = this.getAgent(agentName);
       
       if (!agent) {
         throw new Error(`Agent ${agentName} not found`);
@@ -203,9 +585,22 @@ class HiveMind {
         previousResults: previousResult
       };
       
-      const result = await agent.process(task.description, context);
+      const key = task.id || `step${results.length + 1}`;
+      const result = await this.runCheckpointed(options.checkpoints, key, (call) =>
+        agent.process(this.resolvePrompt(task, outputs), context, call)
+      );
       results.push(result);
       previousResult = result;
+      if (task.id) {
+        outputs[task.id] = result;
+      }
+      
+      if (!result.success && !failed) {
+        failed = key;
+        if (options.stopOnError) {
+          console.log(`  ⏹ ${key} failed; skipping the remaining steps (stop_on_error)`);
+        }
+      }
     }
     
     console.log(`✓ Completed ${results.length} sequential tasks`);
@@ -213,40 +608,578 @@ class HiveMind {
   }
 
   /**
-   * Load coordination policies
+   * Coordinate agents as a dependency graph. Each task starts as soon as
+   * every task in its `needs` list has finished; a task whose dependency
+   * failed is skipped. Throws before any call if the dependencies form a cycle.
+   * A dependency's output reaches the agent as `previousResults` unless the
+   * task's `template` already references it. With `options.stopOnError` the
+   * first failure cancels the tasks still running and skips the rest;
+   * aborting `options.signal` cancels the run the same way. Successful tasks
+   * are saved to (and restored from) `options.checkpoints`.
+   */
+  async coordinateDAG(tasks, options = {}) {
+    console.log('\n🕸️  DAG Mode Coordination');
+
+    tasks = tasks.map(task => ({ ...task, needs: task.needs || [] }));
+    const cycle = findCycle(tasks);
+    if (cycle) {
+      throw new Error(`Dependency cycle: ${cycle.join(' → ')}`);
+    }
+
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const outputs = {};
+    const running = new Map();
+    const controller = new AbortController();
+    let failed = null;
+
+    const cancel = () => controller.abort();
+    if (options.signal) {
+      if (options.signal.aborted) cancel();
+      options.signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    const run = (task) => {
+      if (running.has(task.id)) {
+        return running.get(task.id);
+      }
+
+      const promise = (async () => {
+        const dependencies = await Promise.all(task.needs.map(id => {
+          const dependency = byId.get(id);
+          if (!dependency) {
+            throw new Error(`Task ${task.id} needs unknown task ${id}`);
+          }
+          return run(dependency);
+        }));
+
+        if (controller.signal.aborted) {
+          outputs[task.id] = skippedResult(failed ? `Not run: ${failed} failed` : 'Cancelled', { agent: task.agent });
+          return outputs[task.id];
+        }
+
+        const failedNeeds = task.needs.filter((id, index) => !dependencies[index].success);
+        if (failedNeeds.length > 0) {
+          console.log(`  ⏭  ${task.id}: skipped (failed dependency: ${failedNeeds.join(', ')})`);
+          await this.recorder.decision('dag_skip', { step: task.id, needs: task.needs }, { skipped: true, failed: failedNeeds });
+          outputs[task.id] = skippedResult(`Dependency failed: ${failedNeeds.join(', ')}`, { agent: task.agent });
+          return outputs[task.id];
+        }
+
+        const agent = this.getAgent(task.agent);
+        if (!agent) {
+          throw new Error(`Agent ${task.agent} not found`);
+        }
+
+        console.log(`  → ${task.agent}: ${task.description}`);
+
+        // Outputs the prompt already carries are not repeated as context
+        const templated = new Set(findReferences(task.template || '')
+          .filter(reference => reference.startsWith('steps.'))
+          .map(reference => reference.split('.')[1]));
+        const previousResults = {};
+        for (const id of task.needs.filter(need => !templated.has(need))) {
+          previousResults[id] = outputs[id].result;
+        }
+
+        const result = await this.runCheckpointed(options.checkpoints, task.id, (call) =>
+          agent.process(this.resolvePrompt(task, outputs), {
+            ...task.context,
+            previousResults: Object.keys(previousResults).length > 0 ? previousResults : undefined
+          }, { ...call, signal: controller.signal })
+        );
+        outputs[task.id] = result;
+
+        if (!result.success && !result.skipped && options.stopOnError && !failed) {
+          failed = task.id;
+          console.log(`  ⏹ ${task.id} failed; cancelling the remaining steps (stop_on_error)`);
+          cancel();
+        }
+        return result;
+      })();
+
+      running.set(task.id, promise);
+      return promise;
+    };
+
+    try {
+      await Promise.all(tasks.map(run));
+    } finally {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', cancel);
+      }
+    }
+
+    console.log(`✓ Completed ${tasks.length} DAG tasks`);
+    return outputs;
+  }
+
+  /**
+   * Coordinate agents in consensus mode: every agent answers the same
+   * question with a vote and its rationale, and the answer is picked by
+   * `options.rule` (majority, weighted or judge; see ./consensus.js).
+   * `agents` are agent names, or { agent, id, question } to give a voter its
+   * own step id or wording. `options.options` restricts the answers;
+   * `options.judge` names the judge agent (default: architect).
+   * The tally and the dissenting votes are recorded as a 'consensus' decision.
+   */
+  async coordinateConsensus(question, agents, options = {}) {
+    const rule = options.rule || 'majority';
+    const choices = options.options || null;
+    if (!CONSENSUS_RULES.includes(rule)) {
+      throw new Error(`Unknown consensus rule: ${rule} (expected one of ${CONSENSUS_RULES.join(', ')})`);
+    }
+
+    const voters = agents.map(entry => {
+      const spec = typeof entry === 'string' ? { agent: entry } : entry;
+      const agent = this.getAgent(spec.agent);
+      if (!agent) {
+        throw new Error(`Agent ${spec.agent} not found`);
+      }
+      return { agent, id: spec.id || `vote-${agent.name}`, question: spec.question || question };
+    });
+    if (voters.length < 2) {
+      throw new Error('Consensus needs at least two agents');
+    }
+
+    console.log(`\n🗳️  Consensus Mode Coordination (${rule}, ${voters.length} voters)`);
+
+    const results = await Promise.all(voters.map(({ agent, id, question: asked }) => {
+      console.log(`  → ${agent.name}`);
+      return agent.process(`${asked}\n\n${voteInstructions(choices)}`, {}, { step: id });
+    }));
+
+    const votes = results.map((result, index) => {
+      const vote = result.success ? parseVote(result.result) : null;
+      const answer = vote ? canonicalAnswer(vote.answer, choices) : null;
+      let abstained;
+      if (!result.success) abstained = `failed: ${result.error}`;
+      else if (!vote) abstained = 'no vote block';
+      else if (answer === null) abstained = `answered "${vote.answer}", which is not an option`;
+
+      return {
+        agent: voters[index].agent.name,
+        tier: voters[index].agent.tier,
+        answer,
+        rationale: vote ? vote.rationale : '',
+        abstained
+      };
+    });
+
+    const counted = tally(votes, options.tierWeights);
+    let outcome = decide(counted, rule === 'weighted' ? 'weighted' : 'majority');
+    let judgment = null;
+
+    // A judge is only needed when the voters disagree
+    if (rule === 'judge' && counted.entries.length > 1) {
+      const judge = this.getAgent(options.judge || 'architect');
+      if (!judge) {
+        throw new Error(`Judge agent ${options.judge || 'architect'} not found`);
+      }
+
+      const proposed = counted.entries.map(entry => entry.answer);
+      console.log(`  ⚖️  ${judge.name} judging ${proposed.length} answers`);
+      judgment = await judge.process(
+        `Decide the answer to this question, choosing one of the answers the agents proposed:\n\n${question}\n\n${voteInstructions(proposed)}`,
+        { previousResults: { votes: votes.filter(vote => vote.answer !== null).map(({ agent, answer, rationale }) => ({ agent, answer, rationale })) } },
+        { step: 'judge' }
+      );
+
+      const vote = judgment.success ? parseVote(judgment.result) : null;
+      const answer = vote ? canonicalAnswer(vote.answer, proposed) : null;
+      const entry = counted.entries.find(candidate => candidate.answer === answer);
+      outcome = answer === null ? null : {
+        answer,
+        agreement: entry.votes / counted.total,
+        tied: false,
+        rationale: vote.rationale
+      };
+    }
+
+    const ranked = rankedEntries(counted);
+    const dissent = votes
+      .filter(vote => vote.answer !== null && (!outcome || normalize(vote.answer) !== normalize(outcome.answer)))
+      .map(({ agent, answer, rationale }) => ({ agent, answer, rationale }));
+    const abstentions = votes
+      .filter(vote => vote.answer === null)
+      .map(({ agent, abstained }) => ({ agent, reason: abstained }));
+
+    let error;
+    if (counted.total === 0) {
+      error = 'No agent gave a valid vote';
+    } else if (!outcome) {
+      error = judgment.success
+        ? `The judge (${options.judge || 'architect'}) did not choose one of the proposed answers`
+        : `The judge (${options.judge || 'architect'}) failed: ${judgment.error}`;
+    }
+
+    ranked.forEach(entry => {
+      console.log(`  🗳️  ${entry.answer}: ${entry.votes} vote${entry.votes === 1 ? '' : 's'} (${entry.voters.join(', ')})`);
+    });
+    abstentions.forEach(({ agent, reason }) => console.log(`  ∅ ${agent}: ${reason}`));
+    if (outcome) {
+      const how = judgment ? ' by the judge' : outcome.tied ? ' after a tie-break' : '';
+      console.log(`✓ Consensus${how}: ${outcome.answer} (${Math.round(outcome.agreement * 100)}% agreement)`);
+    } else {
+      console.log(`✗ No consensus: ${error}`);
+    }
+
+    await this.recorder.decision('consensus', {
+      question,
+      rule,
+      voters: voters.map(voter => voter.agent.name),
+      options: choices || undefined
+    }, {
+      answer: outcome ? outcome.answer : null,
+      agreement: outcome ? outcome.agreement : null,
+      tied: outcome ? outcome.tied : undefined,
+      tally: ranked,
+      dissent,
+      abstentions
+    });
+
+    return {
+      votes: results,
+      judge: judgment || undefined,
+      consensus: {
+        success: Boolean(outcome),
+        result: outcome ? outcome.answer : undefined,
+        error,
+        metadata: {
+          step: 'consensus',
+          rule,
+          agreement: outcome ? outcome.agreement : null,
+          rationale: outcome ? (outcome.rationale || undefined) : undefined,
+          tally: ranked,
+          dissent,
+          abstentions,
+          timestamp: Date.now()
+        }
+      }
+    };
+  }
+
+  /**
+   * Run a step unless a checkpoint already holds its result, and checkpoint
+   * the result when it succeeds. `fn` receives the process options that
+   * attribute its agent call to the step.
+   */
+  async runCheckpointed(checkpoints, key, fn) {
+    if (checkpoints && checkpoints.has(key)) {
+      console.log(`  ↺ ${key}: restored from checkpoint`);
+      return checkpoints.get(key);
+    }
+
+    const result = await fn({ step: key });
+
+    if (checkpoints) {
+      await checkpoints.save(key, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve the prompt for a task. Workflow tasks carry a render function
+   * that fills their template from the outputs of earlier tasks.
+   */
+  resolvePrompt(task, outputs) {
+    return typeof task.render === 'function' ? task.render(outputs) : task.description;
+  }
+
+  /**
+   * Load the tier delegation policies (coordination.json
+   * `coordination.policies`, or built-in defaults without any)
    */
   loadPolicies() {
+    return new DelegationPolicy(this.delegation.tiers);
+  }
+
+  /**
+   * Delegation instructions for an agent's system prompt: none unless the
+   * run has delegation on, the agent is below the nesting limit and it may
+   * delegate to at least one role
+   */
+  delegationInstructions(agent, options = {}) {
+    if (!this.delegation.enabled || (options.delegationDepth || 0) >= this.delegation.maxDepth) {
+      return null;
+    }
+
+    const roles = (agent.permissions.can_delegate || [])
+      .filter(role => this.policies.check(agent, role, this.roleTier(role)) === null);
+    return roles.length > 0 ? delegationInstructions(roles) : null;
+  }
+
+  /**
+   * Carry out the delegation requests in an agent's answer. Each request is
+   * checked against the policies (see ./delegation.js); a permitted one runs
+   * on the agent it names, or the first agent of its role, spawned when
+   * there is none and the delegating agent may spawn. At most the tier's
+   * max_concurrent_delegations run at once. Rejected requests are logged
+   * and recorded as 'delegation_rejected' decisions.
+   * Returns the result with the delegated answers appended and every request
+   * listed in metadata.delegations.
+   */
+  async delegate(from, result, options = {}) {
+    if (!this.delegation.enabled) return result;
+
+    const requests = parseDelegations(result.result);
+    if (requests.length === 0) return result;
+
+    const depth = options.delegationDepth || 0;
+    const planned = [];
+
+    for (const [index, request] of requests.entries()) {
+      let reason = null;
+      let target = null;
+
+      if (depth >= this.delegation.maxDepth) {
+        reason = `delegation depth limit (${this.delegation.maxDepth}) reached`;
+      } else if (index >= this.delegation.maxTasks) {
+        reason = `more than ${this.delegation.maxTasks} delegation requests in one answer`;
+      } else {
+        ({ target, reason } = await this.resolveDelegate(from, request.agent));
+      }
+
+      if (reason) {
+        console.warn(`  ⛔ ${from.name} → ${request.agent}: ${reason}`);
+        await this.recorder.decision('delegation_rejected', {
+          from: from.name,
+          to: request.agent,
+          task: request.task
+        }, { reason });
+        planned.push({ request, reason });
+      } else {
+        planned.push({ request, target });
+      }
+    }
+
+    const delegations = await mapLimited(planned, this.policies.maxConcurrent(from), async ({ request, target, reason }) => {
+      if (reason) {
+        return { agent: request.agent, task: request.task, rejected: reason };
+      }
+
+      console.log(`  ↘ ${from.name} → ${target.name}: ${request.task.split('\n')[0].slice(0, 80)}`);
+      await this.recorder.message(from.name, target.name, { delegated: request.task });
+      const delegated = await target.process(request.task, {
+        requirements: request.context,
+        previousResults: { delegatedBy: from.name }
+      }, {
+        step: `${options.step || from.name}>${target.name}`,
+        delegationDepth: depth + 1,
+        signal: options.signal
+      });
+      return {
+        agent: target.name,
+        task: request.task,
+        success: delegated.success,
+        result: delegated.success ? delegated.result : undefined,
+        error: delegated.success ? undefined : delegated.error
+      };
+    });
+
+    const sections = delegations.map(entry => {
+      const heading = `### ${entry.agent}: ${entry.task.split('\n')[0]}`;
+      if (entry.rejected) return `${heading}\n\nNot delegated: ${entry.rejected}`;
+      return `${heading}\n\n${entry.success ? entry.result : `Failed: ${entry.error}`}`;
+    });
+
+    return {
+      ...result,
+      result: `${result.result}\n\n## Delegated tasks\n\n${sections.join('\n\n')}`,
+      metadata: {
+        ...result.metadata,
+        delegations: delegations.map(({ result: output, ...entry }) => entry)
+      }
+    };
+  }
+
+  /**
+   * The agent a delegation request names: an agent by name, or the first
+   * agent of a role other than the delegating one. A missing agent is
+   * spawned when policy allows. Resolves to { target } or { reason }.
+   */
+  async resolveDelegate(from, requested) {
+    const roles = this.configLoader.getRoles();
+    const named = this.getAgent(requested);
+    const type = named
+      ? named.type
+      : roles.find(role => requested === role) || roles.find(role => requested.startsWith(`${role}-`));
+
+    if (!type) {
+      return { reason: `unknown agent or role "${requested}"` };
+    }
+    if (named === from) {
+      return { reason: `${from.name} cannot delegate to itself` };
+    }
+
+    const denied = this.policies.check(from, type, named ? named.tier : this.roleTier(type));
+    if (denied) {
+      return { reason: denied };
+    }
+
+    const existing = named || (requested === type
+      ? this.getAgents().find(agent => agent.type === type && agent !== from)
+      : null);
+    if (existing) {
+      return { target: existing };
+    }
+
+    const spawnDenied = this.policies.checkSpawn(from);
+    if (spawnDenied) {
+      return { reason: `no ${requested} agent, and ${spawnDenied}` };
+    }
+
+    const swarm = this.scope ? this.activeSwarms.get(this.scope) : null;
+    if (swarm && swarm.limits.max_agents && swarm.agents.length >= swarm.limits.max_agents) {
+      return { reason: `no ${requested} agent, and swarm ${swarm.name} is at its limit of ${swarm.limits.max_agents} agents` };
+    }
+
+    const name = requested !== type ? requested : this.unusedName(type);
+    const target = await this.spawnAgent(type, { name, swarm: this.scope });
+    if (swarm) {
+      swarm.agents.push(target);
+    }
+    await this.recorder.decision('agent_spawned', { by: from.name, type }, { name: target.name });
+    return { target };
+  }
+
+  /**
+   * A role's tier in agents.json
+   */
+  roleTier(type) {
+    return this.configLoader.getAgentConfig(type).tier;
+  }
+
+  /**
+   * The first free name of the form <type>-<n>; `taken` decides whether a
+   * name is in use (default: an agent of the hive has it)
+   */
+  unusedName(type, taken = name => Boolean(this.getAgent(name))) {
+    let index = 1;
+    while (taken(`${type}-${index}`)) index += 1;
+    return `${type}-${index}`;
+  }
+
+  /**
+   * Escalation instructions for an agent's system prompt: none unless it has
+   * a supervisor and the task is below the escalation limit
+   */
+  escalationInstructions(agent, options = {}) {
+    if (!this.escalation.enabled || (options.escalationLevel || 0) >= this.escalation.maxLevels) {
+      return null;
+    }
+
+    const supervisor = findSupervisor(agent, this.getAgents());
+    return supervisor ? escalationInstructions(supervisor.name) : null;
+  }
+
+  /**
+   * Hand a task up the hierarchy when escalation is on and an agent is stuck
+   * (see ./escalation.js): its answer escalates, or its call still fails
+   * after `after_failures` attempts (earlier failures are simply retried).
+   * A failure the API would repeat, such as a rejected request
+   * (`result.retriable` false), is returned as it is. The supervisor gets the
+   * task with the reason and every attempt so far, and its result, with
+   * metadata.escalation giving the chain of agents, is returned in place of
+   * the agent's. Each hop is logged as a coordination message both ways.
+   */
+  async escalate(agent, task, context, result, options = {}) {
+    if (!this.escalation.enabled || result.skipped) return result;
+    if (!result.success && result.retriable === false) return result;
+
+    const signal = result.success ? parseEscalation(result.result) : null;
+    if (result.success && !signal) return result;
+
+    const attempts = [...(options.attempts || []), attemptOf(agent, result, signal)];
+    if (!signal && attempts.length < this.escalation.afterFailures) {
+      console.warn(`  ↻ ${agent.name} failed (attempt ${attempts.length} of ${this.escalation.afterFailures}), trying again`);
+      return agent.process(task, context, { ...options, attempts });
+    }
+
+    const reason = signal ? signal.reason : `failed ${attempts.length} times: ${result.error}`;
+    const level = options.escalationLevel || 0;
+    const supervisor = level < this.escalation.maxLevels ? findSupervisor(agent, this.getAgents()) : null;
+
+    if (!supervisor) {
+      const unresolved = level < this.escalation.maxLevels
+        ? `no agent supervises ${agent.type} agents`
+        : `escalation limit (${this.escalation.maxLevels}) reached`;
+      console.warn(`  ⚠️  ${agent.name} is stuck (${reason}) but cannot escalate: ${unresolved}`);
+      await this.recorder.decision('escalation_unresolved', { agent: agent.name, task, reason }, { reason: unresolved });
+      return {
+        ...result,
+        metadata: { ...result.metadata, escalation: { reason, attempts: attempts.length, unresolved } }
+      };
+    }
+
+    console.log(`  ⬆ ${agent.name} → ${supervisor.name}: ${reason}`);
+    await this.recorder.message(agent.name, supervisor.name, {
+      escalated: task,
+      reason,
+      attempts: attempts.length,
+      level: level + 1
+    });
+
+    const escalated = await supervisor.process(task, {
+      ...context,
+      escalation: { from: agent.name, reason, attempts }
+    }, {
+      step: `${options.step || agent.name}^${supervisor.name}`,
+      escalationLevel: level + 1,
+      delegationDepth: options.delegationDepth,
+      signal: options.signal
+    });
+
+    await this.recorder.message(supervisor.name, agent.name, {
+      escalation: escalated.success ? 'resolved' : 'failed',
+      error: escalated.success ? undefined : escalated.error
+    });
+
+    const above = escalated.metadata && escalated.metadata.escalation;
     return {
-      // Tier 1 agents can delegate to any tier
-      tier1: {
-        canDelegate: ['tier1', 'tier2', 'tier3'],
-        maxConcurrent: 5
-      },
-      // Tier 2 agents can delegate to tier 2 and 3
-      tier2: {
-        canDelegate: ['tier2', 'tier3'],
-        maxConcurrent: 3
-      },
-      // Tier 3 agents cannot delegate
-      tier3: {
-        canDelegate: [],
-        maxConcurrent: 1
+      ...escalated,
+      metadata: {
+        ...escalated.metadata,
+        escalation: {
+          from: agent.name,
+          reason,
+          attempts: attempts.length,
+          chain: [agent.name, ...(above && above.chain ? above.chain : [supervisor.name])]
+        }
       }
     };
   }
 
+  /**
+   * Apply a workflow's `delegation` and `escalation` settings (true or false)
+   * on top of the coordination.json defaults for the run that is about to start
+   */
+  configureRun(workflow = {}) {
+    const delegation = this.configLoader.getDelegationSettings();
+    if (workflow.delegation !== undefined) delegation.enabled = workflow.delegation === true;
+    this.delegation = delegation;
+
+    const escalation = this.configLoader.getEscalationSettings();
+    if (workflow.escalation !== undefined) escalation.enabled = workflow.escalation === true;
+    this.escalation = escalation;
+  }
+
   /**
    * Get all agents
    */
   getAgents() {
-    return Array.from(this.agents.values());
+    return Array.from(this.agents.values()).filter(agent => (agent.swarm || null) === this.scope);
   }
 
   /**
-   * Get agent by name
+   * Get agent by name; during a swarm run, names refer to the swarm's agents
    */
   getAgent(name) {
-    return this.agents.get(name);
+    if (!this.scope) {
+      return this.agents.get(name);
+    }
+    return this.agents.get(qualifiedName(this.scope, name)) ||
+      (name.startsWith(`${this.scope}/`) ? this.agents.get(name) : undefined);
   }
 
   /**
@@ -256,9 +1189,15 @@ class HiveMind {
     return {
       totalAgents: this.agents.size,
       activeSwarms: this.activeSwarms.size,
-      agents: this.getAgents().map(a => a.getStatus())
+      swarms: Array.from(this.activeSwarms.values()).map(swarm => ({
+        name: swarm.name,
+        agents: swarm.agents.map(agent => agent.name),
+        limits: swarm.limits,
+        created: swarm.created
+      })),
+      agents: Array.from(this.agents.values()).map(a => a.getStatus())
     };
   }
 }
 
-module.exports = { HiveMind };
+module.exports = { HiveMind, SPARC_PHASES, SPARC_AGENTS, sparcPhaseOf, sparcSteps };
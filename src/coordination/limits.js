@@ -0,0 +1,187 @@
+/**
+ * Call limits shared by every agent in a hive: a token bucket for the API
+ * request rate, a semaphore for the total number of calls in flight, a
+ * semaphore per agent and one per swarm with a `max_concurrent` limit.
+ * Calls over a limit wait in FIFO order.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket allowing `burst` requests at once, refilled at
+ * `requestsPerMinute`
+ */
+class TokenBucket {
+  constructor(requestsPerMinute, burst) {
+    this.capacity = burst;
+    this.tokens = burst;
+    this.ratePerMs = requestsPerMinute / 60000;
+    this.updatedAt = Date.now();
+    this.tail = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Whether a request could start now without waiting
+   */
+  get ready() {
+    this.refill();
+    return this.tokens >= 1;
+  }
+
+  /**
+   * Wait for a token; callers are served in arrival order
+   */
+  take() {
+    const turn = this.tail.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil((1 - this.tokens) / this.ratePerMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.tail = turn;
+    return turn;
+  }
+}
+
+/**
+ * Counting semaphore; `acquire` resolves to a release function
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  get full() {
+    return this.running >= this.limit;
+  }
+
+  async acquire() {
+    if (this.full) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.running += 1;
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const next = this.waiting.shift();
+      if (next) {
+        // Hand the slot straight to the next waiter
+        next();
+      } else {
+        this.running -= 1;
+      }
+    };
+  }
+}
+
+class CallLimiter {
+  constructor(settings = {}, options = {}) {
+    this.settings = settings;
+    this.verbose = options.verbose === true;
+    this.global = new Semaphore(settings.maxConcurrent || Infinity);
+    this.bucket = settings.rateLimiting && settings.requestsPerMinute
+      ? new TokenBucket(settings.requestsPerMinute, settings.burst || 1)
+      : null;
+    this.perAgent = new Map();
+    this.perSwarm = new Map();
+  }
+
+  /**
+   * Limit the calls a swarm's agents may have in flight together (no limit
+   * for a falsy `limit`)
+   */
+  setSwarmLimit(swarm, limit) {
+    if (limit) {
+      this.perSwarm.set(swarm, new Semaphore(limit));
+    } else {
+      this.perSwarm.delete(swarm);
+    }
+  }
+
+  /**
+   * Concurrent calls allowed for one agent
+   */
+  agentLimit(agent) {
+    const permissions = agent.permissions || {};
+    const tiers = this.settings.tierConcurrency || {};
+    return permissions.max_concurrent_tasks || tiers[`tier${agent.tier}`] || 1;
+  }
+
+  semaphoreFor(agent) {
+    if (!this.perAgent.has(agent.name)) {
+      this.perAgent.set(agent.name, new Semaphore(this.agentLimit(agent)));
+    }
+    return this.perAgent.get(agent.name);
+  }
+
+  /**
+   * Whether calls by all of these agents (one entry per call) can be in
+   * flight at the same time
+   */
+  canRunTogether(agents) {
+    if (agents.length > this.global.limit) return false;
+
+    const counts = new Map();
+    const swarms = new Map();
+    agents.forEach(agent => {
+      counts.set(agent, (counts.get(agent) || 0) + 1);
+      if (this.perSwarm.has(agent.swarm)) {
+        swarms.set(agent.swarm, (swarms.get(agent.swarm) || 0) + 1);
+      }
+    });
+    return Array.from(counts).every(([agent, count]) => count <= this.agentLimit(agent)) &&
+      Array.from(swarms).every(([swarm, count]) => count <= this.perSwarm.get(swarm).limit);
+  }
+
+  /**
+   * Wait until the agent may make a call. Resolves to a release function
+   * that must be called when the call finishes.
+   */
+  async acquire(agent) {
+    const own = this.semaphoreFor(agent);
+    const swarm = this.perSwarm.get(agent.swarm) || null;
+    const reasons = [];
+    if (own.full) reasons.push(`${agent.name} already has ${own.running} call(s) running`);
+    if (swarm && swarm.full) reasons.push(`swarm ${agent.swarm} has ${swarm.running} of ${swarm.limit} calls running`);
+    if (this.global.full) reasons.push(`${this.global.running} of ${this.global.limit} concurrent calls in use`);
+    if (this.bucket && !this.bucket.ready) reasons.push(`rate limit of ${this.settings.requestsPerMinute}/min`);
+
+    const queuedAt = Date.now();
+    if (reasons.length > 0 && this.verbose) {
+      console.log(`  ⏳ ${agent.name}: queued (${reasons.join('; ')})`);
+    }
+
+    const releaseOwn = await own.acquire();
+    const releaseSwarm = swarm ? await swarm.acquire() : () => {};
+    const releaseGlobal = await this.global.acquire();
+    if (this.bucket) {
+      await this.bucket.take();
+    }
+
+    if (reasons.length > 0 && this.verbose) {
+      console.log(`  ▶ ${agent.name}: started after ${((Date.now() - queuedAt) / 1000).toFixed(1)}s in queue`);
+    }
+
+    return () => {
+      releaseGlobal();
+      releaseSwarm();
+      releaseOwn();
+    };
+  }
+}
+
+module.exports = { CallLimiter, TokenBucket, Semaphore };
@@ -0,0 +1,128 @@
+/**
+ * Swarms - Named teams of agents with their own agent namespace and limits.
+ *
+ * A swarm's agents are registered in the hive as `<swarm>/<name>`; a run
+ * against the swarm refers to them by their plain names, so a workflow
+ * written for the default team runs unchanged on a swarm with the same
+ * members. Limits apply to the swarm alone:
+ *   max_agents      agents the swarm may hold, including ones spawned by delegation
+ *   max_concurrent  calls its agents may have in flight together
+ *   budget          token and/or dollar budget of each run (e.g. "200k,$2")
+ * Definitions are stored in the memory database, so a swarm created by one
+ * command can be used by later ones until it is dissolved.
+ */
+
+const { parseBudget } = require('./usage');
+
+const SWARM_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * The hive's default team, used for a swarm created without members
+ */
+const DEFAULT_TEAM = [
+  // Tier 1: Strategic layer
+  { type: 'architect', name: 'architect' },
+  // Tier 2: Execution layer
+  { type: 'coder', name: 'coder-1' },
+  { type: 'coder', name: 'coder-2' },
+  { type: 'tester', name: 'tester' },
+  { type: 'analyst', name: 'analyst' },
+  // Tier 3: Review layer
+  { type: 'reviewer', name: 'reviewer' }
+];
+
+/**
+ * Parse a member list such as "architect,coder,coder,reviewer:reviewer-lead"
+ * into [{ type, name }]. A role listed once is named after it; a role listed
+ * several times without names is numbered (coder-1, coder-2).
+ */
+function parseMembers(spec) {
+  const entries = String(spec).split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [type, name] = entry.split(':').map(part => part.trim());
+    return { type, name: name || null };
+  });
+
+  const counts = {};
+  entries.forEach(({ type, name }) => {
+    if (!name) counts[type] = (counts[type] || 0) + 1;
+  });
+
+  const seen = {};
+  return entries.map(({ type, name }) => {
+    if (name) return { type, name };
+    if (counts[type] === 1) return { type, name: type };
+    seen[type] = (seen[type] || 0) + 1;
+    return { type, name: `${type}-${seen[type]}` };
+  });
+}
+
+/**
+ * Check a swarm definition against the configured roles. Returns the
+ * definition { name, agents, limits } with limits in config form, or throws
+ * an Error naming the problem.
+ */
+function defineSwarm(name, members, limits = {}, roles = []) {
+  if (typeof name !== 'string' || !SWARM_NAME.test(name)) {
+    throw new Error(`Invalid swarm name "${name}" (use letters, digits, - and _)`);
+  }
+
+  const agents = members && members.length > 0 ? members : DEFAULT_TEAM;
+  const names = new Set();
+  for (const { type, name: agentName } of agents) {
+    if (!roles.includes(type)) {
+      throw new Error(`Unknown agent role "${type}" (roles: ${roles.join(', ')})`);
+    }
+    if (!SWARM_NAME.test(agentName) || (agentName !== type && !agentName.startsWith(`${type}-`))) {
+      throw new Error(`Invalid agent name "${agentName}" (use the role, optionally suffixed like "${type}-2")`);
+    }
+    if (names.has(agentName)) {
+      throw new Error(`Two agents named ${agentName}; name them with role:name`);
+    }
+    names.add(agentName);
+  }
+
+  const checked = {};
+  for (const field of ['max_agents', 'max_concurrent']) {
+    if (limits[field] !== undefined && limits[field] !== null) {
+      if (!Number.isInteger(limits[field]) || limits[field] < 1) {
+        throw new Error(`${field} must be a positive integer`);
+      }
+      checked[field] = limits[field];
+    }
+  }
+  if (checked.max_agents !== undefined && agents.length > checked.max_agents) {
+    throw new Error(`${agents.length} agents exceed max_agents (${checked.max_agents})`);
+  }
+  if (limits.budget) {
+    parseBudget(limits.budget);
+    checked.budget = String(limits.budget);
+  }
+
+  return { name, agents: agents.map(({ type, name: agentName }) => ({ type, name: agentName })), limits: checked };
+}
+
+/**
+ * Name of a swarm member in the hive's agent map
+ */
+function qualifiedName(swarm, name) {
+  return `${swarm}/${name}`;
+}
+
+/**
+ * One line describing a swarm's limits, e.g. "max 8 agents · 3 concurrent calls · budget 200k"
+ */
+function describeLimits(limits = {}) {
+  const parts = [];
+  if (limits.max_agents) parts.push(`max ${limits.max_agents} agents`);
+  if (limits.max_concurrent) parts.push(`${limits.max_concurrent} concurrent call${limits.max_concurrent === 1 ? '' : 's'}`);
+  if (limits.budget) parts.push(`budget ${limits.budget}`);
+  return parts.length > 0 ? parts.join(' · ') : 'no limits';
+}
+
+module.exports = {
+  DEFAULT_TEAM,
+  parseMembers,
+  defineSwarm,
+  qualifiedName,
+  describeLimits
+};
@@ -0,0 +1,200 @@
+/**
+ * Usage Tracker - Token and cost accounting for one workflow run, with an
+ * optional budget.
+ *
+ * Before each call an agent reserves its worst case (estimated prompt tokens
+ * plus max_tokens of output). A call whose reservation would take the run
+ * past the budget is refused with a BudgetExceededError, so a run stops
+ * before it goes over rather than after. Once the call returns, the
+ * reservation is replaced by the usage the API reported.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_MILLION = 1e6;
+
+/**
+ * Error raised when a call would take a run past its budget
+ */
+class BudgetExceededError extends Error {
+  constructor(message, usage) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.usage = usage;
+  }
+}
+
+/**
+ * Parse a --budget value: a token limit ("200000", "200k", "1.5m"), a dollar
+ * limit ("$2", "2.50usd"), or both separated by a comma ("200k,$2")
+ */
+function parseBudget(spec) {
+  const budget = {};
+
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const dollars = /^\$(\d+(?:\.\d+)?)$|^(\d+(?:\.\d+)?)\s*usd$/i.exec(part);
+    const tokens = /^(\d+(?:\.\d+)?)\s*([km]?)(?:\s*tokens?)?$/i.exec(part);
+
+    if (dollars) {
+      budget.cost = Number(dollars[1] || dollars[2]);
+    } else if (tokens) {
+      const scale = { '': 1, k: 1e3, m: 1e6 }[tokens[2].toLowerCase()];
+      budget.tokens = Math.round(Number(tokens[1]) * scale);
+    } else {
+      throw new Error(`Invalid budget "${part}" (use e.g. 200k, $2.50 or 200k,$2.50)`);
+    }
+  }
+
+  return budget;
+}
+
+/**
+ * Add up usage records into totals for the run, per agent and per step.
+ * `groupStep` maps a step to the group it is reported under (e.g. its SPARC phase).
+ */
+function summarizeUsage(records, groupStep = step => step) {
+  const empty = () => ({ calls: 0, input_tokens: 0, output_tokens: 0, cost: 0 });
+  const summary = { total: empty(), agents: {}, steps: {} };
+  let priced = true;
+
+  const add = (totals, record) => {
+    totals.calls += 1;
+    totals.input_tokens += record.usage.input_tokens || 0;
+    totals.output_tokens += record.usage.output_tokens || 0;
+    totals.cost += record.cost || 0;
+  };
+
+  for (const record of records) {
+    if (!record.usage) continue;
+
+    const step = groupStep(record.step) || 'unassigned';
+    add(summary.total, record);
+    add(summary.agents[record.agent] = summary.agents[record.agent] || empty(), record);
+    add(summary.steps[step] = summary.steps[step] || empty(), record);
+    if (record.cost === undefined || record.cost === null) priced = false;
+  }
+
+  // Without a price for every call the dollar totals would understate the cost
+  if (!priced) {
+    [summary.total, ...Object.values(summary.agents), ...Object.values(summary.steps)]
+      .forEach(totals => { totals.cost = null; });
+  }
+
+  return summary;
+}
+
+class UsageTracker {
+  constructor(pricing = {}, budget = {}) {
+    this.pricing = pricing.models || {};
+    this.budget = budget;
+    this.unpriced = new Set();
+    this.reset();
+  }
+
+  /**
+   * Start accounting for a new run
+   */
+  reset() {
+    this.records = [];
+    this.spent = { tokens: 0, cost: 0 };
+    this.reserved = { tokens: 0, cost: 0 };
+  }
+
+  /**
+   * Per-million-token prices for a model: an exact entry, or the longest
+   * entry the model name starts with (so "claude-3-5-sonnet" prices every
+   * dated snapshot). Null when the model has no price.
+   */
+  priceFor(model) {
+    if (this.pricing[model]) return this.pricing[model];
+
+    const prefix = Object.keys(this.pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Dollar cost of a call, or null when the model has no price
+   */
+  cost(model, usage) {
+    const price = this.priceFor(model);
+    if (!price) {
+      if (!this.unpriced.has(model)) {
+        this.unpriced.add(model);
+        console.warn(`⚠️  No price for model ${model} in config/pricing.json; its cost is not counted`);
+      }
+      return null;
+    }
+
+    return ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) /
+      TOKENS_PER_MILLION;
+  }
+
+  /**
+   * Reserve the worst case of a call before it is made.
+   * Throws a BudgetExceededError if it could take the run over budget.
+   */
+  reserve(agent, prompt) {
+    const usage = {
+      input_tokens: Math.ceil(prompt.length / CHARS_PER_TOKEN),
+      output_tokens: agent.maxTokens
+    };
+    const reservation = {
+      tokens: usage.input_tokens + usage.output_tokens,
+      cost: this.cost(agent.model, usage) || 0
+    };
+
+    const tokens = this.spent.tokens + this.reserved.tokens + reservation.tokens;
+    if (this.budget.tokens !== undefined && tokens > this.budget.tokens) {
+      throw new BudgetExceededError(
+        `Token budget of ${this.budget.tokens.toLocaleString()} would be exceeded: ` +
+        `${this.spent.tokens.toLocaleString()} used, next call by ${agent.name} may use up to ` +
+        `${reservation.tokens.toLocaleString()}`,
+        this.summary()
+      );
+    }
+
+    const cost = this.spent.cost + this.reserved.cost + reservation.cost;
+    if (this.budget.cost !== undefined && cost > this.budget.cost) {
+      throw new BudgetExceededError(
+        `Budget of $${this.budget.cost.toFixed(2)} would be exceeded: ` +
+        `$${this.spent.cost.toFixed(4)} spent, next call by ${agent.name} may cost up to ` +
+        `$${reservation.cost.toFixed(4)}`,
+        this.summary()
+      );
+    }
+
+    this.reserved.tokens += reservation.tokens;
+    this.reserved.cost += reservation.cost;
+    return reservation;
+  }
+
+  /**
+   * Drop a reservation without recording usage (the call failed)
+   */
+  release(reservation) {
+    this.reserved.tokens -= reservation.tokens;
+    this.reserved.cost -= reservation.cost;
+  }
+
+  /**
+   * Replace a reservation with the usage the API reported.
+   * Returns the dollar cost of the call, or null when unpriced.
+   */
+  settle(reservation, agent, step, usage) {
+    this.release(reservation);
+
+    const cost = this.cost(agent.model, usage);
+    this.spent.tokens += (usage.input_tokens || 0) + (usage.output_tokens || 0);
+    this.spent.cost += cost || 0;
+    this.records.push({ agent: agent.name, step, usage, cost });
+
+    return cost;
+  }
+
+  summary(groupStep) {
+    return summarizeUsage(this.records, groupStep);
+  }
+}
+
+module.exports = { UsageTracker, BudgetExceededError, parseBudget, summarizeUsage };
@@ -0,0 +1,312 @@
+const readline = require('readline');
+const { PROTOCOL_VERSION } = require('../tools/mcp');
+const { rankDocuments } = require('../memory/retrieval');
+const { version } = require('../../package.json');
+
+const SUPPORTED_VERSIONS = [PROTOCOL_VERSION, '2025-03-26', '2025-06-18'];
+const MODES = ['sparc', 'parallel', 'sequential', 'conditional', 'stream', 'dag', 'consensus'];
+const MAX_RESULT_CHARS = 2000;
+
+/**
+ * JSON-RPC error codes
+ */
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * MCP Server - Exposes claude-flow to MCP clients (editors, other agents)
+ * over stdio: newline-delimited JSON-RPC 2.0 on stdin and stdout.
+ *
+ * Tools are backed by a WorkflowEngine, its HiveMind and the MemoryManager.
+ * Workflow runs are queued one at a time, since they share the hive's usage
+ * tracking; a client that sends a progressToken gets a progress
+ * notification as each agent call finishes. Nothing but protocol messages
+ * may be written to `output`, so the caller must send logs elsewhere.
+ */
+class McpServer {
+  constructor({ engine, memory = null, input = process.stdin, output = process.stdout }) {
+    this.engine = engine;
+    this.hiveMind = engine.hiveMind;
+    this.memory = memory;
+    this.input = input;
+    this.output = output;
+    this.queue = Promise.resolve();
+    // Agent names being spawned; requests are handled concurrently
+    this.spawning = new Set();
+    this.tools = this.defineTools();
+  }
+
+  /**
+   * Serve requests until the input closes
+   */
+  serve() {
+    return new Promise(resolve => {
+      const lines = readline.createInterface({ input: this.input });
+      const handling = new Set();
+
+      lines.on('line', line => {
+        if (!line.trim()) return;
+        const handled = this.receive(line).finally(() => handling.delete(handled));
+        handling.add(handled);
+      });
+      lines.on('close', () => Promise.all(handling).then(resolve));
+    });
+  }
+
+  async receive(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+
+    // Notifications (initialized, cancelled...) need no answer
+    if (message.id === undefined || message.id === null) return;
+
+    try {
+      const result = await this.handle(message.method, message.params || {});
+      this.send({ jsonrpc: '2.0', id: message.id, result });
+    } catch (error) {
+      this.send({ jsonrpc: '2.0', id: message.id, error: { code: error.code || INTERNAL_ERROR, message: error.message } });
+    }
+  }
+
+  async handle(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: SUPPORTED_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'abc-claude-flow', version }
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: this.tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+        };
+      case 'tools/call':
+        return this.callTool(params);
+      default:
+        throw rpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Run a tool. Failures are tool results with isError, so the client's
+   * model sees them, rather than protocol errors.
+   */
+  async callTool(params) {
+    const tool = this.tools.find(candidate => candidate.name === params.name);
+    if (!tool) {
+      throw rpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    try {
+      const result = await tool.run(params.arguments || {}, params._meta || {});
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+  }
+
+  send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+
+  defineTools() {
+    return [
+      {
+        name: 'list_workflows',
+        description: 'List the workflows that run_workflow can run: built-in ones and those in workflows/ directories.',
+        inputSchema: { type: 'object', properties: {} },
+        run: () => this.engine.listAllWorkflows()
+      },
+      {
+        name: 'run_workflow',
+        description: 'Run a workflow to completion and return each step\'s result, the run ID and token usage. ' +
+          'Runs are queued one at a time.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            workflow: { type: 'string', description: 'Workflow name or path to a workflow file' },
+            inputs: { type: 'object', additionalProperties: { type: 'string' }, description: 'Workflow inputs by name' },
+            mode: { type: 'string', enum: MODES, description: 'Override the workflow mode' },
+            swarm: { type: 'string', description: 'Run on the agents of a swarm (see claude-flow swarm create)' }
+          },
+          required: ['workflow']
+        },
+        run: (args, meta) => this.enqueue(() => this.runWorkflow(args, meta.progressToken))
+      },
+      {
+        name: 'spawn_agent',
+        description: 'Add an agent of a role from config/agents.json to the hive.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: this.hiveMind.configLoader.getRoles(), description: 'Agent role' },
+            name: { type: 'string', description: 'Agent name (default: the role, or <role>-<n> once that is taken)' }
+          },
+          required: ['type']
+        },
+        run: args => this.spawnAgent(args)
+      },
+      {
+        name: 'swarm_status',
+        description: 'Show the hive\'s agents and the swarms it has started, and the token usage of the last run.',
+        inputSchema: { type: 'object', properties: {} },
+        run: async () => ({
+          ...this.hiveMind.getSwarmStatus(),
+          usage: this.hiveMind.usage.summary().total
+        })
+      },
+      {
+        name: 'query_memory',
+        description: 'Search past agent results in the memory database, best matches first ' +
+          '(most recent first without a query).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'Words to search for in tasks and results' },
+            agent: { type: 'string', description: 'Only results of this agent name' },
+            run_id: { type: 'string', description: 'Only results of this run' },
+            limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Maximum results (default 5)' }
+          }
+        },
+        run: args => this.queryMemory(args)
+      }
+    ];
+  }
+
+  /**
+   * Run `fn` after the runs queued before it
+   */
+  enqueue(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runWorkflow({ workflow, inputs = {}, mode, swarm }, progressToken) {
+    let progress = 0;
+    const onTaskEnd = ({ agent, step, success }) => {
+      progress += 1;
+      this.send({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          message: `${agent}${step ? ` (${step})` : ''} ${success ? 'finished' : 'failed'}`
+        }
+      });
+    };
+
+    if (progressToken !== undefined) {
+      this.hiveMind.on('task_end', onTaskEnd);
+    }
+    try {
+      const result = await this.engine.execute(workflow, { mode, inputs, swarm });
+      return {
+        runId: result.runId,
+        workflow: result.workflow,
+        mode: result.mode,
+        status: result.failures > 0 ? 'failed' : 'completed',
+        results: flattenResults(result.results).map(summarizeResult),
+        usage: result.usage.total
+      };
+    } finally {
+      this.hiveMind.removeListener('task_end', onTaskEnd);
+    }
+  }
+
+  async spawnAgent({ type, name }) {
+    const taken = candidate => Boolean(this.hiveMind.getAgent(candidate)) || this.spawning.has(candidate);
+
+    if (name) {
+      if (name.includes('/')) {
+        throw new Error(`Invalid agent name "${name}" ("/" separates a swarm from its agents)`);
+      }
+      if (taken(name)) {
+        throw new Error(`An agent named ${name} already exists`);
+      }
+    } else {
+      // Without a name the agent is called after its role, or <role>-<n>
+      // once that is taken
+      name = taken(type) ? this.hiveMind.unusedName(type, taken) : type;
+    }
+
+    this.spawning.add(name);
+    try {
+      const agent = await this.hiveMind.spawnAgent(type, { name });
+      return agent.getStatus();
+    } finally {
+      this.spawning.delete(name);
+    }
+  }
+
+  async queryMemory({ query, agent, run_id: runId, limit = 5 }) {
+    if (!this.memory) {
+      throw new Error('No memory database');
+    }
+
+    const candidates = (await this.memory.getRetrievalCandidates())
+      .filter(row => (!agent || row.agent_name === agent) && (!runId || row.run_id === runId));
+    const texts = candidates.map(row => `${row.task}\n${resultText(row.result)}`);
+    const ranked = query
+      ? rankDocuments(query, texts)
+      : candidates.map((row, index) => ({ index, score: null }));
+
+    return ranked.slice(0, Math.min(limit, 50)).map(({ index, score }) => ({
+      agent: candidates[index].agent_name,
+      role: candidates[index].role,
+      runId: candidates[index].run_id,
+      timestamp: new Date(candidates[index].timestamp).toISOString(),
+      score: score === null ? undefined : Number(score.toFixed(3)),
+      task: truncate(candidates[index].task),
+      result: truncate(resultText(candidates[index].result))
+    }));
+  }
+}
+
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Results of a run as a flat list; SPARC and conditional runs nest them
+ */
+function flattenResults(value) {
+  if (Array.isArray(value)) return value.flatMap(flattenResults);
+  if (!value || typeof value !== 'object') return [];
+  if (typeof value.success === 'boolean') return [value];
+  return Object.values(value).flatMap(flattenResults);
+}
+
+function summarizeResult(result) {
+  const metadata = result.metadata || {};
+  return {
+    agent: metadata.agent,
+    step: metadata.step,
+    success: result.success,
+    skipped: result.skipped || undefined,
+    result: result.success ? result.result : undefined,
+    error: result.success ? undefined : result.error
+  };
+}
+
+function resultText(result) {
+  return typeof result === 'string' ? result : JSON.stringify(result);
+}
+
+function truncate(text) {
+  return text && text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}... [truncated]` : text;
+}
+
+module.exports = { McpServer };
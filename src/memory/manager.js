@@ -6,8 +6,9 @@ const fs = require('fs');
  * Memory Manager - Persistent storage for agent interactions
  */
 class MemoryManager {
-  constructor(dbPath = null) {
+  constructor(dbPath = null, options = {}) {
     this.dbPath = dbPath || path.join(process.cwd(), 'data', 'memory.db');
+    this.quiet = options.quiet || false;
     this.db = null;
   }
 
@@ -30,7 +31,9 @@ class MemoryManager {
 
         this.createTables()
           .then(() => {
-            console.log('💾 Memory system initialized:', this.dbPath);
+            if (!this.quiet) {
+              console.log('💾 Memory system initialized:', this.dbPath);
+            }
             resolve();
           })
           .catch(reject);
@@ -79,20 +82,76 @@ class MemoryManager {
         target_agent TEXT,
         message TEXT,
         timestamp INTEGER
+      )`,
+
+      // Workflow runs
+      `CREATE TABLE IF NOT EXISTS workflow_runs (
+        id TEXT PRIMARY KEY,
+        workflow TEXT,
+        mode TEXT,
+        status TEXT,
+        options TEXT,
+        error TEXT,
+        started_at INTEGER,
+        finished_at INTEGER
+      )`,
+
+      // Checkpoints: one completed step or phase result per run
+      `CREATE TABLE IF NOT EXISTS checkpoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT NOT NULL,
+        step TEXT NOT NULL,
+        result TEXT,
+        timestamp INTEGER,
+        UNIQUE(run_id, step)
+      )`,
+
+      // Swarms: named agent teams, kept after they are dissolved
+      `CREATE TABLE IF NOT EXISTS swarms (
+        name TEXT PRIMARY KEY,
+        agents TEXT,
+        limits TEXT,
+        status TEXT,
+        created_at INTEGER,
+        dissolved_at INTEGER
       )`
     ];
 
     for (const sql of tables) {
       await this.run(sql);
     }
+
+    await this.migrate();
+  }
+
+  /**
+   * Add columns introduced after the original schema to existing databases
+   */
+  async migrate() {
+    const columns = [
+      ['conversations', 'run_id', 'TEXT'],
+      ['decisions', 'run_id', 'TEXT'],
+      ['coordination_logs', 'run_id', 'TEXT']
+    ];
+
+    for (const [table, column, type] of columns) {
+      const existing = await this.all(`PRAGMA table_info(${table})`);
+      if (!existing.some(c => c.name === column)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    await this.run('CREATE INDEX IF NOT EXISTS idx_conversations_run ON conversations(run_id)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_decisions_run ON decisions(run_id)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_coordination_run ON coordination_logs(run_id)');
   }
 
   /**
    * Store a conversation
    */
-  async storeConversation(agentName, role, task, result, metadata = {}) {
-    const sql = `INSERT INTO conversations (agent_name, role, task, result, metadata, timestamp)
-                 VALUES (?, ?, ?, ?, ?, ?)`;
+  async storeConversation(agentName, role, task, result, metadata = {}, runId = null) {
+    const sql = `INSERT INTO conversations (agent_name, role, task, result, metadata, timestamp, run_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`;
     
     return await this.run(sql, [
       agentName,
@@ -100,23 +159,25 @@ class MemoryManager {
       task,
       JSON.stringify(result),
       JSON.stringify(metadata),
-      Date.now()
+      Date.now(),
+      runId
     ]);
   }
 
   /**
    * Store a decision
    */
-  async storeDecision(workflow, decisionType, context, outcome) {
-    const sql = `INSERT INTO decisions (workflow, decision_type, context, outcome, timestamp)
-                 VALUES (?, ?, ?, ?, ?)`;
+  async storeDecision(workflow, decisionType, context, outcome, runId = null) {
+    const sql = `INSERT INTO decisions (workflow, decision_type, context, outcome, timestamp, run_id)
+                 VALUES (?, ?, ?, ?, ?, ?)`;
     
     return await this.run(sql, [
       workflow,
       decisionType,
       JSON.stringify(context),
       JSON.stringify(outcome),
-      Date.now()
+      Date.now(),
+      runId
     ]);
   }
 
@@ -137,18 +198,255 @@ class MemoryManager {
   /**
    * Log coordination between agents
    */
-  async logCoordination(sourceAgent, targetAgent, message) {
-    const sql = `INSERT INTO coordination_logs (source_agent, target_agent, message, timestamp)
-                 VALUES (?, ?, ?, ?)`;
+  async logCoordination(sourceAgent, targetAgent, message, runId = null) {
+    const sql = `INSERT INTO coordination_logs (source_agent, target_agent, message, timestamp, run_id)
+                 VALUES (?, ?, ?, ?, ?)`;
     
     return await this.run(sql, [
       sourceAgent,
       targetAgent,
       message,
+      Date.now(),
+      runId
+    ]);
+  }
+
+  /**
+   * Create a workflow run record
+   */
+  async createRun(runId, workflow, mode, options = {}) {
+    const sql = `INSERT INTO workflow_runs (id, workflow, mode, status, options, started_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`;
+    
+    return await this.run(sql, [
+      runId,
+      workflow,
+      mode,
+      'running',
+      JSON.stringify(options),
+      Date.now()
+    ]);
+  }
+
+  /**
+   * Update the status of a workflow run
+   */
+  async updateRunStatus(runId, status, error = null) {
+    const finished = status === 'running' ? null : Date.now();
+    const sql = `UPDATE workflow_runs SET status = ?, error = ?, finished_at = ? WHERE id = ?`;
+    
+    return await this.run(sql, [status, error, finished, runId]);
+  }
+
+  /**
+   * Get a workflow run
+   */
+  async getRun(runId) {
+    const row = await this.get(`SELECT * FROM workflow_runs WHERE id = ?`, [runId]);
+    
+    if (row) {
+      return {
+        ...row,
+        options: JSON.parse(row.options || '{}')
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Save (or replace) the checkpoint of a completed step
+   */
+  async saveCheckpoint(runId, step, result) {
+    const sql = `INSERT OR REPLACE INTO checkpoints (run_id, step, result, timestamp)
+                 VALUES (?, ?, ?, ?)`;
+    
+    return await this.run(sql, [runId, step, JSON.stringify(result), Date.now()]);
+  }
+
+  /**
+   * Get the checkpoints of a run, oldest first
+   */
+  async getCheckpoints(runId) {
+    const rows = await this.all(
+      `SELECT * FROM checkpoints WHERE run_id = ? ORDER BY timestamp ASC, id ASC`,
+      [runId]
+    );
+    
+    return rows.map(row => ({ ...row, result: JSON.parse(row.result) }));
+  }
+
+  /**
+   * Delete checkpoints of a run, e.g. before re-running from an earlier step
+   */
+  async deleteCheckpoints(runId, steps) {
+    if (steps.length === 0) return { changes: 0 };
+    
+    const placeholders = steps.map(() => '?').join(', ');
+    return await this.run(
+      `DELETE FROM checkpoints WHERE run_id = ? AND step IN (${placeholders})`,
+      [runId, ...steps]
+    );
+  }
+
+  /**
+   * List workflow runs, newest first, with per-run agent and token totals.
+   * Filters: agent, workflow (substring of the name or path), swarm,
+   * since/until (ms)
+   */
+  async listRuns(filters = {}) {
+    const where = [];
+    const params = [];
+    
+    if (filters.agent) {
+      where.push('EXISTS (SELECT 1 FROM conversations c WHERE c.run_id = r.id AND c.agent_name = ?)');
+      params.push(filters.agent);
+    }
+    
+    if (filters.workflow) {
+      where.push('r.workflow LIKE ?');
+      params.push(`%${filters.workflow}%`);
+    }
+
+    if (filters.swarm) {
+      where.push(`json_extract(r.options, '$.swarm') = ?`);
+      params.push(filters.swarm);
+    }
+    
+    if (filters.since) {
+      where.push('r.started_at >= ?');
+      params.push(filters.since);
+    }
+    
+    if (filters.until) {
+      where.push('r.started_at <= ?');
+      params.push(filters.until);
+    }
+    
+    let sql = `SELECT r.*,
+                 (SELECT GROUP_CONCAT(DISTINCT c.agent_name) FROM conversations c WHERE c.run_id = r.id) AS agents,
+                 (SELECT COUNT(*) FROM conversations c WHERE c.run_id = r.id) AS calls,
+                 (SELECT SUM(json_extract(c.metadata, '$.usage.input_tokens')) FROM conversations c WHERE c.run_id = r.id) AS input_tokens,
+                 (SELECT SUM(json_extract(c.metadata, '$.usage.output_tokens')) FROM conversations c WHERE c.run_id = r.id) AS output_tokens,
+                 (SELECT SUM(json_extract(c.metadata, '$.cost')) FROM conversations c WHERE c.run_id = r.id) AS cost
+               FROM workflow_runs r`;
+    
+    if (where.length > 0) {
+      sql += ` WHERE ${where.join(' AND ')}`;
+    }
+    
+    sql += ` ORDER BY r.started_at DESC LIMIT ?`;
+    params.push(filters.limit || 20);
+    
+    const rows = await this.all(sql, params);
+    return rows.map(row => ({
+      ...row,
+      options: JSON.parse(row.options || '{}'),
+      agents: row.agents ? row.agents.split(',') : []
+    }));
+  }
+
+  /**
+   * Save a new swarm definition ({ name, agents, limits }), replacing a
+   * dissolved swarm of the same name
+   */
+  async saveSwarm(swarm) {
+    const sql = `INSERT OR REPLACE INTO swarms (name, agents, limits, status, created_at, dissolved_at)
+                 VALUES (?, ?, ?, ?, ?, NULL)`;
+
+    return await this.run(sql, [
+      swarm.name,
+      JSON.stringify(swarm.agents),
+      JSON.stringify(swarm.limits || {}),
+      'active',
       Date.now()
     ]);
   }
 
+  /**
+   * Get a swarm definition, or null
+   */
+  async getSwarm(name) {
+    const row = await this.get(`SELECT * FROM swarms WHERE name = ?`, [name]);
+    return row ? parseSwarm(row) : null;
+  }
+
+  /**
+   * List swarms, newest first; dissolved ones only with `all`
+   */
+  async listSwarms({ all = false } = {}) {
+    const rows = await this.all(
+      `SELECT * FROM swarms ${all ? '' : `WHERE status = 'active' `}ORDER BY created_at DESC`
+    );
+    return rows.map(parseSwarm);
+  }
+
+  /**
+   * Mark a swarm dissolved
+   */
+  async dissolveSwarm(name) {
+    return await this.run(
+      `UPDATE swarms SET status = 'dissolved', dissolved_at = ? WHERE name = ?`, [Date.now(), name]
+    );
+  }
+
+  /**
+   * Get every conversation, decision and message of a run, oldest first
+   */
+  async getRunTimeline(runId) {
+    const conversations = await this.all(
+      `SELECT * FROM conversations WHERE run_id = ? ORDER BY timestamp ASC, id ASC`, [runId]
+    );
+    const decisions = await this.all(
+      `SELECT * FROM decisions WHERE run_id = ? ORDER BY timestamp ASC, id ASC`, [runId]
+    );
+    const messages = await this.all(
+      `SELECT * FROM coordination_logs WHERE run_id = ? ORDER BY timestamp ASC, id ASC`, [runId]
+    );
+    
+    return {
+      conversations: conversations.map(row => ({
+        ...row,
+        result: JSON.parse(row.result),
+        metadata: JSON.parse(row.metadata || '{}')
+      })),
+      decisions: decisions.map(row => ({
+        ...row,
+        context: JSON.parse(row.context),
+        outcome: JSON.parse(row.outcome)
+      })),
+      messages
+    };
+  }
+
+  /**
+   * Get recent successful conversations to search for relevant past work.
+   * Options: type (agent type to restrict to), excludeRunId, limit
+   */
+  async getRetrievalCandidates(options = {}) {
+    const where = ['result IS NOT NULL', `result != 'null'`];
+    const params = [];
+
+    if (options.type) {
+      where.push(`json_extract(metadata, '$.type') = ?`);
+      params.push(options.type);
+    }
+
+    if (options.excludeRunId) {
+      where.push('(run_id IS NULL OR run_id != ?)');
+      params.push(options.excludeRunId);
+    }
+
+    const sql = `SELECT id, agent_name, role, task, result, timestamp, run_id FROM conversations
+                 WHERE ${where.join(' AND ')}
+                 ORDER BY timestamp DESC
+                 LIMIT ?`;
+    params.push(options.limit || 500);
+
+    const rows = await this.all(sql, params);
+    return rows.map(row => ({ ...row, result: JSON.parse(row.result) }));
+  }
+
   /**
    * Get conversations for an agent
    */
@@ -221,6 +519,8 @@ class MemoryManager {
     const conversations = await this.get('SELECT COUNT(*) as count FROM conversations');
     const decisions = await this.get('SELECT COUNT(*) as count FROM decisions');
     const agents = await this.get('SELECT COUNT(*) as count FROM agent_state');
+    const messages = await this.get('SELECT COUNT(*) as count FROM coordination_logs');
+    const runs = await this.get('SELECT COUNT(*) as count FROM workflow_runs');
     
     // Get database file size
     let size = 0;
@@ -235,6 +535,8 @@ class MemoryManager {
       conversations: conversations.count,
       decisions: decisions.count,
       agents: agents.count,
+      messages: messages.count,
+      runs: runs.count,
       size
     };
   }
@@ -243,7 +545,7 @@ class MemoryManager {
    * Clear all memory (use with caution)
    */
   async clear() {
-    const tables = ['conversations', 'decisions', 'agent_state', 'coordination_logs'];
+    const tables = ['conversations', 'decisions', 'agent_state', 'coordination_logs', 'workflow_runs', 'checkpoints', 'swarms'];
     
     for (const table of tables) {
       await this.run(`DELETE FROM ${table}`);
@@ -303,4 +605,12 @@ class MemoryManager {
   }
 }
 
+function parseSwarm(row) {
+  return {
+    ...row,
+    agents: JSON.parse(row.agents || '[]'),
+    limits: JSON.parse(row.limits || '{}')
+  };
+}
+
 module.exports = { MemoryManager };
@@ -0,0 +1,90 @@
+/**
+ * Run Recorder - Persists agent calls, decisions and agent-to-agent messages
+ * to the MemoryManager under the current workflow run ID.
+ *
+ * Recording never fails the work being recorded: storage errors are logged
+ * and swallowed.
+ */
+class RunRecorder {
+  constructor(memory = null) {
+    this.memory = memory;
+    this.runId = null;
+    this.workflow = null;
+  }
+
+  /**
+   * Whether there is a memory manager to record into
+   */
+  get enabled() {
+    return this.memory !== null;
+  }
+
+  /**
+   * Attribute subsequent records to a run
+   */
+  setRun(runId, workflow = null) {
+    this.runId = runId;
+    this.workflow = workflow;
+  }
+
+  /**
+   * Record one agent call: the task, the full prompt sent, and the result
+   */
+  async conversation(agent, task, prompt, result) {
+    if (!this.enabled) return;
+
+    await this.safely('conversation', () => this.memory.storeConversation(
+      agent.name,
+      agent.role,
+      task,
+      result.success ? result.result : null,
+      {
+        ...result.metadata,
+        type: agent.type,
+        success: result.success,
+        error: result.error,
+        system: agent.getSystemPrompt(),
+        prompt
+      },
+      this.runId
+    ));
+  }
+
+  /**
+   * Record a workflow decision (e.g. a conditional branch)
+   */
+  async decision(type, context, outcome) {
+    if (!this.enabled) return;
+
+    await this.safely('decision', () => this.memory.storeDecision(
+      this.workflow,
+      type,
+      context,
+      outcome,
+      this.runId
+    ));
+  }
+
+  /**
+   * Record a message between two agents (or the hive and an agent)
+   */
+  async message(source, target, message) {
+    if (!this.enabled) return;
+
+    const text = typeof message === 'string' ? message : JSON.stringify(message);
+    await this.safely('message', () => this.memory.logCoordination(source, target, text, this.runId));
+  }
+
+  /**
+   * Run a storage call, logging instead of throwing on failure
+   */
+  async safely(kind, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      console.warn(`⚠️  Failed to record ${kind}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { RunRecorder };
@@ -0,0 +1,175 @@
+/**
+ * Memory Retriever - Finds earlier agent results relevant to a new task and
+ * fits them into a token budget for the prompt.
+ *
+ * Candidates are the most recent successful conversations in the memory
+ * database (the same agent type, or every agent with `scope: project`),
+ * ranked against the task with TF-IDF cosine similarity. Results from the
+ * current run are excluded; agents already receive those as previousResults.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const MIN_EXCERPT_CHARS = 200;
+const TASK_PREVIEW_CHARS = 200;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'had', 'this', 'that', 'with', 'from', 'they', 'will', 'would',
+  'there', 'their', 'what', 'about', 'which', 'when', 'make', 'like', 'into', 'than', 'then',
+  'them', 'these', 'some', 'could', 'should', 'other', 'only', 'also', 'its', 'each', 'your',
+  'task', 'please', 'using', 'use', 'used'
+]);
+
+/**
+ * Split text into lowercase terms, dropping short words and stop words
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9_]+/g) || [])
+    .filter(term => term.length > 2 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Count term occurrences
+ */
+function termFrequencies(terms) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Rank documents against a query with TF-IDF cosine similarity.
+ * Returns [{ index, score }] for documents sharing at least one term, best first.
+ */
+function rankDocuments(query, documents) {
+  const queryCounts = termFrequencies(tokenize(query));
+  if (queryCounts.size === 0 || documents.length === 0) return [];
+
+  const documentCounts = documents.map(document => termFrequencies(tokenize(document)));
+  const documentFrequency = new Map();
+  documentCounts.forEach(counts => {
+    counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  // Smoothed IDF so a term present in every document still carries some weight
+  const idf = term => Math.log((1 + documents.length) / (1 + (documentFrequency.get(term) || 0))) + 1;
+  const weigh = counts => {
+    const weights = new Map();
+    counts.forEach((count, term) => weights.set(term, (1 + Math.log(count)) * idf(term)));
+    return weights;
+  };
+  const norm = weights => Math.sqrt(Array.from(weights.values()).reduce((sum, w) => sum + w * w, 0));
+
+  const queryWeights = weigh(queryCounts);
+  const queryNorm = norm(queryWeights);
+
+  return documentCounts
+    .map((counts, index) => {
+      const weights = weigh(counts);
+      let dot = 0;
+      queryWeights.forEach((weight, term) => {
+        if (weights.has(term)) dot += weight * weights.get(term);
+      });
+      const denominator = queryNorm * norm(weights);
+      return { index, score: denominator > 0 ? dot / denominator : 0 };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Shorten text to a character limit, marking the cut
+ */
+function truncate(text, limit) {
+  return text.length <= limit ? text : `${text.slice(0, Math.max(0, limit - 15)).trimEnd()} …[truncated]`;
+}
+
+class MemoryRetriever {
+  constructor(memory = null, settings = {}) {
+    this.memory = memory;
+    this.defaults = settings;
+    this.settings = { ...settings };
+    this.runId = null;
+  }
+
+  /**
+   * Whether retrieval is switched on and there is a memory manager to search
+   */
+  get enabled() {
+    return this.memory !== null && this.settings.enabled === true;
+  }
+
+  /**
+   * Apply a workflow's `memory` settings on top of the coordination.json
+   * defaults for the run that is about to start
+   */
+  configure(workflowMemory = {}, runId = null) {
+    const settings = { ...this.defaults };
+
+    if (workflowMemory.retrieval !== undefined) settings.enabled = workflowMemory.retrieval;
+    if (workflowMemory.max_tokens !== undefined) settings.maxTokens = workflowMemory.max_tokens;
+    if (workflowMemory.max_results !== undefined) settings.maxResults = workflowMemory.max_results;
+    if (workflowMemory.scope !== undefined) settings.scope = workflowMemory.scope;
+
+    this.settings = settings;
+    this.runId = runId;
+  }
+
+  /**
+   * Find past results relevant to a task for an agent, fitted to the token budget.
+   * Returns [{ agent, task, result, timestamp, score }], best first.
+   * Lookup failures are logged and yield no memories rather than failing the call.
+   */
+  async retrieve(agent, task) {
+    if (!this.enabled) return [];
+
+    let candidates;
+    try {
+      candidates = await this.memory.getRetrievalCandidates({
+        type: this.settings.scope === 'project' ? null : agent.type,
+        excludeRunId: this.runId,
+        limit: this.settings.candidates
+      });
+    } catch (error) {
+      console.warn(`⚠️  Memory retrieval failed: ${error.message}`);
+      return [];
+    }
+
+    const results = candidates.map(candidate => (
+      typeof candidate.result === 'string' ? candidate.result : JSON.stringify(candidate.result)
+    ));
+    const ranked = rankDocuments(task, candidates.map((candidate, i) => `${candidate.task}\n${results[i]}`))
+      .filter(entry => entry.score >= this.settings.minScore)
+      .slice(0, this.settings.maxResults);
+
+    return this.fitBudget(ranked.map(({ index, score }) => ({
+      agent: candidates[index].agent_name,
+      task: truncate(candidates[index].task, TASK_PREVIEW_CHARS),
+      result: results[index],
+      timestamp: candidates[index].timestamp,
+      score
+    })));
+  }
+
+  /**
+   * Keep memories in rank order until the token budget is spent, shortening
+   * the last one that fits partially
+   */
+  fitBudget(memories) {
+    // Budgeted in characters; the API's tokenizer is not available locally
+    let remaining = this.settings.maxTokens * CHARS_PER_TOKEN;
+    const fitted = [];
+
+    for (const memory of memories) {
+      const available = remaining - memory.task.length;
+      if (available < Math.min(MIN_EXCERPT_CHARS, memory.result.length)) break;
+
+      const result = truncate(memory.result, available);
+      fitted.push({ ...memory, result });
+      remaining = available - result.length;
+    }
+
+    return fitted;
+  }
+}
+
+module.exports = { MemoryRetriever, rankDocuments };
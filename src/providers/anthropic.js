@@ -0,0 +1,81 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Anthropic Provider - Sends requests to the Messages API.
+ *
+ * Every provider takes a request in the Messages API shape
+ * ({ model, max_tokens, system, messages, temperature, tools }) and offers:
+ *   complete(request, { signal, agent })  -> { text, content, stop_reason, usage, model }
+ *   stream(request, { signal, agent })    -> async iterable of
+ *     { type: 'text', text } events, then one { type: 'message', message }
+ * `content` holds the Messages API content blocks, including tool_use
+ * blocks when `stop_reason` is 'tool_use'. Errors carry `status` and
+ * `headers` for HTTP failures, or code 'ECONNECTION' when the server could
+ * not be reached.
+ */
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.client = new Anthropic({
+      apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY,
+      // Retries are handled by the agent so they respect the hive's limits
+      maxRetries: 0
+    });
+  }
+
+  async complete(request, { signal } = {}) {
+    try {
+      return normalizeMessage(await this.client.messages.create(request, { signal }));
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  }
+
+  async *stream(request, { signal } = {}) {
+    const stream = this.client.messages.stream(request, { signal });
+    let finished = false;
+
+    try {
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { type: 'text', text: event.delta.text };
+        }
+      }
+      const message = normalizeMessage(await stream.finalMessage());
+      finished = true;
+      yield { type: 'message', message };
+    } catch (error) {
+      throw normalizeError(error);
+    } finally {
+      // The consumer stopped early or the request failed
+      if (!finished) {
+        stream.abort();
+      }
+    }
+  }
+}
+
+function normalizeMessage(message) {
+  return {
+    text: message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(''),
+    content: message.content,
+    stop_reason: message.stop_reason,
+    usage: {
+      input_tokens: message.usage ? message.usage.input_tokens : 0,
+      output_tokens: message.usage ? message.usage.output_tokens : 0
+    },
+    model: message.model
+  };
+}
+
+function normalizeError(error) {
+  if (error instanceof Anthropic.APIConnectionError) {
+    error.code = error.code || 'ECONNECTION';
+  }
+  return error;
+}
+
+module.exports = { AnthropicProvider };
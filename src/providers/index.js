@@ -0,0 +1,60 @@
+const { AnthropicProvider } = require('./anthropic');
+const { MockProvider } = require('./mock');
+const { ReplayProvider } = require('./replay');
+const { OpenAIProvider } = require('./openai');
+
+/**
+ * Build an agent's own backend from the `provider` setting in agents.json:
+ *   "anthropic" (the default)
+ *   { "type": "openai", "base_url": "http://localhost:8080/v1", "api_key_env": "LOCAL_LLM_KEY" }
+ * Returns null for Anthropic without ANTHROPIC_API_KEY.
+ */
+function createBackend(spec = 'anthropic') {
+  const settings = typeof spec === 'string' ? { type: spec } : spec;
+
+  switch (settings.type) {
+    case 'anthropic':
+      return process.env.ANTHROPIC_API_KEY ? new AnthropicProvider() : null;
+    case 'openai':
+      return new OpenAIProvider({
+        baseUrl: settings.base_url,
+        apiKey: settings.api_key_env ? process.env[settings.api_key_env] : null
+      });
+    default:
+      throw new Error(`Unknown provider type: ${settings.type}`);
+  }
+}
+
+/**
+ * Build the provider every agent of a run talks to:
+ *   { mock: 'fixtures.yaml' } - scripted answers, no network
+ *   { replay: 'dir' }         - recorded answers, no network
+ *   { record: 'dir' }         - each agent's own backend, saving every answer to dir
+ * Returns null for the default, where each agent uses its own backend.
+ */
+function createProvider(options = {}) {
+  const chosen = ['mock', 'replay', 'record'].filter(kind => options[kind]);
+  if (chosen.length > 1) {
+    throw new Error(`Choose one of --${chosen.join(', --')}`);
+  }
+
+  if (options.mock) {
+    return MockProvider.fromFile(options.mock);
+  }
+  if (options.replay) {
+    return new ReplayProvider(options.replay, 'replay');
+  }
+  if (options.record) {
+    return new ReplayProvider(options.record, 'record');
+  }
+  return null;
+}
+
+module.exports = {
+  createProvider,
+  createBackend,
+  AnthropicProvider,
+  OpenAIProvider,
+  MockProvider,
+  ReplayProvider
+};
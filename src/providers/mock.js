@@ -0,0 +1,164 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Wait, ending early with an error if the request is aborted
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Request aborted'));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Mock Provider - Answers from scripted fixtures, without any network.
+ *
+ * Fixtures (YAML or JSON):
+ *   default: "OK"                     # optional reply when no rule matches
+ *   responses:
+ *     - agent: architect              # optional: agent name or type
+ *       match: "specification"        # optional: regex on the prompt
+ *       response: "The spec..."       # a reply, or a list used in turn (the last repeats)
+ *     - agent: tester
+ *       response:
+ *         - error: { status: 429, message: rate limited, retry_after: 1 }
+ *         - text: "Tests pass"
+ *           usage: { input_tokens: 120, output_tokens: 30 }
+ *           delay: 50                 # ms before answering
+ *     - agent: coder
+ *       response:
+ *         - tool_calls:               # ask to run tools; the next reply answers
+ *             - { name: write_file, input: { path: app.js, content: "..." } }
+ *         - "Implemented app.js"
+ *
+ * The first matching rule answers. Without a match or a default the call
+ * fails, so a fixture set that misses a prompt is noticed.
+ */
+class MockProvider {
+  constructor(fixtures = {}) {
+    this.name = 'mock';
+    this.fixtures = fixtures;
+    this.rules = (fixtures.responses || []).map(rule => ({
+      ...rule,
+      pattern: rule.match ? new RegExp(rule.match, 'i') : null,
+      calls: 0
+    }));
+    this.calls = [];
+  }
+
+  /**
+   * Load fixtures from a YAML or JSON file
+   */
+  static fromFile(file) {
+    let fixtures;
+    try {
+      fixtures = YAML.parse(fs.readFileSync(file, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Cannot load mock fixtures ${file}: ${error.message}`);
+    }
+    if (fixtures.responses !== undefined && !Array.isArray(fixtures.responses)) {
+      throw new Error(`Cannot load mock fixtures ${file}: "responses" must be a list`);
+    }
+    return new MockProvider(fixtures);
+  }
+
+  async complete(request, { signal, agent } = {}) {
+    const reply = this.reply(request, agent);
+
+    if (reply.delay) {
+      await wait(reply.delay, signal);
+    }
+    if (signal && signal.aborted) {
+      throw new Error('Request aborted');
+    }
+    if (reply.error) {
+      throw fixtureError(reply.error);
+    }
+
+    const prompt = promptText(request);
+    const content = reply.text ? [{ type: 'text', text: reply.text }] : [];
+    (reply.tool_calls || []).forEach((call, index) => content.push({
+      type: 'tool_use',
+      id: `toolu_mock_${this.calls.length}_${index}`,
+      name: call.name,
+      input: call.input || {}
+    }));
+
+    return {
+      text: reply.text,
+      content,
+      stop_reason: reply.tool_calls ? 'tool_use' : 'end_turn',
+      usage: reply.usage || {
+        input_tokens: Math.ceil(prompt.length / CHARS_PER_TOKEN),
+        output_tokens: Math.ceil(reply.text.length / CHARS_PER_TOKEN)
+      },
+      model: request.model
+    };
+  }
+
+  async *stream(request, options = {}) {
+    const message = await this.complete(request, options);
+
+    for (const piece of message.text.match(/\S+\s*|\s+/g) || []) {
+      yield { type: 'text', text: piece };
+    }
+    yield { type: 'message', message };
+  }
+
+  /**
+   * Pick the reply for a request: { text, tool_calls } or { error }, plus optional usage and delay
+   */
+  reply(request, agent = {}) {
+    const prompt = promptText(request);
+    this.calls.push({ agent: agent.name, prompt });
+
+    const rule = this.rules.find(candidate =>
+      (!candidate.agent || candidate.agent === agent.name || candidate.agent === agent.type) &&
+      (!candidate.pattern || candidate.pattern.test(prompt))
+    );
+
+    if (!rule) {
+      if (this.fixtures.default !== undefined) {
+        return { text: String(this.fixtures.default) };
+      }
+      const preview = prompt.split('\n')[0].slice(0, 80);
+      throw new Error(`Mock provider has no fixture for ${agent.name || 'agent'}: "${preview}"`);
+    }
+
+    const replies = Array.isArray(rule.response) ? rule.response : [rule.response];
+    const reply = replies[Math.min(rule.calls, replies.length - 1)];
+    rule.calls += 1;
+
+    return typeof reply === 'string' ? { text: reply } : { ...reply, text: String(reply.text || '') };
+  }
+}
+
+/**
+ * The text of a request's user messages
+ */
+function promptText(request) {
+  return request.messages
+    .map(message => (typeof message.content === 'string' ? message.content : JSON.stringify(message.content)))
+    .join('\n');
+}
+
+/**
+ * Build an error shaped like a provider's HTTP or connection failure
+ */
+function fixtureError(spec) {
+  const error = new Error(spec.message || `Mock error${spec.status ? ` ${spec.status}` : ''}`);
+  if (spec.status) error.status = spec.status;
+  if (spec.code) error.code = spec.code;
+  if (spec.retry_after !== undefined) error.headers = { 'retry-after': String(spec.retry_after) };
+  return error;
+}
+
+module.exports = { MockProvider, promptText };
@@ -0,0 +1,284 @@
+const axios = require('axios');
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * OpenAI-compatible Provider - Sends requests to a /chat/completions endpoint:
+ * OpenAI itself, or a local server such as llama.cpp, vLLM or Ollama.
+ *
+ * Requests arrive in the Messages API shape and are translated; responses,
+ * usage and errors are normalized to the provider interface described in
+ * ./anthropic.js. Servers that report no usage get an estimate from the
+ * text length, so budgets still apply.
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('OpenAI-compatible provider needs a base_url');
+    }
+
+    this.name = 'openai';
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+  }
+
+  async complete(request, { signal } = {}) {
+    const body = toChatRequest(request);
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.headers(),
+        signal
+      });
+    } catch (error) {
+      throw normalizeError(error, this.baseUrl);
+    }
+
+    const choice = (response.data.choices || [])[0] || {};
+    const message = choice.message || {};
+    const text = message.content || '';
+    return {
+      text,
+      ...toContent(text, message.tool_calls, choice.finish_reason),
+      usage: normalizeUsage(response.data.usage, body, text),
+      model: response.data.model || request.model
+    };
+  }
+
+  async *stream(request, { signal } = {}) {
+    const body = { ...toChatRequest(request), stream: true, stream_options: { include_usage: true } };
+
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.headers(),
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      throw normalizeError(await readStreamedError(error), this.baseUrl);
+    }
+
+    let text = '';
+    let finishReason = null;
+    const toolCalls = [];
+    let usage = null;
+    let model = request.model;
+    let buffer = '';
+
+    // Read one line of the event stream, yielding its text delta
+    function* readLine(line) {
+      const data = line.trim().replace(/^data:\s*/, '');
+      if (!line.trim().startsWith('data:') || data === '[DONE]') return;
+
+      const event = JSON.parse(data);
+      const delta = event.choices && event.choices[0] && event.choices[0].delta;
+      if (delta && delta.content) {
+        text += delta.content;
+        yield { type: 'text', text: delta.content };
+      }
+      // Tool calls arrive in pieces keyed by index; the arguments are a JSON string
+      for (const part of (delta && delta.tool_calls) || []) {
+        const call = toolCalls[part.index] || (toolCalls[part.index] = { function: { name: '', arguments: '' } });
+        if (part.id) call.id = part.id;
+        if (part.function && part.function.name) call.function.name += part.function.name;
+        if (part.function && part.function.arguments) call.function.arguments += part.function.arguments;
+      }
+      if (event.choices && event.choices[0] && event.choices[0].finish_reason) {
+        finishReason = event.choices[0].finish_reason;
+      }
+      if (event.usage) usage = event.usage;
+      if (event.model) model = event.model;
+    }
+
+    try {
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          yield* readLine(line);
+        }
+      }
+      // The last event may end without a newline
+      yield* readLine(buffer);
+    } catch (error) {
+      throw normalizeError(error, this.baseUrl);
+    } finally {
+      // The consumer stopped early or the request failed
+      response.data.destroy();
+    }
+
+    yield {
+      type: 'message',
+      message: { text, ...toContent(text, toolCalls, finishReason), usage: normalizeUsage(usage, body, text), model }
+    };
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+}
+
+/**
+ * Translate a Messages API request into a chat completions request
+ */
+function toChatRequest(request) {
+  const messages = [];
+  if (request.system) {
+    messages.push({ role: 'system', content: contentText(request.system) });
+  }
+  for (const message of request.messages) {
+    messages.push(...toChatMessages(message));
+  }
+
+  const body = { model: request.model, messages, max_tokens: request.max_tokens };
+  if (request.temperature !== undefined) {
+    body.temperature = request.temperature;
+  }
+  if (request.tools && request.tools.length > 0) {
+    body.tools = request.tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+    }));
+  }
+  return body;
+}
+
+/**
+ * Translate one message: tool_use blocks become the assistant's tool_calls,
+ * and each tool_result block becomes a message of role 'tool'
+ */
+function toChatMessages(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+
+  const text = contentText(message.content);
+  const toolUses = message.content.filter(block => block.type === 'tool_use');
+  const toolResults = message.content.filter(block => block.type === 'tool_result');
+
+  if (toolUses.length > 0) {
+    return [{
+      role: 'assistant',
+      content: text || null,
+      tool_calls: toolUses.map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input) }
+      }))
+    }];
+  }
+
+  const messages = toolResults.map(block => ({
+    role: 'tool',
+    tool_call_id: block.tool_use_id,
+    content: typeof block.content === 'string' ? block.content : contentText(block.content)
+  }));
+  if (text || toolResults.length === 0) {
+    messages.push({ role: message.role, content: text });
+  }
+  return messages;
+}
+
+/**
+ * Messages API content blocks and stop reason of a chat completion
+ */
+function toContent(text, toolCalls, finishReason) {
+  const content = text ? [{ type: 'text', text }] : [];
+  (toolCalls || []).filter(Boolean).forEach((call, index) => {
+    let input;
+    try {
+      input = JSON.parse(call.function.arguments || '{}');
+    } catch (error) {
+      input = { _invalid_arguments: call.function.arguments };
+    }
+    // Some local servers leave out the id the result must refer to
+    content.push({ type: 'tool_use', id: call.id || `call_${index}`, name: call.function.name, input });
+  });
+
+  const hasToolUse = content.some(block => block.type === 'tool_use');
+  const stopReasons = { length: 'max_tokens', tool_calls: 'tool_use' };
+  return {
+    content,
+    stop_reason: hasToolUse ? 'tool_use' : (stopReasons[finishReason] || 'end_turn')
+  };
+}
+
+/**
+ * Plain text of a string or a list of content blocks
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  return content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+function normalizeUsage(usage, body, text) {
+  if (usage && usage.prompt_tokens !== undefined) {
+    return {
+      input_tokens: usage.prompt_tokens,
+      output_tokens: usage.completion_tokens || 0
+    };
+  }
+
+  const prompt = body.messages.map(message => message.content || '').join('\n');
+  return {
+    input_tokens: Math.ceil(prompt.length / CHARS_PER_TOKEN),
+    output_tokens: Math.ceil(text.length / CHARS_PER_TOKEN)
+  };
+}
+
+/**
+ * A streamed request's error body arrives as a stream; read it so the
+ * server's message can be reported
+ */
+async function readStreamedError(error) {
+  const data = error.response && error.response.data;
+  if (!data || typeof data.on !== 'function') return error;
+
+  let body = '';
+  try {
+    for await (const chunk of data) {
+      body += chunk.toString('utf8');
+    }
+    error.response.data = JSON.parse(body);
+  } catch (parseError) {
+    error.response.data = body;
+  }
+  return error;
+}
+
+/**
+ * Give axios errors the shape the agent's retry logic expects: `status` and
+ * `headers` for HTTP failures, code 'ECONNECTION' when the server could not
+ * be reached
+ */
+function normalizeError(error, baseUrl) {
+  if (!error.isAxiosError) {
+    return error;
+  }
+  if (error.code === 'ERR_CANCELED') {
+    return new Error('Request aborted');
+  }
+
+  if (error.response) {
+    const data = error.response.data;
+    const detail = (data && data.error && (data.error.message || data.error)) ||
+      (typeof data === 'string' && data) || error.message;
+    const normalized = new Error(`${error.response.status} ${detail}`);
+    normalized.status = error.response.status;
+    normalized.headers = error.response.headers;
+    return normalized;
+  }
+
+  const normalized = new Error(`Cannot reach ${baseUrl}: ${error.message}`);
+  normalized.code = 'ECONNECTION';
+  return normalized;
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promptText } = require('./mock');
+
+/**
+ * Record/Replay Provider - Saves responses from a real provider to disk and
+ * plays them back later without any network.
+ *
+ * Each recording is a JSON file named after a hash of the request (model,
+ * system prompt, messages, max_tokens, temperature), so a replayed run must
+ * send exactly the prompts of the recorded one.
+ *   record: forward every request to `inner`, or else to the calling agent's
+ *           own backend, and save its response
+ *   replay: answer only from recordings; a request without one fails
+ */
+class ReplayProvider {
+  constructor(dir, mode = 'replay', inner = null) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`Unknown replay mode "${mode}" (use record or replay)`);
+    }
+    this.name = mode;
+    this.dir = dir;
+    this.mode = mode;
+    this.inner = inner;
+  }
+
+  async complete(request, options = {}) {
+    if (this.mode === 'replay') {
+      return this.load(request, options.agent);
+    }
+
+    const message = await this.source(options.agent).complete(request, options);
+    this.save(request, message, options.agent);
+    return message;
+  }
+
+  async *stream(request, options = {}) {
+    if (this.mode === 'replay') {
+      const message = this.load(request, options.agent);
+      for (const piece of message.text.match(/\S+\s*|\s+/g) || []) {
+        yield { type: 'text', text: piece };
+      }
+      yield { type: 'message', message };
+      return;
+    }
+
+    for await (const event of this.source(options.agent).stream(request, options)) {
+      if (event.type === 'message') {
+        this.save(request, event.message, options.agent);
+      }
+      yield event;
+    }
+  }
+
+  /**
+   * Provider whose responses are recorded
+   */
+  source(agent = {}) {
+    const inner = this.inner || agent.backend;
+    if (!inner) {
+      throw new Error(`Nothing to record for ${agent.name || 'agent'}: its provider is not configured (ANTHROPIC_API_KEY not set?)`);
+    }
+    return inner;
+  }
+
+  /**
+   * Recording file for a request. The tools an agent is offered are part of
+   * the key; requests without any hash as they did before tools existed.
+   */
+  fileFor(request) {
+    const key = JSON.stringify([
+      request.model,
+      request.system,
+      request.messages,
+      request.max_tokens,
+      request.temperature,
+      ...(request.tools && request.tools.length > 0 ? [request.tools] : [])
+    ]);
+    const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  load(request, agent = {}) {
+    const file = this.fileFor(request);
+    let recording;
+    try {
+      recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      const preview = promptText(request).split('\n')[0].slice(0, 80);
+      throw new Error(
+        `No recording for ${agent.name || 'agent'}: "${preview}" (expected ${path.relative(process.cwd(), file)})`
+      );
+    }
+    return recording.response;
+  }
+
+  save(request, response, agent = {}) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.fileFor(request), JSON.stringify({
+      agent: agent.name,
+      recordedAt: new Date().toISOString(),
+      request,
+      response
+    }, null, 2));
+  }
+}
+
+module.exports = { ReplayProvider };
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const { ToolError } = require('./workspace');
+const { Sandbox } = require('./sandbox');
+
+const MAX_READ_BYTES = 100 * 1024;
+const MAX_WRITE_BYTES = 1024 * 1024;
+const MAX_LISTED_FILES = 500;
+const MAX_TEST_OUTPUT = 8000;
+const DEFAULT_TEST_TIMEOUT = 120000;
+const DEFAULT_TEST_COMMANDS = {
+  unit: 'npm test',
+  integration: 'npm run test:integration',
+  e2e: 'npm run test:e2e'
+};
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+/**
+ * Environment variables withheld from test commands and MCP servers when
+ * credentials are isolated
+ */
+const SECRET_ENV = /KEY|TOKEN|SECRET|PASSWORD|CREDENTIAL/i;
+
+/**
+ * Built-in tool groups, keyed by their name in coordination.json `mcp_tools`.
+ * Each builds the tools for the capabilities its entry grants. A tool is
+ * { name, description, input_schema, run(input, context) } where context
+ * holds the run's workspace and the tool settings; `run` resolves to the
+ * text returned to the model.
+ */
+const BUILTIN_GROUPS = {
+  file_operations: fileOperations,
+  test_runner: testRunner
+};
+
+function fileOperations(entry) {
+  const capabilities = entry.capabilities || ['read', 'write', 'list'];
+  const tools = [];
+
+  if (capabilities.includes('read')) {
+    tools.push({
+      name: 'read_file',
+      description: 'Read a text file from the workspace.',
+      input_schema: {
+        type: 'object',
+        properties: { path: { type: 'string', description: 'Path relative to the workspace root' } },
+        required: ['path']
+      },
+      run: async ({ path: file }, { workspace }) => {
+        const target = workspace.resolve(file);
+        const stats = statOf(target, file);
+        if (!stats.isFile()) {
+          throw new ToolError(`${file} is not a file`);
+        }
+
+        const content = fs.readFileSync(target).subarray(0, MAX_READ_BYTES).toString('utf8');
+        return stats.size > MAX_READ_BYTES
+          ? `${content}\n\n[truncated: showing ${MAX_READ_BYTES} of ${stats.size} bytes]`
+          : content;
+      }
+    });
+  }
+
+  if (capabilities.includes('write')) {
+    tools.push({
+      name: 'write_file',
+      description: 'Create or overwrite a text file in the workspace. Parent directories are created.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Path relative to the workspace root' },
+          content: { type: 'string', description: 'The complete file content' }
+        },
+        required: ['path', 'content']
+      },
+      run: async ({ path: file, content }, { workspace }) => {
+        if (typeof content !== 'string') {
+          throw new ToolError('content must be a string');
+        }
+        if (Buffer.byteLength(content) > MAX_WRITE_BYTES) {
+          throw new ToolError(`content is larger than ${MAX_WRITE_BYTES} bytes`);
+        }
+
+        const target = workspace.resolve(file);
+        if (target === workspace.root) {
+          throw new ToolError('path must name a file');
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+        return `Wrote ${Buffer.byteLength(content)} bytes to ${workspace.relative(target)}`;
+      }
+    });
+  }
+
+  if (capabilities.includes('list')) {
+    tools.push({
+      name: 'list_files',
+      description: 'List the files under a workspace directory, recursively.',
+      input_schema: {
+        type: 'object',
+        properties: { path: { type: 'string', description: 'Directory relative to the workspace root (default: the root)' } }
+      },
+      run: async ({ path: dir = '.' }, { workspace }) => {
+        const target = workspace.resolve(dir);
+        if (!statOf(target, dir).isDirectory()) {
+          throw new ToolError(`${dir} is not a directory`);
+        }
+
+        const files = [];
+        walk(target, files);
+        if (files.length === 0) {
+          return '(empty)';
+        }
+        const listed = files.slice(0, MAX_LISTED_FILES).map(file => workspace.relative(file));
+        return files.length > MAX_LISTED_FILES
+          ? `${listed.join('\n')}\n[listing stopped after ${MAX_LISTED_FILES} files]`
+          : listed.join('\n');
+      }
+    });
+  }
+
+  return tools;
+}
+
+function testRunner(entry) {
+  const kinds = entry.capabilities || Object.keys(DEFAULT_TEST_COMMANDS);
+  const commands = { ...DEFAULT_TEST_COMMANDS, ...entry.commands };
+
+  return [{
+    name: 'run_tests',
+    description: 'Run the project\'s test suite in the workspace and return its exit code and output.',
+    input_schema: {
+      type: 'object',
+      properties: { kind: { type: 'string', enum: kinds, description: `Which tests to run (default: ${kinds[0]})` } }
+    },
+    run: async ({ kind = kinds[0] }, { workspace, settings }) => {
+      if (!kinds.includes(kind) || !commands[kind]) {
+        throw new ToolError(`Unknown test kind "${kind}" (available: ${kinds.join(', ')})`);
+      }
+
+      // The model may have written the scripts a test command runs, so they
+      // only run on the host when the sandbox is turned off
+      const timeout = entry.timeout || DEFAULT_TEST_TIMEOUT;
+      const sandbox = settings.sandbox || {};
+      const { code, output } = sandbox.enabled !== false
+        ? await new Sandbox(sandbox).run(commands[kind], { workspace, timeout })
+        : await runCommand(commands[kind], {
+          cwd: workspace.root,
+          timeout,
+          env: settings.credentialIsolation ? withoutSecrets(process.env) : process.env
+        });
+      return `$ ${commands[kind]}\nExit code: ${code}\n\n${tail(output, MAX_TEST_OUTPUT)}`;
+    }
+  }];
+}
+
+/**
+ * Run a configured command on the host; a failing exit code is a result,
+ * not an error
+ */
+function runCommand(command, options) {
+  return new Promise(resolve => {
+    exec(command, { ...options, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      const output = `${stdout}${stderr}`;
+      if (error && error.killed) {
+        resolve({ code: `killed after ${options.timeout}ms`, output });
+      } else {
+        resolve({ code: error ? error.code : 0, output });
+      }
+    });
+  });
+}
+
+function statOf(target, relative) {
+  try {
+    return fs.statSync(target);
+  } catch (error) {
+    throw new ToolError(`${relative} does not exist`);
+  }
+}
+
+function walk(dir, files) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (files.length > MAX_LISTED_FILES) return;
+
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) walk(full, files);
+    } else {
+      files.push(full);
+    }
+  }
+}
+
+function withoutSecrets(env) {
+  return Object.fromEntries(Object.entries(env).filter(([name]) => !SECRET_ENV.test(name)));
+}
+
+function tail(text, limit) {
+  return text.length > limit ? `[output truncated]\n${text.slice(-limit)}` : text;
+}
+
+module.exports = { BUILTIN_GROUPS, withoutSecrets };
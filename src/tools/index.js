@@ -0,0 +1,169 @@
+const path = require('path');
+const { Workspace, ToolError } = require('./workspace');
+const { BUILTIN_GROUPS, withoutSecrets } = require('./builtin');
+const { McpClient, resultText } = require('./mcp');
+
+const MAX_LOGGED_RESULT = 4000;
+
+/**
+ * Tool Registry - The tools agents may call, granted per role by
+ * coordination.json `mcp_tools`:
+ *   - built-in groups (`tools` entries), which work inside a workspace
+ *     directory set per run by `configure` and created by their first call
+ *   - tools of external MCP servers (`servers` entries), launched by
+ *     `connect` and offered to the roles in each server's `allow` list as
+ *     `<server>__<tool>`. Their calls and results are logged as messages
+ *     between the agent and `mcp:<server>`.
+ */
+class ToolRegistry {
+  constructor(settings = {}, options = {}) {
+    this.settings = settings;
+    this.enabled = settings.enabled === true;
+    this.maxTurns = settings.maxTurns || 10;
+    this.recorder = options.recorder || null;
+    // Directory of the run's workspace, created by the first built-in tool call
+    this.workspaceRoot = null;
+    this.workspace = null;
+    this.servers = [];
+    this.connected = false;
+  }
+
+  /**
+   * Set the workspace for a run: `dir` when given, else a directory named
+   * after the run under the configured workspace root. Nothing is created
+   * until a built-in tool is called, so runs without tool calls leave no
+   * directory behind.
+   */
+  configure(runId, dir) {
+    this.workspace = null;
+    this.workspaceRoot = !this.enabled ? null : dir
+      ? path.resolve(dir)
+      : path.resolve(this.settings.workspaceDir, runId || `run-${Date.now()}`);
+  }
+
+  /**
+   * The run's workspace, created on first use
+   */
+  openWorkspace() {
+    if (!this.workspace) {
+      this.workspace = new Workspace(this.workspaceRoot);
+      console.log(`🛠️  Tool workspace: ${path.relative(process.cwd(), this.workspace.root) || '.'}`);
+    }
+    return this.workspace;
+  }
+
+  /**
+   * Launch the configured MCP servers and discover their tools. A server
+   * that fails to start is reported and left out.
+   */
+  async connect() {
+    if (!this.enabled || this.connected) return;
+    this.connected = true;
+
+    const env = this.settings.credentialIsolation ? withoutSecrets(process.env) : process.env;
+    for (const config of this.settings.servers || []) {
+      const client = new McpClient(config, { env });
+      try {
+        await client.connect();
+        const tools = await client.listTools();
+        this.servers.push({ client, config, tools });
+        console.log(`🔌 MCP server ${config.name}: ${tools.length} tool(s)`);
+      } catch (error) {
+        client.close();
+        console.warn(`⚠️  MCP server ${config.name} unavailable: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Stop the MCP servers
+   */
+  close() {
+    this.servers.forEach(server => server.client.close());
+    this.servers = [];
+    this.connected = false;
+  }
+
+  /**
+   * Tools granted to an agent's role
+   */
+  toolsFor(agent) {
+    if (!this.enabled) return [];
+
+    const builtin = !this.workspaceRoot ? [] : (this.settings.tools || [])
+      .filter(entry => (entry.agents || []).includes(agent.type) && BUILTIN_GROUPS[entry.name])
+      .flatMap(entry => BUILTIN_GROUPS[entry.name](entry));
+
+    const external = this.servers.flatMap(({ client, config, tools }) => {
+      const allowed = (config.allow || {})[agent.type] || [];
+      return tools
+        .filter(tool => allowed.includes('*') || allowed.includes(tool.name))
+        .map(tool => ({
+          name: `${config.name}__${tool.name}`.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64),
+          description: tool.description || `${tool.name} from MCP server ${config.name}`,
+          input_schema: tool.inputSchema || { type: 'object' },
+          server: config.name,
+          run: async (input) => {
+            const result = await client.callTool(tool.name, input);
+            const text = resultText(result);
+            if (result.isError) {
+              throw new ToolError(text || `${tool.name} failed`);
+            }
+            return text;
+          }
+        }));
+    });
+
+    return [...builtin, ...external];
+  }
+
+  /**
+   * Tool definitions for an agent's requests
+   */
+  definitionsFor(agent) {
+    return this.toolsFor(agent).map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+  }
+
+  /**
+   * Run a tool for an agent. Resolves to { content, isError }; failures are
+   * returned to the model rather than thrown, so it can correct itself.
+   */
+  async run(agent, name, input = {}) {
+    const tool = this.toolsFor(agent).find(candidate => candidate.name === name);
+    if (!tool) {
+      return { content: `Tool ${name} is not available to ${agent.name}`, isError: true };
+    }
+
+    if (tool.server) {
+      await this.log(agent.name, `mcp:${tool.server}`, { tool: name, arguments: input });
+    }
+
+    let outcome;
+    try {
+      const workspace = tool.server ? null : this.openWorkspace();
+      const content = await tool.run(input || {}, { workspace, settings: this.settings });
+      outcome = { content, isError: false };
+    } catch (error) {
+      outcome = { content: error instanceof ToolError ? error.message : `${name} failed: ${error.message}`, isError: true };
+    }
+
+    if (tool.server) {
+      await this.log(`mcp:${tool.server}`, agent.name, {
+        tool: name,
+        isError: outcome.isError,
+        result: outcome.content.length > MAX_LOGGED_RESULT
+          ? `${outcome.content.slice(0, MAX_LOGGED_RESULT)}... [truncated]`
+          : outcome.content
+      });
+    }
+    return outcome;
+  }
+
+  async log(source, target, message) {
+    if (this.recorder) {
+      await this.recorder.message(source, target, message);
+    }
+  }
+}
+
+module.exports = { ToolRegistry, ToolError };
@@ -0,0 +1,172 @@
+const { spawn } = require('child_process');
+
+const PROTOCOL_VERSION = '2024-11-05';
+const DEFAULT_TIMEOUT = 60000;
+const MAX_LOGGED_STDERR = 2000;
+
+/**
+ * MCP Client - Talks to one Model Context Protocol server over stdio:
+ * newline-delimited JSON-RPC 2.0 on the child process's stdin and stdout.
+ * Only the tool part of the protocol is used (tools/list and tools/call).
+ */
+class McpClient {
+  constructor(config, options = {}) {
+    this.name = config.name;
+    this.config = config;
+    this.env = options.env || process.env;
+    this.timeout = config.timeout || DEFAULT_TIMEOUT;
+    this.child = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.buffer = '';
+    this.stderr = '';
+  }
+
+  /**
+   * Launch the server and perform the initialize handshake
+   */
+  async connect() {
+    this.child = spawn(this.config.command, this.config.args || [], {
+      cwd: this.config.cwd,
+      env: { ...this.env, ...this.config.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    // A server that dies mid-write is reported through 'exit'
+    this.child.stdin.on('error', () => {});
+    this.child.stdout.on('data', chunk => this.receive(chunk));
+    this.child.stderr.on('data', chunk => {
+      this.stderr = (this.stderr + chunk.toString('utf8')).slice(-MAX_LOGGED_STDERR);
+    });
+    this.child.on('error', error => this.failAll(new Error(`MCP server ${this.name} failed to start: ${error.message}`)));
+    this.child.on('exit', code => {
+      this.child = null;
+      const detail = this.stderr.trim() ? `: ${this.stderr.trim().split('\n').pop()}` : '';
+      this.failAll(new Error(`MCP server ${this.name} exited with code ${code}${detail}`));
+    });
+
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'abc-claude-flow', version: '1.0.0' }
+    });
+    this.notify('notifications/initialized');
+    this.serverInfo = result.serverInfo || {};
+    return result;
+  }
+
+  /**
+   * All tools the server offers, following pagination cursors
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const page = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(page.tools || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool; resolves to the raw result ({ content, isError })
+   */
+  async callTool(name, args = {}) {
+    return this.request('tools/call', { name, arguments: args });
+  }
+
+  request(method, params) {
+    if (!this.child) {
+      return Promise.reject(new Error(`MCP server ${this.name} is not running`));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP server ${this.name} did not answer ${method} within ${this.timeout}ms`));
+      }, this.timeout);
+
+      this.pending.set(id, {
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  send(message) {
+    if (this.child) {
+      this.child.stdin.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        // Servers must only write protocol messages to stdout; skip anything else
+        continue;
+      }
+
+      const pending = message.id !== undefined ? this.pending.get(message.id) : null;
+      if (!pending) continue;
+
+      this.pending.delete(message.id);
+      if (message.error) {
+        pending.reject(new Error(`MCP server ${this.name}: ${message.error.message || 'request failed'}`));
+      } else {
+        pending.resolve(message.result || {});
+      }
+    }
+  }
+
+  failAll(error) {
+    for (const pending of this.pending.values()) {
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Stop the server
+   */
+  close() {
+    if (!this.child) return;
+
+    const child = this.child;
+    this.child = null;
+    child.stdin.end();
+    child.kill();
+  }
+}
+
+/**
+ * Text of an MCP tool result's content blocks; non-text blocks are summarized
+ */
+function resultText(result) {
+  return (result.content || [])
+    .map(block => {
+      if (block.type === 'text') return block.text;
+      if (block.type === 'resource' && block.resource) {
+        return block.resource.text !== undefined ? block.resource.text : `[resource ${block.resource.uri}]`;
+      }
+      return `[${block.type}${block.mimeType ? ` ${block.mimeType}` : ''}]`;
+    })
+    .join('\n');
+}
+
+module.exports = { McpClient, resultText, PROTOCOL_VERSION };
@@ -0,0 +1,86 @@
+const { execFile } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { ToolError } = require('./workspace');
+
+const WORKDIR = '/workspace';
+
+/**
+ * Sandbox - Runs a command over files the model wrote in a throwaway
+ * container, since whatever the command runs (a test script, a package.json
+ * script) may have been written by the model too. The container has no
+ * network and no host environment; the workspace is its only mount, and the
+ * command runs as the workspace's owner without capabilities, within memory,
+ * CPU and process limits. Settings (coordination.json `mcp_tools.sandbox`):
+ *   runtime  docker or a compatible CLI such as podman (default: docker)
+ *   image    the image the command runs in (default: node:20-alpine)
+ *   memory, cpus, pids  resource limits
+ */
+class Sandbox {
+  constructor(settings = {}) {
+    this.runtime = settings.runtime || 'docker';
+    this.image = settings.image || 'node:20-alpine';
+    this.memory = settings.memory || '1g';
+    this.cpus = settings.cpus || 1;
+    this.pids = settings.pids || 256;
+  }
+
+  /**
+   * Arguments of the runtime's `run` for a command in `workspace`
+   */
+  runArgs(name, command, workspace) {
+    const args = [
+      'run', '--rm', '--name', name,
+      '--network', 'none',
+      '--cap-drop', 'ALL',
+      '--security-opt', 'no-new-privileges',
+      '--memory', String(this.memory),
+      '--cpus', String(this.cpus),
+      '--pids-limit', String(this.pids),
+      '--volume', `${workspace.realRoot}:${WORKDIR}`,
+      '--workdir', WORKDIR
+    ];
+    if (typeof process.getuid === 'function') {
+      args.push('--user', `${process.getuid()}:${process.getgid()}`);
+    }
+    return [...args, this.image, 'sh', '-c', command];
+  }
+
+  /**
+   * Run a command; resolves to { code, output } with a failing exit code as
+   * a result. Throws a ToolError when the runtime cannot start the container.
+   */
+  run(command, { workspace, timeout }) {
+    const name = `claude-flow-${uuidv4().split('-')[0]}`;
+
+    return new Promise((resolve, reject) => {
+      let killed = false;
+      const child = execFile(this.runtime, this.runArgs(name, command, workspace), {
+        env: { PATH: process.env.PATH },
+        maxBuffer: 10 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        clearTimeout(handle);
+        const output = `${stdout}${stderr}`;
+
+        if (error && error.code === 'ENOENT') {
+          reject(new ToolError(`Tests run in a ${this.runtime} container, and ${this.runtime} is not installed ` +
+            '(mcp_tools.sandbox.runtime)'));
+        } else if (killed) {
+          resolve({ code: `killed after ${timeout}ms`, output });
+        } else if (error && error.code === 125) {
+          // The runtime's own failure: no daemon, a missing image...
+          reject(new ToolError(`The ${this.runtime} sandbox could not start: ${output.trim() || error.message}`));
+        } else {
+          resolve({ code: error ? error.code : 0, output });
+        }
+      });
+
+      // Stopping the CLI would leave the container running
+      const handle = timeout ? setTimeout(() => {
+        killed = true;
+        execFile(this.runtime, ['rm', '--force', name], () => child.kill());
+      }, timeout) : null;
+    });
+  }
+}
+
+module.exports = { Sandbox };
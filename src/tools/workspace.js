@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Error from a tool call, reported back to the model as a tool error
+ * rather than failing the agent's task
+ */
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+/**
+ * Workspace - The directory a run's tools are confined to.
+ * Paths are relative to the root; anything resolving outside it, and any
+ * path through a symlink inside it, is refused.
+ */
+class Workspace {
+  constructor(root) {
+    this.root = path.resolve(root);
+    fs.mkdirSync(this.root, { recursive: true });
+    this.realRoot = fs.realpathSync(this.root);
+  }
+
+  /**
+   * Absolute path of a workspace-relative path
+   */
+  resolve(relative = '.') {
+    if (typeof relative !== 'string' || relative.includes('\0')) {
+      throw new ToolError('path must be a string');
+    }
+
+    const target = path.resolve(this.root, relative);
+    if (!isInside(this.root, target)) {
+      throw new ToolError(`${relative} is outside the workspace`);
+    }
+
+    // Refuse a symlink at any point below the root, dangling or not: a write
+    // through a link to a missing file would create it wherever it points
+    let current = this.root;
+    for (const part of path.relative(this.root, target).split(path.sep).filter(Boolean)) {
+      current = path.join(current, part);
+      let stats;
+      try {
+        stats = fs.lstatSync(current);
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') break;
+        throw new ToolError(`cannot access ${relative}: ${error.code || error.message}`);
+      }
+      if (stats.isSymbolicLink()) {
+        throw new ToolError(`${relative} goes through a symlink (${this.relative(current)}); symlinks are not followed`);
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Workspace-relative form of an absolute path, for messages
+   */
+  relative(target) {
+    return path.relative(this.root, target) || '.';
+  }
+}
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+module.exports = { Workspace, ToolError };
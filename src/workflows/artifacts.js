@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const MANIFEST_FILE = 'claude-flow-manifest.json';
+const DEFAULT_TYPES = ['coder', 'tester'];
+const DIFF_CONTEXT = 3;
+// Files whose line counts multiply past this are diffed as a whole replacement
+const MAX_DIFF_CELLS = 4000000;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const PATH_ATTRIBUTE = /(?:^|\s)(?:path|file|filename|title)=(?:"([^"]+)"|'([^']+)'|(\S+))/;
+const PATH_LABEL = /^(?:file(?:name)?|path)\s*:\s*/i;
+const COMMENT_PATH = /^\s*(?:\/\/|#|--|;|\/\*|<!--)\s*(.*?)\s*(?:\*\/|-->)?\s*$/;
+const EXTENSIONLESS_FILES = ['Makefile', 'Dockerfile', 'Procfile', 'Gemfile', 'Rakefile', 'LICENSE'];
+
+/**
+ * Fenced code blocks of a markdown text, with the file path each is
+ * annotated with (null when it has none). A path is taken from, in order:
+ *   - the info string: ```js path=src/app.js, ```js title="src/app.js",
+ *     ```js:src/app.js or ```js src/app.js
+ *   - the line just before the fence: **src/app.js**, `src/app.js`,
+ *     ### src/app.js, File: src/app.js
+ *   - a comment on the block's first line: // src/app.js, # file: app.py;
+ *     the comment is dropped from the content
+ */
+function parseCodeBlocks(text) {
+  const lines = String(text || '').split('\n');
+  const blocks = [];
+  let open = null;
+
+  lines.forEach((line, index) => {
+    if (!open) {
+      const fence = line.match(FENCE);
+      if (!fence || (fence[1][0] === '`' && fence[2].includes('`'))) return;
+
+      open = { fence: fence[1], info: fence[2].trim(), start: index, body: [] };
+      return;
+    }
+
+    const close = line.match(FENCE);
+    if (close && close[1][0] === open.fence[0] && close[1].length >= open.fence.length && !close[2].trim()) {
+      blocks.push(toBlock(open, lines));
+      open = null;
+      return;
+    }
+    open.body.push(line);
+  });
+
+  return blocks;
+}
+
+function toBlock(open, lines) {
+  const language = open.info.split(/\s+/)[0].split(':')[0] || null;
+  let body = open.body;
+  let file = pathFromInfo(open.info) || pathFromHeading(lines, open.start);
+
+  if (!file && body.length > 0) {
+    const comment = body[0].match(COMMENT_PATH);
+    const candidate = comment && comment[1].replace(PATH_LABEL, '');
+    if (candidate && looksLikePath(candidate)) {
+      file = candidate;
+      body = body.slice(1);
+    }
+  }
+
+  return {
+    path: file,
+    language,
+    content: body.length > 0 ? `${body.join('\n')}\n` : '',
+    line: open.start + 1
+  };
+}
+
+function pathFromInfo(info) {
+  const attribute = info.match(PATH_ATTRIBUTE);
+  if (attribute) {
+    return attribute[1] || attribute[2] || attribute[3];
+  }
+
+  const [first, second] = info.split(/\s+/);
+  const colon = (first || '').indexOf(':');
+  if (colon > 0 && looksLikePath(first.slice(colon + 1))) {
+    return first.slice(colon + 1);
+  }
+  if (second && looksLikePath(second)) {
+    return second;
+  }
+  return null;
+}
+
+/**
+ * A path named on the last non-blank line before the fence, when that line
+ * holds nothing else
+ */
+function pathFromHeading(lines, start) {
+  let index = start - 1;
+  if (index >= 0 && !lines[index].trim()) index -= 1;
+  if (index < 0) return null;
+
+  const candidate = lines[index].trim()
+    .replace(/^#+\s*/, '')
+    .replace(/^[-*]\s+/, '')
+    .replace(/^(\*\*|__)(.*)\1:?$/, '$2')
+    .replace(PATH_LABEL, '')
+    .replace(/^`([^`]+)`:?$/, '$1')
+    .replace(/^(\*\*|__)(.*)\1:?$/, '$2')
+    .replace(/:$/, '');
+  return looksLikePath(candidate) ? candidate : null;
+}
+
+function looksLikePath(candidate) {
+  if (!candidate || !/^[\w@.+\-/]+$/.test(candidate) || candidate.includes('//')) return false;
+
+  const name = candidate.split('/').pop();
+  return /\.[A-Za-z][A-Za-z0-9]*$/.test(name) || EXTENSIONLESS_FILES.includes(name);
+}
+
+/**
+ * Why a path cannot be written under an output root (null when it can)
+ */
+function unsafePath(file) {
+  if (path.posix.isAbsolute(file) || /^[A-Za-z]:/.test(file)) return 'absolute path';
+
+  const normalized = path.posix.normalize(file);
+  if (normalized === '..' || normalized.startsWith('../')) return 'outside the output directory';
+  if (normalized.split('/').includes('.git')) return 'inside .git';
+  return null;
+}
+
+/**
+ * Collect the annotated files from a run's recorded agent calls. Only
+ * successful calls of the given agent types count, and only the latest call
+ * per step, so a resumed run's redone phases replace the originals. When
+ * several blocks name the same path the later one wins.
+ *
+ * Returns { files, unnamed, rejected } where each file is
+ * { path, content, language, agent, step }.
+ */
+function collectArtifacts(conversations, options = {}) {
+  const types = options.types || DEFAULT_TYPES;
+  const latest = new Map();
+
+  for (const call of conversations) {
+    const metadata = call.metadata || {};
+    if (metadata.success === false || !types.includes(metadata.type)) continue;
+
+    // Later SPARC refinement rounds (implementation#2...) replace earlier ones
+    const key = metadata.step ? metadata.step.replace(/#\d+$/, '') : call.agent_name;
+    latest.delete(key);
+    latest.set(key, call);
+  }
+
+  const files = new Map();
+  const unnamed = [];
+  const rejected = [];
+
+  for (const call of latest.values()) {
+    const source = { agent: call.agent_name, step: call.metadata.step || null };
+    const text = typeof call.result === 'string' ? call.result : JSON.stringify(call.result);
+
+    for (const block of parseCodeBlocks(text)) {
+      if (!block.path) {
+        unnamed.push({ ...source, language: block.language, line: block.line });
+        continue;
+      }
+
+      const reason = unsafePath(block.path);
+      if (reason) {
+        rejected.push({ ...source, path: block.path, reason });
+        continue;
+      }
+
+      const file = path.posix.normalize(block.path);
+      const replaced = files.get(file);
+      files.delete(file);
+      files.set(file, {
+        path: file,
+        content: block.content,
+        language: block.language,
+        ...source,
+        replaces: replaced ? `${replaced.agent}${replaced.step ? ` (${replaced.step})` : ''}` : undefined
+      });
+    }
+  }
+
+  return { files: [...files.values()], unnamed, rejected };
+}
+
+/**
+ * Compare each file with what is already at its path. `readExisting(path)`
+ * returns the current content, or null when there is none. Each file gets a
+ * status: 'new', 'unchanged' or 'conflict' (it would overwrite different
+ * content), plus `existing` for conflicts.
+ */
+function planArtifacts(files, readExisting) {
+  return files.map(file => {
+    const existing = readExisting(file.path);
+    if (existing === null) return { ...file, status: 'new' };
+    if (existing === file.content) return { ...file, status: 'unchanged' };
+    return { ...file, status: 'conflict', existing };
+  });
+}
+
+function readFromDirectory(dir) {
+  return (file) => {
+    try {
+      return fs.readFileSync(path.join(dir, file), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  };
+}
+
+/**
+ * Write the planned files and the manifest under `dir`. Conflicting files
+ * are refused unless `force` is set.
+ */
+function writeToDirectory(plan, dir, { manifest, force = false } = {}) {
+  refuseConflicts(plan, force);
+
+  const root = path.resolve(dir);
+  for (const file of plan) {
+    if (file.status === 'unchanged') continue;
+
+    const target = path.join(root, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.content);
+  }
+
+  fs.mkdirSync(root, { recursive: true });
+  fs.writeFileSync(path.join(root, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return root;
+}
+
+/**
+ * Commit the planned files and the manifest to a new branch of the git
+ * repository at `cwd`, on top of HEAD. The files go under `prefix` (relative
+ * to the repository root). The working tree and the current branch are left
+ * untouched: the commit is built in a temporary index.
+ */
+function writeToBranch(plan, branch, { cwd = process.cwd(), prefix = '', manifest, message, force = false } = {}) {
+  refuseConflicts(plan, force);
+
+  const git = (args, options = {}) => {
+    try {
+      return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'], ...options }).trim();
+    } catch (error) {
+      const detail = String(error.stderr || '').trim().split('\n').pop() || error.message;
+      throw new Error(`git ${args[0]} failed: ${detail}`);
+    }
+  };
+
+  git(['check-ref-format', '--branch', branch]);
+  if (branchExists(git, branch)) {
+    throw new Error(`Branch ${branch} already exists`);
+  }
+
+  const index = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-')), 'index');
+  const env = { ...process.env, GIT_INDEX_FILE: index };
+  try {
+    git(['read-tree', 'HEAD'], { env });
+
+    const entries = [
+      ...plan.filter(file => file.status !== 'unchanged'),
+      { path: MANIFEST_FILE, content: `${JSON.stringify(manifest, null, 2)}\n` }
+    ];
+    for (const entry of entries) {
+      const blob = git(['hash-object', '-w', '--stdin'], { input: entry.content });
+      const target = path.posix.join(prefix || '.', entry.path);
+      git(['update-index', '--add', '--cacheinfo', `100644,${blob},${target}`], { env });
+    }
+
+    const tree = git(['write-tree'], { env });
+    const commit = git(['commit-tree', tree, '-p', 'HEAD', '-m', message || 'Add generated files']);
+    git(['branch', branch, commit]);
+    return commit;
+  } finally {
+    fs.rmSync(path.dirname(index), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read files as they are in the HEAD commit of the repository at `cwd`
+ */
+function readFromHead(cwd = process.cwd(), prefix = '') {
+  return (file) => {
+    try {
+      return execFileSync('git', ['show', `HEAD:${path.posix.join(prefix || '.', file)}`], {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+    } catch (error) {
+      return null;
+    }
+  };
+}
+
+/**
+ * Root of the git repository containing `cwd`, and `cwd` relative to it
+ */
+function gitRoot(cwd = process.cwd()) {
+  let root;
+  try {
+    root = execFileSync('git', ['rev-parse', '--show-toplevel'], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    execFileSync('git', ['rev-parse', '--verify', 'HEAD'], { cwd, stdio: 'ignore' });
+  } catch (error) {
+    throw new Error(`${path.resolve(cwd)} is not a git repository with at least one commit`);
+  }
+  return root;
+}
+
+function branchExists(git, branch) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function refuseConflicts(plan, force) {
+  const conflicts = plan.filter(file => file.status === 'conflict');
+  if (conflicts.length > 0 && !force) {
+    const error = new Error(
+      `${conflicts.length} file(s) would overwrite different content: ${conflicts.map(file => file.path).join(', ')}`
+    );
+    error.conflicts = conflicts.map(file => file.path);
+    throw error;
+  }
+}
+
+/**
+ * Manifest describing where each extracted file came from
+ */
+function buildManifest(run, plan, collected, target) {
+  return {
+    runId: run.id,
+    workflow: run.workflow,
+    mode: run.mode,
+    extractedAt: new Date().toISOString(),
+    target,
+    files: plan.map(file => ({
+      path: file.path,
+      agent: file.agent,
+      step: file.step,
+      language: file.language,
+      bytes: Buffer.byteLength(file.content),
+      sha256: crypto.createHash('sha256').update(file.content).digest('hex'),
+      status: file.status === 'conflict' ? 'overwritten' : file.status,
+      replaces: file.replaces
+    })),
+    unnamed: collected.unnamed,
+    rejected: collected.rejected
+  };
+}
+
+/**
+ * Unified diff of two texts, with a few lines of context around each change
+ */
+function unifiedDiff(before, after, file) {
+  const a = before === null ? [] : splitLines(before);
+  const b = splitLines(after);
+  const header = `--- ${before === null ? '/dev/null' : `a/${file}`}\n+++ b/${file}\n`;
+
+  const ops = a.length * b.length > MAX_DIFF_CELLS
+    ? [...a.map(line => ['-', line]), ...b.map(line => ['+', line])]
+    : diffLines(a, b);
+  if (!ops.some(([kind]) => kind !== ' ')) return '';
+
+  // Keep the lines within DIFF_CONTEXT of a change; each run of kept lines is a hunk
+  const changes = ops.map(([kind], index) => (kind !== ' ' ? index : -1)).filter(index => index >= 0);
+  const kept = ops.map((op, index) => changes.some(change => Math.abs(change - index) <= DIFF_CONTEXT));
+
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+
+  ops.forEach(([kind, line], index) => {
+    if (!kept[index]) {
+      hunk = null;
+    } else {
+      if (!hunk) {
+        hunk = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [] };
+        hunks.push(hunk);
+      }
+      hunk.lines.push(`${kind}${line}`);
+      if (kind !== '+') hunk.oldCount += 1;
+      if (kind !== '-') hunk.newCount += 1;
+    }
+
+    if (kind !== '+') oldLine += 1;
+    if (kind !== '-') newLine += 1;
+  });
+
+  return header + hunks.map(h =>
+    `@@ -${h.oldCount === 0 ? h.oldStart - 1 : h.oldStart},${h.oldCount} ` +
+    `+${h.newCount === 0 ? h.newStart - 1 : h.newStart},${h.newCount} @@\n${h.lines.join('\n')}\n`
+  ).join('');
+}
+
+/**
+ * Diff between two versions of an agent's output: per annotated file when
+ * either has any, else of the whole text
+ */
+function outputDiff(before, after) {
+  const filesOf = (text) => new Map(parseCodeBlocks(text)
+    .filter(block => block.path)
+    .map(block => [path.posix.normalize(block.path), block.content]));
+  const a = filesOf(before);
+  const b = filesOf(after);
+
+  if (a.size === 0 && b.size === 0) {
+    return unifiedDiff(String(before || ''), String(after || ''), 'output.md');
+  }
+  return [...new Set([...a.keys(), ...b.keys()])].sort()
+    .map(file => unifiedDiff(a.has(file) ? a.get(file) : null, b.has(file) ? b.get(file) : '', file))
+    .join('');
+}
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line operations turning `a` into `b`, from a longest common subsequence
+ */
+function diffLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push([' ', a[i]]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push(['-', a[i++]]);
+    } else {
+      ops.push(['+', b[j++]]);
+    }
+  }
+  while (i < a.length) ops.push(['-', a[i++]]);
+  while (j < b.length) ops.push(['+', b[j++]]);
+  return ops;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  DEFAULT_TYPES,
+  parseCodeBlocks,
+  collectArtifacts,
+  planArtifacts,
+  readFromDirectory,
+  readFromHead,
+  writeToDirectory,
+  writeToBranch,
+  gitRoot,
+  buildManifest,
+  unifiedDiff,
+  outputDiff
+};
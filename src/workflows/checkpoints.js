@@ -0,0 +1,66 @@
+/**
+ * Checkpoint Store - Completed step results for one workflow run, backed by
+ * the MemoryManager. Only successful results are checkpointed, so a resumed
+ * run re-executes failed steps.
+ */
+class CheckpointStore {
+  constructor(memory, runId, saved = new Map()) {
+    this.memory = memory;
+    this.runId = runId;
+    this.saved = saved;
+  }
+
+  /**
+   * Load the checkpoints already stored for a run
+   */
+  static async load(memory, runId) {
+    const rows = await memory.getCheckpoints(runId);
+    return new CheckpointStore(memory, runId, new Map(rows.map(row => [row.step, row.result])));
+  }
+
+  has(step) {
+    return this.saved.has(step);
+  }
+
+  get(step) {
+    return this.saved.get(step);
+  }
+
+  /**
+   * Persist a step result if it succeeded
+   */
+  async save(step, result) {
+    if (!result || !result.success) return;
+
+    await this.memory.saveCheckpoint(this.runId, step, result);
+    this.saved.set(step, result);
+  }
+
+  /**
+   * Drop the checkpoint for `from` and every step after it in `order`.
+   * Without `from`, truncate at the first step that has no checkpoint, so a
+   * resumed run continues after the last completed step.
+   * Returns the step the run will continue from (null if all are complete).
+   */
+  async truncate(order, from = null) {
+    let index;
+
+    if (from) {
+      index = order.indexOf(from);
+      if (index === -1) {
+        throw new Error(`Unknown step "${from}" (steps: ${order.join(', ')})`);
+      }
+    } else {
+      index = order.findIndex(step => !this.saved.has(step));
+      if (index === -1) return null;
+    }
+
+    const dropped = order.slice(index).filter(step => this.saved.has(step));
+    await this.memory.deleteCheckpoints(this.runId, dropped);
+    dropped.forEach(step => this.saved.delete(step));
+
+    return order[index];
+  }
+}
+
+module.exports = { CheckpointStore };
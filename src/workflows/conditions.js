@@ -0,0 +1,186 @@
+/**
+ * Runtime conditions for conditional workflows.
+ *
+ * A step can ask its agent for a structured verdict (`verdict: [simple, complex]`),
+ * given as a "VERDICT: <choice>" line or a fenced verdict block (see
+ * ../agents/markers.js), and later steps branch on it:
+ *   condition: complex                                  - latest verdict equals "complex"
+ *   condition: { step: assess, verdict: complex }       - verdict of a named step
+ *   condition: { step: assess, matches: "database" }    - regex on the step output
+ *   condition: { step: assess, path: "$.risk", equals: high } - JSONPath into JSON output
+ *   condition: else                                     - no other branch in the group ran
+ */
+
+const { findBlocks, findLines } = require('../agents/markers');
+
+const ELSE = 'else';
+
+/**
+ * Instruction appended to the prompt of a step that declares verdict options
+ */
+function verdictInstruction(options) {
+  return `\n\nEnd your response with a single line of the form "VERDICT: <choice>", ` +
+    `where <choice> is exactly one of: ${options.join(', ')}.`;
+}
+
+/**
+ * Extract the verdict from agent output. The last VERDICT line or verdict
+ * block ({"verdict": "<choice>"}, as reviewers and testers give it) wins;
+ * failing those, a JSON answer with a "verdict" field is accepted.
+ * Returns null when no valid option is found.
+ */
+function extractVerdict(text, options) {
+  if (typeof text !== 'string') return null;
+
+  const normalized = options.map(option => option.toLowerCase());
+  const lines = findLines(text, 'verdict')
+    .map(({ value, index }) => ({ value: (value.match(/^[A-Za-z0-9_-]+/) || [])[0], index }));
+  const blocks = findBlocks(text, ['verdict'])
+    .map(({ value, index }) => ({ value: value && value.verdict, index }));
+  const candidates = [...lines, ...blocks]
+    .filter(({ value }) => typeof value === 'string')
+    .sort((a, b) => a.index - b.index)
+    .map(({ value }) => value);
+
+  const json = extractJSON(text);
+  if (json && typeof json.verdict === 'string') {
+    candidates.unshift(json.verdict);
+  }
+
+  for (const candidate of candidates.reverse()) {
+    const index = normalized.indexOf(candidate.toLowerCase());
+    if (index !== -1) {
+      return options[index];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a JSON value in agent output: the whole text, a ```json fence,
+ * or the outermost {...} block. Returns undefined when nothing parses.
+ */
+function extractJSON(text) {
+  if (typeof text !== 'string') return undefined;
+
+  const attempts = [text.trim()];
+
+  const fence = text.match(/```(?:json)?\s*\n([\s\S]*?)```/i);
+  if (fence) attempts.push(fence[1]);
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) attempts.push(text.slice(start, end + 1));
+
+  for (const attempt of attempts) {
+    try {
+      return JSON.parse(attempt);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Evaluate a small JSONPath subset: $.a.b, $.items[0].name, $['key']
+ */
+function queryJSONPath(value, jsonPath) {
+  if (!jsonPath.startsWith('$')) {
+    throw new Error(`JSONPath must start with "$": ${jsonPath}`);
+  }
+
+  const tokens = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+  let consumed = 1;
+  let match;
+
+  while ((match = pattern.exec(jsonPath)) !== null) {
+    if (match.index !== consumed) break;
+    tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? Number(match[2]) : match[3]);
+    consumed = pattern.lastIndex;
+  }
+
+  if (consumed !== jsonPath.length) {
+    throw new Error(`Unsupported JSONPath: ${jsonPath}`);
+  }
+
+  return tokens.reduce(
+    (current, key) => (current !== undefined && current !== null ? current[key] : undefined),
+    value
+  );
+}
+
+/**
+ * Compile a `matches` pattern; case-insensitive by default
+ */
+function compilePattern(pattern) {
+  return new RegExp(pattern, 'i');
+}
+
+/**
+ * Evaluate a non-else condition against the outputs of earlier steps.
+ * `state.verdict` holds the latest verdict for the string shorthand.
+ */
+function evaluateCondition(condition, outputs, state = {}) {
+  if (typeof condition === 'string') {
+    return state.verdict === condition;
+  }
+
+  const output = outputs[condition.step];
+  if (!output || !output.success) {
+    return false;
+  }
+
+  if (condition.verdict !== undefined) {
+    return output.verdict === condition.verdict;
+  }
+
+  let subject = output.result;
+  if (condition.path !== undefined) {
+    const json = extractJSON(output.result);
+    if (json === undefined) return false;
+    subject = queryJSONPath(json, condition.path);
+    if (subject === undefined) return false;
+  }
+
+  if (condition.matches !== undefined) {
+    return compilePattern(condition.matches).test(
+      typeof subject === 'string' ? subject : JSON.stringify(subject)
+    );
+  }
+
+  if (condition.equals !== undefined) {
+    const actual = typeof subject === 'string' ? subject.trim() : subject;
+    return String(actual) === String(condition.equals);
+  }
+
+  return false;
+}
+
+/**
+ * Describe a condition for logs and decision records
+ */
+function describeCondition(condition) {
+  if (typeof condition === 'string') {
+    return condition === ELSE ? 'else' : `verdict = ${condition}`;
+  }
+
+  const subject = condition.path ? `${condition.step} ${condition.path}` : condition.step;
+  if (condition.verdict !== undefined) return `${condition.step} verdict = ${condition.verdict}`;
+  if (condition.matches !== undefined) return `${subject} matches /${condition.matches}/i`;
+  return `${subject} = ${condition.equals}`;
+}
+
+module.exports = {
+  ELSE,
+  verdictInstruction,
+  extractVerdict,
+  extractJSON,
+  queryJSONPath,
+  compilePattern,
+  evaluateCondition,
+  describeCondition
+};
@@ -0,0 +1,96 @@
+/**
+ * Dependency graph helpers for DAG workflows.
+ * Steps are { id, needs: [ids] }; a step runs once everything it needs is done.
+ */
+
+/**
+ * Find a dependency cycle, returning the ids along it (first id repeated at
+ * the end, e.g. ['a', 'b', 'a']) or null when the graph is acyclic
+ */
+function findCycle(steps) {
+  const needs = new Map(steps.map(step => [step.id, step.needs || []]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const trail = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 'done' || !needs.has(id)) return null;
+    if (state.get(id) === 'visiting') {
+      return [...trail.slice(trail.indexOf(id)), id];
+    }
+
+    state.set(id, 'visiting');
+    trail.push(id);
+
+    for (const dependency of needs.get(id)) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+
+    trail.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const step of steps) {
+    const cycle = visit(step.id);
+    if (cycle) return cycle;
+  }
+
+  return null;
+}
+
+/**
+ * Group steps into levels: every step in a level only needs steps from
+ * earlier levels, so each level can run concurrently.
+ * Throws if the graph contains a cycle.
+ */
+function topologicalLevels(steps) {
+  const cycle = findCycle(steps);
+  if (cycle) {
+    throw new Error(`Dependency cycle: ${cycle.join(' → ')}`);
+  }
+
+  const remaining = new Map(steps.map(step => [step.id, step]));
+  const done = new Set();
+  const levels = [];
+
+  while (remaining.size > 0) {
+    const level = Array.from(remaining.values())
+      .filter(step => (step.needs || []).every(id => done.has(id)));
+
+    if (level.length === 0) {
+      const blocked = Array.from(remaining.keys()).join(', ');
+      throw new Error(`Steps depend on unknown steps: ${blocked}`);
+    }
+
+    level.forEach(step => remaining.delete(step.id));
+    level.forEach(step => done.add(step.id));
+    levels.push(level);
+  }
+
+  return levels;
+}
+
+/**
+ * Collect every step id a step transitively depends on
+ */
+function ancestors(steps, id) {
+  const needs = new Map(steps.map(step => [step.id, step.needs || []]));
+  const seen = new Set();
+  const stack = [...(needs.get(id) || [])];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (seen.has(current) || current === id) continue;
+    seen.add(current);
+    stack.push(...(needs.get(current) || []));
+  }
+
+  return Array.from(seen);
+}
+
+module.exports = {
+  findCycle,
+  topologicalLevels,
+  ancestors
+};
@@ -1,13 +1,33 @@
 const path = require('path');
 const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { WorkflowLoader } = require('./loader');
+const { findReferences, renderTemplate } = require('./template');
+const { topologicalLevels } = require('./dag');
+const { CheckpointStore } = require('./checkpoints');
+const { ChunkQueue, StreamChunker } = require('./stream');
+const { SPARC_PHASES, SPARC_AGENTS, sparcPhaseOf, sparcSteps } = require('../coordination/hivemind');
+const { BudgetExceededError } = require('../coordination/usage');
+const {
+  ELSE,
+  verdictInstruction,
+  extractVerdict,
+  evaluateCondition,
+  describeCondition
+} = require('./conditions');
 
 /**
- * Workflow Engine - Executes predefined workflows
+ * Workflow Engine - Executes predefined and user-defined workflows
  */
 class WorkflowEngine {
-  constructor(hiveMind) {
+  constructor(hiveMind, options = {}) {
     this.hiveMind = hiveMind;
+    this.memory = options.memory || hiveMind.memory || null;
     this.workflows = new Map();
+    this.loader = new WorkflowLoader({
+      searchDirs: options.workflowDirs,
+      roles: hiveMind.configLoader ? hiveMind.configLoader.getRoles() : undefined
+    });
     this.loadBuiltInWorkflows();
   }
 
@@ -15,17 +35,26 @@ class WorkflowEngine {
    * Load built-in workflows
    */
   loadBuiltInWorkflows() {
-    // Full-stack development workflow
+    // Full-stack development workflow: the backend and frontend are built
+    // concurrently from the design (run it with --mode sparc for the SPARC phases)
     this.registerWorkflow('fullstack-dev', {
       name: 'Full-Stack Development',
       description: 'Complete full-stack application development',
-      mode: 'sparc',
+      mode: 'dag',
+      inputs: {
+        task: { description: 'The application or feature to build', required: true }
+      },
       steps: [
-        { agent: 'architect', task: 'design_system' },
-        { agent: 'coder-1', task: 'implement_backend' },
-        { agent: 'coder-2', task: 'implement_frontend' },
-        { agent: 'tester', task: 'create_tests' },
-        { agent: 'reviewer', task: 'review_code' }
+        { id: 'design', agent: 'architect', task: 'design_system',
+          prompt: 'Design the system architecture for: {{inputs.task}}' },
+        { id: 'backend', agent: 'coder-1', task: 'implement_backend', needs: ['design'],
+          prompt: 'Implement the backend for: {{inputs.task}}\n\nArchitecture:\n{{steps.design.result}}' },
+        { id: 'frontend', agent: 'coder-2', task: 'implement_frontend', needs: ['design'],
+          prompt: 'Implement the frontend for: {{inputs.task}}\n\nArchitecture:\n{{steps.design.result}}' },
+        { id: 'tests', agent: 'tester', task: 'create_tests', needs: ['backend', 'frontend'],
+          prompt: 'Write tests for the backend and frontend.\n\nBackend:\n{{steps.backend.result}}\n\nFrontend:\n{{steps.frontend.result}}' },
+        { id: 'review', agent: 'reviewer', task: 'review_code', needs: ['tests'],
+          prompt: 'Review the implementation and tests of: {{inputs.task}}\n\nTests:\n{{steps.tests.result}}' }
       ]
     });
 
@@ -34,10 +63,17 @@ class WorkflowEngine {
       name: 'Data Analysis',
       description: 'Comprehensive data analysis pipeline',
       mode: 'sequential',
+      inputs: {
+        data: { description: 'The data to analyze, or a description of the dataset', required: true },
+        objective: { description: 'What the analysis should answer', default: 'Identify the key trends and anomalies' }
+      },
       steps: [
-        { agent: 'analyst', task: 'analyze_data' },
-        { agent: 'analyst', task: 'generate_insights' },
-        { agent: 'reviewer', task: 'validate_findings' }
+        { id: 'analysis', agent: 'analyst', task: 'analyze_data',
+          prompt: 'Analyze the following data. Objective: {{inputs.objective}}\n\n{{inputs.data}}' },
+        { id: 'insights', agent: 'analyst', task: 'generate_insights',
+          prompt: 'Turn this analysis into actionable insights:\n\n{{steps.analysis.result}}' },
+        { id: 'validation', agent: 'reviewer', task: 'validate_findings',
+          prompt: 'Validate these findings against the original data and flag unsupported claims.\n\nFindings:\n{{steps.insights.result}}\n\nData:\n{{inputs.data}}' }
       ]
     });
 
@@ -46,10 +82,16 @@ class WorkflowEngine {
       name: 'Code Review',
       description: 'Automated code review process',
       mode: 'sequential',
+      inputs: {
+        code: { description: 'The code to review', required: true }
+      },
       steps: [
-        { agent: 'reviewer', task: 'security_audit' },
-        { agent: 'reviewer', task: 'quality_check' },
-        { agent: 'tester', task: 'test_coverage' }
+        { id: 'security', agent: 'reviewer', task: 'security_audit',
+          prompt: 'Perform a security audit of this code:\n\n{{inputs.code}}' },
+        { id: 'quality', agent: 'reviewer', task: 'quality_check',
+          prompt: 'Check this code for quality and maintainability issues:\n\n{{inputs.code}}' },
+        { id: 'coverage', agent: 'tester', task: 'test_coverage',
+          prompt: 'Identify missing test coverage in this code, including the issues raised so far.\n\nCode:\n{{inputs.code}}\n\nSecurity audit:\n{{steps.security.result}}\n\nQuality check:\n{{steps.quality.result}}' }
       ]
     });
 
@@ -58,9 +100,13 @@ class WorkflowEngine {
       name: 'Parallel Development',
       description: 'Multiple features developed in parallel',
       mode: 'parallel',
+      inputs: {
+        feature_a: { description: 'First feature to implement', required: true },
+        feature_b: { description: 'Second feature to implement', required: true }
+      },
       steps: [
-        { agent: 'coder-1', task: 'feature_a' },
-        { agent: 'coder-2', task: 'feature_b' }
+        { id: 'feature_a', agent: 'coder-1', task: 'feature_a', prompt: 'Implement: {{inputs.feature_a}}' },
+        { id: 'feature_b', agent: 'coder-2', task: 'feature_b', prompt: 'Implement: {{inputs.feature_b}}' }
       ]
     });
 
@@ -69,10 +115,16 @@ class WorkflowEngine {
       name: 'Sequential Testing',
       description: 'Progressive testing pipeline',
       mode: 'sequential',
+      inputs: {
+        code: { description: 'The code under test', required: true }
+      },
       steps: [
-        { agent: 'tester', task: 'unit_tests' },
-        { agent: 'tester', task: 'integration_tests' },
-        { agent: 'tester', task: 'e2e_tests' }
+        { id: 'unit', agent: 'tester', task: 'unit_tests',
+          prompt: 'Write unit tests for:\n\n{{inputs.code}}' },
+        { id: 'integration', agent: 'tester', task: 'integration_tests',
+          prompt: 'Write integration tests for the code below, building on these unit tests:\n\n{{steps.unit.result}}\n\nCode:\n{{inputs.code}}' },
+        { id: 'e2e', agent: 'tester', task: 'e2e_tests',
+          prompt: 'Write end-to-end tests covering the user flows of the code below.\n\nCode:\n{{inputs.code}}' }
       ]
     });
 
@@ -81,10 +133,16 @@ class WorkflowEngine {
       name: 'Conditional Branching',
       description: 'Workflow with conditional logic',
       mode: 'conditional',
+      inputs: {
+        requirements: { description: 'The requirements to assess', required: true }
+      },
       steps: [
-        { agent: 'architect', task: 'assess_requirements' },
-        { condition: 'simple', agent: 'coder-1', task: 'simple_implementation' },
-        { condition: 'complex', agent: 'architect', task: 'detailed_design' }
+        { id: 'assess', agent: 'architect', task: 'assess_requirements', verdict: ['simple', 'complex'],
+          prompt: 'Assess whether these requirements are simple or complex:\n\n{{inputs.requirements}}' },
+        { id: 'simple', condition: 'simple', agent: 'coder-1', task: 'simple_implementation',
+          prompt: 'Implement these requirements directly:\n\n{{inputs.requirements}}' },
+        { id: 'complex', condition: 'complex', agent: 'architect', task: 'detailed_design',
+          prompt: 'Produce a detailed design for these requirements:\n\n{{inputs.requirements}}\n\nAssessment:\n{{steps.assess.result}}' }
       ]
     });
 
@@ -93,10 +151,16 @@ class WorkflowEngine {
       name: 'Stream Chain',
       description: 'Streaming data through agent chain',
       mode: 'stream',
+      inputs: {
+        data: { description: 'The data to stream through the chain', required: true }
+      },
       steps: [
-        { agent: 'analyst', task: 'process_stream' },
-        { agent: 'coder', task: 'transform_data' },
-        { agent: 'reviewer', task: 'validate_output' }
+        { id: 'process', agent: 'analyst', task: 'process_stream',
+          prompt: 'Process and normalize this data:\n\n{{inputs.data}}' },
+        { id: 'transform', agent: 'coder-1', task: 'transform_data',
+          prompt: 'Transform the processed data into JSON records:\n\n{{steps.process.result}}' },
+        { id: 'validate', agent: 'reviewer', task: 'validate_output',
+          prompt: 'Validate these JSON records for correctness and completeness:\n\n{{steps.transform.result}}' }
       ]
     });
   }
@@ -105,29 +169,263 @@ class WorkflowEngine {
    * Register a custom workflow
    */
   registerWorkflow(name, definition) {
+    this.loader.assertValid(definition, name);
     this.workflows.set(name, definition);
   }
 
   /**
-   * Execute a workflow
+   * Resolve a workflow reference: a file path, a file in a workflows/
+   * directory, or a built-in workflow name (in that order)
    */
-  async execute(workflowName, options = {}) {
-    const workflow = this.workflows.get(workflowName);
-    
+  async resolveWorkflow(reference) {
+    if (this.loader.isPath(reference)) {
+      return await this.loader.loadFile(reference);
+    }
+
+    const file = await this.loader.findByName(reference);
+    if (file) {
+      return await this.loader.loadFile(file);
+    }
+
+    const workflow = this.workflows.get(reference);
     if (!workflow) {
-      throw new Error(`Workflow not found: ${workflowName}`);
+      throw new Error(`Workflow not found: ${reference}`);
     }
 
+    return workflow;
+  }
+
+  /**
+   * Execute a workflow
+   */
+  async execute(workflowName, options = {}) {
+    const workflow = await this.resolveWorkflow(workflowName);
+    const mode = options.mode || workflow.mode;
+
+    // Resolve every input before any agent is called
+    options = {
+      ...options,
+      inputs: this.resolveInputs(workflow, mode, options.inputs)
+    };
+
     console.log(`\n🎬 Starting workflow: ${workflow.name}`);
-    console.log(`📝 Description: ${workflow.description}`);
-    console.log(`⚙️  Mode: ${workflow.mode}\n`);
+    if (workflow.description) {
+      console.log(`📝 Description: ${workflow.description}`);
+    }
+    console.log(`⚙️  Mode: ${mode}\n`);
 
-    // Initialize hive mind if not already done
+    // Initialize hive mind if not already done; a swarm run uses the
+    // swarm's agents and limits
     if (this.hiveMind.agents.size === 0) {
-      await this.hiveMind.initialize();
+      await this.hiveMind.initialize({ swarm: options.swarm });
+    } else {
+      await this.hiveMind.useSwarm(options.swarm || null);
+    }
+    if (options.swarm) {
+      this.checkSwarmAgents(workflow, mode, options.swarm);
     }
+    this.hiveMind.usage.reset();
 
-    const mode = options.mode || workflow.mode;
+    const run = await this.startRun(workflowName, workflow, mode, options);
+    if (run) {
+      options = { ...options, runId: run.id, checkpoints: run.checkpoints };
+      this.hiveMind.recorder.setRun(run.id, workflow.name);
+    }
+    this.hiveMind.retriever.configure(workflow.memory, run ? run.id : null);
+    this.hiveMind.configureRun(workflow);
+    if (this.hiveMind.retriever.enabled) {
+      const { scope, maxTokens } = this.hiveMind.retriever.settings;
+      console.log(`🧠 Memory retrieval: ${scope} scope, up to ~${maxTokens} tokens per call`);
+    }
+    this.hiveMind.tools.configure(run ? run.id : null, options.workspace);
+
+    let results;
+
+    try {
+      results = await this.executeMode(workflow, mode, options);
+    } catch (error) {
+      const aborted = error instanceof BudgetExceededError;
+      if (run) {
+        await this.memory.updateRunStatus(run.id, aborted ? 'aborted' : 'failed', error.message);
+        error.runId = run.id;
+      }
+      if (aborted) {
+        error.mode = mode;
+        error.usage = this.summarizeUsage(mode);
+      }
+      throw error;
+    }
+
+    // A consensus run succeeds when the voters reached an answer, even if
+    // some of them abstained (a failed call is an abstention)
+    const failed = countFailures(mode === 'consensus' ? results.consensus : results);
+    if (run) {
+      await this.memory.updateRunStatus(
+        run.id,
+        failed > 0 ? 'failed' : 'completed',
+        failed > 0 ? `${failed} step${failed > 1 ? 's' : ''} failed` : runNote(mode, results)
+      );
+    }
+
+    return {
+      runId: run ? run.id : null,
+      workflow: workflowName,
+      mode,
+      results,
+      failures: failed,
+      usage: this.summarizeUsage(mode),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Fail before any call when a swarm lacks an agent the workflow needs
+   */
+  checkSwarmAgents(workflow, mode, swarm) {
+    let needed = workflow.steps.map(step => step.agent);
+    if (mode === 'sparc') {
+      needed = SPARC_AGENTS;
+    } else if (mode === 'consensus' && this.consensusSettings(workflow).rule === 'judge') {
+      needed = [...needed, this.consensusSettings(workflow).judge || 'architect'];
+    }
+
+    const missing = [...new Set(needed)].filter(name => name && !this.hiveMind.getAgent(name));
+    if (missing.length > 0) {
+      throw new Error(`Swarm ${swarm} has no agent named ${missing.join(', ')} ` +
+        `(agents: ${this.hiveMind.getAgents().map(agent => agent.name.slice(swarm.length + 1)).join(', ')})`);
+    }
+  }
+
+  /**
+   * Token and cost totals of the current run, per agent and per step
+   * (per phase for SPARC)
+   */
+  summarizeUsage(mode) {
+    return this.hiveMind.usage.summary(mode === 'sparc' ? sparcPhaseOf : undefined);
+  }
+
+  /**
+   * Resume a recorded run: completed steps are restored from their
+   * checkpoints and execution continues after the last completed step,
+   * or from `fromPhase` (a SPARC phase or a step id) when given
+   */
+  async resume(runId, options = {}) {
+    if (!this.memory) {
+      throw new Error('Resuming requires a memory manager');
+    }
+
+    const run = await this.memory.getRun(runId);
+    if (!run) {
+      throw new Error(`Run not found: ${runId}`);
+    }
+
+    return await this.execute(run.workflow, {
+      ...run.options,
+      ...options,
+      mode: run.mode,
+      resume: { runId, from: options.fromPhase || null }
+    });
+  }
+
+  /**
+   * Record a new run, or reload the checkpoints of a resumed one.
+   * Returns null when no memory manager is configured.
+   */
+  async startRun(workflowName, workflow, mode, options) {
+    if (!this.memory) return null;
+
+    const checkpointed = this.supportsCheckpoints(mode);
+
+    if (!options.resume) {
+      const runId = uuidv4().split('-')[0];
+      const reference = this.loader.isPath(workflowName) ? path.resolve(workflowName) : workflowName;
+
+      await this.memory.createRun(runId, reference, mode, {
+        swarm: options.swarm,
+        inputs: options.inputs,
+        task: options.task,
+        context: options.context,
+        workspace: options.workspace
+      });
+      console.log(`🆔 Run ID: ${runId}\n`);
+
+      return {
+        id: runId,
+        checkpoints: checkpointed ? new CheckpointStore(this.memory, runId) : null
+      };
+    }
+
+    const { runId, from } = options.resume;
+
+    if (!checkpointed) {
+      throw new Error(`Resume is only supported for sparc, sequential and dag runs (run ${runId} used ${mode})`);
+    }
+
+    if (from && mode === 'sparc' && this.getModeSettings('sparc').allow_backtrack === false) {
+      throw new Error('Re-running from a SPARC phase is disabled (workflows.sparc.allow_backtrack)');
+    }
+
+    const checkpoints = await CheckpointStore.load(this.memory, runId);
+    const order = this.checkpointOrder(workflow, mode, options, checkpoints);
+    const start = await checkpoints.truncate(order, from ? this.resolveCheckpointStep(mode, from) : null);
+
+    await this.memory.updateRunStatus(runId, 'running');
+    console.log(start
+      ? `↻ Resuming run ${runId} from ${start}\n`
+      : `↻ Run ${runId} has no incomplete steps; restoring all results\n`);
+
+    return { id: runId, checkpoints };
+  }
+
+  /**
+   * Checkpointing applies to SPARC (unless disabled in coordination.json),
+   * sequential and DAG runs
+   */
+  supportsCheckpoints(mode) {
+    if (mode === 'sparc') {
+      return this.getModeSettings('sparc').checkpoint_enabled !== false;
+    }
+    return mode === 'sequential' || mode === 'dag';
+  }
+
+  /**
+   * The checkpoint keys of a run in execution order
+   */
+  checkpointOrder(workflow, mode, options, checkpoints = null) {
+    if (mode === 'sparc') {
+      return sparcSteps(checkpoints, this.getModeSettings('sparc').max_refinement_rounds);
+    }
+    if (mode === 'dag') {
+      // A step comes after every step it needs, so re-running from it also
+      // re-runs its dependents
+      return topologicalLevels(this.buildTasks(workflow, options)).flat().map(task => task.id);
+    }
+    return this.buildTasks(workflow, options).map(task => task.id);
+  }
+
+  /**
+   * Map a --from-phase value to a checkpoint key: SPARC phase names
+   * resolve to the first result of that phase
+   */
+  resolveCheckpointStep(mode, from) {
+    if (mode === 'sparc') {
+      const phase = SPARC_PHASES.find(p => p.phase === from);
+      if (phase) return phase.steps[0];
+    }
+    return from;
+  }
+
+  /**
+   * Get the coordination.json settings for a mode
+   */
+  getModeSettings(mode) {
+    return this.hiveMind.configLoader ? this.hiveMind.configLoader.getWorkflowSettings(mode) : {};
+  }
+
+  /**
+   * Dispatch to the executor for a mode
+   */
+  async executeMode(workflow, mode, options) {
     let results;
 
     switch (mode) {
@@ -146,96 +444,406 @@ class WorkflowEngine {
       case 'stream':
         results = await this.executeStreamWorkflow(workflow, options);
         break;
+      case 'dag':
+        results = await this.executeDAGWorkflow(workflow, options);
+        break;
+      case 'consensus':
+        results = await this.executeConsensusWorkflow(workflow, options);
+        break;
       default:
         throw new Error(`Unknown workflow mode: ${mode}`);
     }
 
-    return {
-      workflow: workflowName,
-      mode,
-      results,
-      timestamp: Date.now()
-    };
+    return results;
   }
 
   /**
-   * Execute SPARC mode workflow
+   * Merge provided inputs with declared defaults and check that every
+   * variable the workflow's templates reference can be resolved
    */
-  async executeSPARCWorkflow(workflow, options) {
-    const task = options.task || 'Execute workflow tasks';
-    return await this.hiveMind.coordinateSPARC(task, options);
+  resolveInputs(workflow, mode, provided = {}) {
+    let declared = workflow.inputs || {};
+    // SPARC runs its phases on a `task` input, which any workflow accepts
+    // when run with --mode sparc
+    if (mode === 'sparc' && !declared.task) {
+      declared = { ...declared, task: { description: 'The task for the SPARC phases', required: true } };
+    }
+    const values = {};
+
+    const unknown = Object.keys(provided).filter(name => !Object.prototype.hasOwnProperty.call(declared, name));
+    if (unknown.length > 0) {
+      const known = Object.keys(declared);
+      throw new Error(
+        `Unknown input${unknown.length > 1 ? 's' : ''} for workflow ${workflow.name}: ${unknown.join(', ')}` +
+        ` (declared: ${known.length > 0 ? known.join(', ') : 'none'})`
+      );
+    }
+
+    for (const [name, input] of Object.entries(declared)) {
+      if (provided[name] !== undefined) {
+        values[name] = provided[name];
+      } else if (input.default !== undefined) {
+        values[name] = input.default;
+      }
+    }
+
+    // A mode override can make step references invalid (e.g. forcing parallel)
+    if (mode !== workflow.mode) {
+      this.loader.assertValid({ ...workflow, mode }, workflow.name);
+    }
+
+    const required = new Set(
+      Object.entries(declared).filter(([, input]) => input.required).map(([name]) => name)
+    );
+
+    for (const step of workflow.steps) {
+      for (const reference of [...findReferences(step.prompt), ...findReferences(step.task)]) {
+        const [root, name] = reference.split('.');
+        if (root === 'inputs') required.add(name);
+      }
+    }
+
+    if (mode === 'sparc') {
+      required.add('task');
+    }
+
+    const missing = Array.from(required).filter(name => values[name] === undefined);
+    if (missing.length > 0) {
+      const details = missing.map(name => (
+        declared[name] && declared[name].description ? `${name} (${declared[name].description})` : name
+      ));
+      throw new Error(
+        `Missing workflow input${missing.length > 1 ? 's' : ''}: ${details.join(', ')}\n` +
+        `Pass them with --input name=value or --input-file name=path`
+      );
+    }
+
+    return values;
   }
 
   /**
-   * Execute parallel workflow
+   * Build HiveMind tasks from workflow steps. Each task renders its prompt
+   * from the workflow inputs and the outputs of the steps that ran before it.
    */
-  async executeParallelWorkflow(workflow, options) {
-    const tasks = workflow.steps.map(step => ({
+  buildTasks(workflow, options) {
+    return workflow.steps.map((step, index) => ({
+      id: stepId(step, index),
       agent: step.agent,
-      description: step.task,
+      description: step.task || stepId(step, index),
+      needs: step.needs || [],
+      template: step.prompt || step.task,
+      render: (outputs) => renderTemplate(step.prompt || step.task, {
+        inputs: options.inputs,
+        steps: outputs
+      }),
       context: options.context || {}
     }));
+  }
+
+  /**
+   * Execute SPARC mode workflow
+   */
+  async executeSPARCWorkflow(workflow, options) {
+    const task = options.task || options.inputs.task;
+    return await this.hiveMind.coordinateSPARC(task, {
+      ...options,
+      stopOnError: this.getModeSettings('sparc').stop_on_error === true,
+      maxRounds: this.getModeSettings('sparc').max_refinement_rounds
+    });
+  }
 
-    return await this.hiveMind.coordinateParallel(tasks);
+  /**
+   * Execute parallel workflow
+   */
+  async executeParallelWorkflow(workflow, options) {
+    return await this.hiveMind.coordinateParallel(this.buildTasks(workflow, options), {
+      failureHandling: this.getModeSettings('parallel').failure_handling
+    });
   }
 
   /**
    * Execute sequential workflow
    */
   async executeSequentialWorkflow(workflow, options) {
-    const tasks = workflow.steps.map(step => ({
+    return await this.hiveMind.coordinateSequential(this.buildTasks(workflow, options), {
+      checkpoints: options.checkpoints,
+      stopOnError: this.getModeSettings('sequential').stop_on_error === true
+    });
+  }
+
+  /**
+   * Execute DAG workflow: independent branches run concurrently and each
+   * step receives the outputs of the steps it needs
+   */
+  async executeDAGWorkflow(workflow, options) {
+    return await this.hiveMind.coordinateDAG(this.buildTasks(workflow, options), {
+      checkpoints: options.checkpoints,
+      signal: options.signal,
+      stopOnError: this.getModeSettings('dag').stop_on_error === true
+    });
+  }
+
+  /**
+   * Execute consensus workflow: each step is a voter asked its prompt, and
+   * the workflow's `consensus` settings (over coordination.json defaults)
+   * pick the answer
+   */
+  async executeConsensusWorkflow(workflow, options) {
+    const settings = this.consensusSettings(workflow);
+    const voters = this.buildTasks(workflow, options).map(task => ({
+      agent: task.agent,
+      id: task.id,
+      question: this.hiveMind.resolvePrompt(task, {})
+    }));
+
+    return await this.hiveMind.coordinateConsensus(voters[0].question, voters, {
+      rule: settings.rule,
+      options: settings.options,
+      judge: settings.judge,
+      tierWeights: settings.tier_weights
+    });
+  }
+
+  consensusSettings(workflow) {
+    return { ...this.getModeSettings('consensus'), ...workflow.consensus };
+  }
+
+  /**
+   * Preview the execution order of a workflow without calling any agent.
+   * Returns the steps grouped into stages; steps in a stage run concurrently.
+   */
+  async plan(workflowName, options = {}) {
+    const workflow = await this.resolveWorkflow(workflowName);
+    const mode = options.mode || workflow.mode;
+
+    if (mode !== workflow.mode) {
+      this.loader.assertValid({ ...workflow, mode }, workflow.name);
+    }
+
+    const steps = workflow.steps.map((step, index) => ({
+      id: stepId(step, index),
       agent: step.agent,
-      description: step.task,
-      context: options.context || {}
+      task: step.task,
+      needs: step.needs || [],
+      condition: step.condition !== undefined ? describeCondition(step.condition) : undefined
     }));
 
-    return await this.hiveMind.coordinateSequential(tasks);
+    let stages;
+    switch (mode) {
+      case 'dag':
+        stages = topologicalLevels(steps);
+        break;
+      case 'parallel':
+        stages = [steps];
+        break;
+      case 'consensus': {
+        // Voters answer together; a judge only runs when they disagree
+        const settings = this.consensusSettings(workflow);
+        stages = [steps];
+        if (settings.rule === 'judge') {
+          stages.push([{ id: 'judge', agent: settings.judge || 'architect', needs: steps.map(step => step.id) }]);
+        }
+        break;
+      }
+      case 'sparc':
+        // SPARC runs its fixed phases rather than the workflow steps
+        stages = ['specification', 'pseudocode', 'architecture', 'refinement', 'completion']
+          .map(phase => [{ id: phase, needs: [] }]);
+        break;
+      default:
+        stages = steps.map(step => [step]);
+    }
+
+    return { workflow, mode, stages };
   }
 
   /**
-   * Execute conditional workflow
+   * Execute conditional workflow. Branches are chosen at runtime from the
+   * verdicts and outputs of earlier steps; an `else` step runs when no other
+   * step in its branch group ran.
    */
   async executeConditionalWorkflow(workflow, options) {
     console.log('🔀 Conditional workflow execution');
     
     const results = [];
-    const condition = options.condition || 'simple';
+    const decisions = [];
+    const outputs = {};
+    const state = { verdict: null };
+    const settings = this.getModeSettings('conditional');
+    const defaultBranch = workflow.default_branch || settings.default_branch;
+    let branchTaken = false;
     
-    for (const step of workflow.steps) {
-      if (!step.condition || step.condition === condition) {
-        const agent = this.hiveMind.getAgent(step.agent);
-        if (agent) {
-          const result = await agent.process(step.task, options.context || {});
-          results.push(result);
-        }
+    for (const task of this.buildTasks(workflow, options)) {
+      const step = workflow.steps.find((s, index) => stepId(s, index) === task.id);
+
+      if (step.condition === undefined) {
+        branchTaken = false;
+      } else {
+        const taken = step.condition === ELSE
+          ? !branchTaken
+          : evaluateCondition(step.condition, outputs, state);
+
+        console.log(`  ${taken ? '↳' : '⤼'} ${task.id}: ${describeCondition(step.condition)} → ${taken ? 'taken' : 'skipped'}`);
+        decisions.push({
+          type: 'branch',
+          step: task.id,
+          condition: describeCondition(step.condition),
+          taken
+        });
+        await this.hiveMind.recorder.decision('branch', {
+          step: task.id,
+          condition: step.condition
+        }, { taken });
+
+        if (!taken) continue;
+        branchTaken = true;
+      }
+
+      const agent = this.hiveMind.getAgent(task.agent);
+      if (!agent) {
+        throw new Error(`Agent ${task.agent} not found`);
+      }
+
+      let prompt = task.render(outputs);
+      if (step.verdict) {
+        prompt += verdictInstruction(step.verdict);
       }
+
+      const result = await agent.process(prompt, task.context, { step: task.id });
+
+      if (step.verdict) {
+        const verdict = result.success ? extractVerdict(result.result, step.verdict) : null;
+        const fallback = verdict === null && step.verdict.includes(defaultBranch);
+        result.verdict = fallback ? defaultBranch : verdict;
+        state.verdict = result.verdict;
+
+        console.log(`  🧭 ${task.id}: verdict ${result.verdict || 'none'}${fallback ? ' (default_branch)' : ''}`);
+        decisions.push({
+          type: 'verdict',
+          step: task.id,
+          options: step.verdict,
+          verdict: result.verdict,
+          fallback
+        });
+        await this.hiveMind.recorder.decision('verdict', {
+          step: task.id,
+          options: step.verdict
+        }, { verdict: result.verdict, fallback });
+      }
+
+      results.push(result);
+      outputs[task.id] = result;
     }
     
-    return results;
+    return { steps: results, decisions };
   }
 
   /**
-   * Execute stream workflow
+   * Execute stream workflow: each agent's output is cut into chunks as it
+   * streams in, and the next agent processes every chunk as soon as it is
+   * queued. Chunk size comes from `buffer_size`; with `backpressure` an
+   * agent stops reading its response while the next agent is one chunk behind.
    */
   async executeStreamWorkflow(workflow, options) {
     console.log('📡 Stream workflow execution');
-    
+
+    const settings = this.getModeSettings('stream');
+    const chunkSize = settings.chunk_processing === false ? Infinity : (settings.buffer_size || 1024);
+    let capacity = settings.backpressure === false ? Infinity : 1;
+
+    const templates = new Map(workflow.steps.map((step, index) => [stepId(step, index), step.prompt || step.task]));
+    const tasks = this.buildTasks(workflow, options);
+    // Every stage feeds the next, so the chain cannot skip a missing agent
+    const agents = tasks.map(task => {
+      const agent = this.hiveMind.getAgent(task.agent);
+      if (!agent) {
+        throw new Error(`Unknown agent ${task.agent} in step ${task.id}`);
+      }
+      return agent;
+    });
+
+    // A stage blocked on a full queue keeps its call slot, so backpressure
+    // would deadlock if the limits cannot fit every stage at once
+    if (capacity !== Infinity && !this.hiveMind.limiter.canRunTogether(agents)) {
+      console.log('  ⚠️  Concurrency limits cannot run every agent in the chain at once; ' +
+        'buffering chunks without backpressure');
+      capacity = Infinity;
+    }
+    const queues = tasks.slice(1).map(() => new ChunkQueue(capacity));
+
+    const stages = tasks.map((task, index) => {
+      const previous = index > 0 ? tasks[index - 1] : null;
+      // The chunk fills {{steps.<previous>.result}}; a prompt without that
+      // reference receives it as stream input instead
+      const embedsChunk = previous &&
+        findReferences(templates.get(task.id)).includes(`steps.${previous.id}.result`);
+
+      return this.runStreamStage(task, {
+        input: previous ? queues[index - 1] : null,
+        output: queues[index] || null,
+        chunkSize,
+        prompt: chunk => task.render(previous ? { [previous.id]: { success: true, result: chunk } } : {}),
+        context: chunk => ({
+          ...task.context,
+          streamData: previous ? (embedsChunk ? undefined : chunk) : options.streamData
+        })
+      });
+    });
+
+    return await Promise.all(stages);
+  }
+
+  /**
+   * Run one agent of a stream chain over its input chunks (or once, for the
+   * first agent), writing its chunked output to the next agent's queue
+   */
+  async runStreamStage(task, { input, output, chunkSize, prompt, context }) {
+    const agent = this.hiveMind.getAgent(task.agent);
+    const chunker = output ? new StreamChunker(chunkSize, chunk => output.push(chunk)) : null;
     const results = [];
-    let streamData = options.streamData || null;
-    
-    for (const step of workflow.steps) {
-      const agent = this.hiveMind.getAgent(step.agent);
-      if (agent) {
-        const result = await agent.process(step.task, {
-          ...options.context,
-          streamData
-        });
-        results.push(result);
-        streamData = result; // Chain the output
+
+    const call = async (chunk, label) => {
+      console.log(`  → ${agent.name}: ${task.id}${label}`);
+      const result = await agent.process(prompt(chunk), context(chunk), {
+        step: task.id,
+        onToken: chunker ? text => chunker.write(text) : () => {}
+      });
+      if (chunker) await chunker.flush();
+      results.push(result);
+    };
+
+    try {
+      if (input) {
+        let count = 0;
+        for await (const chunk of input) {
+          await call(chunk, ` (chunk ${++count})`);
+        }
+      } else {
+        await call(null, '');
       }
+    } finally {
+      // Unblock both neighbours if this stage stops early
+      if (input) input.close();
+      if (output) output.close();
     }
-    
-    return results;
+
+    const failures = results.filter(result => !result.success);
+    const succeeded = results.filter(result => result.success);
+
+    return {
+      success: results.length > 0 && failures.length === 0,
+      result: succeeded.map(result => result.result).join('\n'),
+      chunks: results.length,
+      error: results.length === 0
+        ? 'No input received from the previous agent'
+        : failures.map(result => result.error).join('; ') || undefined,
+      metadata: {
+        agent: agent.name,
+        role: agent.role,
+        model: agent.model,
+        timestamp: Date.now()
+      }
+    };
   }
 
   /**
@@ -245,6 +853,29 @@ class WorkflowEngine {
     return Array.from(this.workflows.values());
   }
 
+  /**
+   * List built-in workflows together with those found in workflows/ directories.
+   * Invalid files are listed with their validation error instead of throwing.
+   */
+  async listAllWorkflows() {
+    const entries = new Map();
+
+    for (const [name, workflow] of this.workflows) {
+      entries.set(name, { name, description: workflow.description, source: 'built-in' });
+    }
+
+    for (const { name, file } of await this.loader.listFiles()) {
+      try {
+        const workflow = await this.loader.loadFile(file);
+        entries.set(name, { name, description: workflow.description || workflow.name, source: file });
+      } catch (error) {
+        entries.set(name, { name, source: file, error: error.message });
+      }
+    }
+
+    return Array.from(entries.values());
+  }
+
   /**
    * Get workflow details
    */
@@ -253,4 +884,41 @@ class WorkflowEngine {
   }
 }
 
+/**
+ * Count failed agent results anywhere in a mode's results
+ * (arrays, objects keyed by step or phase, or { steps, decisions })
+ */
+function countFailures(value) {
+  if (Array.isArray(value)) {
+    return value.reduce((sum, item) => sum + countFailures(item), 0);
+  }
+  if (!value || typeof value !== 'object') {
+    return 0;
+  }
+  if (typeof value.success === 'boolean') {
+    // Steps skipped because of an earlier failure are not failures themselves
+    return value.success || value.skipped ? 0 : 1;
+  }
+  return Object.values(value).reduce((sum, item) => sum + countFailures(item), 0);
+}
+
+/**
+ * What to note on a run that completed: the voters that abstained from a
+ * consensus, or nothing
+ */
+function runNote(mode, results) {
+  const abstentions = mode === 'consensus' ? results.consensus.metadata.abstentions : [];
+  if (abstentions.length === 0) return null;
+
+  return `${abstentions.length} voter${abstentions.length > 1 ? 's' : ''} abstained: ` +
+    abstentions.map(({ agent, reason }) => `${agent} (${reason})`).join(', ');
+}
+
+/**
+ * Steps without an explicit id are addressed as step1, step2, ...
+ */
+function stepId(step, index) {
+  return step.id || `step${index + 1}`;
+}
+
 module.exports = { WorkflowEngine };
@@ -0,0 +1,613 @@
+const path = require('path');
+const fs = require('fs').promises;
+const YAML = require('yaml');
+const { findReferences, checkReference } = require('./template');
+const { findCycle, ancestors } = require('./dag');
+const { ELSE, compilePattern, queryJSONPath } = require('./conditions');
+const { CONSENSUS_RULES } = require('../coordination/consensus');
+
+const WORKFLOW_MODES = ['sparc', 'parallel', 'sequential', 'conditional', 'stream', 'dag', 'consensus'];
+const WORKFLOW_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const DEFAULT_ROLES = ['architect', 'coder', 'tester', 'analyst', 'reviewer'];
+const STEP_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const WORKFLOW_FIELDS = ['name', 'description', 'mode', 'inputs', 'default_branch', 'memory', 'consensus', 'delegation', 'escalation', 'steps'];
+const CONSENSUS_FIELDS = ['rule', 'options', 'judge', 'tier_weights'];
+const INPUT_FIELDS = ['description', 'required', 'default'];
+const MEMORY_FIELDS = ['retrieval', 'max_tokens', 'max_results', 'scope'];
+const MEMORY_SCOPES = ['agent', 'project'];
+const STEP_FIELDS = ['id', 'agent', 'task', 'prompt', 'needs', 'verdict', 'condition'];
+const CONDITION_FIELDS = ['step', 'verdict', 'path', 'equals', 'matches'];
+
+/**
+ * Error raised when a workflow file cannot be parsed or fails validation.
+ * Each entry in `errors` carries the offending line and column when the
+ * workflow came from a file; workflows registered from JS have no positions.
+ */
+class WorkflowValidationError extends Error {
+  constructor(file, errors, name = null) {
+    const location = file ? (path.relative(process.cwd(), file) || file) : `"${name}"`;
+    const lines = errors.map(e => (
+      e.line ? `  ${location}:${e.line}:${e.column} ${e.message}` : `  ${e.message}`
+    ));
+    super(`Invalid workflow ${location}:\n${lines.join('\n')}`);
+    this.name = 'WorkflowValidationError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Workflow Loader - Reads user-defined workflows from YAML or JSON files
+ */
+class WorkflowLoader {
+  constructor(options = {}) {
+    this.searchDirs = options.searchDirs || [path.join(process.cwd(), 'workflows')];
+    this.roles = options.roles || DEFAULT_ROLES;
+  }
+
+  /**
+   * Check whether a workflow reference looks like a file path rather than a name
+   */
+  isPath(reference) {
+    return reference.includes('/') ||
+      reference.includes(path.sep) ||
+      WORKFLOW_EXTENSIONS.includes(path.extname(reference).toLowerCase());
+  }
+
+  /**
+   * Find the file for a workflow name in the search directories
+   */
+  async findByName(name) {
+    for (const dir of this.searchDirs) {
+      for (const ext of WORKFLOW_EXTENSIONS) {
+        const candidate = path.join(dir, `${name}${ext}`);
+        if (await fileExists(candidate)) {
+          return candidate;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List the workflow files found in the search directories
+   */
+  async listFiles() {
+    const files = [];
+
+    for (const dir of this.searchDirs) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const entry of entries.sort()) {
+        const ext = path.extname(entry).toLowerCase();
+        if (WORKFLOW_EXTENSIONS.includes(ext)) {
+          files.push({ name: path.basename(entry, ext), file: path.join(dir, entry) });
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Load, parse and validate a workflow file
+   */
+  async loadFile(filePath) {
+    const file = path.resolve(filePath);
+    let text;
+
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Workflow file not found: ${filePath}`);
+      }
+      throw error;
+    }
+
+    return this.parse(text, file);
+  }
+
+  /**
+   * Parse workflow source text. JSON is parsed as YAML, which is a superset,
+   * so both formats report positions the same way.
+   */
+  parse(text, file) {
+    const lineCounter = new YAML.LineCounter();
+    const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false });
+
+    if (doc.errors.length > 0) {
+      throw new WorkflowValidationError(file, doc.errors.map(error => {
+        const pos = lineCounter.linePos(error.pos[0]);
+        return { line: pos.line, column: pos.col, message: error.message.split('\n')[0] };
+      }));
+    }
+
+    const definition = doc.toJS();
+    const problems = this.validate(definition);
+
+    if (problems.length > 0) {
+      const errors = problems.map(problem => {
+        const pos = lineCounter.linePos(locate(doc, problem.path));
+        return { line: pos.line, column: pos.col, message: `${formatPath(problem.path)}: ${problem.message}` };
+      });
+      errors.sort((a, b) => a.line - b.line || a.column - b.column);
+      throw new WorkflowValidationError(file, errors);
+    }
+
+    return { ...definition, source: file };
+  }
+
+  /**
+   * Validate a workflow definition, returning a list of { path, message } problems
+   */
+  validate(definition) {
+    const problems = [];
+    const report = (at, message) => problems.push({ path: at, message });
+
+    if (!isObject(definition)) {
+      report([], 'workflow must be a mapping');
+      return problems;
+    }
+
+    checkUnknownFields(definition, WORKFLOW_FIELDS, [], report);
+
+    if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+      report(['name'], 'is required and must be a non-empty string');
+    }
+
+    if (definition.description !== undefined && typeof definition.description !== 'string') {
+      report(['description'], 'must be a string');
+    }
+
+    if (!WORKFLOW_MODES.includes(definition.mode)) {
+      report(['mode'], `must be one of: ${WORKFLOW_MODES.join(', ')}`);
+    }
+
+    if (definition.inputs !== undefined) {
+      this.validateInputs(definition.inputs, report);
+    }
+
+    if (definition.default_branch !== undefined && typeof definition.default_branch !== 'string') {
+      report(['default_branch'], 'must be a string');
+    }
+
+    if (definition.memory !== undefined) {
+      this.validateMemory(definition.memory, report);
+    }
+
+    for (const field of ['delegation', 'escalation']) {
+      if (definition[field] !== undefined && typeof definition[field] !== 'boolean') {
+        report([field], 'must be true or false');
+      }
+    }
+
+    if (definition.consensus !== undefined) {
+      if (definition.mode !== 'consensus') {
+        report(['consensus'], 'is only supported in consensus mode');
+      } else {
+        this.validateConsensus(definition.consensus, report);
+      }
+    }
+
+    if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+      report(['steps'], 'is required and must be a non-empty list');
+    } else {
+      if (definition.mode === 'consensus' && definition.steps.length < 2) {
+        report(['steps'], 'needs at least two voting steps in consensus mode');
+      }
+      this.validateSteps(definition, report);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validate a workflow that did not come from a file (built-in or registered
+   * from JS), throwing a WorkflowValidationError without line positions
+   */
+  assertValid(definition, name) {
+    const problems = this.validate(definition);
+
+    if (problems.length > 0) {
+      throw new WorkflowValidationError(
+        definition && definition.source ? definition.source : null,
+        problems.map(problem => ({ message: `${formatPath(problem.path)}: ${problem.message}` })),
+        name
+      );
+    }
+  }
+
+  /**
+   * Validate the declared input variables
+   */
+  validateInputs(inputs, report) {
+    if (!isObject(inputs)) {
+      report(['inputs'], 'must be a mapping of input names to definitions');
+      return;
+    }
+
+    for (const [name, input] of Object.entries(inputs)) {
+      const at = ['inputs', name];
+
+      if (!STEP_ID_PATTERN.test(name)) {
+        report(at, 'input names must start with a letter and contain only letters, digits, "_" or "-"');
+      }
+
+      if (!isObject(input)) {
+        report(at, 'must be a mapping');
+        continue;
+      }
+
+      checkUnknownFields(input, INPUT_FIELDS, at, report);
+
+      if (input.description !== undefined && typeof input.description !== 'string') {
+        report([...at, 'description'], 'must be a string');
+      }
+
+      if (input.required !== undefined && typeof input.required !== 'boolean') {
+        report([...at, 'required'], 'must be true or false');
+      }
+
+      if (input.default !== undefined && typeof input.default !== 'string') {
+        report([...at, 'default'], 'must be a string');
+      }
+    }
+  }
+
+  /**
+   * Validate the memory retrieval settings
+   */
+  validateMemory(memory, report) {
+    if (!isObject(memory)) {
+      report(['memory'], 'must be a mapping');
+      return;
+    }
+
+    checkUnknownFields(memory, MEMORY_FIELDS, ['memory'], report);
+
+    if (memory.retrieval !== undefined && typeof memory.retrieval !== 'boolean') {
+      report(['memory', 'retrieval'], 'must be true or false');
+    }
+
+    for (const field of ['max_tokens', 'max_results']) {
+      if (memory[field] !== undefined && (!Number.isInteger(memory[field]) || memory[field] < 1)) {
+        report(['memory', field], 'must be a positive integer');
+      }
+    }
+
+    if (memory.scope !== undefined && !MEMORY_SCOPES.includes(memory.scope)) {
+      report(['memory', 'scope'], `must be one of: ${MEMORY_SCOPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate the consensus settings: how the answer is picked from the votes
+   */
+  validateConsensus(consensus, report) {
+    if (!isObject(consensus)) {
+      report(['consensus'], 'must be a mapping');
+      return;
+    }
+
+    checkUnknownFields(consensus, CONSENSUS_FIELDS, ['consensus'], report);
+
+    if (consensus.rule !== undefined && !CONSENSUS_RULES.includes(consensus.rule)) {
+      report(['consensus', 'rule'], `must be one of: ${CONSENSUS_RULES.join(', ')}`);
+    }
+
+    if (consensus.options !== undefined && (!Array.isArray(consensus.options) || consensus.options.length < 2 ||
+        !consensus.options.every(option => typeof option === 'string' && option.trim() !== '') ||
+        new Set(consensus.options.map(option => option.trim().toLowerCase())).size !== consensus.options.length)) {
+      report(['consensus', 'options'], 'must be a list of at least two distinct answers');
+    }
+
+    if (consensus.judge !== undefined &&
+        (typeof consensus.judge !== 'string' || !this.isKnownAgent(consensus.judge))) {
+      report(['consensus', 'judge'], `must be an agent (one of ${this.roles.join(', ')}, optionally suffixed like "coder-2")`);
+    }
+
+    if (consensus.tier_weights !== undefined && (!isObject(consensus.tier_weights) ||
+        !Object.entries(consensus.tier_weights).every(([tier, weight]) =>
+          /^[1-9]\d*$/.test(tier) && typeof weight === 'number' && Number.isFinite(weight) && weight >= 0))) {
+      report(['consensus', 'tier_weights'], 'must map tiers to vote weights, like { 1: 3, 2: 2, 3: 1 }');
+    }
+  }
+
+  /**
+   * Validate workflow steps
+   */
+  validateSteps(definition, report) {
+    const ids = new Set();
+    const declaredInputs = isObject(definition.inputs) ? Object.keys(definition.inputs) : [];
+    const isDAG = definition.mode === 'dag';
+    const allIds = definition.steps
+      .filter(step => isObject(step) && typeof step.id === 'string')
+      .map(step => step.id);
+    const graph = definition.steps
+      .filter(step => isObject(step) && typeof step.id === 'string')
+      .map(step => ({ id: step.id, needs: Array.isArray(step.needs) ? step.needs : [] }));
+    const cycle = findCycle(graph);
+    const isConditional = definition.mode === 'conditional';
+    // Conditional mode: ids of steps that always run, verdict options per step,
+    // and whether the previous step opened a branch group
+    const unconditionalIds = new Set();
+    const verdicts = new Map();
+    let inBranchGroup = false;
+    // Stream mode: the step whose chunks feed the current one
+    let previousId = null;
+
+    definition.steps.forEach((step, index) => {
+      const at = ['steps', index];
+      let readableSteps;
+
+      if (!isObject(step)) {
+        report(at, 'must be a mapping');
+        return;
+      }
+
+      if (isDAG) {
+        // A DAG step can read every step it (transitively) needs
+        readableSteps = cycle || !step.id ? [] : ancestors(graph, step.id);
+      } else if (definition.mode === 'parallel' || definition.mode === 'consensus') {
+        // Parallel steps (and voters) all start together, so none can read another's output
+        readableSteps = [];
+      } else if (definition.mode === 'stream') {
+        // A streamed step sees its predecessor's output one chunk at a time
+        // while earlier steps may still be running
+        readableSteps = previousId ? [previousId] : [];
+      } else if (isConditional) {
+        // A branch may not run, so only steps outside branches can be read
+        readableSteps = Array.from(unconditionalIds);
+      } else {
+        readableSteps = Array.from(ids);
+      }
+
+      checkUnknownFields(step, STEP_FIELDS, at, report);
+
+      if (isDAG && step.id === undefined) {
+        report(at, 'needs an "id" in dag mode');
+      }
+
+      if (step.id !== undefined) {
+        if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+          report([...at, 'id'], 'must start with a letter and contain only letters, digits, "_" or "-"');
+        } else if (ids.has(step.id)) {
+          report([...at, 'id'], `duplicate step id "${step.id}"`);
+        } else {
+          ids.add(step.id);
+        }
+      }
+
+      if (typeof step.agent !== 'string' || step.agent.trim() === '') {
+        report([...at, 'agent'], 'is required and must be a string');
+      } else if (!this.isKnownAgent(step.agent)) {
+        report([...at, 'agent'], `unknown agent "${step.agent}" (expected one of ${this.roles.join(', ')}, optionally suffixed like "coder-2")`);
+      }
+
+      if (step.task === undefined && step.prompt === undefined) {
+        report(at, 'needs a "task" or a "prompt"');
+      }
+
+      for (const field of ['task', 'prompt']) {
+        if (step[field] === undefined) continue;
+
+        if (typeof step[field] !== 'string' || step[field].trim() === '') {
+          report([...at, field], 'must be a non-empty string');
+          continue;
+        }
+
+        for (const reference of findReferences(step[field])) {
+          const problem = checkReference(reference, { inputs: declaredInputs, steps: readableSteps });
+          if (problem) {
+            report([...at, field], problem);
+          }
+        }
+      }
+
+      if (step.needs !== undefined) {
+        if (!Array.isArray(step.needs) || !step.needs.every(id => typeof id === 'string')) {
+          report([...at, 'needs'], 'must be a list of step ids');
+        } else {
+          step.needs.forEach((id, needIndex) => {
+            if (id === step.id) {
+              report([...at, 'needs', needIndex], 'a step cannot need itself');
+            } else if (!allIds.includes(id)) {
+              report([...at, 'needs', needIndex], `unknown step "${id}"`);
+            }
+          });
+        }
+      }
+
+      if (isDAG && cycle && step.id === cycle[0]) {
+        report([...at, 'needs'], `dependency cycle: ${cycle.join(' → ')}`);
+      }
+
+      let declaredVerdict = null;
+      if (step.verdict !== undefined) {
+        if (!isConditional) {
+          report([...at, 'verdict'], 'is only supported in conditional mode');
+        } else if (!Array.isArray(step.verdict) || step.verdict.length < 2 ||
+            !step.verdict.every(option => typeof option === 'string' && STEP_ID_PATTERN.test(option)) ||
+            new Set(step.verdict).size !== step.verdict.length) {
+          report([...at, 'verdict'], 'must be a list of at least two distinct option names');
+        } else if (step.verdict.includes(ELSE)) {
+          report([...at, 'verdict'], `"${ELSE}" is reserved and cannot be a verdict option`);
+        } else if (step.id) {
+          declaredVerdict = step.verdict;
+        }
+      }
+
+      if (step.condition !== undefined) {
+        if (!isConditional) {
+          report([...at, 'condition'], 'is only supported in conditional mode');
+        } else {
+          this.validateCondition(step.condition, [...at, 'condition'], {
+            readableSteps,
+            verdicts,
+            inBranchGroup
+          }, report);
+        }
+      }
+
+      if (declaredVerdict) {
+        verdicts.set(step.id, declaredVerdict);
+      }
+
+      inBranchGroup = step.condition !== undefined;
+      previousId = typeof step.id === 'string' ? step.id : null;
+      if (step.condition === undefined && step.id) {
+        unconditionalIds.add(step.id);
+      }
+    });
+  }
+
+  /**
+   * Validate a step condition against the steps and verdicts before it
+   */
+  validateCondition(condition, at, { readableSteps, verdicts, inBranchGroup }, report) {
+    if (typeof condition === 'string') {
+      if (condition === ELSE) {
+        if (!inBranchGroup) {
+          report(at, '"else" must directly follow a conditional step');
+        }
+        return;
+      }
+
+      const options = new Set([].concat(...Array.from(verdicts.values())));
+      if (options.size === 0) {
+        report(at, `no earlier step declares a verdict, so "${condition}" can never match (use { step, matches } instead)`);
+      } else if (!options.has(condition)) {
+        report(at, `"${condition}" is not a verdict option of an earlier step (options: ${Array.from(options).join(', ')})`);
+      }
+      return;
+    }
+
+    if (!isObject(condition)) {
+      report(at, 'must be a verdict option, "else", or a mapping with "step"');
+      return;
+    }
+
+    checkUnknownFields(condition, CONDITION_FIELDS, at, report);
+
+    if (typeof condition.step !== 'string' || !readableSteps.includes(condition.step)) {
+      report([...at, 'step'], `must name an earlier step that always runs (available: ${readableSteps.join(', ') || 'none'})`);
+    }
+
+    const tests = ['verdict', 'equals', 'matches'].filter(field => condition[field] !== undefined);
+    if (tests.length !== 1) {
+      report(at, 'must have exactly one of "verdict", "equals" or "matches"');
+      return;
+    }
+
+    if (condition.verdict !== undefined) {
+      const options = verdicts.get(condition.step);
+      if (condition.path !== undefined) {
+        report([...at, 'path'], 'cannot be combined with "verdict"');
+      }
+      if (!options) {
+        report([...at, 'verdict'], `step "${condition.step}" does not declare a verdict`);
+      } else if (!options.includes(condition.verdict)) {
+        report([...at, 'verdict'], `must be one of: ${options.join(', ')}`);
+      }
+    }
+
+    if (condition.path !== undefined) {
+      try {
+        queryJSONPath({}, String(condition.path));
+      } catch (error) {
+        report([...at, 'path'], error.message);
+      }
+    }
+
+    if (condition.matches !== undefined) {
+      try {
+        compilePattern(String(condition.matches));
+      } catch (error) {
+        report([...at, 'matches'], `invalid regular expression (${error.message})`);
+      }
+    }
+
+    if (condition.equals !== undefined && isObject(condition.equals)) {
+      report([...at, 'equals'], 'must be a scalar value');
+    }
+  }
+
+  /**
+   * Agent names are a role, optionally followed by a suffix (e.g. coder-2)
+   */
+  isKnownAgent(name) {
+    return this.roles.some(role => name === role || name.startsWith(`${role}-`));
+  }
+}
+
+/**
+ * Report fields that are not part of the schema
+ */
+function checkUnknownFields(object, allowed, at, report) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      report([...at, key], `unknown field (allowed: ${allowed.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Find the source offset of the deepest existing node along a path
+ */
+function locate(doc, at) {
+  let node = doc.contents;
+  let offset = node && node.range ? node.range[0] : 0;
+
+  for (const key of at) {
+    if (!node || !node.items) break;
+
+    if (YAML.isSeq(node)) {
+      node = node.items[key];
+      if (node && node.range) offset = node.range[0];
+    } else {
+      const pair = node.items.find(item => item.key && item.key.value === key);
+      if (!pair) break;
+      if (pair.key.range) offset = pair.key.range[0];
+      node = pair.value;
+    }
+  }
+
+  return offset;
+}
+
+/**
+ * Format a path like steps[2].agent
+ */
+function formatPath(at) {
+  if (at.length === 0) return '(root)';
+  return at.reduce((out, key) => (
+    typeof key === 'number' ? `${out}[${key}]` : (out ? `${out}.${key}` : key)
+  ), '');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+async function fileExists(file) {
+  try {
+    const stats = await fs.stat(file);
+    return stats.isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  WorkflowLoader,
+  WorkflowValidationError,
+  WORKFLOW_MODES
+};
@@ -0,0 +1,115 @@
+/**
+ * Chunked streaming between agents for the stream workflow mode.
+ *
+ * An agent's output is cut into chunks as its tokens arrive and each chunk is
+ * queued for the next agent in the chain, which starts work on it while the
+ * upstream agent is still generating.
+ */
+
+/**
+ * Bounded async queue of chunks. With a finite capacity, `push` waits while
+ * the queue is full, so a slow consumer holds back its producer (backpressure).
+ * Closing the queue ends iteration once it drains and releases waiting producers.
+ */
+class ChunkQueue {
+  constructor(capacity = Infinity) {
+    this.capacity = capacity;
+    this.items = [];
+    this.closed = false;
+    this.waitingProducers = [];
+    this.waitingConsumer = null;
+  }
+
+  async push(chunk) {
+    while (!this.closed && this.items.length >= this.capacity) {
+      await new Promise(resolve => this.waitingProducers.push(resolve));
+    }
+    if (this.closed) return;
+
+    this.items.push(chunk);
+    this.wakeConsumer();
+  }
+
+  close() {
+    this.closed = true;
+    this.wakeConsumer();
+    this.waitingProducers.splice(0).forEach(resolve => resolve());
+  }
+
+  wakeConsumer() {
+    if (this.waitingConsumer) {
+      const resolve = this.waitingConsumer;
+      this.waitingConsumer = null;
+      resolve();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.items.length > 0) {
+        const chunk = this.items.shift();
+        const producer = this.waitingProducers.shift();
+        if (producer) producer();
+        yield chunk;
+      } else if (this.closed) {
+        return;
+      } else {
+        await new Promise(resolve => { this.waitingConsumer = resolve; });
+      }
+    }
+  }
+}
+
+/**
+ * Cuts streamed text into chunks of at least `size` characters, always at a
+ * line boundary so NDJSON records are never split. Plain text without line
+ * breaks is cut at a space once it reaches twice the size.
+ */
+class StreamChunker {
+  constructor(size, onChunk) {
+    this.size = size;
+    this.onChunk = onChunk;
+    this.buffer = '';
+  }
+
+  async write(text) {
+    this.buffer += text;
+
+    let chunk;
+    while ((chunk = this.take()) !== null) {
+      if (chunk) await this.onChunk(chunk);
+    }
+  }
+
+  /**
+   * Emit whatever is left, e.g. when the upstream call finishes
+   */
+  async flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    if (rest) {
+      await this.onChunk(rest);
+    }
+  }
+
+  /**
+   * Cut the next chunk off the buffer; null when more text is needed
+   */
+  take() {
+    if (this.buffer.length < this.size) return null;
+
+    let cut = this.buffer.lastIndexOf('\n');
+    if (cut === -1) {
+      const isJSON = /^\s*[[{]/.test(this.buffer);
+      if (isJSON || this.buffer.length < this.size * 2) return null;
+      cut = this.buffer.lastIndexOf(' ');
+      if (cut === -1) cut = this.size;
+    }
+
+    const chunk = this.buffer.slice(0, cut + 1).trim();
+    this.buffer = this.buffer.slice(cut + 1);
+    return chunk;
+  }
+}
+
+module.exports = { ChunkQueue, StreamChunker };
@@ -0,0 +1,106 @@
+/**
+ * Prompt templating for workflow steps.
+ *
+ * Templates reference variables with double braces:
+ *   {{inputs.feature}}        - a declared workflow input
+ *   {{steps.design.result}}   - the output of an earlier step
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)*$/;
+const STEP_FIELDS = ['result'];
+
+/**
+ * Error raised when a template references a variable that cannot be resolved
+ */
+class TemplateError extends Error {
+  constructor(message, variables = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.variables = variables;
+  }
+}
+
+/**
+ * List the variable references in a template, e.g. ['inputs.feature', 'steps.design.result']
+ */
+function findReferences(template) {
+  if (typeof template !== 'string') return [];
+
+  const references = [];
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    references.push(match[1]);
+  }
+  return references;
+}
+
+/**
+ * Check a single reference for syntax, returning an error message or null.
+ * `inputs` is the list of declared input names; `steps` the step ids it may read.
+ */
+function checkReference(reference, { inputs = [], steps = [] } = {}) {
+  if (!PATH_PATTERN.test(reference)) {
+    return `invalid template variable "{{${reference}}}"`;
+  }
+
+  const [root, name, field, ...rest] = reference.split('.');
+
+  if (root === 'inputs') {
+    if (!name || field) {
+      return `"{{${reference}}}" must have the form {{inputs.<name>}}`;
+    }
+    if (!inputs.includes(name)) {
+      return `"{{${reference}}}" references undeclared input "${name}"`;
+    }
+    return null;
+  }
+
+  if (root === 'steps') {
+    if (!name || !STEP_FIELDS.includes(field) || rest.length > 0) {
+      return `"{{${reference}}}" must have the form {{steps.<id>.${STEP_FIELDS.join('|')}}}`;
+    }
+    if (!steps.includes(name)) {
+      return `"{{${reference}}}" references step "${name}", which is not guaranteed to have run before this step`;
+    }
+    return null;
+  }
+
+  return `"{{${reference}}}" must start with "inputs." or "steps."`;
+}
+
+/**
+ * Look up a dotted path in the render scope
+ */
+function lookup(scope, reference) {
+  return reference.split('.').reduce(
+    (value, key) => (value !== undefined && value !== null ? value[key] : undefined),
+    scope
+  );
+}
+
+/**
+ * Render a template against { inputs, steps }.
+ * Throws a TemplateError listing every variable that has no value.
+ */
+function renderTemplate(template, scope) {
+  const missing = findReferences(template).filter(reference => lookup(scope, reference) === undefined);
+
+  if (missing.length > 0) {
+    throw new TemplateError(
+      `Missing template variables: ${missing.map(m => `{{${m}}}`).join(', ')}`,
+      missing
+    );
+  }
+
+  return template.replace(VARIABLE_PATTERN, (match, reference) => {
+    const value = lookup(scope, reference);
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  });
+}
+
+module.exports = {
+  TemplateError,
+  findReferences,
+  checkReference,
+  renderTemplate
+};
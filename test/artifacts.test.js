@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { quietConsole, tempDir, createHive } = require('./helpers');
+const artifacts = require('../src/workflows/artifacts');
+
+quietConsole();
+
+const call = (agent, type, step, result, success = true) =>
+  ({ agent_name: agent, result, metadata: { type, step, success } });
+
+test('parseCodeBlocks finds the path a block is annotated with', () => {
+  const text = [
+    '```js path=src/a.js', 'a()', '```',
+    '**src/b.js**', '```js', 'b()', '```',
+    '```python', '# file: tools/c.py', 'c()', '```',
+    '```ts:src/d.ts', 'd()', '```',
+    '```bash', 'npm test', '```'
+  ].join('\n');
+
+  assert.deepStrictEqual(artifacts.parseCodeBlocks(text).map(({ path: file, language, content }) => ({ file, language, content })), [
+    { file: 'src/a.js', language: 'js', content: 'a()\n' },
+    { file: 'src/b.js', language: 'js', content: 'b()\n' },
+    { file: 'tools/c.py', language: 'python', content: 'c()\n' },
+    { file: 'src/d.ts', language: 'ts', content: 'd()\n' },
+    { file: null, language: 'bash', content: 'npm test\n' }
+  ]);
+});
+
+test('collectArtifacts keeps the latest call per step and rejects unsafe paths', () => {
+  const collected = artifacts.collectArtifacts([
+    call('coder-1', 'coder', 'implementation', '```js path=src/app.js\nv1()\n```'),
+    call('architect', 'architect', 'architecture', '```js path=src/design.js\nplan()\n```'),
+    call('coder-1', 'coder', 'implementation#2', '```js path=src/app.js\nv2()\n```\n```js path=../escape.js\nx()\n```'),
+    call('tester', 'tester', 'tests', '```js path=test/app.test.js\nok()\n```\n```sh\nnpm test\n```'),
+    call('tester', 'tester', 'tests#2', null, false)
+  ]);
+
+  assert.deepStrictEqual(collected.files.map(file => [file.path, file.content, file.step]), [
+    ['src/app.js', 'v2()\n', 'implementation#2'],
+    ['test/app.test.js', 'ok()\n', 'tests']
+  ]);
+  assert.deepStrictEqual(collected.rejected.map(entry => [entry.path, entry.reason]), [['../escape.js', 'outside the output directory']]);
+  assert.deepStrictEqual(collected.unnamed.map(entry => entry.language), ['sh']);
+});
+
+test('writeToDirectory refuses conflicts unless forced and writes a manifest', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'same.js'), 'same()\n');
+  fs.writeFileSync(path.join(dir, 'old.js'), 'old()\n');
+  const files = [
+    { path: 'src/new.js', content: 'fresh()\n', agent: 'coder-1' },
+    { path: 'same.js', content: 'same()\n', agent: 'coder-1' },
+    { path: 'old.js', content: 'changed()\n', agent: 'coder-1' }
+  ];
+
+  const plan = artifacts.planArtifacts(files, artifacts.readFromDirectory(dir));
+  const manifest = artifacts.buildManifest({ id: 'run-1', workflow: 'w', mode: 'sparc' }, plan, { unnamed: [], rejected: [] }, dir);
+
+  assert.deepStrictEqual(plan.map(file => file.status), ['new', 'unchanged', 'conflict']);
+  assert.throws(() => artifacts.writeToDirectory(plan, dir, { manifest }), error => {
+    assert.deepStrictEqual(error.conflicts, ['old.js']);
+    return true;
+  });
+  assert.strictEqual(fs.existsSync(path.join(dir, 'src', 'new.js')), false);
+
+  artifacts.writeToDirectory(plan, dir, { manifest, force: true });
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'old.js'), 'utf8'), 'changed()\n');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'src', 'new.js'), 'utf8'), 'fresh()\n');
+  const written = JSON.parse(fs.readFileSync(path.join(dir, artifacts.MANIFEST_FILE), 'utf8'));
+  assert.deepStrictEqual(written.files.map(file => file.status), ['new', 'unchanged', 'overwritten']);
+});
+
+test('writeToBranch commits the files to a new branch without touching the working tree', () => {
+  const repo = tempDir();
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' }).trim();
+  git('init', '--quiet');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  fs.writeFileSync(path.join(repo, 'README.md'), 'readme\n');
+  git('add', 'README.md');
+  git('commit', '--quiet', '-m', 'init');
+  const head = git('rev-parse', 'HEAD');
+
+  const plan = artifacts.planArtifacts([{ path: 'src/app.js', content: 'app()\n' }], artifacts.readFromHead(repo, 'out'));
+  artifacts.writeToBranch(plan, 'generated', { cwd: repo, prefix: 'out', manifest: { files: [] }, message: 'Add app' });
+
+  assert.strictEqual(git('rev-parse', 'HEAD'), head);
+  assert.strictEqual(fs.existsSync(path.join(repo, 'out')), false);
+  assert.strictEqual(git('show', 'generated:out/src/app.js'), 'app()');
+  assert.match(git('show', `generated:out/${artifacts.MANIFEST_FILE}`), /"files"/);
+  assert.throws(() => artifacts.writeToBranch(plan, 'generated', { cwd: repo, manifest: {} }), /already exists/);
+});
+
+test('unifiedDiff shows the changed lines with context', () => {
+  const diff = artifacts.unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', 'x.js');
+
+  assert.strictEqual(diff, '--- a/x.js\n+++ b/x.js\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+  assert.strictEqual(artifacts.unifiedDiff('same\n', 'same\n', 'x.js'), '');
+  assert.match(artifacts.unifiedDiff(null, 'new\n', 'y.js'), /^--- \/dev\/null\n\+\+\+ b\/y\.js\n@@ -0,0 \+1,1 @@\n\+new\n$/);
+});
+
+test('the files of a recorded SPARC run can be collected from memory', async () => {
+  const { engine, memory } = await createHive({
+    responses: [
+      { agent: 'coder', response: '**src/sum.js**\n```js\nmodule.exports = (a, b) => a + b;\n```' },
+      { agent: 'tester', response: '```js path=test/sum.test.js\nassert(sum(1, 2) === 3);\n```\n```verdict\n{"verdict": "approve", "issues": []}\n```' },
+      { agent: 'reviewer', response: '```verdict\n{"verdict": "approve", "issues": []}\n```' }
+    ],
+    default: 'OK'
+  }, { memory: true });
+
+  const run = await engine.execute('fullstack-dev', { mode: 'sparc', inputs: { task: 'a sum function' } });
+  const { conversations } = await memory.getRunTimeline(run.runId);
+  const { files } = artifacts.collectArtifacts(conversations);
+
+  assert.deepStrictEqual(files.map(file => [file.path, file.agent]), [['src/sum.js', 'coder-1'], ['test/sum.test.js', 'tester']]);
+});
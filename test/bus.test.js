@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { MessageBus } = require('../src/coordination/bus');
+
+quietConsole();
+
+test('a direct message is answered and its thread dropped afterwards', async () => {
+  const bus = new MessageBus();
+  const seen = [];
+  bus.register('a', () => undefined);
+  bus.register('b', (envelope, { thread }) => {
+    seen.push(bus.thread(envelope.correlationId).map(earlier => earlier.body));
+    return `re: ${envelope.body} (${thread.length} earlier)`;
+  });
+
+  const first = await bus.send('a', 'b', 'hello');
+  const second = await bus.send('a', 'b', 'again', { thread: first.thread });
+
+  assert.strictEqual(first.body, 're: hello (0 earlier)');
+  assert.deepStrictEqual(first.thread.map(envelope => envelope.kind), ['message', 'reply']);
+  assert.strictEqual(second.body, 're: again (2 earlier)');
+  assert.strictEqual(second.correlationId, first.correlationId);
+  assert.deepStrictEqual(seen, [['hello'], ['hello', 're: hello (0 earlier)', 'again']]);
+  assert.strictEqual(bus.threads.size, 0);
+  assert.strictEqual(bus.pending.size, 0);
+});
+
+test('a reply that takes too long times out, aborts the handler and drops the thread', async () => {
+  const bus = new MessageBus({ timeout: 20 });
+  let aborted = false;
+  bus.register('a', () => undefined);
+  bus.register('slow', (envelope, { signal }) => new Promise(resolve => {
+    signal.addEventListener('abort', () => {
+      aborted = true;
+      resolve('too late');
+    });
+  }));
+
+  await assert.rejects(bus.send('a', 'slow', 'hurry'), error => error.code === 'ETIMEDOUT');
+  assert.strictEqual(aborted, true);
+  assert.strictEqual(bus.threads.size, 0);
+});
+
+test('broadcasts and topics reach their recipients and leave no threads behind', async () => {
+  const bus = new MessageBus();
+  bus.register('a', () => undefined);
+  bus.register('b', envelope => `b got ${envelope.body}`);
+  bus.register('c', () => {
+    throw new Error('busy');
+  });
+  bus.subscribe('b', 'schema');
+
+  const everyone = await bus.broadcast('a', 'frozen', { expectReply: true });
+  const subscribers = await bus.publish('a', 'schema', 'users table', { expectReply: true });
+  const nobody = await bus.publish('a', 'unknown', 'anyone?');
+
+  assert.deepStrictEqual(everyone, [{ agent: 'b', reply: 'b got frozen' }, { agent: 'c', error: 'busy' }]);
+  assert.deepStrictEqual(subscribers, [{ agent: 'b', reply: 'b got users table' }]);
+  assert.deepStrictEqual(nobody, []);
+  assert.strictEqual(bus.threads.size, 0);
+});
+
+test('agents converse through the hive\'s bus and continue a thread with its history', async () => {
+  const { hiveMind, provider } = await createHive({
+    responses: [
+      { agent: 'coder-1', match: 'tag', response: 'Yes, with an index.' },
+      { agent: 'coder-1', response: 'SQLite.' }
+    ]
+  });
+  await hiveMind.initialize();
+  const architect = hiveMind.getAgent('architect');
+
+  const first = await architect.communicate('coder-1', 'Which database fits the todo app?');
+  const second = await architect.communicate('coder-1', 'Does it handle fast lookups by tag?', { thread: first.thread });
+
+  assert.strictEqual(first.reply, 'SQLite.');
+  assert.strictEqual(second.reply, 'Yes, with an index.');
+  assert.match(provider.calls[1].prompt, /Earlier in this conversation:\n\[architect\] Which database[\s\S]*\[coder-1\] SQLite\./);
+  assert.strictEqual(hiveMind.bus.threads.size, 0);
+});
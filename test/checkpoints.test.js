@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+
+quietConsole();
+
+/**
+ * A three-step sequential workflow whose steps are told apart by prompt
+ */
+function registerPipeline(engine) {
+  engine.registerWorkflow('pipeline', {
+    name: 'Pipeline',
+    mode: 'sequential',
+    steps: [
+      { id: 'plan', agent: 'architect', prompt: 'Plan it' },
+      { id: 'build', agent: 'coder-1', prompt: 'Build {{steps.plan.result}}' },
+      { id: 'check', agent: 'tester', prompt: 'Verify the result' }
+    ]
+  });
+}
+
+test('a failed sequential run resumes after its last completed step', async () => {
+  const { engine, provider, memory } = await createHive({
+    responses: [
+      { match: '^Task: Plan', response: 'PLAN' },
+      { match: '^Task: Build', response: [{ error: { status: 400, message: 'bad request' } }, 'BUILT'] },
+      { match: '^Task: Verify', response: 'CHECKED' }
+    ]
+  }, { memory: true });
+  registerPipeline(engine);
+
+  const first = await engine.execute('pipeline');
+
+  assert.strictEqual(first.failures, 1);
+  assert.ok(first.runId);
+  assert.strictEqual((await memory.getRun(first.runId)).status, 'failed');
+  assert.deepStrictEqual((await memory.getCheckpoints(first.runId)).map(row => row.step), ['plan']);
+
+  provider.calls.length = 0;
+  const resumed = await engine.resume(first.runId);
+
+  assert.strictEqual(resumed.runId, first.runId);
+  assert.strictEqual(resumed.failures, 0);
+  assert.deepStrictEqual(resumed.results.map(result => result.result), ['PLAN', 'BUILT', 'CHECKED']);
+  // The plan is restored from its checkpoint; everything after the failed step runs again
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['coder-1', 'tester']);
+  assert.match(provider.calls[0].prompt, /Build PLAN/);
+  assert.strictEqual((await memory.getRun(first.runId)).status, 'completed');
+});
+
+test('resume --from-phase re-runs a SPARC run from that phase', async () => {
+  const { engine, provider } = await createHive({ default: 'OK' }, { memory: true });
+
+  const first = await engine.execute('fullstack-dev', { mode: 'sparc', inputs: { task: 'a todo app' } });
+  assert.strictEqual(first.failures, 0);
+  assert.strictEqual(provider.calls.length, 6);
+
+  provider.calls.length = 0;
+  await engine.resume(first.runId, { fromPhase: 'architecture' });
+
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['architect', 'coder-1', 'tester', 'reviewer']);
+  assert.match(provider.calls[0].prompt, /Design system architecture/);
+});
+
+test('resume rejects unknown runs, unknown steps and uncheckpointed modes', async () => {
+  const { engine } = await createHive({ default: 'OK' }, { memory: true });
+  registerPipeline(engine);
+
+  await assert.rejects(engine.resume('nope'), /Run not found: nope/);
+
+  const sequential = await engine.execute('pipeline');
+  await assert.rejects(engine.resume(sequential.runId, { fromPhase: 'deploy' }), /Unknown step "deploy" \(steps: plan, build, check\)/);
+
+  const parallel = await engine.execute('pipeline', { mode: 'parallel' }).catch(error => error);
+  assert.match(parallel.message, /not guaranteed to have run/);
+
+  engine.registerWorkflow('fanout', {
+    name: 'Fan-out',
+    mode: 'parallel',
+    steps: [{ agent: 'coder-1', prompt: 'A' }, { agent: 'coder-2', prompt: 'B' }]
+  });
+  const fanout = await engine.execute('fanout');
+  await assert.rejects(engine.resume(fanout.runId), /Resume is only supported for sparc, sequential and dag runs/);
+
+  const { engine: withoutMemory } = await createHive({ default: 'OK' });
+  await assert.rejects(withoutMemory.resume(sequential.runId), /Resuming requires a memory manager/);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive, callsMatching } = require('./helpers');
+const {
+  extractVerdict,
+  extractJSON,
+  queryJSONPath,
+  evaluateCondition,
+  describeCondition
+} = require('../src/workflows/conditions');
+
+quietConsole();
+
+test('the last valid VERDICT line wins, case-insensitively', () => {
+  const options = ['simple', 'complex'];
+
+  assert.strictEqual(extractVerdict('Looks easy.\nVERDICT: simple', options), 'simple');
+  assert.strictEqual(extractVerdict('VERDICT: simple\n...on reflection\n**Verdict:** COMPLEX', options), 'complex');
+  assert.strictEqual(extractVerdict('VERDICT: simple\nVERDICT: maybe', options), 'simple');
+  assert.strictEqual(extractVerdict('{"verdict": "complex"}', options), 'complex');
+  assert.strictEqual(extractVerdict('No verdict given', options), null);
+});
+
+test('JSON is found in fences or braces and queried with JSONPath', () => {
+  const text = 'Assessment:\n```json\n{"risk": "high", "items": [{"name": "db"}]}\n```';
+  const json = extractJSON(text);
+
+  assert.strictEqual(queryJSONPath(json, '$.risk'), 'high');
+  assert.strictEqual(queryJSONPath(json, '$.items[0].name'), 'db');
+  assert.strictEqual(queryJSONPath(json, "$['risk']"), 'high');
+  assert.strictEqual(extractJSON('no json here'), undefined);
+  assert.throws(() => queryJSONPath(json, 'risk'), /must start with "\$"/);
+  assert.throws(() => queryJSONPath(json, '$..risk'), /Unsupported JSONPath/);
+});
+
+test('conditions read verdicts, output patterns and JSON fields of earlier steps', () => {
+  const outputs = {
+    assess: { success: true, verdict: 'complex', result: 'Needs a database.\n{"risk": "high"}' },
+    broken: { success: false, error: 'failed' }
+  };
+
+  assert.strictEqual(evaluateCondition('complex', outputs, { verdict: 'complex' }), true);
+  assert.strictEqual(evaluateCondition({ step: 'assess', verdict: 'simple' }, outputs), false);
+  assert.strictEqual(evaluateCondition({ step: 'assess', matches: 'DATABASE' }, outputs), true);
+  assert.strictEqual(evaluateCondition({ step: 'assess', path: '$.risk', equals: 'high' }, outputs), true);
+  assert.strictEqual(evaluateCondition({ step: 'broken', matches: '.' }, outputs), false);
+  assert.strictEqual(describeCondition({ step: 'assess', path: '$.risk', equals: 'high' }), 'assess $.risk = high');
+});
+
+/**
+ * A conditional workflow whose assess step asks for a verdict
+ */
+function registerBranching(engine) {
+  engine.registerWorkflow('branching', {
+    name: 'Branching',
+    mode: 'conditional',
+    steps: [
+      { id: 'assess', agent: 'architect', prompt: 'Assess it', verdict: ['simple', 'complex'] },
+      { id: 'quick', condition: 'simple', agent: 'coder-1', prompt: 'Quick build' },
+      { id: 'deep', condition: 'else', agent: 'architect', prompt: 'Deep design' },
+      { id: 'schema', condition: { step: 'assess', matches: 'database' }, agent: 'coder-2', prompt: 'Design schema' }
+    ]
+  });
+}
+
+test('conditional runs the branch the verdict selects and records each decision', async () => {
+  const { engine, provider } = await createHive({
+    default: 'OK',
+    responses: [{ match: 'Assess it', response: 'It is small.\nVERDICT: simple' }]
+  });
+  registerBranching(engine);
+
+  const run = await engine.execute('branching');
+
+  assert.deepStrictEqual(run.results.steps.map(step => step.metadata.agent), ['architect', 'coder-1']);
+  assert.match(provider.calls[0].prompt, /End your response with a single line of the form "VERDICT: <choice>"/);
+  assert.deepStrictEqual(callsMatching(provider, /Deep design|Design schema/), []);
+  assert.deepStrictEqual(run.results.decisions.map(d => [d.step, d.verdict || d.taken]), [
+    ['assess', 'simple'],
+    ['quick', true],
+    ['deep', false],
+    ['schema', false]
+  ]);
+});
+
+test('else runs when no branch is taken, and default_branch covers a missing verdict', async () => {
+  const { engine, provider } = await createHive({
+    default: 'OK',
+    responses: [{ match: 'Assess it', response: 'Hard to say, touches the database' }]
+  });
+  registerBranching(engine);
+
+  const run = await engine.execute('branching');
+
+  // coordination.json falls back to "simple"
+  assert.deepStrictEqual(run.results.decisions[0], {
+    type: 'verdict', step: 'assess', options: ['simple', 'complex'], verdict: 'simple', fallback: true
+  });
+  assert.deepStrictEqual(callsMatching(provider, /Quick build|Deep design|Design schema/), ['coder-1', 'coder-2']);
+
+  const { engine: other, provider: otherProvider } = await createHive({
+    default: 'OK',
+    responses: [{ match: 'Assess it', response: 'Hard to say' }]
+  }, { config: config => { delete config.workflows.conditional.default_branch; } });
+  registerBranching(other);
+
+  await other.execute('branching');
+
+  assert.deepStrictEqual(callsMatching(otherProvider, /Quick build|Deep design|Design schema/), ['architect']);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { quietConsole, configDir } = require('./helpers');
+const { ConfigLoader, ConfigError } = require('../src/config/loader');
+const { CoderAgent } = require('../src/agents/specialized');
+const { HiveMind } = require('../src/coordination/hivemind');
+
+quietConsole();
+
+/**
+ * Run `fn` with environment variables set, restoring them afterwards
+ */
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+const agentsDir = (edit) => configDir(edit, 'agents.json');
+
+test('getAgentConfig reads a role\'s settings from agents.json', () => {
+  const loader = new ConfigLoader(agentsDir(agents => {
+    agents.tester.model = 'claude-3-5-haiku-20241022';
+    agents.tester.max_tokens = 1024;
+  }));
+
+  const tester = loader.getAgentConfig('tester');
+
+  assert.strictEqual(tester.model, 'claude-3-5-haiku-20241022');
+  assert.strictEqual(tester.max_tokens, 1024);
+  assert.strictEqual(tester.temperature, 0.3);
+  assert.deepStrictEqual(loader.getRoles(), ['architect', 'coder', 'tester', 'analyst', 'reviewer']);
+});
+
+test('environment variables override agents.json and explicit overrides win over both', () => {
+  const loader = new ConfigLoader(configDir());
+
+  withEnv({ CLAUDE_FLOW_MODEL: 'global-model', CLAUDE_FLOW_CODER_MODEL: 'coder-model', CLAUDE_FLOW_MAX_TOKENS: '2048' }, () => {
+    assert.strictEqual(loader.getAgentConfig('coder').model, 'coder-model');
+    assert.strictEqual(loader.getAgentConfig('tester').model, 'global-model');
+    assert.strictEqual(loader.getAgentConfig('tester').max_tokens, 2048);
+    assert.strictEqual(loader.getAgentConfig('coder', { model: 'flag-model', temperature: '0.1' }).model, 'flag-model');
+    assert.strictEqual(loader.getAgentConfig('coder', { temperature: '0.1' }).temperature, 0.1);
+  });
+});
+
+test('unknown roles and bad override values are reported clearly', () => {
+  const loader = new ConfigLoader(configDir());
+
+  assert.throws(() => loader.getAgentConfig('juggler'), /Unknown agent role "juggler". Known roles: architect, coder/);
+  assert.throws(() => loader.getAgentConfig('coder', { max_tokens: 'lots' }), /"max_tokens" must be a number, got "lots"/);
+  assert.throws(() => loader.getAgentConfig('coder', { temperature: 3 }), /coder.temperature must be a number between 0 and 1/);
+  assert.throws(() => loader.getAgentConfig('coder', { region: 'eu' }), /Unsupported overrides setting "region"/);
+  withEnv({ CLAUDE_FLOW_TEMPERATURE: 'warm' }, () => {
+    assert.throws(() => loader.getAgentConfig('coder'), /environment setting "temperature" must be a number/);
+  });
+});
+
+test('an invalid agents.json names the file and every problem', () => {
+  const dir = agentsDir(agents => {
+    agents.coder.tier = 5;
+    agents.coder.max_tokens = -1;
+    agents.reviewer.permissions.can_delegate = ['manager'];
+  });
+
+  assert.throws(() => new ConfigLoader(dir).loadAgents(), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.strictEqual(error.file, path.join(dir, 'agents.json'));
+    assert.match(error.message, /coder.tier must be an integer between 1 and 3/);
+    assert.match(error.message, /coder.max_tokens must be a positive integer/);
+    assert.match(error.message, /reviewer.permissions.can_delegate references unknown role "manager"/);
+    return true;
+  });
+  assert.throws(() => new HiveMind({ configDir: dir }), ConfigError);
+});
+
+test('malformed or missing config files are reported with their path', () => {
+  const dir = configDir();
+  fs.writeFileSync(path.join(dir, 'agents.json'), '{ "coder": ');
+
+  assert.throws(() => new ConfigLoader(dir).loadAgents(), /agents\.json: invalid JSON/);
+  fs.rmSync(path.join(dir, 'agents.json'));
+  assert.throws(() => new ConfigLoader(dir).loadAgents(), /agents\.json: cannot read config file \(ENOENT\)/);
+});
+
+test('agents send the configured model, max_tokens and temperature', async () => {
+  const loader = new ConfigLoader(agentsDir(agents => {
+    agents.coder.model = 'claude-3-opus-20240229';
+    agents.coder.max_tokens = 2000;
+    agents.coder.temperature = 0.2;
+  }));
+  const coder = new CoderAgent({ name: 'coder-1', configLoader: loader, overrides: { max_tokens: 1500 } });
+  const requests = [];
+  coder.provider = {
+    complete: async (request) => {
+      requests.push(request);
+      return { text: 'done', usage: { input_tokens: 1, output_tokens: 1 } };
+    }
+  };
+
+  await coder.process('Write a function');
+
+  assert.strictEqual(requests[0].model, 'claude-3-opus-20240229');
+  assert.strictEqual(requests[0].max_tokens, 1500);
+  assert.strictEqual(requests[0].temperature, 0.2);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { tally, decide, canonicalAnswer } = require('../src/coordination/consensus');
+const { WorkflowLoader } = require('../src/workflows/loader');
+
+quietConsole();
+
+const vote = (answer, rationale = 'because') =>
+  `\`\`\`vote\n${JSON.stringify({ answer, rationale })}\n\`\`\``;
+
+const VOTERS = ['architect', 'coder-1', 'coder-2', 'reviewer'];
+
+test('tally groups answers case-insensitively and weighs them by tier', () => {
+  const counted = tally([
+    { agent: 'architect', tier: 1, answer: 'Redis' },
+    { agent: 'coder-1', tier: 2, answer: 'sqlite' },
+    { agent: 'coder-2', tier: 2, answer: 'SQLite' },
+    { agent: 'reviewer', tier: 3, answer: null }
+  ]);
+
+  assert.strictEqual(counted.total, 3);
+  assert.strictEqual(counted.totalWeight, 7);
+  assert.deepStrictEqual(counted.entries.map(({ answer, votes, weight }) => [answer, votes, weight]),
+    [['Redis', 1, 3], ['sqlite', 2, 4]]);
+  assert.deepStrictEqual(decide(counted, 'majority'), { answer: 'sqlite', agreement: 2 / 3, tied: false });
+  assert.strictEqual(decide(tally([]), 'majority'), null);
+});
+
+test('a tie is broken by tier weight, then by the first answer given', () => {
+  const counted = tally([
+    { agent: 'reviewer', tier: 3, answer: 'B' },
+    { agent: 'architect', tier: 1, answer: 'A' }
+  ]);
+
+  assert.deepStrictEqual(decide(counted, 'majority'), { answer: 'A', agreement: 0.5, tied: true });
+  assert.strictEqual(decide(tally([
+    { agent: 'coder-1', tier: 2, answer: 'B' },
+    { agent: 'coder-2', tier: 2, answer: 'A' }
+  ]), 'majority').answer, 'B');
+});
+
+test('canonicalAnswer matches the allowed options loosely', () => {
+  assert.strictEqual(canonicalAnswer(' redis. ', ['Redis', 'SQLite']), 'Redis');
+  assert.strictEqual(canonicalAnswer('Mongo', ['Redis', 'SQLite']), null);
+  assert.strictEqual(canonicalAnswer('Mongo'), 'Mongo');
+});
+
+test('the weighted rule lets the architect outvote a coder and a reviewer', async () => {
+  const { hiveMind } = await createHive({
+    responses: [
+      { agent: 'architect', response: vote('Event sourcing') },
+      { agent: 'coder-1', response: vote('CRUD') },
+      { agent: 'reviewer', response: vote('crud') }
+    ]
+  });
+  await hiveMind.initialize();
+
+  const majority = await hiveMind.coordinateConsensus('Which persistence model?', ['architect', 'coder-1', 'reviewer']);
+  const weighted = await hiveMind.coordinateConsensus('Which persistence model?', ['architect', 'coder-1', 'reviewer'], { rule: 'weighted' });
+
+  assert.strictEqual(majority.consensus.result, 'CRUD');
+  assert.strictEqual(weighted.consensus.result, 'Event sourcing');
+  assert.strictEqual(weighted.consensus.metadata.agreement, 3 / 6);
+  assert.deepStrictEqual(weighted.consensus.metadata.dissent.map(entry => entry.agent), ['coder-1', 'reviewer']);
+});
+
+test('the judge rule asks the judge only when the voters disagree', async () => {
+  const { hiveMind, provider } = await createHive({
+    responses: [
+      { agent: 'architect', match: 'choosing one of the answers', response: vote('Redis', 'fits the cache') },
+      { agent: 'coder-1', response: vote('SQLite') },
+      { agent: 'coder-2', response: vote('Redis') },
+      { agent: 'reviewer', response: vote('SQLite') }
+    ]
+  });
+  await hiveMind.initialize();
+
+  const judged = await hiveMind.coordinateConsensus('Which store?', ['coder-1', 'coder-2', 'reviewer'], { rule: 'judge' });
+
+  assert.strictEqual(judged.consensus.result, 'Redis');
+  assert.strictEqual(judged.consensus.metadata.rationale, 'fits the cache');
+  assert.strictEqual(judged.consensus.metadata.agreement, 1 / 3);
+  assert.match(provider.calls.find(call => call.agent === 'architect').prompt, /"SQLite" \| "Redis"/);
+
+  provider.calls.length = 0;
+  const unanimous = await hiveMind.coordinateConsensus('Which store?', ['coder-1', 'reviewer'], { rule: 'judge' });
+  assert.strictEqual(unanimous.consensus.result, 'SQLite');
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['coder-1', 'reviewer']);
+});
+
+test('a judge choosing outside the proposed answers leaves no consensus', async () => {
+  const { hiveMind } = await createHive({
+    responses: [
+      { agent: 'architect', response: vote('MongoDB') },
+      { agent: 'coder-1', response: vote('SQLite') },
+      { agent: 'coder-2', response: vote('Redis') }
+    ]
+  });
+  await hiveMind.initialize();
+
+  const judged = await hiveMind.coordinateConsensus('Which store?', ['coder-1', 'coder-2'], { rule: 'judge' });
+
+  assert.strictEqual(judged.consensus.success, false);
+  assert.match(judged.consensus.error, /did not choose one of the proposed answers/);
+});
+
+test('answers outside the options and failed voters abstain, and the tally is recorded', async () => {
+  const { hiveMind, memory } = await createHive({
+    responses: [
+      { agent: 'architect', response: vote('yes') },
+      { agent: 'coder-1', response: vote('perhaps') },
+      { agent: 'coder-2', response: { error: { status: 400, message: 'bad request' } } },
+      { agent: 'reviewer', response: 'I would rather not vote.' }
+    ]
+  }, { memory: true });
+  await hiveMind.initialize();
+
+  const outcome = await hiveMind.coordinateConsensus('Ship it?', VOTERS, { options: ['yes', 'no'] });
+
+  assert.strictEqual(outcome.consensus.result, 'yes');
+  assert.deepStrictEqual(outcome.consensus.metadata.abstentions.map(entry => entry.agent), ['coder-1', 'coder-2', 'reviewer']);
+  assert.match(outcome.consensus.metadata.abstentions[0].reason, /not an option/);
+  const [decision] = await memory.getDecisions();
+  assert.strictEqual(decision.decision_type, 'consensus');
+  assert.strictEqual(JSON.parse(decision.outcome).answer, 'yes');
+  await assert.rejects(hiveMind.coordinateConsensus('Alone?', ['architect']), /at least two agents/);
+  await assert.rejects(hiveMind.coordinateConsensus('Ship it?', VOTERS, { rule: 'loudest' }), /Unknown consensus rule/);
+});
+
+/**
+ * A consensus workflow asking each of `agents` the same question
+ */
+function consensusWorkflow(consensus, agents = ['architect', 'coder-1', 'reviewer']) {
+  return {
+    name: 'Decision',
+    mode: 'consensus',
+    consensus,
+    steps: agents.map(agent => ({ agent, prompt: 'Which persistence model?' }))
+  };
+}
+
+test('a workflow\'s tier_weights must map tiers to numbers', () => {
+  const loader = new WorkflowLoader();
+  const parse = consensus => () => loader.parse(JSON.stringify(consensusWorkflow(consensus)), '/tmp/decision.json');
+
+  assert.doesNotThrow(parse({ rule: 'weighted', tier_weights: { 1: 1, 2: 0.5, 3: 0 } }));
+  for (const weights of [[3, 2, 1], { top: 3 }, { 1: 'heavy' }, { 2: -1 }]) {
+    assert.throws(parse({ rule: 'weighted', tier_weights: weights }), /consensus\.tier_weights: must map tiers to vote weights/);
+  }
+});
+
+test('a consensus run weighs votes by the workflow\'s tier_weights and completes despite abstentions', async () => {
+  const { engine, memory } = await createHive({
+    responses: [
+      { agent: 'architect', response: vote('Event sourcing') },
+      { agent: 'coder-1', response: vote('CRUD') },
+      { agent: 'coder-2', response: vote('crud') },
+      { agent: 'reviewer', response: { error: { status: 400, message: 'bad request' } } }
+    ]
+  }, { memory: true });
+  // Equal weights: the two coders outvote the architect
+  engine.registerWorkflow('decision', consensusWorkflow(
+    { rule: 'weighted', tier_weights: { 1: 1, 2: 1, 3: 1 } },
+    ['architect', 'coder-1', 'coder-2', 'reviewer']
+  ));
+
+  const run = await engine.execute('decision');
+
+  assert.strictEqual(run.results.consensus.result, 'CRUD');
+  assert.strictEqual(run.failures, 0);
+  const recorded = await memory.getRun(run.runId);
+  assert.strictEqual(recorded.status, 'completed');
+  assert.strictEqual(recorded.error, '1 voter abstained: reviewer (failed: bad request)');
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive, callsMatching } = require('./helpers');
+const { findCycle, topologicalLevels, ancestors } = require('../src/workflows/dag');
+const { WorkflowLoader } = require('../src/workflows/loader');
+
+quietConsole();
+
+const graph = [
+  { id: 'design', needs: [] },
+  { id: 'backend', needs: ['design'] },
+  { id: 'frontend', needs: ['design'] },
+  { id: 'tests', needs: ['backend', 'frontend'] }
+];
+
+test('steps are grouped into levels that only need earlier levels', () => {
+  assert.deepStrictEqual(topologicalLevels(graph).map(level => level.map(step => step.id)),
+    [['design'], ['backend', 'frontend'], ['tests']]);
+  assert.deepStrictEqual(ancestors(graph, 'tests').sort(), ['backend', 'design', 'frontend']);
+  assert.strictEqual(findCycle(graph), null);
+});
+
+test('cycles are found with the ids along them', () => {
+  const cyclic = [{ id: 'a', needs: ['b'] }, { id: 'b', needs: ['a'] }];
+
+  assert.deepStrictEqual(findCycle(cyclic), ['a', 'b', 'a']);
+  assert.throws(() => topologicalLevels(cyclic), /Dependency cycle: a → b → a/);
+});
+
+test('the loader rejects unknown needs and cycles in dag workflows', () => {
+  const loader = new WorkflowLoader();
+  const source = [
+    'name: Cyclic',
+    'mode: dag',
+    'steps:',
+    '  - { id: a, agent: coder, task: A, needs: [b] }',
+    '  - { id: b, agent: coder, task: B, needs: [a, c] }'
+  ].join('\n');
+
+  assert.throws(() => loader.parse(source, '/tmp/cyclic.yaml'), error => {
+    const messages = error.errors.map(e => e.message).join('\n');
+    assert.match(messages, /unknown step "c"/);
+    assert.match(messages, /cycle/);
+    return true;
+  });
+});
+
+test('coordinateDAG rejects cyclic needs before calling any agent', async () => {
+  const { hiveMind, provider } = await createHive({ default: 'OK' });
+  await hiveMind.initialize();
+
+  await assert.rejects(hiveMind.coordinateDAG([
+    { id: 'a', agent: 'coder-1', description: 'a', needs: ['c'] },
+    { id: 'b', agent: 'coder-2', description: 'b', needs: ['a'] },
+    { id: 'c', agent: 'tester', description: 'c', needs: ['b'] }
+  ]), /Dependency cycle: a → c → b → a/);
+  await assert.rejects(hiveMind.coordinateDAG([
+    { id: 'self', agent: 'coder-1', description: 'self', needs: ['self'] }
+  ]), /Dependency cycle: self → self/);
+  assert.strictEqual(provider.calls.length, 0);
+});
+
+test('fullstack-dev runs its steps as a dag', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'architect', response: 'DESIGN' },
+      { agent: 'coder-1', response: 'BACKEND' },
+      { agent: 'coder-2', response: 'FRONTEND' },
+      { agent: 'tester', response: 'TESTS' },
+      { agent: 'reviewer', response: 'REVIEW' }
+    ]
+  });
+
+  const plan = await engine.plan('fullstack-dev');
+  assert.deepStrictEqual(plan.stages.map(stage => stage.map(step => step.id)),
+    [['design'], ['backend', 'frontend'], ['tests'], ['review']]);
+
+  const run = await engine.execute('fullstack-dev', { inputs: { task: 'a todo app' } });
+
+  assert.strictEqual(run.mode, 'dag');
+  assert.deepStrictEqual(Object.keys(run.results).sort(), ['backend', 'design', 'frontend', 'review', 'tests']);
+  assert.strictEqual(run.results.review.result, 'REVIEW');
+  const testsPrompt = provider.calls.find(call => call.agent === 'tester').prompt;
+  assert.match(testsPrompt, /BACKEND/);
+  assert.match(testsPrompt, /FRONTEND/);
+});
+
+test('dag runs steps after their needs and skips the dependents of a failure', async () => {
+  const { engine, provider } = await createHive({
+    default: 'OK',
+    responses: [
+      { agent: 'architect', response: 'DESIGN' },
+      { agent: 'coder-2', response: { error: { status: 400, message: 'invalid request' } } }
+    ]
+  });
+
+  engine.registerWorkflow('dag-test', {
+    name: 'DAG Test',
+    mode: 'dag',
+    steps: [
+      { id: 'design', agent: 'architect', prompt: 'Design it' },
+      { id: 'backend', agent: 'coder-1', needs: ['design'], prompt: 'Backend for {{steps.design.result}}' },
+      { id: 'frontend', agent: 'coder-2', needs: ['design'], prompt: 'Frontend for {{steps.design.result}}' },
+      { id: 'review', agent: 'reviewer', needs: ['backend', 'frontend'], prompt: 'Review' }
+    ]
+  });
+
+  const run = await engine.execute('dag-test');
+
+  assert.strictEqual(run.results.backend.success, true);
+  assert.strictEqual(run.results.frontend.success, false);
+  assert.strictEqual(run.results.review.skipped, true);
+  assert.match(provider.calls.find(call => call.agent === 'coder-1').prompt, /Backend for DESIGN/);
+  assert.deepStrictEqual(callsMatching(provider, /Task: Review/), []);
+});
+
+/**
+ * Register a design → backend + frontend → review workflow
+ */
+function registerDag(engine) {
+  engine.registerWorkflow('dag-test', {
+    name: 'DAG Test',
+    mode: 'dag',
+    steps: [
+      { id: 'design', agent: 'architect', prompt: 'Design it' },
+      { id: 'backend', agent: 'coder-1', needs: ['design'], prompt: 'Backend for {{steps.design.result}}' },
+      { id: 'frontend', agent: 'coder-2', needs: ['design'], prompt: 'Frontend for {{steps.design.result}}' },
+      { id: 'review', agent: 'reviewer', needs: ['backend', 'frontend'], prompt: 'Review' }
+    ]
+  });
+}
+
+test('a dependency output reaches a step once, through its prompt or as previous results', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'architect', response: 'DESIGN' },
+      { agent: 'coder-1', response: 'BACKEND' },
+      { agent: 'coder-2', response: 'FRONTEND' }
+    ],
+    default: 'OK'
+  });
+  registerDag(engine);
+
+  await engine.execute('dag-test');
+
+  const backend = provider.calls.find(call => call.agent === 'coder-1').prompt;
+  assert.strictEqual(backend.split('DESIGN').length - 1, 1);
+  assert.doesNotMatch(backend, /Previous Results/);
+  const review = provider.calls.find(call => call.agent === 'reviewer').prompt;
+  assert.match(review, /Previous Results:[\s\S]*"backend": "BACKEND"[\s\S]*"frontend": "FRONTEND"/);
+});
+
+test('stop_on_error cancels the running branches of a dag and skips the rest', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'architect', response: 'DESIGN' },
+      { agent: 'coder-1', response: { text: 'BACKEND', delay: 200 } },
+      { agent: 'coder-2', response: { error: { status: 400, message: 'invalid request' } } }
+    ],
+    default: 'OK'
+  }, {
+    config: config => { config.workflows.dag = { stop_on_error: true }; }
+  });
+  registerDag(engine);
+
+  const run = await engine.execute('dag-test');
+
+  assert.strictEqual(run.results.frontend.error, 'invalid request');
+  assert.strictEqual(run.results.backend.skipped, true);
+  assert.strictEqual(run.results.backend.error, 'Cancelled');
+  assert.strictEqual(run.results.review.error, 'Not run: frontend failed');
+  assert.strictEqual(run.failures, 1);
+  assert.deepStrictEqual(callsMatching(provider, /Task: Review/), []);
+});
+
+test('aborting a dag run cancels the steps it has not finished', async () => {
+  const { engine, provider } = await createHive({ default: 'OK' });
+  registerDag(engine);
+  const controller = new AbortController();
+  controller.abort();
+
+  const run = await engine.execute('dag-test', { signal: controller.signal });
+
+  assert.ok(Object.values(run.results).every(result => result.skipped && result.error === 'Cancelled'));
+  assert.strictEqual(provider.calls.length, 0);
+});
+
+test('a failed dag run resumes from its checkpoints', async () => {
+  const { engine, provider, memory } = await createHive({
+    responses: [
+      { agent: 'architect', response: 'DESIGN' },
+      { agent: 'coder-1', response: 'BACKEND' },
+      { agent: 'coder-2', response: [{ error: { status: 400, message: 'invalid request' } }, 'FRONTEND'] }
+    ],
+    default: 'OK'
+  }, { memory: true });
+  registerDag(engine);
+
+  const first = await engine.execute('dag-test');
+  assert.deepStrictEqual((await memory.getCheckpoints(first.runId)).map(row => row.step).sort(), ['backend', 'design']);
+
+  provider.calls.length = 0;
+  const resumed = await engine.resume(first.runId);
+
+  assert.strictEqual(resumed.failures, 0);
+  assert.strictEqual(resumed.results.backend.result, 'BACKEND');
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['coder-2', 'reviewer']);
+  assert.match(provider.calls[0].prompt, /Frontend for DESIGN/);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { WorkflowLoader } = require('../src/workflows/loader');
+const { parseDelegations } = require('../src/coordination/delegation');
+
+quietConsole();
+
+const delegating = (requests) => `Here is the plan.\n\`\`\`delegate\n${JSON.stringify(requests)}\n\`\`\``;
+
+function workflow(agent, fields = {}) {
+  return {
+    name: 'Delegation Test',
+    mode: 'sequential',
+    steps: [{ id: 'plan', agent, prompt: 'Plan the todo API' }],
+    ...fields
+  };
+}
+
+test('delegation is off unless the workflow turns it on', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'architect', response: delegating([{ agent: 'coder', task: 'Implement the API' }]) },
+      { agent: 'coder-1', response: 'IMPLEMENTED' }
+    ]
+  });
+  engine.registerWorkflow('no-delegation', workflow('architect'));
+
+  const run = await engine.execute('no-delegation');
+
+  assert.strictEqual(run.results[0].metadata.delegations, undefined);
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['architect']);
+  assert.strictEqual(engine.hiveMind.delegationInstructions(engine.hiveMind.getAgent('architect')), null);
+});
+
+test('with delegation: true permitted requests run and their answers are appended', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'architect', response: delegating([{ agent: 'coder', task: 'Implement the API' }]) },
+      { agent: 'coder-1', response: 'IMPLEMENTED' }
+    ]
+  });
+  engine.registerWorkflow('delegating', workflow('architect', { delegation: true }));
+
+  const run = await engine.execute('delegating');
+
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['architect', 'coder-1']);
+  assert.match(run.results[0].result, /## Delegated tasks[\s\S]*IMPLEMENTED/);
+  assert.deepStrictEqual(run.results[0].metadata.delegations,
+    [{ agent: 'coder-1', task: 'Implement the API', success: true, error: undefined }]);
+});
+
+test('requests the policies forbid are rejected', async () => {
+  const { engine, provider } = await createHive({
+    responses: [{ agent: 'reviewer', response: delegating([{ agent: 'coder', task: 'Fix it yourself' }]) }]
+  });
+  engine.registerWorkflow('forbidden', workflow('reviewer', { delegation: true }));
+
+  const run = await engine.execute('forbidden');
+
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['reviewer']);
+  const [entry] = run.results[0].metadata.delegations;
+  assert.match(entry.rejected, /may not delegate to coder agents/);
+});
+
+test('parseDelegations reads every delegate block and skips malformed entries', () => {
+  const text = [
+    '```delegate\n[{"agent": "coder", "task": "A"}, {"agent": "tester"}]\n```',
+    '```delegate\n{"agent": "analyst", "task": "B", "context": "numbers"}\n```',
+    '```delegate\nnot json\n```'
+  ].join('\n');
+
+  assert.deepStrictEqual(parseDelegations(text), [
+    { agent: 'coder', task: 'A', context: undefined },
+    { agent: 'analyst', task: 'B', context: 'numbers' }
+  ]);
+});
+
+test('the workflow delegation field must be a boolean', () => {
+  const loader = new WorkflowLoader();
+
+  assert.throws(() => loader.assertValid(workflow('architect', { delegation: 1 }), 'bad'), /delegation.*true or false/);
+});
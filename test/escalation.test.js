@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { WorkflowLoader } = require('../src/workflows/loader');
+
+quietConsole();
+
+const ESCALATE = '```escalate\n{"reason": "the requirements contradict each other", "confidence": 0.2}\n```';
+
+function workflow(fields = {}) {
+  return {
+    name: 'Escalation Test',
+    mode: 'sequential',
+    steps: [{ id: 'build', agent: 'coder-1', prompt: 'Build the sync engine' }],
+    ...fields
+  };
+}
+
+test('escalation is off unless the workflow turns it on', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'coder-1', response: `I am stuck.\n${ESCALATE}` },
+      { agent: 'architect', response: 'RE-PLANNED' }
+    ]
+  });
+  engine.registerWorkflow('no-escalation', workflow());
+
+  const run = await engine.execute('no-escalation');
+
+  assert.match(run.results[0].result, /I am stuck/);
+  assert.strictEqual(run.results[0].metadata.escalation, undefined);
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['coder-1']);
+  assert.strictEqual(engine.hiveMind.escalationInstructions(engine.hiveMind.getAgent('coder-1')), null);
+});
+
+test('with escalation: true a stuck agent hands the task to its supervisor', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'coder-1', response: `I am stuck.\n${ESCALATE}` },
+      { agent: 'architect', response: 'RE-PLANNED' }
+    ]
+  });
+  engine.registerWorkflow('escalating', workflow({ escalation: true }));
+
+  const run = await engine.execute('escalating');
+
+  assert.strictEqual(run.results[0].result, 'RE-PLANNED');
+  assert.deepStrictEqual(run.results[0].metadata.escalation.chain, ['coder-1', 'architect']);
+  assert.match(provider.calls[1].prompt, /contradict each other/);
+});
+
+test('a rejected request is neither run again nor escalated', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'coder-1', response: { error: { status: 400, message: 'model: unknown model' } } },
+      { agent: 'architect', response: 'TAKEN OVER' }
+    ]
+  });
+  engine.registerWorkflow('rejected', workflow({ escalation: true }));
+
+  const run = await engine.execute('rejected');
+
+  assert.strictEqual(run.results[0].success, false);
+  assert.strictEqual(run.results[0].retriable, false);
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['coder-1']);
+});
+
+test('a failure that may pass on another attempt is run again, then escalated', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'coder-1', response: { error: { message: 'connection reset' } } },
+      { agent: 'architect', response: 'TAKEN OVER' }
+    ]
+  });
+  engine.registerWorkflow('failing', workflow({ escalation: true }));
+
+  const run = await engine.execute('failing');
+
+  assert.strictEqual(run.results[0].result, 'TAKEN OVER');
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['coder-1', 'coder-1', 'architect']);
+});
+
+test('the workflow escalation field must be a boolean', () => {
+  const loader = new WorkflowLoader();
+
+  assert.throws(() => loader.assertValid(workflow({ escalation: 'yes' }), 'bad'), /escalation.*true or false/);
+  assert.doesNotThrow(() => loader.assertValid(workflow({ escalation: false }), 'good'));
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HiveMind } = require('../src/coordination/hivemind');
+const { WorkflowEngine } = require('../src/workflows/engine');
+const { MemoryManager } = require('../src/memory/manager');
+const { MockProvider } = require('../src/providers/mock');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+// Temporary directories of this test file, removed when it exits
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Tests drive the same code paths the CLI does, which log every step;
+ * keep their output to the test reporter's
+ */
+function quietConsole() {
+  for (const method of ['log', 'warn', 'info', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+/**
+ * A fresh temporary directory, removed when the process exits
+ */
+function tempDir(prefix = 'claude-flow-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * A config directory holding the repo's config files, with
+ * `file` (coordination.json by default) changed by `edit(config)`
+ */
+function configDir(edit = () => {}, file = 'coordination.json') {
+  const dir = tempDir('claude-flow-config-');
+  for (const name of fs.readdirSync(CONFIG_DIR)) {
+    fs.copyFileSync(path.join(CONFIG_DIR, name), path.join(dir, name));
+  }
+
+  const target = path.join(dir, file);
+  const config = JSON.parse(fs.readFileSync(target, 'utf8'));
+  edit(config);
+  fs.writeFileSync(target, JSON.stringify(config, null, 2));
+  return dir;
+}
+
+/**
+ * A hive answered by MockProvider `fixtures`, with a workflow engine over it.
+ * Options: `config` edits coordination.json, `memory: true` records runs in
+ * a temporary database, `budget` limits each run as --budget does. Tools
+ * work in a temporary workspace root.
+ */
+async function createHive(fixtures = {}, options = {}) {
+  const provider = new MockProvider(fixtures);
+  const memory = options.memory ? new MemoryManager(path.join(tempDir(), 'memory.db'), { quiet: true }) : null;
+  const hiveMind = new HiveMind({
+    provider,
+    memory,
+    budget: options.budget,
+    configDir: configDir(config => {
+      config.mcp_tools = { ...config.mcp_tools, workspace_dir: tempDir('claude-flow-workspaces-') };
+      if (options.config) options.config(config);
+    })
+  });
+
+  if (memory) {
+    await memory.initialize();
+  }
+  const engine = new WorkflowEngine(hiveMind, { memory, workflowDirs: [] });
+  return { hiveMind, engine, provider, memory };
+}
+
+/**
+ * The agent names of the mock calls whose prompt matches `pattern`
+ */
+function callsMatching(provider, pattern) {
+  return provider.calls.filter(call => pattern.test(call.prompt)).map(call => call.agent);
+}
+
+module.exports = { quietConsole, tempDir, configDir, createHive, callsMatching };
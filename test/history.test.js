@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { quietConsole, tempDir } = require('./helpers');
+const { MemoryManager } = require('../src/memory/manager');
+
+quietConsole();
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+
+/**
+ * Record two runs in a fresh project directory's memory database:
+ * an older completed review and a failed analysis
+ */
+async function seedProject() {
+  const cwd = tempDir();
+  const memory = new MemoryManager(path.join(cwd, 'data', 'memory.db'), { quiet: true });
+  await memory.initialize();
+
+  await memory.createRun('run-old', 'code-review', 'sequential', { inputs: { code: 'x = 1' } });
+  await memory.storeConversation('reviewer', 'Code Reviewer', 'Audit', 'LGTM', {
+    success: true,
+    prompt: 'Task: Audit x = 1',
+    usage: { input_tokens: 100, output_tokens: 20 }
+  }, 'run-old');
+  await memory.updateRunStatus('run-old', 'completed');
+  await memory.run('UPDATE workflow_runs SET started_at = ? WHERE id = ?', [Date.now() - 3 * 86400e3, 'run-old']);
+
+  await memory.createRun('run-new', 'data-analysis', 'sequential', {});
+  await memory.storeConversation('analyst', 'Data Analyst', 'Analyze', 'TRENDS', { success: true, prompt: 'Task: Analyze' }, 'run-new');
+  await memory.storeDecision('Data Analysis', 'branch', { step: 'x' }, { taken: true }, 'run-new');
+  await memory.logCoordination('analyst', 'reviewer', 'Please validate', 'run-new');
+  await memory.storeConversation('reviewer', 'Code Reviewer', 'Validate', null, { success: false, error: 'bad request' }, 'run-new');
+  await memory.updateRunStatus('run-new', 'failed', '1 step failed');
+  await memory.close();
+
+  return cwd;
+}
+
+/**
+ * Run the CLI in `cwd` and return its standard output
+ */
+function cli(cwd, ...args) {
+  return execFileSync(process.execPath, [CLI, ...args], {
+    cwd,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+}
+
+test('listRuns filters by agent, workflow and start time, newest first', async () => {
+  const cwd = await seedProject();
+  const memory = new MemoryManager(path.join(cwd, 'data', 'memory.db'), { quiet: true });
+  await memory.initialize();
+
+  try {
+    const all = await memory.listRuns();
+    assert.deepStrictEqual(all.map(run => run.id), ['run-new', 'run-old']);
+    assert.deepStrictEqual(all[0].agents.sort(), ['analyst', 'reviewer']);
+    assert.strictEqual(all[0].calls, 2);
+    assert.strictEqual(all[1].input_tokens + all[1].output_tokens, 120);
+
+    assert.deepStrictEqual((await memory.listRuns({ agent: 'analyst' })).map(run => run.id), ['run-new']);
+    assert.deepStrictEqual((await memory.listRuns({ workflow: 'review' })).map(run => run.id), ['run-old']);
+    assert.deepStrictEqual((await memory.listRuns({ since: Date.now() - 86400e3 })).map(run => run.id), ['run-new']);
+    assert.deepStrictEqual((await memory.listRuns({ limit: 1 })).map(run => run.id), ['run-new']);
+
+    const timeline = await memory.getRunTimeline('run-new');
+    assert.deepStrictEqual(timeline.conversations.map(c => [c.agent_name, c.result]), [['analyst', 'TRENDS'], ['reviewer', null]]);
+    assert.deepStrictEqual(timeline.decisions[0].outcome, { taken: true });
+    assert.strictEqual(timeline.messages[0].message, 'Please validate');
+  } finally {
+    await memory.close();
+  }
+});
+
+test('history prints the matching runs', async () => {
+  const cwd = await seedProject();
+
+  const runs = JSON.parse(cli(cwd, 'history', '--since', '1d', '--json'));
+  assert.deepStrictEqual(runs.map(run => run.id), ['run-new']);
+
+  const text = cli(cwd, 'history');
+  assert.match(text, /run-new {2}failed {2}data-analysis \(sequential\)/);
+  assert.match(text, /agents: .*analyst.* · 2 calls/);
+  assert.match(text, /1 step failed/);
+  assert.match(text, /run-old {2}completed {2}code-review/);
+  assert.match(text, /120 tokens/);
+});
+
+test('show prints a run step by step, optionally for one agent', async () => {
+  const cwd = await seedProject();
+
+  const text = cli(cwd, 'show', 'run-new');
+  assert.match(text, /── Step 1 · analyst \(Data Analyst\) ✓/);
+  assert.match(text, /Prompt:\nTask: Analyze\nOutput:\nTRENDS/);
+  assert.match(text, /── Step 2 · reviewer \(Code Reviewer\) ✗/);
+  assert.match(text, /bad request/);
+  assert.match(text, /── Decision · branch/);
+  assert.match(text, /── Message · analyst → reviewer/);
+
+  const filtered = JSON.parse(cli(cwd, 'show', 'run-new', '--agent', 'reviewer', '--json'));
+  assert.deepStrictEqual(filtered.conversations.map(c => c.agent_name), ['reviewer']);
+  assert.strictEqual(filtered.messages.length, 1);
+  assert.strictEqual(filtered.run.error, '1 step failed');
+
+  assert.throws(() => cli(cwd, 'show', 'missing'), error => /Run not found: missing/.test(error.stderr));
+  assert.throws(() => cli(cwd, 'history', '--since', 'yesterday'), error => /Invalid date "yesterday"/.test(error.stderr));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+
+quietConsole();
+
+test('initialize spawns the default team', async () => {
+  const { hiveMind } = await createHive();
+
+  await hiveMind.initialize();
+
+  assert.deepStrictEqual(
+    hiveMind.getAgents().map(agent => agent.name),
+    ['architect', 'coder-1', 'coder-2', 'tester', 'analyst', 'reviewer']
+  );
+  assert.strictEqual(hiveMind.getAgent('architect').tier, 1);
+  assert.strictEqual(hiveMind.getAgent('reviewer').tier, 3);
+});
+
+test('agents answer through the hive\'s provider and account their usage', async () => {
+  const { hiveMind, provider } = await createHive({
+    responses: [{ agent: 'coder', response: { text: 'done', usage: { input_tokens: 100, output_tokens: 20 } } }]
+  });
+  await hiveMind.initialize();
+
+  const result = await hiveMind.getAgent('coder-2').process('Write a function', {}, { step: 'write' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.result, 'done');
+  assert.strictEqual(provider.calls[0].agent, 'coder-2');
+  const usage = hiveMind.usage.summary();
+  assert.strictEqual(usage.total.input_tokens, 100);
+  assert.strictEqual(usage.total.output_tokens, 20);
+});
+
+test('a failed call is returned as a failed result', async () => {
+  const { hiveMind } = await createHive({
+    responses: [{ agent: 'tester', response: { error: { status: 400, message: 'bad request' } } }]
+  });
+  await hiveMind.initialize();
+
+  const result = await hiveMind.getAgent('tester').process('Write tests');
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /bad request/);
+});
+
+test('spawnAgent adds an agent of a configured role', async () => {
+  const { hiveMind } = await createHive();
+  await hiveMind.initialize();
+
+  const agent = await hiveMind.spawnAgent('coder', { name: 'coder-3' });
+
+  assert.strictEqual(hiveMind.getAgent('coder-3'), agent);
+  assert.strictEqual(agent.type, 'coder');
+  await assert.rejects(hiveMind.spawnAgent('juggler'), /juggler/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { CallLimiter, Semaphore } = require('../src/coordination/limits');
+
+quietConsole();
+
+test('a semaphore hands freed slots to waiters in arrival order', async () => {
+  const semaphore = new Semaphore(1);
+  const order = [];
+
+  const release = await semaphore.acquire();
+  const waiters = ['a', 'b'].map(name => semaphore.acquire().then(next => {
+    order.push(name);
+    return next;
+  }));
+  assert.strictEqual(semaphore.full, true);
+
+  release();
+  (await waiters[0])();
+  (await waiters[1])();
+
+  assert.deepStrictEqual(order, ['a', 'b']);
+  assert.strictEqual(semaphore.running, 0);
+});
+
+test('parallel calls never exceed the configured concurrency', async () => {
+  const { engine, provider } = await createHive({
+    responses: [{ response: { text: 'OK', delay: 30 } }]
+  }, {
+    config: config => {
+      config.workflows.parallel.max_concurrent = 2;
+      config.coordination.security.rate_limiting.enabled = false;
+    }
+  });
+  engine.registerWorkflow('fan-out', {
+    name: 'Fan out',
+    mode: 'parallel',
+    steps: ['architect', 'coder-1', 'coder-2', 'reviewer', 'tester'].map(agent => ({ agent, prompt: `Work as ${agent}` }))
+  });
+
+  // Count the requests the provider is answering at once
+  let inFlight = 0;
+  let peak = 0;
+  const complete = provider.complete.bind(provider);
+  provider.complete = async (...args) => {
+    inFlight += 1;
+    peak = Math.max(peak, inFlight);
+    try {
+      return await complete(...args);
+    } finally {
+      inFlight -= 1;
+    }
+  };
+
+  const run = await engine.execute('fan-out');
+
+  assert.ok(run.results.every(result => result.success));
+  assert.strictEqual(provider.calls.length, 5);
+  assert.strictEqual(peak, 2);
+});
+
+test('an agent runs no more calls at once than its own limit allows', async () => {
+  const limiter = new CallLimiter({ maxConcurrent: 10 });
+  const tester = { name: 'tester', tier: 3, permissions: { max_concurrent_tasks: 1 } };
+  const architect = { name: 'architect', tier: 1, permissions: {} };
+
+  assert.strictEqual(limiter.agentLimit(tester), 1);
+  assert.strictEqual(new CallLimiter({ tierConcurrency: { tier1: 5 } }).agentLimit(architect), 5);
+
+  const first = await limiter.acquire(tester);
+  let second = null;
+  const waiting = limiter.acquire(tester).then(release => { second = release; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(second, null);
+
+  first();
+  await waiting;
+  second();
+  assert.strictEqual(limiter.canRunTogether([tester, tester]), false);
+  assert.strictEqual(limiter.canRunTogether([tester, architect]), true);
+});
+
+test('calls over the rate limit wait for the bucket to refill', async () => {
+  // A burst of 2, then one call every 100ms
+  const limiter = new CallLimiter({ rateLimiting: true, requestsPerMinute: 600, burst: 2, maxConcurrent: 10 });
+  const agent = { name: 'coder-1', permissions: { max_concurrent_tasks: 10 } };
+
+  const started = Date.now();
+  const waited = [];
+  await Promise.all([0, 1, 2, 3].map(async () => {
+    const release = await limiter.acquire(agent);
+    waited.push(Date.now() - started);
+    release();
+  }));
+
+  assert.ok(waited[0] < 50 && waited[1] < 50, `burst waited ${waited.slice(0, 2)}ms`);
+  assert.ok(waited[2] >= 90, `third call waited only ${waited[2]}ms`);
+  assert.ok(waited[3] >= 190, `fourth call waited only ${waited[3]}ms`);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { findBlocks, findLines } = require('../src/agents/markers');
+const { parseVerdict } = require('../src/agents/verdict');
+const { parseVote } = require('../src/coordination/consensus');
+const { parseEscalation } = require('../src/coordination/escalation');
+const { extractVerdict } = require('../src/workflows/conditions');
+
+quietConsole();
+
+test('findBlocks returns the tagged blocks in order with their JSON', () => {
+  const text = 'Intro\n```vote\n{"answer": "a"}\n```\n```js\nx()\n```\n```VOTE extra\nnot json\n```';
+
+  assert.deepStrictEqual(findBlocks(text, ['vote']).map(({ kind, value, valid }) => ({ kind, value, valid })), [
+    { kind: 'vote', value: { answer: 'a' }, valid: true },
+    { kind: 'vote', value: undefined, valid: false }
+  ]);
+  assert.deepStrictEqual(findBlocks(null, ['vote']), []);
+});
+
+test('findLines reads labelled lines through markdown markup', () => {
+  const text = 'Analysis...\n- **Verdict:** complex\n> VERDICT: `simple`\nverdicts: none';
+
+  assert.deepStrictEqual(findLines(text, 'verdict').map(line => line.value), ['complex', 'simple']);
+});
+
+test('parseVerdict takes the last verdict block, or a verdict line', () => {
+  const approve = '```verdict\n{"verdict": "approve", "issues": []}\n```';
+  const changes = '```verdict\n{"verdict": "changes requested", "issues": [{"file": "a.js", "description": "typo"}]}\n```';
+
+  assert.deepStrictEqual(parseVerdict(`${approve}\n${changes}`), { verdict: 'changes_requested', issues: ['a.js: typo'] });
+  assert.deepStrictEqual(parseVerdict('Looks fine.\n**Verdict**: approved'), { verdict: 'approve', issues: [] });
+  assert.strictEqual(parseVerdict('no verdict here'), null);
+});
+
+test('parseVote and parseEscalation read their blocks through the same parser', () => {
+  assert.deepStrictEqual(parseVote('```vote\n{"answer": " Redis ", "rationale": "fast"}\n```'), { answer: 'Redis', rationale: 'fast' });
+  assert.strictEqual(parseVote('```vote\n{"rationale": "no answer"}\n```'), null);
+  assert.deepStrictEqual(parseEscalation('```escalate\n{"reason": "blocked", "confidence": 0.1}\n```'),
+    { reason: 'blocked', confidence: 0.1 });
+  assert.deepStrictEqual(parseEscalation('```escalate\nI cannot do this\n```'),
+    { reason: 'I cannot do this', confidence: undefined });
+});
+
+test('extractVerdict accepts verdict lines and verdict blocks, the last one winning', () => {
+  const options = ['approve', 'changes_requested'];
+
+  assert.strictEqual(extractVerdict('VERDICT: approve', options), 'approve');
+  assert.strictEqual(extractVerdict('```verdict\n{"verdict": "changes_requested", "issues": ["x"]}\n```', options), 'changes_requested');
+  assert.strictEqual(extractVerdict('VERDICT: approve\n```verdict\n{"verdict": "changes_requested"}\n```', options), 'changes_requested');
+  assert.strictEqual(extractVerdict('```verdict\n{"verdict": "changes_requested"}\n```\nVERDICT: approve', options), 'approve');
+  assert.strictEqual(extractVerdict('VERDICT: maybe', options), null);
+});
+
+test('a reviewer\'s verdict block drives a conditional branch', async () => {
+  const { engine } = await createHive({
+    responses: [
+      { agent: 'reviewer', response: 'Two problems.\n```verdict\n{"verdict": "changes_requested", "issues": ["a", "b"]}\n```' },
+      { agent: 'coder-1', response: 'FIXED' }
+    ]
+  });
+  engine.registerWorkflow('review-branch', {
+    name: 'Review Branch',
+    mode: 'conditional',
+    steps: [
+      { id: 'review', agent: 'reviewer', verdict: ['approve', 'changes_requested'], prompt: 'Review the change' },
+      { id: 'fix', agent: 'coder-1', condition: 'changes_requested', prompt: 'Fix: {{steps.review.result}}' },
+      { id: 'ship', agent: 'coder-1', condition: 'else', prompt: 'Ship it' }
+    ]
+  });
+
+  const run = await engine.execute('review-branch');
+
+  assert.strictEqual(run.results.steps[0].verdict, 'changes_requested');
+  assert.deepStrictEqual(run.results.steps.map(result => result.result.split('\n')[0]), ['Two problems.', 'FIXED']);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { quietConsole, createHive } = require('./helpers');
+const { McpServer } = require('../src/mcp/server');
+
+quietConsole();
+
+/**
+ * Serve `requests` (one JSON-RPC message each) and collect every message
+ * the server writes
+ */
+async function exchange(server, requests) {
+  const output = [];
+  server.output.on('data', chunk => output.push(...chunk.toString('utf8').trim().split('\n')));
+  const served = server.serve();
+  requests.forEach(request => server.input.write(`${typeof request === 'string' ? request : JSON.stringify(request)}\n`));
+  server.input.end();
+  await served;
+  return output.map(line => JSON.parse(line));
+}
+
+async function createServer(fixtures) {
+  const { engine, hiveMind, memory } = await createHive(fixtures, { memory: true });
+  await hiveMind.initialize();
+  return new McpServer({ engine, memory, input: new PassThrough(), output: new PassThrough() });
+}
+
+const call = (id, name, args = {}, meta) =>
+  ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args, ...(meta ? { _meta: meta } : {}) } });
+
+test('initialize and tools/list describe the server', async () => {
+  const server = await createServer();
+
+  const [init, list] = await exchange(server, [
+    { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/list' }
+  ]);
+
+  assert.strictEqual(init.result.protocolVersion, '2025-03-26');
+  assert.strictEqual(init.result.serverInfo.name, 'abc-claude-flow');
+  assert.deepStrictEqual(list.result.tools.map(tool => tool.name),
+    ['list_workflows', 'run_workflow', 'spawn_agent', 'swarm_status', 'query_memory']);
+});
+
+test('protocol errors are answered as JSON-RPC errors', async () => {
+  const server = await createServer();
+
+  const replies = await exchange(server, [
+    'not json',
+    { jsonrpc: '2.0', id: 1, method: 'resources/list' },
+    call(2, 'delete_everything')
+  ]);
+
+  assert.deepStrictEqual(replies.map(reply => reply.error.code), [-32700, -32601, -32602]);
+});
+
+test('run_workflow reports progress per agent call and returns the results', async () => {
+  const server = await createServer({ default: 'DONE' });
+
+  const replies = await exchange(server, [
+    call(1, 'run_workflow', { workflow: 'parallel-dev', inputs: { feature_a: 'login', feature_b: 'logout' } }, { progressToken: 'p1' })
+  ]);
+
+  const progress = replies.filter(reply => reply.method === 'notifications/progress');
+  const result = JSON.parse(replies.find(reply => reply.id === 1).result.content[0].text);
+  assert.ok(progress.length > 0);
+  assert.deepStrictEqual(progress.map(note => note.params.progress), progress.map((note, index) => index + 1));
+  assert.ok(progress.every(note => note.params.progressToken === 'p1'));
+  assert.strictEqual(result.status, 'completed');
+  assert.strictEqual(result.results.length, progress.length);
+  assert.ok(result.results.every(entry => entry.result === 'DONE'));
+});
+
+test('spawn_agent, swarm_status and query_memory act on the hive and its memory', async () => {
+  const server = await createServer({ default: 'Use SQLite for the todo store' });
+  await server.hiveMind.getAgent('coder-1').process('Pick a database');
+
+  // Requests are handled concurrently: the second spawn races the first
+  const [spawned, duplicate] = (await exchange(server, [
+    call(1, 'spawn_agent', { type: 'coder', name: 'coder-3' }),
+    call(2, 'spawn_agent', { type: 'coder', name: 'coder-3' })
+  ])).sort((a, b) => a.id - b.id).map(reply => reply.result);
+  const next = new McpServer({ engine: server.engine, memory: server.memory, input: new PassThrough(), output: new PassThrough() });
+  const [status, memories] = (await exchange(next, [
+    call(1, 'swarm_status'),
+    call(2, 'query_memory', { query: 'sqlite database' })
+  ])).sort((a, b) => a.id - b.id).map(reply => reply.result);
+
+  assert.strictEqual(JSON.parse(spawned.content[0].text).name, 'coder-3');
+  assert.strictEqual(duplicate.isError, true);
+  assert.match(duplicate.content[0].text, /already exists/);
+  assert.strictEqual(JSON.parse(status.content[0].text).totalAgents, 7);
+  const [memory] = JSON.parse(memories.content[0].text);
+  assert.strictEqual(memory.agent, 'coder-1');
+  assert.match(memory.result, /SQLite/);
+});
+
+test('spawn_agent names unnamed agents after their role and rejects swarm-style names', async () => {
+  const server = await createServer();
+
+  const replies = (await exchange(server, [
+    call(1, 'spawn_agent', { type: 'tester' }),
+    call(2, 'spawn_agent', { type: 'tester' }),
+    call(3, 'spawn_agent', { type: 'analyst', name: 'team/analyst' })
+  ])).sort((a, b) => a.id - b.id).map(reply => reply.result);
+
+  assert.deepStrictEqual(replies.slice(0, 2).map(reply => JSON.parse(reply.content[0].text).name), ['tester-1', 'tester-2']);
+  assert.ok(server.hiveMind.getAgent('tester'));
+  assert.strictEqual(replies[2].isError, true);
+  assert.match(replies[2].content[0].text, /Invalid agent name "team\/analyst"/);
+  assert.strictEqual(server.hiveMind.getAgent('team/analyst'), undefined);
+});
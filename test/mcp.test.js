@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { quietConsole, createHive } = require('./helpers');
+const { McpClient } = require('../src/tools/mcp');
+const { ToolRegistry } = require('../src/tools');
+
+quietConsole();
+
+const ECHO_SERVER = {
+  name: 'demo',
+  command: process.execPath,
+  args: [path.join(__dirname, '..', 'examples', 'mcp', 'echo-server.js')],
+  allow: { analyst: ['*'], reviewer: ['word_count'] }
+};
+
+test('the client lists and calls the tools of a stdio server', async (t) => {
+  const client = new McpClient(ECHO_SERVER);
+  t.after(() => client.close());
+
+  const info = await client.connect();
+  const tools = await client.listTools();
+
+  assert.strictEqual(info.serverInfo.name, 'echo-server');
+  assert.deepStrictEqual(tools.map(tool => tool.name), ['echo', 'word_count']);
+  assert.deepStrictEqual(await client.callTool('word_count', { text: 'one two three' }),
+    { content: [{ type: 'text', text: '3' }] });
+  await assert.rejects(client.callTool('shout', { text: 'hi' }), /Unknown tool: shout/);
+});
+
+test('a server that cannot start is left out', async () => {
+  const tools = new ToolRegistry({ enabled: true, servers: [{ name: 'missing', command: 'no-such-mcp-server' }] });
+
+  await tools.connect();
+
+  assert.deepStrictEqual(tools.servers, []);
+});
+
+test('server tools are offered per role, as <server>__<tool>', async (t) => {
+  const tools = new ToolRegistry({ enabled: true, servers: [ECHO_SERVER] });
+  t.after(() => tools.close());
+  await tools.connect();
+
+  const names = agent => tools.definitionsFor(agent).map(tool => tool.name);
+  assert.deepStrictEqual(names({ name: 'analyst', type: 'analyst' }), ['demo__echo', 'demo__word_count']);
+  assert.deepStrictEqual(names({ name: 'reviewer', type: 'reviewer' }), ['demo__word_count']);
+  assert.deepStrictEqual(names({ name: 'coder-1', type: 'coder' }), []);
+
+  const outcome = await tools.run({ name: 'reviewer', type: 'reviewer' }, 'demo__echo', { text: 'hi' });
+  assert.deepStrictEqual(outcome, { content: 'Tool demo__echo is not available to reviewer', isError: true });
+  assert.deepStrictEqual(await tools.run({ name: 'analyst', type: 'analyst' }, 'demo__echo', { text: 42 }),
+    { content: 'text must be a string', isError: true });
+});
+
+test('an agent calls a server tool and the call is logged to coordination_logs', async (t) => {
+  const { hiveMind, provider, memory } = await createHive({
+    responses: [{
+      agent: 'analyst',
+      response: [
+        { tool_calls: [{ name: 'demo__word_count', input: { text: 'count these four words' } }] },
+        'The text has 4 words.'
+      ]
+    }]
+  }, {
+    memory: true,
+    config: config => { config.mcp_tools.servers = [ECHO_SERVER]; }
+  });
+  t.after(() => hiveMind.shutdown());
+  await hiveMind.initialize();
+
+  const result = await hiveMind.getAgent('analyst').process('How many words?');
+
+  assert.strictEqual(result.result, 'The text has 4 words.');
+  assert.match(provider.calls[1].prompt, /\b4\b/);
+  const logs = await memory.getCoordinationHistory();
+  const mcpLogs = logs.filter(log => log.source_agent === 'mcp:demo' || log.target_agent === 'mcp:demo');
+  assert.deepStrictEqual(mcpLogs.map(log => `${log.source_agent}>${log.target_agent}`).sort(),
+    ['analyst>mcp:demo', 'mcp:demo>analyst']);
+  assert.match(mcpLogs.find(log => log.source_agent === 'mcp:demo').message, /"result":"4"/);
+});
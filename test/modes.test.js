@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive, callsMatching } = require('./helpers');
+
+quietConsole();
+
+const APPROVE = '```verdict\n{"verdict": "approve", "issues": []}\n```';
+const CHANGES = '```verdict\n{"verdict": "changes_requested", "issues": ["handle empty input"]}\n```';
+
+test('sparc runs every phase and stops once the reviewer approves', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'architect', match: 'Create detailed specification', response: 'SPEC' },
+      { agent: 'architect', match: 'Design system architecture', response: 'ARCHITECTURE' },
+      { agent: 'coder-1', match: 'Create pseudocode', response: 'PSEUDOCODE' },
+      { agent: 'coder-1', match: 'Implement refined solution', response: 'IMPLEMENTATION' },
+      { agent: 'tester', response: `Tests written.\n${APPROVE}` },
+      { agent: 'reviewer', response: `Looks good.\n${APPROVE}` }
+    ]
+  });
+
+  const run = await engine.execute('fullstack-dev', { mode: 'sparc', inputs: { task: 'a todo app' } });
+
+  assert.strictEqual(run.mode, 'sparc');
+  assert.strictEqual(run.failures, 0);
+  assert.strictEqual(run.results.specification.result, 'SPEC');
+  assert.strictEqual(run.results.implementation.result, 'IMPLEMENTATION');
+  assert.strictEqual(run.results.feedback.length, 1);
+  assert.strictEqual(run.results.feedback[0].next, 'approved');
+  assert.match(provider.calls.find(call => /pseudocode/i.test(call.prompt)).prompt, /SPEC/);
+});
+
+test('sparc sends requested changes back to the coder for another round', async () => {
+  const { engine, provider } = await createHive({
+    default: 'OK',
+    responses: [
+      { agent: 'coder-1', match: 'Revise the implementation', response: 'FIXED' },
+      { agent: 'tester', response: APPROVE },
+      { agent: 'reviewer', response: [CHANGES, APPROVE] }
+    ]
+  });
+
+  const run = await engine.execute('fullstack-dev', { mode: 'sparc', inputs: { task: 'a todo app' } });
+
+  assert.deepStrictEqual(run.results.feedback.map(round => round.next), ['revise', 'approved']);
+  assert.strictEqual(run.results.implementation.result, 'FIXED');
+  const revision = provider.calls.find(call => /Revise the implementation/.test(call.prompt));
+  assert.match(revision.prompt, /handle empty input/);
+});
+
+test('sparc runs a workflow that declares no task input on the one passed in', async () => {
+  const { engine, provider } = await createHive({ default: APPROVE });
+
+  await assert.rejects(engine.execute('data-analysis', { mode: 'sparc', inputs: { data: 'x' } }),
+    /Missing workflow input: task \(The task for the SPARC phases\)/);
+  assert.strictEqual(provider.calls.length, 0);
+
+  const run = await engine.execute('data-analysis', { mode: 'sparc', inputs: { data: 'x', task: 'y' } });
+
+  assert.strictEqual(run.failures, 0);
+  assert.match(provider.calls[0].prompt, /specification.*\by\b/is);
+});
+
+test('parallel runs every step on its own agent', async () => {
+  const { engine } = await createHive({
+    responses: [
+      { agent: 'coder-1', response: 'feature A done' },
+      { agent: 'coder-2', response: 'feature B done' }
+    ]
+  });
+
+  const run = await engine.execute('parallel-dev', { inputs: { feature_a: 'login', feature_b: 'logout' } });
+
+  assert.strictEqual(run.mode, 'parallel');
+  assert.deepStrictEqual(run.results.map(result => result.result), ['feature A done', 'feature B done']);
+  assert.deepStrictEqual(run.results.map(result => result.metadata.agent), ['coder-1', 'coder-2']);
+});
+
+test('sequential passes each step its predecessors\' outputs and records the run', async () => {
+  const { engine, provider, memory } = await createHive({
+    responses: [
+      { agent: 'analyst', match: 'Analyze the following data', response: 'ANALYSIS' },
+      { agent: 'analyst', match: 'actionable insights', response: 'INSIGHTS' },
+      { agent: 'reviewer', response: 'VALIDATED' }
+    ]
+  }, { memory: true });
+
+  const run = await engine.execute('data-analysis', { inputs: { data: 'sales.csv' } });
+
+  assert.deepStrictEqual(run.results.map(result => result.result), ['ANALYSIS', 'INSIGHTS', 'VALIDATED']);
+  assert.match(provider.calls[1].prompt, /ANALYSIS/);
+  assert.match(provider.calls[2].prompt, /INSIGHTS/);
+
+  const recorded = await memory.getRun(run.runId);
+  assert.strictEqual(recorded.status, 'completed');
+  assert.strictEqual((await memory.getCheckpoints(run.runId)).length, 3);
+});
+
+test('conditional takes the branch named by the verdict', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'architect', match: 'Assess whether', response: 'Several services involved.\nVERDICT: complex' },
+      { agent: 'architect', match: 'detailed design', response: 'DESIGN' }
+    ]
+  });
+
+  const run = await engine.execute('conditional-branch', { inputs: { requirements: 'billing' } });
+
+  const [assess, design] = run.results.steps;
+  assert.strictEqual(assess.verdict, 'complex');
+  assert.strictEqual(design.result, 'DESIGN');
+  assert.strictEqual(run.results.steps.length, 2);
+  assert.deepStrictEqual(
+    run.results.decisions.filter(decision => decision.type === 'branch').map(({ step, taken }) => ({ step, taken })),
+    [{ step: 'simple', taken: false }, { step: 'complex', taken: true }]
+  );
+  assert.deepStrictEqual(callsMatching(provider, /Implement these requirements/), []);
+});
+
+test('stream passes each agent\'s output on to the next', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'analyst', response: 'normalized rows' },
+      { agent: 'coder-1', response: 'json records' },
+      { agent: 'reviewer', response: 'records valid' }
+    ]
+  });
+
+  const run = await engine.execute('stream-chain', { inputs: { data: 'a,b,c' } });
+
+  assert.strictEqual(run.mode, 'stream');
+  assert.deepStrictEqual(run.results.map(stage => stage.success), [true, true, true]);
+  assert.strictEqual(run.results[2].result, 'records valid');
+  assert.match(provider.calls.find(call => call.agent === 'coder-1').prompt, /normalized rows/);
+  assert.match(provider.calls.find(call => call.agent === 'reviewer').prompt, /json records/);
+});
+
+test('consensus picks the majority answer and records the dissent', async () => {
+  const vote = (answer) => `\`\`\`vote\n{"answer": "${answer}", "rationale": "because"}\n\`\`\``;
+  const { engine } = await createHive({
+    responses: [
+      { agent: 'architect', response: vote('PostgreSQL') },
+      { agent: 'coder-1', response: vote('postgresql') },
+      { agent: 'analyst', response: vote('SQLite') }
+    ]
+  });
+
+  engine.registerWorkflow('consensus-test', {
+    name: 'Consensus Test',
+    mode: 'consensus',
+    steps: [
+      { agent: 'architect', prompt: 'Which database?' },
+      { agent: 'coder-1', prompt: 'Which database?' },
+      { agent: 'analyst', prompt: 'Which database?' }
+    ],
+    consensus: { rule: 'majority' }
+  });
+
+  const run = await engine.execute('consensus-test');
+
+  assert.strictEqual(run.results.consensus.success, true);
+  assert.strictEqual(run.results.consensus.result, 'PostgreSQL');
+  assert.deepStrictEqual(run.results.consensus.metadata.dissent.map(entry => entry.agent), ['analyst']);
+});
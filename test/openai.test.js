@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { quietConsole, configDir } = require('./helpers');
+const { OpenAIProvider } = require('../src/providers/openai');
+const { ConfigLoader } = require('../src/config/loader');
+const { HiveMind } = require('../src/coordination/hivemind');
+
+quietConsole();
+
+const REQUEST = {
+  model: 'qwen2.5-coder:7b',
+  max_tokens: 200,
+  temperature: 0.2,
+  system: 'You are a tester.',
+  messages: [{ role: 'user', content: 'Task: List the test cases' }]
+};
+
+/**
+ * A local /chat/completions server; `handle(body, res)` answers each request.
+ * Resolves to { baseUrl, requests, close }.
+ */
+function chatServer(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push({ url: req.url, headers: req.headers, body });
+      handle(body, res);
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+    requests,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+test('requests are translated to chat completions and usage is read back', async () => {
+  const server = await chatServer((body, res) => json(res, 200, {
+    model: 'qwen2.5-coder:7b-q4',
+    choices: [{ message: { role: 'assistant', content: 'Cases' } }],
+    usage: { prompt_tokens: 12, completion_tokens: 3 }
+  }));
+
+  try {
+    const provider = new OpenAIProvider({ baseUrl: server.baseUrl, apiKey: 'local-key' });
+    const message = await provider.complete(REQUEST);
+
+    assert.deepStrictEqual(message, {
+      text: 'Cases',
+      content: [{ type: 'text', text: 'Cases' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 12, output_tokens: 3 },
+      model: 'qwen2.5-coder:7b-q4'
+    });
+    const [sent] = server.requests;
+    assert.strictEqual(sent.url, '/v1/chat/completions');
+    assert.strictEqual(sent.headers.authorization, 'Bearer local-key');
+    assert.deepStrictEqual(sent.body, {
+      model: 'qwen2.5-coder:7b',
+      messages: [
+        { role: 'system', content: 'You are a tester.' },
+        { role: 'user', content: 'Task: List the test cases' }
+      ],
+      max_tokens: 200,
+      temperature: 0.2
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('usage is estimated when the server reports none', async () => {
+  const server = await chatServer((body, res) => json(res, 200, { choices: [{ message: { content: 'x'.repeat(40) } }] }));
+
+  try {
+    const message = await new OpenAIProvider({ baseUrl: server.baseUrl }).complete(REQUEST);
+
+    assert.deepStrictEqual(message.usage, { input_tokens: 11, output_tokens: 10 });
+    assert.strictEqual(message.model, REQUEST.model);
+    assert.strictEqual(server.requests[0].headers.authorization, undefined);
+  } finally {
+    await server.close();
+  }
+});
+
+test('streamed deltas are yielded as they arrive, across chunk boundaries', async () => {
+  const server = await chatServer((body, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    const events = [
+      { model: 'local', choices: [{ delta: { content: 'Unauthenticated ' } }] },
+      { choices: [{ delta: { content: 'requests fail' } }] },
+      { choices: [], usage: { prompt_tokens: 20, completion_tokens: 4 } }
+    ];
+    const stream = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+    // Split mid-line so the parser has to carry a partial event over
+    res.write(stream.slice(0, 30));
+    res.end(stream.slice(30));
+  });
+
+  try {
+    const provider = new OpenAIProvider({ baseUrl: server.baseUrl });
+    const events = [];
+    for await (const event of provider.stream(REQUEST)) {
+      events.push(event);
+    }
+
+    assert.deepStrictEqual(events, [
+      { type: 'text', text: 'Unauthenticated ' },
+      { type: 'text', text: 'requests fail' },
+      {
+        type: 'message',
+        message: {
+          text: 'Unauthenticated requests fail',
+          content: [{ type: 'text', text: 'Unauthenticated requests fail' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 20, output_tokens: 4 },
+          model: 'local'
+        }
+      }
+    ]);
+    assert.strictEqual(server.requests[0].body.stream, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a final event without a trailing newline is still read', async () => {
+  const server = await chatServer((body, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Done' } }] })}\n\n`);
+    res.end(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 9, completion_tokens: 1 } })}`);
+  });
+
+  try {
+    let message = null;
+    for await (const event of new OpenAIProvider({ baseUrl: server.baseUrl }).stream(REQUEST)) {
+      if (event.type === 'message') message = event.message;
+    }
+
+    assert.strictEqual(message.text, 'Done');
+    assert.deepStrictEqual(message.usage, { input_tokens: 9, output_tokens: 1 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('tool definitions, calls and results are translated both ways', async () => {
+  const server = await chatServer((body, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    const events = [
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_file', arguments: '{"pa' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'th": "app.js"}' } }] }, finish_reason: 'tool_calls' }] }
+    ];
+    res.end(events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n');
+  });
+
+  try {
+    const provider = new OpenAIProvider({ baseUrl: server.baseUrl });
+    const request = {
+      ...REQUEST,
+      tools: [{ name: 'read_file', description: 'Read a file', input_schema: { type: 'object' } }],
+      messages: [
+        REQUEST.messages[0],
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'call_0', name: 'list_files', input: {} }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_0', content: 'app.js' }] }
+      ]
+    };
+    let message = null;
+    for await (const event of provider.stream(request)) {
+      if (event.type === 'message') message = event.message;
+    }
+
+    assert.strictEqual(message.stop_reason, 'tool_use');
+    assert.deepStrictEqual(message.content, [{ type: 'tool_use', id: 'call_1', name: 'read_file', input: { path: 'app.js' } }]);
+    const sent = server.requests[0].body;
+    assert.deepStrictEqual(sent.tools, [
+      { type: 'function', function: { name: 'read_file', description: 'Read a file', parameters: { type: 'object' } } }
+    ]);
+    assert.deepStrictEqual(sent.messages.slice(2), [
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_0', type: 'function', function: { name: 'list_files', arguments: '{}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_0', content: 'app.js' }
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('HTTP and connection failures are shaped for the agent\'s retries', async () => {
+  const server = await chatServer((body, res) => json(res, 429, { error: { message: 'slow down' } }, { 'retry-after': '3' }));
+  const provider = new OpenAIProvider({ baseUrl: server.baseUrl });
+
+  try {
+    const limited = await provider.complete(REQUEST).catch(error => error);
+    assert.strictEqual(limited.message, '429 slow down');
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.headers['retry-after'], '3');
+
+    const streamed = await provider.stream(REQUEST).next().catch(error => error);
+    assert.strictEqual(streamed.message, '429 slow down');
+  } finally {
+    await server.close();
+  }
+
+  const unreachable = await provider.complete(REQUEST).catch(error => error);
+  assert.strictEqual(unreachable.code, 'ECONNECTION');
+  assert.match(unreachable.message, /^Cannot reach http:\/\/127\.0\.0\.1:\d+\/v1:/);
+});
+
+test('a role\'s provider setting is validated and gives its agents their own backend', async () => {
+  const invalid = new ConfigLoader(configDir(agents => {
+    agents.tester.provider = { type: 'openai' };
+    agents.coder.provider = 'gemini';
+  }, 'agents.json'));
+  assert.throws(() => invalid.loadAgents(), error =>
+    /tester\.provider\.base_url must be an http\(s\) URL/.test(error.message) &&
+    /coder\.provider\.type must be one of anthropic, openai/.test(error.message));
+
+  const hiveMind = new HiveMind({
+    configDir: configDir(agents => {
+      agents.tester.provider = { type: 'openai', base_url: 'http://localhost:11434/v1' };
+    }, 'agents.json')
+  });
+  await hiveMind.initialize();
+
+  const tester = hiveMind.getAgent('tester');
+  assert.ok(tester.provider instanceof OpenAIProvider);
+  assert.strictEqual(tester.provider.baseUrl, 'http://localhost:11434/v1');
+});
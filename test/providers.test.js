@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { quietConsole, tempDir, createHive } = require('./helpers');
+const { createProvider, MockProvider, ReplayProvider } = require('../src/providers');
+const { WorkflowEngine } = require('../src/workflows/engine');
+
+quietConsole();
+
+const ROOT = path.join(__dirname, '..');
+const REQUEST = {
+  model: 'claude-3-5-sonnet-20241022',
+  max_tokens: 100,
+  system: 'You are a tester.',
+  messages: [{ role: 'user', content: 'Task: List the test cases' }]
+};
+
+/**
+ * Collect a provider stream's text and final message
+ */
+async function drain(stream) {
+  let text = '';
+  let message = null;
+  for await (const event of stream) {
+    if (event.type === 'text') text += event.text;
+    if (event.type === 'message') message = event.message;
+  }
+  return { text, message };
+}
+
+test('the example fixtures run api-review offline, retrying the scripted rate limit', async () => {
+  const provider = MockProvider.fromFile(path.join(ROOT, 'examples', 'fixtures', 'api-review.yaml'));
+  const { hiveMind } = await createHive();
+  hiveMind.provider = provider;
+  const engine = new WorkflowEngine(hiveMind, { workflowDirs: [path.join(ROOT, 'workflows')] });
+
+  const run = await engine.execute('api-review', { inputs: { api: 'GET /users' } });
+
+  assert.strictEqual(run.failures, 0);
+  assert.match(run.results[0].result, /no authentication check/);
+  assert.match(run.results[2].result, /returns 401/);
+  assert.deepStrictEqual(provider.calls.map(call => call.agent), ['reviewer', 'architect', 'tester', 'tester']);
+});
+
+test('mock fixtures answer by agent and prompt, and fail on a prompt they do not cover', async () => {
+  const provider = new MockProvider({
+    responses: [
+      { agent: 'tester', match: 'test cases', response: { text: 'Cases', usage: { input_tokens: 7, output_tokens: 3 } } },
+      { agent: 'tester', response: { error: { status: 429, message: 'rate limited', retry_after: 2 } } }
+    ]
+  });
+  const tester = { name: 'tester', type: 'tester' };
+
+  const message = {
+    text: 'Cases',
+    content: [{ type: 'text', text: 'Cases' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 7, output_tokens: 3 },
+    model: REQUEST.model
+  };
+  assert.deepStrictEqual(await provider.complete(REQUEST, { agent: tester }), message);
+  assert.deepStrictEqual(await drain(provider.stream(REQUEST, { agent: tester })), { text: 'Cases', message });
+
+  const other = { ...REQUEST, messages: [{ role: 'user', content: 'Task: Something else' }] };
+  const limited = await provider.complete(other, { agent: tester }).catch(error => error);
+  assert.strictEqual(limited.status, 429);
+  assert.deepStrictEqual(limited.headers, { 'retry-after': '2' });
+  await assert.rejects(provider.complete(other, { agent: { name: 'coder-1' } }),
+    /Mock provider has no fixture for coder-1: "Task: Something else"/);
+});
+
+test('fixture files must hold a list of responses', () => {
+  const file = path.join(tempDir(), 'fixtures.yaml');
+  fs.writeFileSync(file, 'responses: oops\n');
+
+  assert.throws(() => MockProvider.fromFile(file), /"responses" must be a list/);
+  assert.throws(() => MockProvider.fromFile(path.join(tempDir(), 'missing.yaml')), /Cannot load mock fixtures/);
+});
+
+test('recorded responses replay for the same request only', async () => {
+  const dir = tempDir();
+  const inner = new MockProvider({ default: 'Recorded answer' });
+  const recorder = new ReplayProvider(dir, 'record', inner);
+
+  await recorder.complete(REQUEST, { agent: { name: 'tester' } });
+  assert.strictEqual(fs.readdirSync(dir).length, 1);
+
+  const replay = new ReplayProvider(dir, 'replay');
+  assert.strictEqual((await replay.complete(REQUEST)).text, 'Recorded answer');
+  assert.strictEqual((await drain(replay.stream(REQUEST))).text, 'Recorded answer');
+  assert.strictEqual(inner.calls.length, 1);
+
+  await assert.rejects(replay.complete({ ...REQUEST, temperature: 0.5 }, { agent: { name: 'tester' } }),
+    /No recording for tester: "Task: List the test cases"/);
+});
+
+test('the tools offered to an agent are part of the recorded request', async () => {
+  const dir = tempDir();
+  const tools = [{ name: 'read_file', description: 'Read a file', input_schema: { type: 'object' } }];
+  await new ReplayProvider(dir, 'record', new MockProvider({ default: 'With tools' })).complete({ ...REQUEST, tools });
+
+  const replay = new ReplayProvider(dir, 'replay');
+  assert.strictEqual((await replay.complete({ ...REQUEST, tools })).text, 'With tools');
+  await assert.rejects(replay.complete(REQUEST), /No recording for agent/);
+  await assert.rejects(replay.complete({ ...REQUEST, tools: [{ ...tools[0], name: 'write_file' }] }), /No recording for agent/);
+});
+
+test('createProvider picks one provider from the run options', () => {
+  assert.strictEqual(createProvider({}), null);
+  assert.ok(createProvider({ replay: tempDir() }) instanceof ReplayProvider);
+  assert.throws(() => createProvider({ mock: 'a.yaml', replay: 'dir' }), /Choose one of --mock, --replay/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { RunRecorder } = require('../src/memory/recorder');
+
+quietConsole();
+
+test('every agent call of a run is recorded with its full prompt', async () => {
+  const { engine, memory } = await createHive({
+    responses: [
+      { match: 'Analyze', response: 'TRENDS' },
+      { agent: 'reviewer', response: { error: { status: 400, message: 'bad request' } } }
+    ],
+    default: 'INSIGHTS'
+  }, { memory: true });
+
+  const run = await engine.execute('data-analysis', { inputs: { data: 'sales' } });
+  const rows = await memory.all('SELECT * FROM conversations WHERE run_id = ? ORDER BY id', [run.runId]);
+
+  assert.deepStrictEqual(rows.map(row => [row.agent_name, JSON.parse(row.result)]), [
+    ['analyst', 'TRENDS'],
+    ['analyst', 'INSIGHTS'],
+    ['reviewer', null]
+  ]);
+  const first = JSON.parse(rows[0].metadata);
+  assert.match(first.prompt, /^Task: Analyze the following data/);
+  assert.match(first.system, /Data Analyst agent/);
+  assert.strictEqual(first.success, true);
+  const failed = JSON.parse(rows[2].metadata);
+  assert.strictEqual(failed.success, false);
+  assert.strictEqual(failed.error, 'bad request');
+});
+
+test('conditional decisions and agent messages are recorded under the run', async () => {
+  const { engine, hiveMind, memory } = await createHive({
+    default: 'OK',
+    responses: [{ match: 'Assess whether', response: 'VERDICT: complex' }]
+  }, { memory: true });
+
+  const run = await engine.execute('conditional-branch', { inputs: { requirements: 'a payments system' } });
+  const decisions = await memory.all('SELECT * FROM decisions WHERE run_id = ? ORDER BY id', [run.runId]);
+
+  assert.deepStrictEqual(decisions.map(row => [row.decision_type, JSON.parse(row.outcome)]), [
+    ['verdict', { verdict: 'complex', fallback: false }],
+    ['branch', { taken: false }],
+    ['branch', { taken: true }]
+  ]);
+  assert.strictEqual(decisions[0].workflow, 'Conditional Branching');
+
+  await hiveMind.getAgent('architect').communicate(hiveMind.getAgent('coder-1'), 'Use PostgreSQL');
+  const messages = await memory.all('SELECT * FROM coordination_logs WHERE run_id = ?', [run.runId]);
+  assert.deepStrictEqual(messages.map(row => [row.source_agent, row.target_agent, JSON.parse(row.message).body]), [
+    ['architect', 'coder-1', 'Use PostgreSQL'],
+    ['coder-1', 'architect', 'OK']
+  ]);
+});
+
+test('recording failures are logged instead of failing the work', async () => {
+  const recorder = new RunRecorder({
+    storeDecision: async () => { throw new Error('disk full'); }
+  });
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (message) => warnings.push(message);
+
+  try {
+    await recorder.decision('branch', {}, { taken: true });
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.deepStrictEqual(warnings, ['⚠️  Failed to record decision: disk full']);
+  assert.strictEqual(new RunRecorder().enabled, false);
+});
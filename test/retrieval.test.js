@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { MemoryRetriever, rankDocuments } = require('../src/memory/retrieval');
+
+quietConsole();
+
+test('documents are ranked by TF-IDF similarity to the query', () => {
+  const documents = [
+    'Designed a PostgreSQL schema for user accounts',
+    'Wrote CSS for the landing page',
+    'Migrated the user accounts table in PostgreSQL to add email verification',
+    'The the the and and'
+  ];
+
+  const ranked = rankDocuments('PostgreSQL schema for accounts', documents);
+
+  assert.deepStrictEqual(ranked.map(entry => entry.index), [0, 2]);
+  assert.ok(ranked[0].score > ranked[1].score);
+  assert.deepStrictEqual(rankDocuments('the and', documents), []);
+  assert.deepStrictEqual(rankDocuments('kubernetes', documents), []);
+});
+
+test('memories are fitted to the token budget in rank order', () => {
+  const retriever = new MemoryRetriever({}, { maxTokens: 150 });
+  const memory = (result) => ({ agent: 'coder-1', task: 'Build login', result, timestamp: 0, score: 1 });
+
+  const fitted = retriever.fitBudget([memory('a'.repeat(300)), memory('b'.repeat(300)), memory('c')]);
+
+  // 600 characters: the first result whole, the second shortened, no room for the third
+  assert.strictEqual(fitted.length, 2);
+  assert.strictEqual(fitted[0].result.length, 300);
+  assert.match(fitted[1].result, /^b+ …\[truncated\]$/);
+  assert.ok(fitted[1].result.length <= 600 - 300 - 2 * 'Build login'.length);
+});
+
+/**
+ * Register a workflow that asks an agent about `topic` with retrieval on
+ */
+function registerAsk(engine, name, agent, topic, memory = { retrieval: true }) {
+  engine.registerWorkflow(name, {
+    name,
+    mode: 'sequential',
+    memory,
+    steps: [{ id: 'ask', agent, prompt: `Explain ${topic}` }]
+  });
+}
+
+test('relevant results of earlier runs by the same agent type reach the prompt', async () => {
+  const { engine, provider, hiveMind } = await createHive({
+    responses: [
+      { match: 'PostgreSQL indexing', response: 'Use a B-tree index on PostgreSQL columns you filter by' },
+      { match: 'CSS grid', response: 'Grid areas lay out the page' },
+      { match: 'tester PostgreSQL', response: 'Test PostgreSQL migrations against a real database' }
+    ],
+    default: 'OK'
+  }, { memory: true });
+  registerAsk(engine, 'db', 'coder-1', 'PostgreSQL indexing');
+  registerAsk(engine, 'css', 'coder-2', 'CSS grid');
+  registerAsk(engine, 'qa', 'tester', 'tester PostgreSQL');
+  registerAsk(engine, 'followup', 'coder-1', 'PostgreSQL index choice for filtering');
+  registerAsk(engine, 'off', 'coder-1', 'PostgreSQL index choice', { retrieval: false });
+
+  await engine.execute('db');
+  await engine.execute('css');
+  await engine.execute('qa');
+  await engine.execute('followup');
+  await engine.execute('off');
+
+  const followup = provider.calls[3].prompt;
+  assert.match(followup, /Relevant Past Work \(from earlier runs, for reference only\):\n\n\[1\] coder-1, \d{4}-\d\d-\d\d\nTask: Explain PostgreSQL indexing\nResult:\nUse a B-tree index/);
+  assert.doesNotMatch(followup, /Grid areas/);
+  // The tester's answer is another agent type's history
+  assert.doesNotMatch(followup, /real database/);
+  assert.doesNotMatch(provider.calls[4].prompt, /Relevant Past Work/);
+  assert.strictEqual(hiveMind.retriever.enabled, false);
+});
+
+test('project scope searches every agent\'s history but never the current run', async () => {
+  const { engine, provider } = await createHive({
+    responses: [{ match: 'first', response: 'PostgreSQL replication needs a standby' }],
+    default: 'OK'
+  }, { memory: true });
+  engine.registerWorkflow('chain', {
+    name: 'chain',
+    mode: 'sequential',
+    memory: { retrieval: true, scope: 'project' },
+    steps: [
+      { id: 'first', agent: 'architect', prompt: 'first: PostgreSQL replication' },
+      { id: 'second', agent: 'tester', prompt: 'second: PostgreSQL replication tests' }
+    ]
+  });
+
+  await engine.execute('chain');
+  assert.doesNotMatch(provider.calls[1].prompt, /Relevant Past Work/);
+
+  await engine.execute('chain');
+  assert.match(provider.calls[3].prompt, /Relevant Past Work[\s\S]*\] architect, /);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+
+quietConsole();
+
+/**
+ * A hive whose calls are retried with `retry` (coordination.communication.retry)
+ * and time out after `timeout` ms
+ */
+async function retryingHive(fixtures, retry, timeout = 30000) {
+  const hive = await createHive(fixtures, {
+    config: config => {
+      config.coordination.communication.retry = retry;
+      config.coordination.communication.timeout = timeout;
+    }
+  });
+  await hive.hiveMind.initialize();
+  return hive;
+}
+
+const FAST = { max_retries: 3, base_delay: 1, max_delay: 5 };
+
+test('rate limits and server errors are retried until the call succeeds', async () => {
+  const { hiveMind, provider } = await retryingHive({
+    responses: [{
+      agent: 'coder-1',
+      response: [
+        { error: { status: 429, message: 'rate limited' } },
+        { error: { status: 529, message: 'overloaded' } },
+        'Implemented'
+      ]
+    }]
+  }, FAST);
+
+  const result = await hiveMind.getAgent('coder-1').process('Implement it');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.result, 'Implemented');
+  assert.strictEqual(provider.calls.length, 3);
+});
+
+test('a call that keeps failing gives up after max_retries', async () => {
+  const { hiveMind, provider } = await retryingHive({
+    responses: [{ agent: 'coder-1', response: { error: { status: 500, message: 'server error' } } }]
+  }, { ...FAST, max_retries: 2 });
+
+  const result = await hiveMind.getAgent('coder-1').process('Implement it');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'server error');
+  assert.strictEqual(provider.calls.length, 3);
+});
+
+test('client errors are not retried', async () => {
+  const { hiveMind, provider } = await retryingHive({
+    responses: [{ agent: 'coder-1', response: [{ error: { status: 400, message: 'bad request' } }, 'OK'] }]
+  }, FAST);
+
+  const result = await hiveMind.getAgent('coder-1').process('Implement it');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'bad request');
+  assert.strictEqual(provider.calls.length, 1);
+});
+
+test('an attempt that outlives the timeout fails and is retried', async () => {
+  const { hiveMind, provider } = await retryingHive({
+    responses: [{ agent: 'coder-1', response: [{ text: 'late', delay: 200 }, 'Implemented'] }]
+  }, FAST, 50);
+
+  const result = await hiveMind.getAgent('coder-1').process('Implement it');
+  assert.strictEqual(result.result, 'Implemented');
+  assert.strictEqual(provider.calls.length, 2);
+
+  const { hiveMind: single } = await retryingHive({
+    responses: [{ agent: 'coder-1', response: { text: 'late', delay: 200 } }]
+  }, { ...FAST, max_retries: 0 }, 50);
+
+  const timedOut = await single.getAgent('coder-1').process('Implement it');
+  assert.strictEqual(timedOut.success, false);
+  assert.strictEqual(timedOut.error, 'Request timed out after 50ms');
+});
+
+test('aborting a call ends its retry backoff', async () => {
+  const { hiveMind, provider } = await retryingHive({
+    responses: [{ agent: 'coder-1', response: { error: { status: 503, message: 'overloaded' } } }]
+  }, { max_retries: 3, base_delay: 60000, max_delay: 60000 });
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 50);
+
+  const result = await hiveMind.getAgent('coder-1').process('Implement it', {}, { signal: controller.signal });
+
+  assert.strictEqual(result.skipped, true);
+  assert.strictEqual(result.error, 'Cancelled');
+  assert.strictEqual(provider.calls.length, 1);
+  assert.ok(Date.now() - started < 5000, 'the backoff was not cut short');
+});
+
+test('stop_on_error skips the sequential steps after a failure', async () => {
+  const { engine, provider } = await createHive({
+    responses: [{ match: '^Task: Build', response: { error: { status: 400, message: 'bad request' } } }],
+    default: 'OK'
+  });
+  engine.registerWorkflow('pipeline', {
+    name: 'Pipeline',
+    mode: 'sequential',
+    steps: [
+      { id: 'plan', agent: 'architect', prompt: 'Plan it' },
+      { id: 'build', agent: 'coder-1', prompt: 'Build it' },
+      { id: 'ship', agent: 'reviewer', prompt: 'Ship it' }
+    ]
+  });
+
+  const run = await engine.execute('pipeline');
+
+  assert.deepStrictEqual(run.results.map(result => result.success), [true, false, false]);
+  assert.strictEqual(run.results[2].skipped, true);
+  assert.strictEqual(run.results[2].error, 'Not run: build failed');
+  assert.strictEqual(provider.calls.length, 2);
+});
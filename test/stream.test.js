@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive, callsMatching } = require('./helpers');
+const { ChunkQueue, StreamChunker } = require('../src/workflows/stream');
+
+quietConsole();
+
+test('a full chunk queue holds its producer back until the consumer takes a chunk', async () => {
+  const queue = new ChunkQueue(1);
+  const pushed = [];
+
+  const producer = (async () => {
+    for (const chunk of ['a', 'b', 'c']) {
+      await queue.push(chunk);
+      pushed.push(chunk);
+    }
+    queue.close();
+  })();
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(pushed, ['a']);
+
+  const received = [];
+  for await (const chunk of queue) {
+    received.push(chunk);
+  }
+  await producer;
+
+  assert.deepStrictEqual(received, ['a', 'b', 'c']);
+});
+
+test('the chunker cuts at line boundaries and flushes the rest', async () => {
+  const chunks = [];
+  const chunker = new StreamChunker(10, chunk => chunks.push(chunk));
+
+  await chunker.write('{"id": 1}\n{"id"');
+  await chunker.write(': 2}\n{"id": 3}');
+  assert.deepStrictEqual(chunks, ['{"id": 1}', '{"id": 2}']);
+
+  await chunker.flush();
+  assert.deepStrictEqual(chunks, ['{"id": 1}', '{"id": 2}', '{"id": 3}']);
+
+  const words = [];
+  const plain = new StreamChunker(10, chunk => words.push(chunk));
+  await plain.write('one two three four five');
+  assert.deepStrictEqual(words, ['one two three four']);
+});
+
+test('streaming agents emit their tokens through the hive', async () => {
+  const { hiveMind } = await createHive({ default: 'Hello streaming world' });
+  hiveMind.stream = true;
+  await hiveMind.initialize();
+  const events = [];
+  hiveMind.on('stream_start', ({ agent }) => events.push(`start ${agent}`));
+  hiveMind.on('token', ({ agent, text }) => events.push(`${agent}: ${text}`));
+  hiveMind.on('stream_end', ({ agent }) => events.push(`end ${agent}`));
+
+  const result = await hiveMind.getAgent('coder-1').process('Say hello');
+
+  assert.strictEqual(result.result, 'Hello streaming world');
+  assert.deepStrictEqual(events, [
+    'start coder-1',
+    'coder-1: Hello ',
+    'coder-1: streaming ',
+    'coder-1: world',
+    'end coder-1'
+  ]);
+});
+
+test('stream mode feeds each agent its predecessor\'s output chunk by chunk', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { agent: 'analyst', response: 'alice,30\nbob,25\n' },
+      { agent: 'coder-1', match: 'alice', response: '{"name": "alice"}\n' },
+      { agent: 'coder-1', match: 'bob', response: '{"name": "bob"}\n' },
+      { agent: 'reviewer', response: 'valid' }
+    ]
+  }, { config: config => { config.workflows.stream.buffer_size = 5; } });
+
+  const run = await engine.execute('stream-chain', { inputs: { data: 'alice,30;bob,25' } });
+  const [processed, transformed, validated] = run.results;
+
+  assert.strictEqual(processed.chunks, 1);
+  assert.strictEqual(transformed.chunks, 2);
+  assert.strictEqual(transformed.result, '{"name": "alice"}\n\n{"name": "bob"}\n');
+  assert.strictEqual(validated.chunks, 2);
+  assert.ok(run.results.every(result => result.success));
+  assert.deepStrictEqual(callsMatching(provider, /Transform the processed data into JSON records:\n\nalice,30\n/), ['coder-1']);
+  assert.deepStrictEqual(callsMatching(provider, /Validate these JSON records[\s\S]*\{"name": "bob"\}/), ['reviewer']);
+});
+
+test('a stream stage that fails is reported without hanging the chain', async () => {
+  const { engine } = await createHive({
+    responses: [
+      { agent: 'analyst', response: { error: { status: 400, message: 'bad request' } } }
+    ],
+    default: 'OK'
+  });
+
+  const run = await engine.execute('stream-chain', { inputs: { data: 'x' } });
+
+  assert.strictEqual(run.results[0].success, false);
+  assert.strictEqual(run.results[0].error, 'bad request');
+  assert.strictEqual(run.results[1].error, 'No input received from the previous agent');
+  assert.strictEqual(run.failures, 3);
+});
+
+test('a stream chain with an agent the hive lacks fails before any call', async () => {
+  const { engine, provider } = await createHive({ default: 'OK' });
+  engine.registerWorkflow('chain', {
+    name: 'Chain',
+    mode: 'stream',
+    steps: [
+      { id: 'process', agent: 'analyst', prompt: 'Process {{inputs.data}}' },
+      { id: 'transform', agent: 'coder-3', prompt: 'Transform {{steps.process.result}}' }
+    ],
+    inputs: { data: { required: true } }
+  });
+
+  await assert.rejects(engine.execute('chain', { inputs: { data: 'x' } }), /Unknown agent coder-3 in step transform/);
+  assert.strictEqual(provider.calls.length, 0);
+});
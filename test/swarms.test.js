@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, configDir, createHive } = require('./helpers');
+const { HiveMind } = require('../src/coordination/hivemind');
+const { parseMembers, defineSwarm, describeLimits } = require('../src/coordination/swarms');
+
+quietConsole();
+
+const ROLES = ['architect', 'coder', 'tester', 'analyst', 'reviewer'];
+
+test('parseMembers names repeated roles by number and keeps explicit names', () => {
+  assert.deepStrictEqual(parseMembers('architect, coder,coder,reviewer:reviewer-lead'), [
+    { type: 'architect', name: 'architect' },
+    { type: 'coder', name: 'coder-1' },
+    { type: 'coder', name: 'coder-2' },
+    { type: 'reviewer', name: 'reviewer-lead' }
+  ]);
+});
+
+test('defineSwarm checks names, roles and limits', () => {
+  const definition = defineSwarm('api', parseMembers('architect,coder'), { max_agents: 3, budget: '200k' }, ROLES);
+
+  assert.deepStrictEqual(definition.limits, { max_agents: 3, budget: '200k' });
+  assert.strictEqual(defineSwarm('team', [], {}, ROLES).agents.length, 6);
+  assert.throws(() => defineSwarm('no spaces', [], {}, ROLES), /Invalid swarm name/);
+  assert.throws(() => defineSwarm('api', parseMembers('juggler'), {}, ROLES), /Unknown agent role "juggler"/);
+  assert.throws(() => defineSwarm('api', parseMembers('coder:lead'), {}, ROLES), /Invalid agent name "lead"/);
+  assert.throws(() => defineSwarm('api', parseMembers('coder:coder-1,coder:coder-1'), {}, ROLES), /Two agents named coder-1/);
+  assert.throws(() => defineSwarm('api', parseMembers('coder,coder,coder'), { max_agents: 2 }, ROLES), /exceed max_agents/);
+  assert.throws(() => defineSwarm('api', [], { max_concurrent: 0 }, ROLES), /positive integer/);
+  assert.strictEqual(describeLimits({ max_agents: 8, max_concurrent: 1 }), 'max 8 agents · 1 concurrent call');
+});
+
+test('a swarm\'s agents live in its own namespace and a run against it uses them', async () => {
+  const { hiveMind, engine, provider } = await createHive({ default: 'DONE' }, { memory: true });
+  await hiveMind.initialize();
+
+  const swarm = await hiveMind.createSwarm('api', parseMembers('coder,coder'));
+  await engine.execute('parallel-dev', { swarm: 'api', inputs: { feature_a: 'login', feature_b: 'logout' } });
+
+  assert.deepStrictEqual(swarm.agents.map(agent => agent.name), ['api/coder-1', 'api/coder-2']);
+  assert.deepStrictEqual(provider.calls.map(call => call.agent).sort(), ['api/coder-1', 'api/coder-2']);
+  assert.strictEqual(hiveMind.getAgent('coder-1').name, 'api/coder-1');
+  await assert.rejects(engine.execute('sequential-test', { swarm: 'api', inputs: { code: 'x' } }),
+    /Swarm api has no agent named tester/);
+  await assert.rejects(hiveMind.createSwarm('api'), /already exists/);
+
+  await hiveMind.useSwarm(null);
+  assert.strictEqual(hiveMind.getAgent('coder-1').name, 'coder-1');
+});
+
+test('a swarm\'s max_concurrent limits its calls in flight', async () => {
+  const { hiveMind, engine, provider } = await createHive({ responses: [{ agent: 'coder', response: { text: 'DONE', delay: 30 } }] });
+  let inFlight = 0;
+  let most = 0;
+  const complete = provider.complete.bind(provider);
+  provider.complete = async (...args) => {
+    most = Math.max(most, ++inFlight);
+    try {
+      return await complete(...args);
+    } finally {
+      inFlight -= 1;
+    }
+  };
+  await hiveMind.initialize();
+  await hiveMind.createSwarm('serial', parseMembers('coder,coder'), { max_concurrent: 1 });
+
+  await engine.execute('parallel-dev', { swarm: 'serial', inputs: { feature_a: 'login', feature_b: 'logout' } });
+
+  assert.strictEqual(provider.calls.length, 2);
+  assert.strictEqual(most, 1);
+});
+
+test('a saved swarm is used by a later hive until it is dissolved', async () => {
+  const { hiveMind, memory } = await createHive({ default: 'DONE' }, { memory: true });
+  await hiveMind.initialize();
+  await hiveMind.createSwarm('docs', parseMembers('analyst,reviewer'), { budget: '50k' });
+
+  const later = new HiveMind({ provider: hiveMind.provider, memory, configDir: configDir() });
+  await later.initialize({ swarm: 'docs' });
+
+  assert.deepStrictEqual(later.getAgents().map(agent => agent.name), ['docs/analyst', 'docs/reviewer']);
+  assert.strictEqual(later.usage.budget.tokens, 50000);
+
+  await later.dissolveSwarm('docs');
+
+  assert.deepStrictEqual(later.getAgents(), []);
+  assert.strictEqual(later.agents.size, 0);
+  assert.strictEqual((await memory.getSwarm('docs')).status, 'dissolved');
+  assert.deepStrictEqual(await memory.listSwarms(), []);
+  await assert.rejects(later.useSwarm('docs'), /Swarm docs was dissolved/);
+  await assert.rejects(later.dissolveSwarm('docs'), /Swarm not found: docs/);
+});
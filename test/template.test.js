@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { renderTemplate, checkReference, findReferences, TemplateError } = require('../src/workflows/template');
+const { WorkflowLoader } = require('../src/workflows/loader');
+
+quietConsole();
+
+test('templates render inputs and step results, serializing non-strings', () => {
+  const scope = { inputs: { feature: 'login' }, steps: { design: { result: 'Use JWT' }, plan: { result: ['a', 'b'] } } };
+
+  assert.strictEqual(renderTemplate('Build {{ inputs.feature }}: {{steps.design.result}}', scope), 'Build login: Use JWT');
+  assert.strictEqual(renderTemplate('{{steps.plan.result}}', scope), '[\n  "a",\n  "b"\n]');
+  assert.deepStrictEqual(findReferences('{{inputs.a}} and {{ steps.b.result }}'), ['inputs.a', 'steps.b.result']);
+});
+
+test('rendering lists every variable without a value', () => {
+  assert.throws(
+    () => renderTemplate('{{inputs.a}} {{steps.x.result}}', { inputs: {}, steps: {} }),
+    error => error instanceof TemplateError &&
+      error.message === 'Missing template variables: {{inputs.a}}, {{steps.x.result}}' &&
+      error.variables.length === 2
+  );
+});
+
+test('references are checked against declared inputs and earlier steps', () => {
+  const known = { inputs: ['feature'], steps: ['design'] };
+
+  assert.strictEqual(checkReference('inputs.feature', known), null);
+  assert.strictEqual(checkReference('steps.design.result', known), null);
+  assert.match(checkReference('inputs.other', known), /undeclared input "other"/);
+  assert.match(checkReference('steps.review.result', known), /step "review", which is not guaranteed to have run before this step/);
+  assert.match(checkReference('steps.design.output', known), /must have the form \{\{steps.<id>.result\}\}/);
+  assert.match(checkReference('env.HOME', known), /must start with "inputs." or "steps."/);
+  assert.match(checkReference('inputs.a b', known), /invalid template variable/);
+});
+
+test('the loader reports bad references at the step that makes them', () => {
+  const loader = new WorkflowLoader();
+  const source = [
+    'name: Build',
+    'mode: parallel',
+    'inputs:',
+    '  feature: { required: true }',
+    'steps:',
+    '  - id: design',
+    '    agent: architect',
+    '    prompt: Design {{inputs.feature}}',
+    '  - agent: coder',
+    '    prompt: Build {{steps.design.result}} for {{inputs.user}}'
+  ].join('\n');
+
+  assert.throws(() => loader.parse(source, '/tmp/build.yaml'), error => {
+    assert.deepStrictEqual(error.errors.map(e => [e.line, e.message]), [
+      [10, 'steps[1].prompt: "{{steps.design.result}}" references step "design", which is not guaranteed to have run before this step'],
+      [10, 'steps[1].prompt: "{{inputs.user}}" references undeclared input "user"']
+    ]);
+    return true;
+  });
+  assert.doesNotThrow(() => loader.parse(source.replace('parallel', 'sequential').replace('{{inputs.user}}', 'me'), '/tmp/build.yaml'));
+});
+
+test('inputs are merged with defaults and checked before any agent runs', async () => {
+  const { engine, provider } = await createHive({ default: 'done' });
+  const workflow = await engine.resolveWorkflow('data-analysis');
+
+  assert.deepStrictEqual(engine.resolveInputs(workflow, 'sequential', { data: 'x' }), {
+    data: 'x',
+    objective: 'Identify the key trends and anomalies'
+  });
+  assert.throws(
+    () => engine.resolveInputs(workflow, 'sequential', {}),
+    /Missing workflow input: data \(The data to analyze, or a description of the dataset\)\nPass them with --input/
+  );
+  assert.throws(
+    () => engine.resolveInputs(workflow, 'sequential', { data: 'x', color: 'red' }),
+    /Unknown input for workflow Data Analysis: color \(declared: data, objective\)/
+  );
+  assert.throws(() => engine.resolveInputs(workflow, 'parallel', { data: 'x' }), /references step "analysis"/);
+
+  await assert.rejects(engine.execute('data-analysis', {}), /Missing workflow input: data/);
+  assert.strictEqual(provider.calls.length, 0);
+});
+
+test('sequential steps receive prompts rendered from inputs and earlier results', async () => {
+  const { engine, provider } = await createHive({
+    responses: [
+      { match: 'Analyze the following data', response: 'sales fell in May' },
+      { match: 'actionable insights', response: 'restock earlier' },
+      { agent: 'reviewer', response: 'findings hold' }
+    ]
+  });
+
+  const run = await engine.execute('data-analysis', { inputs: { data: 'monthly sales', objective: 'Find dips' } });
+
+  assert.deepStrictEqual(run.results.map(result => result.result), ['sales fell in May', 'restock earlier', 'findings hold']);
+  assert.match(provider.calls[0].prompt, /Objective: Find dips\n\nmonthly sales/);
+  assert.match(provider.calls[1].prompt, /actionable insights:\n\nsales fell in May/);
+  assert.match(provider.calls[2].prompt, /Findings:\nrestock earlier\n\nData:\nmonthly sales/);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { quietConsole, tempDir, createHive } = require('./helpers');
+const { ToolRegistry } = require('../src/tools');
+const { Workspace } = require('../src/tools/workspace');
+
+quietConsole();
+
+const coder = { name: 'coder-1', type: 'coder' };
+const tester = { name: 'tester', type: 'tester' };
+
+function registry(settings = {}) {
+  const tools = new ToolRegistry({
+    enabled: true,
+    workspaceDir: tempDir(),
+    tools: [
+      { name: 'file_operations', agents: ['coder'] },
+      { name: 'test_runner', agents: ['tester'], capabilities: ['unit'], commands: { unit: 'npm test' } }
+    ],
+    ...settings
+  });
+  tools.configure('run-1', tempDir());
+  return tools;
+}
+
+test('the workspace is created by the first tool call', async () => {
+  const workspaceDir = tempDir();
+  const tools = new ToolRegistry({ enabled: true, workspaceDir, tools: [{ name: 'file_operations', agents: ['coder'] }] });
+
+  tools.configure('run-1');
+  assert.deepStrictEqual(tools.definitionsFor(coder).map(tool => tool.name), ['read_file', 'write_file', 'list_files']);
+  assert.strictEqual(fs.existsSync(path.join(workspaceDir, 'run-1')), false);
+
+  const outcome = await tools.run(coder, 'write_file', { path: 'app.js', content: 'ok' });
+  assert.strictEqual(outcome.isError, false);
+  assert.strictEqual(fs.readFileSync(path.join(workspaceDir, 'run-1', 'app.js'), 'utf8'), 'ok');
+});
+
+test('an agent\'s tool calls run in the workspace and their results go back to the model', async () => {
+  const dir = tempDir();
+  const { engine, provider } = await createHive({
+    responses: [{
+      agent: 'coder-1',
+      response: [
+        { tool_calls: [{ name: 'write_file', input: { path: 'app.js', content: 'module.exports = 1;' } }] },
+        { tool_calls: [{ name: 'read_file', input: { path: '../secret' } }] },
+        'Implemented app.js'
+      ]
+    }]
+  });
+  engine.registerWorkflow('build', {
+    name: 'Build',
+    mode: 'sequential',
+    steps: [{ id: 'build', agent: 'coder-1', prompt: 'Write app.js' }]
+  });
+
+  const run = await engine.execute('build', { workspace: dir });
+  const [result] = run.results;
+
+  assert.strictEqual(result.result, 'Implemented app.js');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'app.js'), 'utf8'), 'module.exports = 1;');
+  assert.deepStrictEqual(result.metadata.tools, [
+    { name: 'write_file', target: 'app.js', error: undefined },
+    { name: 'read_file', target: '../secret', error: true }
+  ]);
+  // The refused read is reported to the model, which then answers
+  assert.match(provider.calls[2].prompt, /\.\.\/secret is outside the workspace/);
+});
+
+test('a run without tool calls creates no workspace', async () => {
+  const workspaceDir = tempDir();
+  const { engine } = await createHive({ default: 'done' }, {
+    memory: true,
+    config: config => { config.mcp_tools.workspace_dir = workspaceDir; }
+  });
+
+  await engine.execute('parallel-dev', { inputs: { feature_a: 'login', feature_b: 'logout' } });
+
+  assert.deepStrictEqual(fs.readdirSync(workspaceDir), []);
+});
+
+test('workspace paths may not leave the root', () => {
+  const workspace = new Workspace(tempDir());
+
+  assert.strictEqual(workspace.resolve('src/app.js'), path.join(workspace.root, 'src', 'app.js'));
+  assert.throws(() => workspace.resolve('../outside.txt'), /outside the workspace/);
+  assert.throws(() => workspace.resolve('/etc/passwd'), /outside the workspace/);
+});
+
+test('workspace paths through a symlink are refused, dangling or not', () => {
+  const workspace = new Workspace(tempDir());
+  const outside = tempDir();
+  fs.symlinkSync(outside, path.join(workspace.root, 'link'));
+  fs.symlinkSync(path.join(outside, 'missing.txt'), path.join(workspace.root, 'dangling'));
+  fs.mkdirSync(path.join(workspace.root, 'src'));
+  fs.symlinkSync(path.join(outside, 'gone'), path.join(workspace.root, 'src', 'lib'));
+
+  assert.throws(() => workspace.resolve('link/file.txt'), /symlink/);
+  assert.throws(() => workspace.resolve('dangling'), /symlink/);
+  assert.throws(() => workspace.resolve('src/lib/new/file.js'), /symlink/);
+});
+
+test('write_file does not write through a dangling symlink', async () => {
+  const tools = registry();
+  const outside = tempDir();
+  fs.symlinkSync(path.join(outside, 'planted.txt'), path.join(tools.workspaceRoot, 'notes.txt'));
+
+  const outcome = await tools.run(coder, 'write_file', { path: 'notes.txt', content: 'hello' });
+
+  assert.strictEqual(outcome.isError, true);
+  assert.strictEqual(fs.existsSync(path.join(outside, 'planted.txt')), false);
+});
+
+test('run_tests runs the configured command in a sandbox container', async () => {
+  const bin = tempDir();
+  const argsFile = path.join(bin, 'args');
+  const runtime = path.join(bin, 'fake-docker');
+  fs.writeFileSync(runtime, `#!/bin/sh\nprintf '%s\\n' "$@" > '${argsFile}'\necho "1 passing"\n`, { mode: 0o755 });
+  const tools = registry({ sandbox: { runtime, image: 'node:20-alpine' } });
+
+  const outcome = await tools.run(tester, 'run_tests', {});
+
+  assert.strictEqual(outcome.isError, false);
+  assert.match(outcome.content, /Exit code: 0/);
+  assert.match(outcome.content, /1 passing/);
+  const args = fs.readFileSync(argsFile, 'utf8').split('\n');
+  assert.strictEqual(args[0], 'run');
+  assert.strictEqual(args[args.indexOf('--network') + 1], 'none');
+  assert.strictEqual(args[args.indexOf('--volume') + 1], `${tools.workspace.realRoot}:/workspace`);
+  assert.deepStrictEqual(args.slice(args.indexOf('node:20-alpine'), -1), ['node:20-alpine', 'sh', '-c', 'npm test']);
+});
+
+test('run_tests never falls back to the host without a container runtime', async () => {
+  const tools = registry({ sandbox: { runtime: path.join(tempDir(), 'no-such-runtime') } });
+  fs.writeFileSync(path.join(tools.workspaceRoot, 'package.json'),
+    JSON.stringify({ scripts: { test: 'touch host-was-here' } }));
+
+  const outcome = await tools.run(tester, 'run_tests', {});
+
+  assert.strictEqual(outcome.isError, true);
+  assert.match(outcome.content, /not installed/);
+  assert.strictEqual(fs.existsSync(path.join(tools.workspaceRoot, 'host-was-here')), false);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quietConsole, createHive } = require('./helpers');
+const { BudgetExceededError, parseBudget } = require('../src/coordination/usage');
+const pricing = require('../config/pricing.json');
+
+quietConsole();
+
+// Every reply reports the same usage, so totals follow from the call count
+const USAGE = { input_tokens: 2000, output_tokens: 500 };
+const SONNET = pricing.models['claude-3-5-sonnet'];
+const CALL_COST = (USAGE.input_tokens * SONNET.input + USAGE.output_tokens * SONNET.output) / 1e6;
+
+const fixtures = { responses: [{ response: { text: 'OK', usage: USAGE } }] };
+
+/**
+ * A three-step sequential workflow; the coder runs twice
+ */
+function registerPipeline(engine) {
+  engine.registerWorkflow('pipeline', {
+    name: 'Pipeline',
+    mode: 'sequential',
+    steps: [
+      { id: 'plan', agent: 'architect', prompt: 'Plan it' },
+      { id: 'build', agent: 'coder-1', prompt: 'Build it' },
+      { id: 'fix', agent: 'coder-1', prompt: 'Fix it' }
+    ]
+  });
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('usage is totalled per agent, per step and per run at config/pricing.json prices', async () => {
+  const { engine, memory } = await createHive(fixtures, { memory: true });
+  registerPipeline(engine);
+
+  const run = await engine.execute('pipeline');
+  const { total, agents, steps } = run.usage;
+
+  assert.strictEqual(total.calls, 3);
+  assert.strictEqual(total.input_tokens, 6000);
+  assert.strictEqual(total.output_tokens, 1500);
+  close(total.cost, 3 * CALL_COST);
+  assert.strictEqual(agents['coder-1'].calls, 2);
+  close(agents['coder-1'].cost, 2 * CALL_COST);
+  close(agents.architect.cost, CALL_COST);
+  assert.deepStrictEqual(Object.keys(steps), ['plan', 'build', 'fix']);
+  assert.strictEqual(steps.build.output_tokens, 500);
+
+  const [recorded] = await memory.listRuns();
+  assert.strictEqual(recorded.input_tokens + recorded.output_tokens, 7500);
+  close(recorded.cost, 3 * CALL_COST);
+});
+
+test('SPARC usage is reported per phase', async () => {
+  const { engine } = await createHive(fixtures);
+
+  const run = await engine.execute('fullstack-dev', { mode: 'sparc', inputs: { task: 'a todo app' } });
+
+  assert.deepStrictEqual(Object.keys(run.usage.steps),
+    ['specification', 'pseudocode', 'architecture', 'refinement', 'completion']);
+  assert.strictEqual(run.usage.steps.refinement.calls, 2);
+  close(run.usage.total.cost, 6 * CALL_COST);
+});
+
+test('a run stops before a call that could exceed the token budget', async () => {
+  const { engine, provider, memory } = await createHive(fixtures, { memory: true, budget: parseBudget('7000') });
+  registerPipeline(engine);
+
+  // Each call reserves its prompt plus max_tokens (4096): the third would pass 7000
+  const error = await engine.execute('pipeline').catch(caught => caught);
+
+  assert.ok(error instanceof BudgetExceededError, error.message);
+  assert.match(error.message, /Token budget of 7,000 would be exceeded: 5,000 used, next call by coder-1/);
+  assert.strictEqual(error.usage.total.calls, 2);
+  assert.strictEqual(provider.calls.length, 2);
+  assert.strictEqual((await memory.getRun(error.runId)).status, 'aborted');
+});
+
+test('a dollar budget refuses a call whose worst case costs too much', async () => {
+  const { engine, provider } = await createHive(fixtures, { budget: parseBudget('$0.05') });
+  registerPipeline(engine);
+
+  await assert.rejects(engine.execute('pipeline'), /Budget of \$0\.05 would be exceeded: \$0\.0000 spent, next call by architect/);
+  assert.strictEqual(provider.calls.length, 0);
+});
+
+test('budgets parse token and dollar limits', () => {
+  assert.deepStrictEqual(parseBudget('200k'), { tokens: 200000 });
+  assert.deepStrictEqual(parseBudget('1.5m'), { tokens: 1500000 });
+  assert.deepStrictEqual(parseBudget('$2.50'), { cost: 2.5 });
+  assert.deepStrictEqual(parseBudget('200k, 3usd'), { tokens: 200000, cost: 3 });
+  assert.throws(() => parseBudget('lots'), /Invalid budget "lots"/);
+});
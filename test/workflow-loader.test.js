@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { quietConsole, tempDir } = require('./helpers');
+const { WorkflowLoader, WorkflowValidationError } = require('../src/workflows/loader');
+const { WorkflowEngine } = require('../src/workflows/engine');
+
+quietConsole();
+
+const loader = new WorkflowLoader();
+
+/**
+ * Parse `text` and return the validation error it raises
+ */
+function parseError(text, file = path.join(process.cwd(), 'flow.yaml')) {
+  try {
+    loader.parse(text, file);
+  } catch (error) {
+    assert.ok(error instanceof WorkflowValidationError, error.message);
+    return error;
+  }
+  assert.fail('expected the workflow to be rejected');
+}
+
+test('a valid YAML workflow parses into its definition', () => {
+  const workflow = loader.parse([
+    'name: Review',
+    'mode: sequential',
+    'steps:',
+    '  - id: audit',
+    '    agent: reviewer',
+    '    task: Audit the code',
+    '  - agent: coder-2',
+    '    task: Fix the findings'
+  ].join('\n'), '/tmp/review.yaml');
+
+  assert.strictEqual(workflow.name, 'Review');
+  assert.strictEqual(workflow.source, '/tmp/review.yaml');
+  assert.deepStrictEqual(workflow.steps.map(step => step.agent), ['reviewer', 'coder-2']);
+});
+
+test('validation errors point at the line and column of the offending field', () => {
+  const error = parseError([
+    'name: Review',
+    'mode: sideways',
+    'steps:',
+    '  - id: audit',
+    '    agent: manager',
+    '    task: Audit the code',
+    '  - id: audit',
+    '    agent: coder',
+    '    tsk: Fix it'
+  ].join('\n'));
+
+  assert.deepStrictEqual(error.errors.map(e => [e.line, e.column, e.message]), [
+    [2, 1, 'mode: must be one of: sparc, parallel, sequential, conditional, stream, dag, consensus'],
+    [5, 5, 'steps[0].agent: unknown agent "manager" (expected one of architect, coder, tester, analyst, reviewer, optionally suffixed like "coder-2")'],
+    [7, 5, 'steps[1].id: duplicate step id "audit"'],
+    [7, 5, 'steps[1]: needs a "task" or a "prompt"'],
+    [9, 5, 'steps[1].tsk: unknown field (allowed: id, agent, task, prompt, needs, verdict, condition)']
+  ]);
+  assert.match(error.message, /^Invalid workflow flow\.yaml:\n {2}flow\.yaml:2:1 mode:/);
+});
+
+test('JSON workflows report positions the same way', () => {
+  const error = parseError([
+    '{',
+    '  "name": "Review",',
+    '  "mode": "parallel",',
+    '  "steps": [',
+    '    { "agent": "coder", "task": "" }',
+    '  ]',
+    '}'
+  ].join('\n'), path.join(process.cwd(), 'flow.json'));
+
+  assert.deepStrictEqual(error.errors.map(e => [e.line, e.column, e.message]), [
+    [5, 25, 'steps[0].task: must be a non-empty string']
+  ]);
+});
+
+test('syntax errors are reported with their position', () => {
+  const error = parseError('name: Review\nsteps: [\n  - agent: coder\n');
+
+  assert.ok(error.errors.length > 0);
+  assert.ok(error.errors.every(e => Number.isInteger(e.line) && Number.isInteger(e.column)));
+  assert.ok(error.errors[0].line >= 2);
+});
+
+test('conditions are only accepted in conditional mode', () => {
+  const error = parseError([
+    'name: Review',
+    'mode: sequential',
+    'steps:',
+    '  - agent: coder',
+    '    task: Fix it',
+    '    condition: always'
+  ].join('\n'));
+
+  assert.deepStrictEqual(error.errors.map(e => [e.line, e.message]), [
+    [6, 'steps[0].condition: is only supported in conditional mode']
+  ]);
+});
+
+test('the engine resolves workflows by path, by file name and then by built-in name', async () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'review.yaml'), 'name: Review\nmode: parallel\nsteps:\n  - agent: reviewer\n    task: Review\n');
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ "name": "Broken" }');
+  const engine = new WorkflowEngine({}, { workflowDirs: [dir] });
+
+  assert.strictEqual((await engine.resolveWorkflow('review')).name, 'Review');
+  assert.strictEqual((await engine.resolveWorkflow(path.join(dir, 'review.yaml'))).name, 'Review');
+  assert.strictEqual((await engine.resolveWorkflow('data-analysis')).name, 'Data Analysis');
+  await assert.rejects(engine.resolveWorkflow('missing'), /Workflow not found: missing/);
+  await assert.rejects(engine.resolveWorkflow('./missing.yaml'), /Workflow file not found: \.\/missing\.yaml/);
+
+  const listed = await engine.listAllWorkflows();
+  assert.strictEqual(listed.find(entry => entry.name === 'review').source, path.join(dir, 'review.yaml'));
+  assert.match(listed.find(entry => entry.name === 'broken').error, /mode: must be one of/);
+  assert.strictEqual(listed.find(entry => entry.name === 'data-analysis').source, 'built-in');
+});